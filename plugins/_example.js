@@ -0,0 +1,54 @@
+/**
+ * ALL-STAR BOT v2.0 - Example Plugin
+ * Files starting with "_" are not loaded. Copy to plugins/<name>.js to enable,
+ * then run .reload (author only) to load it without restarting.
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { Logger } from '../src/utils/Logger.js';
+
+const logger = new Logger('PLUGIN-EXAMPLE');
+
+// Plugins keep their own strings per locale, messageInfo.locale is the chat's language
+const messages = {
+  id: (name, prefix) => `👋 Halo ${name}!\n\nKetik ${prefix}menu untuk melihat command.`,
+  en: (name, prefix) => `👋 Hello ${name}!\n\nType ${prefix}menu to see the commands.`
+};
+
+/**
+ * Hello Command - Same definition format as built-in commands
+ */
+export const hello = {
+  aliases: ['hi'],
+  role: 'user',
+  category: 'fun',
+  description: 'Say hello',
+  usage: 'hello [name]',
+  examples: ['hello Liand'],
+  args: {
+    params: [
+      { name: 'name', type: 'rest', label: 'name' }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, pushName, prefix, locale } = messageInfo;
+    const message = messages[locale] || messages.id;
+
+    await bot.sendMessage(from, {
+      text: message(params.name || pushName, prefix)
+    });
+  }
+};
+
+/**
+ * Event hooks receive (bot, payload) for the matching socket event
+ */
+export const hooks = {
+  'group-participants.update': async (bot, update) => {
+    logger.debug(`Participants ${update.action} in ${update.id}: ${update.participants.length}`);
+  }
+};
+
+// Optional: register extra defense modules (instances extending DefenseModule)
+// export const defenseModules = [{ name: 'antiCaps', instance: antiCaps, priority: 10 }];
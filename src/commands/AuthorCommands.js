@@ -9,141 +9,148 @@ import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
 import { defenseEngine } from '../modules/DefenseEngine.js';
+import { lockdownManager } from '../modules/LockdownManager.js';
+import { antiDelete } from '../modules/AntiDelete.js';
+import { i18n } from '../utils/I18n.js';
 
 const logger = new Logger('AUTHOR-COMMANDS');
 
 /**
  * Bot Info Command - Show detailed system status
  */
-export const botinfo = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const botinfo = {
+  role: 'author',
+  category: 'system',
+  description: 'System status',
+  usage: 'botinfo',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  try {
-    if (global.systemMonitor) {
-      const report = await global.systemMonitor.getSystemReport();
-      await bot.sendMessage(from, { text: report });
-    } else {
+    try {
+      if (global.systemMonitor) {
+        const report = await global.systemMonitor.getSystemReport();
+        await bot.sendMessage(from, { text: report });
+      } else {
+        await bot.sendMessage(from, {
+          text: t('system.monitorUnavailable')
+        });
+      }
+    } catch (error) {
+      logger.error('BotInfo command error:', error);
       await bot.sendMessage(from, {
-        text: '❌ System monitor not available.'
+        text: t('system.infoError')
       });
     }
-  } catch (error) {
-    logger.error('BotInfo command error:', error);
-    await bot.sendMessage(from, {
-      text: '❌ Error getting system info.'
-    });
   }
 };
 
 /**
  * Add Owner Command
  */
-export const addowner = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, messageContent } = messageInfo;
+export const addowner = {
+  role: 'author',
+  category: 'users',
+  description: 'Add owner',
+  usage: 'addowner @user or reply to their message',
+  examples: ['addowner @628123456789'],
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, messageContent, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    // Check if already owner or author
+    if (db.isAuthor(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('owners.isAuthor')
+      });
+      return;
+    }
 
-  let targetNumber = null;
+    if (db.isOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('owners.alreadyOwner')
+      });
+      return;
+    }
 
-  // Get target from mention or quoted message
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length > 0) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    // Add owner
+    await db.addOwner(targetNumber);
 
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *ADD OWNER*\n\nUsage: ${config.get('bot.prefix')}addowner @user\natau reply pesan user`
+      text: t('owners.added', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
-  }
 
-  // Check if already owner or author
-  if (db.isAuthor(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ User ini adalah Author.'
-    });
-    return;
+    logger.info(`Owner added: ${targetNumber}`);
   }
-
-  if (db.isOwner(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ User sudah menjadi Owner.'
-    });
-    return;
-  }
-
-  // Add owner
-  await db.addOwner(targetNumber);
-
-  await bot.sendMessage(from, {
-    text: `✅ *OWNER ADDED*\n\nUser @${targetNumber} berhasil ditambahkan sebagai Owner.\n\nUser sekarang memiliki akses Owner commands.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
-
-  logger.info(`Owner added: ${targetNumber}`);
 };
 
 /**
  * Delete Owner Command
  */
-export const delowner = async (bot, msg, args, messageInfo) => {
-  const { from, quoted } = messageInfo;
+export const delowner = {
+  role: 'author',
+  category: 'users',
+  description: 'Remove owner',
+  usage: 'delowner @user or reply to their message',
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    // Check if is owner
+    if (!db.isOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('owners.notOwner')
+      });
+      return;
+    }
 
-  let targetNumber = null;
+    // Remove owner
+    await db.removeOwner(targetNumber);
 
-  // Get target from mention or quoted message
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length > 0) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
-
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *DELETE OWNER*\n\nUsage: ${config.get('bot.prefix')}delowner @user\natau reply pesan user`
+      text: t('owners.removed', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
-  }
 
-  // Check if is owner
-  if (!db.isOwner(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ User bukan Owner.'
-    });
-    return;
+    logger.info(`Owner removed: ${targetNumber}`);
   }
-
-  // Remove owner
-  await db.removeOwner(targetNumber);
-
-  await bot.sendMessage(from, {
-    text: `✅ *OWNER REMOVED*\n\nUser @${targetNumber} telah dihapus dari Owner.\n\nUser kehilangan akses Owner commands.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
-
-  logger.info(`Owner removed: ${targetNumber}`);
 };
 
 /**
  * Self Mode Command - Restrict bot to author only
  */
-export const self = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
-
-  await db.setBotMode('SELF');
-
-  const message = `🔒 *BOT MODE CHANGED*
-
-Mode: SELF
-Status: Active
+export const self = {
+  role: 'author',
+  category: 'system',
+  description: 'Self mode',
+  usage: 'self',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
 
-Only the author can use bot commands now.
+    await db.setBotMode('SELF');
 
-Use ${config.get('bot.prefix')}public to revert.`;
+    const message = t('system.selfMode', { prefix });
 
-  await bot.sendMessage(from, { text: message });
+    await bot.sendMessage(from, { text: message });
 
-  logger.info('Bot mode changed to SELF');
+    logger.info('Bot mode changed to SELF');
+  }
 };
 
 /**
@@ -151,17 +158,17 @@ Use ${config.get('bot.prefix')}public to revert.`;
  */
 export const publicMode = {
   name: 'public',
+  role: 'author',
+  category: 'system',
+  description: 'Public mode',
+  usage: 'public',
   execute: async (bot, msg, args, messageInfo) => {
-    const { from } = messageInfo;
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
     await db.setBotMode('PUBLIC');
 
-    const message = `🌍 *BOT MODE CHANGED*
-
-Mode: PUBLIC
-Status: Active
-
-The bot is now available for all users.`;
+    const message = t('system.publicMode');
 
     await bot.sendMessage(from, { text: message });
 
@@ -172,314 +179,608 @@ The bot is now available for all users.`;
 /**
  * Defense Mode Command
  */
-export const defense = async (bot, msg, args, messageInfo) => {
-  const { from, isGroup, groupId } = messageInfo;
+export const defense = {
+  role: 'author',
+  category: 'defense',
+  description: 'Change defense',
+  usage: 'defense <NORMAL|STRICT|LOCKDOWN>\ndefense <shadowmute|adminonly> <on|off>',
+  examples: ['defense STRICT', 'defense shadowmute on'],
+  args: {
+    max: 2,
+    validate: (args, info) => {
+      if (args.length === 0) {
+        return { valid: true };
+      }
+
+      const option = args[0].toLowerCase();
+      if (option === 'shadowmute' || option === 'adminonly') {
+        if (!['on', 'off'].includes(args[1]?.toLowerCase())) {
+          return {
+            valid: false,
+            errors: [i18n.t('defenseMode.onOff', {}, info.locale)]
+          };
+        }
+        return { valid: true };
+      }
+
+      const validModes = ['NORMAL', 'STRICT', 'LOCKDOWN'];
+      if (!validModes.includes(args[0].toUpperCase())) {
+        return {
+          valid: false,
+          errors: [i18n.t('defenseMode.invalid', { modes: validModes.join(', ') }, info.locale)]
+        };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, isGroup, groupId, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (args.length === 0) {
-    const currentMode = isGroup ? defenseEngine.getDefenseMode(groupId) : db.getDefenseMode();
-    
-    await bot.sendMessage(from, {
-      text: `🛡️ *DEFENSE MODE*\n\nCurrent: ${currentMode}\n\nAvailable modes:\n• NORMAL - Standard protection\n• STRICT - Enhanced protection\n• LOCKDOWN - Maximum security\n\nUsage: ${config.get('bot.prefix')}defense <mode>`
-    });
-    return;
-  }
+    if (args.length === 0) {
+      const currentMode = isGroup ? defenseEngine.getDefenseMode(groupId) : db.getDefenseMode();
 
-  const mode = args[0].toUpperCase();
-  const validModes = ['NORMAL', 'STRICT', 'LOCKDOWN'];
+      let text = t('defenseMode.current', { mode: currentMode });
 
-  if (!validModes.includes(mode)) {
-    await bot.sendMessage(from, {
-      text: `❌ Invalid mode. Choose: ${validModes.join(', ')}`
-    });
-    return;
-  }
+      if (isGroup) {
+        text += `${formatLockdownStatus(defenseEngine.getLockdownStatus(groupId), locale)}\n\n`;
+      }
 
-  if (isGroup) {
-    await defenseEngine.setDefenseMode(groupId, mode);
-  } else {
-    await db.setDefenseMode(mode);
-  }
+      text += t('defenseMode.modes');
+      text += t('defenseMode.usage', { prefix });
 
-  const modeEmoji = mode === 'NORMAL' ? '🟢' : mode === 'STRICT' ? '🟡' : '🔴';
+      if (isGroup) {
+        text += `\n${prefix}defense shadowmute <on|off>\n${prefix}defense adminonly <on|off>`;
+      }
 
-  await bot.sendMessage(from, {
-    text: `${modeEmoji} *DEFENSE MODE UPDATED*\n\nMode: ${mode}\nStatus: Active\n\nSecurity level adjusted.`
-  });
+      await bot.sendMessage(from, { text });
+      return;
+    }
+
+    const option = args[0].toLowerCase();
+
+    // Toggle lockdown measures
+    if (option === 'shadowmute' || option === 'adminonly') {
+      if (!isGroup) {
+        await bot.sendMessage(from, {
+          text: t('common.groupOnly')
+        });
+        return;
+      }
+
+      const measure = option === 'shadowmute' ? 'shadowMute' : 'adminOnly';
+      const enabled = args[1]?.toLowerCase() === 'on';
+
+      await lockdownManager.setMeasure(groupId, measure, enabled);
+
+      // Apply admin-only change right away if lockdown is running
+      if (measure === 'adminOnly' && defenseEngine.getDefenseMode(groupId) === 'LOCKDOWN') {
+        if (enabled) {
+          await lockdownManager.activate(bot, groupId);
+        } else {
+          await lockdownManager.deactivate(bot, groupId);
+        }
+      }
 
-  logger.info(`Defense mode changed to ${mode}`);
+      await bot.sendMessage(from, {
+        text: t('defenseMode.measureUpdated', { status: formatLockdownStatus(defenseEngine.getLockdownStatus(groupId), locale) })
+      });
+
+      logger.info(`Lockdown measure ${measure} ${enabled ? 'enabled' : 'disabled'} for group: ${groupId}`);
+      return;
+    }
+
+    const mode = args[0].toUpperCase();
+    const validModes = ['NORMAL', 'STRICT', 'LOCKDOWN'];
+
+    if (!validModes.includes(mode)) {
+      await bot.sendMessage(from, {
+        text: `❌ ${t('defenseMode.invalid', { modes: validModes.join(', ') })}`
+      });
+      return;
+    }
+
+    let lockdownStatus = null;
+
+    if (isGroup) {
+      lockdownStatus = await defenseEngine.setDefenseMode(groupId, mode, bot);
+    } else {
+      await db.setDefenseMode(mode);
+    }
+
+    const modeEmoji = mode === 'NORMAL' ? '🟢' : mode === 'STRICT' ? '🟡' : '🔴';
+
+    let text = t('defenseMode.updated', { emoji: modeEmoji, mode });
+
+    if (lockdownStatus) {
+      text += `\n\n${formatLockdownStatus(lockdownStatus, locale)}`;
+    }
+
+    await bot.sendMessage(from, { text });
+
+    logger.info(`Defense mode changed to ${mode}`);
+  }
 };
 
 /**
- * Disable User Command
+ * Format lockdown measures for display
+ * @param {Object} status - Lockdown status
+ * @param {string} locale - Locale code
+ * @returns {string} Formatted status
  */
-export const disable = async (bot, msg, args, messageInfo) => {
-  const { from, quoted } = messageInfo;
+function formatLockdownStatus(status, locale = null) {
+  const t = i18n.translator(locale);
+  const measureState = (enabled, applied = status.active) => {
+    if (!enabled) return t('lockdown.off');
+    return applied ? t('lockdown.active') : t('lockdown.standby');
+  };
+
+  return t('lockdown.status', {
+    shadowMute: measureState(status.shadowMute),
+    adminOnly: measureState(status.adminOnly, status.announcementApplied)
+  });
+}
 
-  let targetNumber = null;
+/**
+ * Anti-Delete Command - Re-post messages deleted by members
+ */
+export const antidelete = {
+  role: 'author',
+  category: 'defense',
+  description: 'Anti-delete',
+  usage: 'antidelete <off|group|private>',
+  examples: ['antidelete private'],
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'mode', type: 'enum', values: antiDelete.modes }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, isGroup, groupId, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length > 0) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    if (!db.isProtected(groupId)) {
+      await bot.sendMessage(from, {
+        text: t('protect.notProtected', { prefix })
+      });
+      return;
+    }
 
-  if (!targetNumber) {
-    await bot.sendMessage(from, {
-      text: `❌ *DISABLE USER*\n\nUsage: ${config.get('bot.prefix')}disable @user\natau reply pesan user`
-    });
-    return;
-  }
+    if (!params.mode) {
+      const modLogChat = db.getModLogChat();
 
-  // Cannot disable author/owner
-  if (db.isAuthorOrOwner(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ Cannot disable Author/Owner.'
-    });
-    return;
-  }
+      await bot.sendMessage(from, {
+        text: t('antiDelete.status', { mode: antiDelete.getMode(groupId).toUpperCase(), modLog: modLogChat || t('modlog.owners'), prefix })
+      });
+      return;
+    }
 
-  await db.addDisabled(targetNumber);
+    const { mode } = params;
+    await antiDelete.setMode(groupId, mode);
 
-  await bot.sendMessage(from, {
-    text: `✅ *USER DISABLED*\n\nUser @${targetNumber} has been disabled.\n\nUser cannot use any bot commands.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    await bot.sendMessage(from, {
+      text: t('antiDelete.updated', { mode: mode.toUpperCase() })
+    });
 
-  logger.security('Disable', targetNumber, 'Disabled by author', 'AUTHOR');
+    logger.info(`Anti-delete set to ${mode} for group: ${groupId}`);
+  }
 };
 
 /**
- * Undisable User Command
+ * Mod Log Command - Set chat receiving moderation logs
  */
-export const undisable = async (bot, msg, args, messageInfo) => {
-  const { from, quoted } = messageInfo;
+export const modlog = {
+  role: 'author',
+  category: 'system',
+  description: 'Moderation log chat',
+  usage: 'modlog [set|off]',
+  examples: ['modlog set', 'modlog off'],
+  args: {
+    max: 1
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
+    const option = args[0]?.toLowerCase();
 
-  let targetNumber = null;
+    if (option === 'set') {
+      await db.setModLogChat(from);
+      await bot.sendMessage(from, {
+        text: t('modlog.set')
+      });
+      return;
+    }
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length > 0) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    if (option === 'off') {
+      await db.setModLogChat(null);
+      await bot.sendMessage(from, {
+        text: t('modlog.cleared')
+      });
+      return;
+    }
 
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *UNDISABLE USER*\n\nUsage: ${config.get('bot.prefix')}undisable @user\natau reply pesan user`
+      text: t('modlog.status', { chat: db.getModLogChat() || t('modlog.owners'), prefix })
     });
-    return;
   }
+};
+
+/**
+ * Disable User Command
+ */
+export const disable = {
+  role: 'author',
+  category: 'users',
+  description: 'Disable user',
+  usage: 'disable @user or reply to their message',
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    // Cannot disable author/owner
+    if (db.isAuthorOrOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.protected', { action: 'disable' })
+      });
+      return;
+    }
+
+    await db.addDisabled(targetNumber);
 
-  if (!db.isDisabled(targetNumber)) {
     await bot.sendMessage(from, {
-      text: '❌ User tidak dalam status disabled.'
+      text: t('disabled.added', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Disable', targetNumber, 'Disabled by author', 'AUTHOR');
   }
+};
+
+/**
+ * Undisable User Command
+ */
+export const undisable = {
+  role: 'author',
+  category: 'users',
+  description: 'Enable user',
+  usage: 'undisable @user or reply to their message',
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    if (!db.isDisabled(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('disabled.notDisabled')
+      });
+      return;
+    }
 
-  await db.removeDisabled(targetNumber);
+    await db.removeDisabled(targetNumber);
 
-  await bot.sendMessage(from, {
-    text: `✅ *USER ENABLED*\n\nUser @${targetNumber} has been enabled.\n\nUser can now use bot commands.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    await bot.sendMessage(from, {
+      text: t('disabled.removed', { number: targetNumber }),
+      mentions: [params.target.jid]
+    });
 
-  logger.security('Enable', targetNumber, 'Enabled by author', 'AUTHOR');
+    logger.security('Enable', targetNumber, 'Enabled by author', 'AUTHOR');
+  }
 };
 
 /**
  * List Disabled Users Command
  */
-export const listdisable = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const listdisable = {
+  role: 'author',
+  category: 'users',
+  description: 'List disabled users',
+  usage: 'listdisable',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  const disabledUsers = db.getDisabledList();
+    const disabledUsers = db.getDisabledList();
 
-  if (disabledUsers.length === 0) {
-    await bot.sendMessage(from, {
-      text: 'ℹ️ No disabled users.'
-    });
-    return;
-  }
+    if (disabledUsers.length === 0) {
+      await bot.sendMessage(from, {
+        text: t('disabled.empty')
+      });
+      return;
+    }
 
-  let message = `🚫 *DISABLED USERS*\n\nTotal: ${disabledUsers.length}\n\n`;
+    let message = t('disabled.title', { total: disabledUsers.length });
   
-  disabledUsers.forEach((number, index) => {
-    message += `${index + 1}. @${number}\n`;
-  });
+    disabledUsers.forEach((number, index) => {
+      message += `${index + 1}. @${number}\n`;
+    });
 
-  await bot.sendMessage(from, {
-    text: message,
-    mentions: disabledUsers.map(n => n + '@s.whatsapp.net')
-  });
+    await bot.sendMessage(from, {
+      text: message,
+      mentions: disabledUsers.map(n => n + '@s.whatsapp.net')
+    });
+  }
 };
 
 /**
  * Add Defense (Protect Group) Command
  */
-export const adddefense = async (bot, msg, args, messageInfo) => {
-  const { from, isGroup, groupId } = messageInfo;
+export const adddefense = {
+  role: 'author',
+  category: 'defense',
+  description: 'Protect group',
+  usage: 'adddefense',
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
-    });
-    return;
-  }
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
 
-  if (db.isProtected(groupId)) {
-    await bot.sendMessage(from, {
-      text: '❌ Grup sudah dalam proteksi.'
-    });
-    return;
-  }
+    if (db.isProtected(groupId)) {
+      await bot.sendMessage(from, {
+        text: t('protect.already')
+      });
+      return;
+    }
 
-  await db.addProtected(groupId);
-  await defenseEngine.enableAllModules(groupId);
+    await db.addProtected(groupId);
+    await defenseEngine.enableAllModules(groupId);
 
-  const metadata = await bot.getGroupMetadata(groupId);
+    const metadata = await bot.getGroupMetadata(groupId);
 
-  await bot.sendMessage(from, {
-    text: `🛡️ *DEFENSE ACTIVATED*\n\nGroup: ${metadata.subject}\nStatus: Protected\n\nSemua sistem keamanan aktif:\n✅ Anti-Link\n✅ Anti-Spam\n✅ Anti-Toxic\n✅ Anti-Virtex\n✅ Geo-Restriction`
-  });
+    await bot.sendMessage(from, {
+      text: t('protect.activated', { group: metadata.subject })
+    });
 
-  logger.info(`Defense activated for group: ${groupId}`);
+    logger.info(`Defense activated for group: ${groupId}`);
+  }
 };
 
 /**
  * Add Share Target Command
  */
-export const addshare = async (bot, msg, args, messageInfo) => {
-  const { from, isGroup, groupId } = messageInfo;
+export const addshare = {
+  role: 'author',
+  category: 'broadcast',
+  description: 'Add share target',
+  usage: 'addshare',
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
-    });
-    return;
-  }
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
 
-  if (db.isShareTarget(groupId)) {
-    await bot.sendMessage(from, {
-      text: '❌ Grup sudah menjadi share target.'
-    });
-    return;
-  }
+    if (db.isShareTarget(groupId)) {
+      await bot.sendMessage(from, {
+        text: t('share.alreadyTarget')
+      });
+      return;
+    }
 
-  await db.addShareTarget(groupId);
+    await db.addShareTarget(groupId);
 
-  const metadata = await bot.getGroupMetadata(groupId);
+    const metadata = await bot.getGroupMetadata(groupId);
 
-  await bot.sendMessage(from, {
-    text: `📢 *SHARE TARGET ADDED*\n\nGroup: ${metadata.subject}\n\nGrup akan menerima broadcast messages.`
-  });
+    await bot.sendMessage(from, {
+      text: t('share.targetAdded', { group: metadata.subject })
+    });
 
-  logger.info(`Share target added: ${groupId}`);
+    logger.info(`Share target added: ${groupId}`);
+  }
 };
 
 /**
  * Share/Broadcast Command
  */
-export const share = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const share = {
+  role: 'author',
+  category: 'broadcast',
+  description: 'Broadcast',
+  usage: 'share <message>',
+  examples: ['share Halo semua, ada update baru!'],
+  cooldown: 600,
+  args: {
+    min: 1,
+    validate: (args, info) => {
+      if (args.join(' ').trim().length === 0) {
+        return {
+          valid: false,
+          errors: [i18n.t('share.empty', {}, info.locale)]
+        };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
 
-  const message = args.join(' ');
+    const message = args.join(' ');
 
-  if (!message) {
-    await bot.sendMessage(from, {
-      text: `❌ *SHARE MESSAGE*\n\nUsage: ${config.get('bot.prefix')}share <message>\n\nBroadcast message to all share targets.`
-    });
-    return;
-  }
+    if (!message) {
+      await bot.sendMessage(from, {
+        text: t('share.usage', { prefix })
+      });
+      return;
+    }
 
-  const shareTargets = db.getShareTargets();
+    const shareTargets = db.getShareTargets();
+
+    if (shareTargets.length === 0) {
+      await bot.sendMessage(from, {
+        text: t('share.noTargets')
+      });
+      return;
+    }
 
-  if (shareTargets.length === 0) {
     await bot.sendMessage(from, {
-      text: '❌ Tidak ada share target yang terdaftar.'
+      text: t('share.sending', { count: shareTargets.length })
     });
-    return;
-  }
-
-  await bot.sendMessage(from, {
-    text: `📢 Broadcasting to ${shareTargets.length} groups...`
-  });
 
-  let success = 0;
-  let failed = 0;
-  const startTime = Date.now();
+    let success = 0;
+    let failed = 0;
+    const startTime = Date.now();
 
-  for (const groupId of shareTargets) {
-    try {
-      await bot.sendMessage(groupId, {
-        text: `📢 *BROADCAST MESSAGE*\n\n${message}\n\n_From: ${config.get('bot.author.name')}_`
-      });
-      success++;
+    for (const groupId of shareTargets) {
+      try {
+        await bot.sendMessage(groupId, {
+          text: i18n.t('share.message', { message, from: config.get('bot.author.name') }, i18n.resolveLocale(groupId))
+        });
+        success++;
       
-      // Cooldown between messages
-      await new Promise(resolve => setTimeout(resolve, 10000));
+        // Cooldown between messages
+        await new Promise(resolve => setTimeout(resolve, 10000));
       
-    } catch (error) {
-      failed++;
-      logger.error(`Failed to broadcast to ${groupId}:`, error);
+      } catch (error) {
+        failed++;
+        logger.error(`Failed to broadcast to ${groupId}:`, error);
+      }
     }
-  }
-
-  const executionTime = Math.floor((Date.now() - startTime) / 1000);
 
-  const report = `=== BROADCAST REPORT ===
+    const executionTime = Math.floor((Date.now() - startTime) / 1000);
 
-Status        : SUCCESS
-Total Groups  : ${shareTargets.length}
-Success       : ${success}
-Failed        : ${failed}
-Execution Time: ${executionTime} seconds
-Date          : ${new Date().toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}`;
+    const report = t('share.report', {
+      total: shareTargets.length,
+      success,
+      failed,
+      seconds: executionTime,
+      date: new Date().toLocaleString(locale === 'en' ? 'en-US' : 'id-ID', { timeZone: 'Asia/Jakarta' })
+    });
 
-  await bot.sendMessage(from, { text: report });
+    await bot.sendMessage(from, { text: report });
 
-  logger.info(`Broadcast completed: ${success}/${shareTargets.length}`);
+    logger.info(`Broadcast completed: ${success}/${shareTargets.length}`);
+  }
 };
 
 /**
  * Restart Bot Command
  */
-export const restart = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const restart = {
+  role: 'author',
+  category: 'system',
+  description: 'Restart bot',
+  usage: 'restart',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  await bot.sendMessage(from, {
-    text: '🔄 Restarting bot...\n\nPlease wait.'
-  });
+    await bot.sendMessage(from, {
+      text: t('system.restarting')
+    });
 
-  logger.info('Bot restart initiated by author');
+    logger.info('Bot restart initiated by author');
 
-  setTimeout(async () => {
-    await bot.restart();
-  }, 2000);
+    setTimeout(async () => {
+      await bot.restart();
+    }, 2000);
+  }
 };
 
 /**
- * Backup Database Command
+ * Reload Command - Reload plugins without restarting the session
  */
-export const backup = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
-
-  await bot.sendMessage(from, {
-    text: '💾 Creating backup...'
-  });
+export const reload = {
+  role: 'author',
+  category: 'system',
+  description: 'Reload plugins',
+  usage: 'reload',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  try {
-    const backupFile = await db.createBackup();
-    
     await bot.sendMessage(from, {
-      text: `✅ *BACKUP CREATED*\n\nFile: ${backupFile}\n\nBackup berhasil dibuat.`
+      text: t('system.reloading')
     });
 
-    logger.info('Manual backup created');
+    const { pluginManager } = await import('../core/PluginManager.js');
+    const { loaded, failed } = await pluginManager.reload();
+
+    let text = t('system.reloaded', { loaded: loaded.length, failed: failed.length });
+
+    const plugins = pluginManager.getPlugins();
+    if (plugins.length > 0) {
+      text += t('system.plugins');
+      plugins.forEach(plugin => {
+        text += t('system.plugin', { name: plugin.name, count: plugin.commands.length });
+      });
+    }
+
+    if (failed.length > 0) {
+      text += t('system.pluginErrors');
+      failed.forEach(plugin => {
+        text += `• ${plugin.name}: ${plugin.error}\n`;
+      });
+    }
+
+    await bot.sendMessage(from, { text: text.trim() });
+
+    logger.info(`Plugins reloaded by ${sender.split('@')[0]}: ${loaded.length} loaded, ${failed.length} failed`);
+  }
+};
+
+/**
+ * Backup Database Command
+ */
+export const backup = {
+  role: 'author',
+  category: 'system',
+  description: 'Backup database',
+  usage: 'backup',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  } catch (error) {
-    logger.error('Backup error:', error);
     await bot.sendMessage(from, {
-      text: '❌ Gagal membuat backup.'
+      text: t('system.backupCreating')
     });
+
+    try {
+      const backupFile = await db.createBackup();
+    
+      await bot.sendMessage(from, {
+        text: t('system.backupCreated', { file: backupFile })
+      });
+
+      logger.info('Manual backup created');
+
+    } catch (error) {
+      logger.error('Backup error:', error);
+      await bot.sendMessage(from, {
+        text: t('system.backupFailed')
+      });
+    }
   }
 };
@@ -10,6 +10,9 @@ import { authMiddleware } from '../middleware/AuthMiddleware.js';
 import { cooldownMiddleware } from '../middleware/CooldownMiddleware.js';
 import { validationMiddleware } from '../middleware/ValidationMiddleware.js';
 import { db } from '../database/Database.js';
+import { config } from '../config/BotConfig.js';
+import { i18n, LocalizedError } from '../utils/I18n.js';
+import stringSimilarity from 'string-similarity';
 
 // Import command modules
 import * as authorCommands from './AuthorCommands.js';
@@ -21,6 +24,21 @@ export class CommandManager {
     this.logger = new Logger('COMMAND-MANAGER');
     this.commands = new Map();
     this.aliases = new Map();
+
+    // Menu categories in display order
+    this.categories = {
+      general: { title: 'General', emoji: '🎮' },
+      ai: { title: 'AI', emoji: '🤖' },
+      fun: { title: 'Fun', emoji: '🎉' },
+      game: { title: 'Games', emoji: '🕹️' },
+      download: { title: 'Download', emoji: '📥' },
+      group: { title: 'Group', emoji: '👥' },
+      moderation: { title: 'Moderation', emoji: '🔨' },
+      defense: { title: 'Defense', emoji: '🛡️' },
+      users: { title: 'Users', emoji: '👤' },
+      broadcast: { title: 'Broadcast', emoji: '📢' },
+      system: { title: 'System', emoji: '⚙️' }
+    };
     
     // Register all commands
     this.registerCommands();
@@ -48,45 +66,122 @@ export class CommandManager {
    * Register commands from a module
    * @param {Object} module - Command module
    * @param {string} defaultRole - Default required role
+   * @param {string} plugin - Plugin name (null for built-in modules)
+   * @returns {Array} Registered command names
    */
-  registerCommandModule(module, defaultRole) {
+  registerCommandModule(module, defaultRole, plugin = null) {
+    const registered = [];
+
     for (const [name, command] of Object.entries(module)) {
-      if (typeof command === 'function') {
-        this.register({
-          name,
-          execute: command,
-          role: defaultRole,
-          aliases: []
-        });
-      } else if (typeof command === 'object' && command.execute) {
-        this.register({
-          name,
-          ...command,
-          role: command.role || defaultRole
-        });
+      if (typeof command !== 'object' || typeof command?.execute !== 'function') {
+        continue;
       }
+
+      const entry = this.register({
+        name,
+        ...command,
+        role: command.role || defaultRole,
+        plugin
+      });
+      registered.push(entry.name);
     }
+
+    return registered;
   }
 
   /**
    * Register a single command
-   * @param {Object} command - Command configuration
+   * @param {Object} command - Command definition
+   * @param {string} command.name - Command name
+   * @param {Array} command.aliases - Alternative names
+   * @param {string} command.role - Required role (author/owner/user)
+   * @param {string} command.category - Menu category
+   * @param {string} command.description - Short description
+   * @param {string} command.usage - Usage without prefix (one line per form)
+   * @param {Array} command.examples - Example invocations without prefix
+   * @param {string} command.feature - Feature toggle that hides/blocks the command
+   * @param {boolean} command.groupOnly - Only usable in groups
+   * @param {boolean} command.allowGroupAdmin - Group admins may use it regardless of role
+   * @param {number} command.cooldown - Cooldown in seconds (default from config)
+   * @param {Object} command.args - Argument schema { min, max, requiresQuoted, params, flags, validate }
+   * @param {Function} command.execute - Handler (bot, msg, args, messageInfo, params)
+   * @param {string} command.plugin - Plugin that registered the command (null for built-in)
+   * @returns {Object} Registered command
    */
   register(command) {
-    const { name, aliases = [], ...config } = command;
+    const { name, aliases = [], ...definition } = command;
 
-    // Store command
-    this.commands.set(name, {
+    if (this.has(name)) {
+      throw new Error(`Command already registered: ${name}`);
+    }
+
+    // Store command with defaults for missing metadata
+    const entry = {
       name,
-      ...config
-    });
+      aliases,
+      role: 'user',
+      category: 'general',
+      description: '',
+      usage: name,
+      examples: [],
+      feature: null,
+      groupOnly: false,
+      allowGroupAdmin: false,
+      cooldown: null,
+      args: {},
+      plugin: null,
+      ...definition
+    };
+    this.commands.set(name, entry);
 
-    // Register aliases
-    if (aliases && aliases.length > 0) {
-      for (const alias of aliases) {
-        this.aliases.set(alias, name);
+    // Register aliases, never shadowing existing commands
+    for (const alias of aliases) {
+      if (this.has(alias)) {
+        this.logger.warn(`Alias ${alias} for ${name} skipped: already in use`);
+        continue;
       }
+      this.aliases.set(alias, name);
     }
+
+    return entry;
+  }
+
+  /**
+   * Unregister a command and its aliases
+   * @param {string} name - Command name
+   * @returns {boolean} Whether command was removed
+   */
+  unregister(name) {
+    if (!this.commands.has(name)) {
+      return false;
+    }
+
+    this.commands.delete(name);
+
+    for (const [alias, target] of this.aliases) {
+      if (target === name) {
+        this.aliases.delete(alias);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Unregister all commands registered by a plugin
+   * @param {string} plugin - Plugin name
+   * @returns {number} Number of commands removed
+   */
+  unregisterPlugin(plugin) {
+    let removed = 0;
+
+    for (const command of Array.from(this.commands.values())) {
+      if (command.plugin === plugin && this.unregister(command.name)) {
+        removed++;
+      }
+    }
+
+    return removed;
   }
 
   /**
@@ -100,8 +195,8 @@ export class CommandManager {
    */
   async execute(commandName, bot, msg, args, messageInfo) {
     try {
-      // Resolve alias
-      const actualCommand = this.aliases.get(commandName) || commandName;
+      // Resolve group alias / alias
+      const actualCommand = this.resolve(commandName, messageInfo.groupId);
 
       // Get command
       const command = this.commands.get(actualCommand);
@@ -120,7 +215,10 @@ export class CommandManager {
       // === MIDDLEWARE PIPELINE ===
 
       // 1. Authentication Check
-      const authResult = await authMiddleware.checkAuth(sender, actualCommand, command.role);
+      const isGroupAdmin = command.allowGroupAdmin && messageInfo.isGroup
+        ? await bot.isGroupAdmin(from, sender)
+        : false;
+      const authResult = await authMiddleware.checkAuth(sender, command.name, command.role, isGroupAdmin, messageInfo.locale);
       
       if (!authResult.authorized) {
         await bot.sendMessage(from, {
@@ -133,8 +231,16 @@ export class CommandManager {
 
       authMiddleware.logAuthAttempt(sender, actualCommand, true);
 
-      // 2. Cooldown Check
-      const cooldownResult = await cooldownMiddleware.checkCooldown(sender, actualCommand);
+      // 2. Feature Toggle Check
+      if (!this.isAvailable(command, messageInfo.groupId)) {
+        await bot.sendMessage(from, {
+          text: i18n.t(messageInfo.isGroup ? 'command.featureDisabledGroup' : 'command.featureDisabled', { feature: command.feature }, messageInfo.locale)
+        });
+        return false;
+      }
+
+      // 3. Cooldown Check
+      const cooldownResult = await cooldownMiddleware.checkCooldown(sender, command.name, messageInfo.locale, messageInfo.prefix);
       
       if (cooldownResult.onCooldown) {
         await bot.sendMessage(from, {
@@ -143,9 +249,9 @@ export class CommandManager {
         return false;
       }
 
-      // 3. Validation Check
+      // 4. Validation Check
       const validationResult = validationMiddleware.validateCommand(
-        actualCommand,
+        command,
         args,
         messageInfo
       );
@@ -157,8 +263,8 @@ export class CommandManager {
         return false;
       }
 
-      // 4. Global Rate Limit Check
-      const rateLimitResult = cooldownMiddleware.checkGlobalRateLimit(sender);
+      // 5. Global Rate Limit Check
+      const rateLimitResult = cooldownMiddleware.checkGlobalRateLimit(sender, messageInfo.locale);
       
       if (rateLimitResult.limited) {
         await bot.sendMessage(from, {
@@ -171,7 +277,7 @@ export class CommandManager {
 
       const startTime = Date.now();
 
-      await command.execute(bot, msg, args, messageInfo);
+      await command.execute(bot, msg, args, messageInfo, validationResult.params);
 
       const executionTime = Date.now() - startTime;
 
@@ -180,7 +286,7 @@ export class CommandManager {
       await db.incrementCommandUsage(actualCommand);
 
       // Apply cooldown
-      await cooldownMiddleware.applyCooldown(sender, actualCommand);
+      await cooldownMiddleware.applyCooldown(sender, command);
 
       return true;
 
@@ -190,7 +296,7 @@ export class CommandManager {
       // Send error message to user
       try {
         await bot.sendMessage(messageInfo.from, {
-          text: `❌ *ERROR*\n\nTerjadi error saat menjalankan command.\n\nError: ${error.message}`
+          text: i18n.t('command.error', { error: error.message }, messageInfo.locale)
         });
       } catch (sendError) {
         this.logger.error('Failed to send error message:', sendError);
@@ -203,23 +309,101 @@ export class CommandManager {
     }
   }
 
+  /**
+   * Resolve command name through group aliases and global aliases
+   * @param {string} commandName - Typed command name
+   * @param {string} groupId - Group JID (null for DM)
+   * @returns {string} Command name
+   */
+  resolve(commandName, groupId = null) {
+    const groupAlias = groupId ? this.getGroupAliases(groupId)[commandName] : null;
+    const name = groupAlias || commandName;
+    return this.aliases.get(name) || name;
+  }
+
   /**
    * Check if command exists
    * @param {string} commandName - Command name
+   * @param {string} groupId - Group JID for local aliases (optional)
    * @returns {boolean}
    */
-  has(commandName) {
-    return this.commands.has(commandName) || this.aliases.has(commandName);
+  has(commandName, groupId = null) {
+    return this.commands.has(this.resolve(commandName, groupId));
   }
 
   /**
    * Get command info
    * @param {string} commandName - Command name
+   * @param {string} groupId - Group JID for local aliases (optional)
    * @returns {Object|null} Command info
    */
-  get(commandName) {
-    const actualCommand = this.aliases.get(commandName) || commandName;
-    return this.commands.get(actualCommand) || null;
+  get(commandName, groupId = null) {
+    return this.commands.get(this.resolve(commandName, groupId)) || null;
+  }
+
+  /**
+   * Get command prefixes for chat (group prefixes override global ones)
+   * @param {string} groupId - Group JID (null for DM)
+   * @returns {Array} Prefixes, longest first
+   */
+  getPrefixes(groupId = null) {
+    const groupPrefixes = groupId ? db.getGroupSettings(groupId).prefixes : null;
+    const prefixes = groupPrefixes?.length > 0
+      ? groupPrefixes
+      : [config.get('bot.prefix'), config.get('bot.alternativePrefix')];
+
+    // Longest first so "!!" wins over "!"
+    return [...new Set(prefixes.filter(Boolean))].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Get local command aliases of group
+   * @param {string} groupId - Group JID
+   * @returns {Object} Aliases { alias: commandName }
+   */
+  getGroupAliases(groupId) {
+    return db.getGroupSettings(groupId).aliases || {};
+  }
+
+  /**
+   * Add local command alias to group
+   * @param {string} groupId - Group JID
+   * @param {string} alias - Alias name
+   * @param {string} commandName - Target command name or alias
+   * @returns {Promise<string>} Resolved command name
+   */
+  async setGroupAlias(groupId, alias, commandName) {
+    const target = this.get(commandName);
+
+    if (!target) {
+      throw new LocalizedError('command.notFound', { command: commandName });
+    }
+
+    if (this.has(alias)) {
+      throw new LocalizedError('command.aliasTaken', { alias });
+    }
+
+    const aliases = { ...this.getGroupAliases(groupId), [alias]: target.name };
+    await db.updateGroupSetting(groupId, 'aliases', aliases);
+    return target.name;
+  }
+
+  /**
+   * Remove local command alias from group
+   * @param {string} groupId - Group JID
+   * @param {string} alias - Alias name
+   * @returns {Promise<boolean>} Whether alias existed
+   */
+  async removeGroupAlias(groupId, alias) {
+    const aliases = { ...this.getGroupAliases(groupId) };
+
+    if (!aliases[alias]) {
+      return false;
+    }
+
+    delete aliases[alias];
+    await db.updateGroupSetting(groupId, 'aliases', aliases);
+    return true;
   }
 
   /**
@@ -239,6 +423,124 @@ export class CommandManager {
     return commands;
   }
 
+  /**
+   * Check if command's feature is enabled (group toggle, then global default)
+   * @param {Object} command - Command definition
+   * @param {string} groupId - Group JID (null for DM)
+   * @returns {boolean}
+   */
+  isAvailable(command, groupId = null) {
+    return !command.feature || db.isFeatureEnabled(command.feature, groupId);
+  }
+
+  /**
+   * Get commands visible to user, grouped by category
+   * @param {string} role - User role (author/owner/user)
+   * @param {string} groupId - Group JID (null for DM)
+   * @param {boolean} isGroupAdmin - User is admin of the group
+   * @param {string} locale - Locale for category titles
+   * @returns {Array} Sections [{ category, title, emoji, commands }]
+   */
+  getMenuSections(role, groupId = null, isGroupAdmin = false, locale = null) {
+    const sections = new Map();
+
+    for (const command of this.commands.values()) {
+      const permitted = authMiddleware.hasRole(role, command.role) || (isGroupAdmin && command.allowGroupAdmin);
+      if (!permitted || !this.isAvailable(command, groupId)) {
+        continue;
+      }
+
+      if (!sections.has(command.category)) {
+        sections.set(command.category, []);
+      }
+      sections.get(command.category).push(command);
+    }
+
+    // Known categories first, custom ones at the end
+    const order = Object.keys(this.categories);
+    const rank = category => order.includes(category) ? order.indexOf(category) : order.length;
+
+    return Array.from(sections.entries())
+      .sort(([a], [b]) => rank(a) - rank(b))
+      .map(([category, commands]) => ({
+        category,
+        ...this.getCategory(category, locale),
+        commands
+      }));
+  }
+
+  /**
+   * Suggest closest commands for an unknown command name
+   * @param {string} input - Unknown command name
+   * @param {string} role - User role (author/owner/user)
+   * @param {string} groupId - Group JID (null for DM)
+   * @returns {Array} Command names, best match first
+   */
+  suggest(input, role = 'user', groupId = null) {
+    const { threshold, maxResults } = config.get('suggestions');
+
+    // Candidate name/alias -> command name, only for commands user can see
+    const candidates = new Map();
+    for (const command of this.commands.values()) {
+      if (!authMiddleware.hasRole(role, command.role) || !this.isAvailable(command, groupId)) {
+        continue;
+      }
+
+      candidates.set(command.name, command.name);
+      for (const alias of command.aliases) {
+        candidates.set(alias, command.name);
+      }
+    }
+
+    if (!input || candidates.size === 0) {
+      return [];
+    }
+
+    const { ratings } = stringSimilarity.findBestMatch(input.toLowerCase(), Array.from(candidates.keys()));
+    const suggestions = [];
+
+    for (const { target, rating } of ratings.sort((a, b) => b.rating - a.rating)) {
+      if (rating < threshold || suggestions.length >= maxResults) {
+        break;
+      }
+
+      const name = candidates.get(target);
+      if (!suggestions.includes(name)) {
+        suggestions.push(name);
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Get category display info
+   * @param {string} category - Category key
+   * @param {string} locale - Locale for title (catalog menu.categories, falls back to built-in title)
+   * @returns {Object} Category { title, emoji }
+   */
+  getCategory(category, locale = null) {
+    const info = this.categories[category] || {
+      title: category.charAt(0).toUpperCase() + category.slice(1),
+      emoji: '📁'
+    };
+
+    return {
+      ...info,
+      title: i18n.lookup(locale || i18n.defaultLocale, `menu.categories.${category}`) || info.title
+    };
+  }
+
+  /**
+   * Get command description
+   * @param {Object} command - Command object
+   * @param {string} locale - Locale for description (catalog commands.<name>, falls back to command.description)
+   * @returns {string} Description
+   */
+  getDescription(command, locale = null) {
+    return i18n.lookup(locale || i18n.defaultLocale, `commands.${command.name}`) || command.description;
+  }
+
   /**
    * Get all command names
    * @returns {Array} Command names
@@ -255,6 +557,7 @@ export class CommandManager {
     return {
       totalCommands: this.commands.size,
       totalAliases: this.aliases.size,
+      pluginCommands: Array.from(this.commands.values()).filter(command => command.plugin).length,
       commandsByRole: {
         author: this.getCommandsByRole('author').length,
         owner: this.getCommandsByRole('owner').length,
@@ -262,17 +565,6 @@ export class CommandManager {
       }
     };
   }
-
-  /**
-   * Reload commands (useful for development)
-   */
-  async reload() {
-    this.logger.info('Reloading commands...');
-    this.commands.clear();
-    this.aliases.clear();
-    this.registerCommands();
-    this.logger.info('Commands reloaded successfully');
-  }
 }
 
 // Export singleton instance
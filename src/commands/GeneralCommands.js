@@ -8,247 +8,302 @@
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { authMiddleware } from '../middleware/AuthMiddleware.js';
+import { cooldownMiddleware } from '../middleware/CooldownMiddleware.js';
+import { validationMiddleware } from '../middleware/ValidationMiddleware.js';
+import { defenseEngine } from '../modules/DefenseEngine.js';
+import { MediaHelper } from '../utils/MediaHelper.js';
+import { ArgumentParser } from '../utils/ArgumentParser.js';
+import { i18n } from '../utils/I18n.js';
 import moment from 'moment-timezone';
 
 const logger = new Logger('GENERAL-COMMANDS');
 
 /**
- * Menu/Start Command - Show bot menu
+ * Menu/Start Command - Show bot menu generated from command registry
  */
-export const menu = async (bot, msg, args, messageInfo) => {
-  const { from, sender } = messageInfo;
-  const senderNumber = sender.split('@')[0];
-  
-  const isAuthor = db.isAuthor(senderNumber);
-  const isOwner = db.isOwner(senderNumber);
-  
-  const defenseMode = db.getDefenseMode();
-  const uptime = global.systemMonitor ? global.systemMonitor.getUptime() : '0s';
-
-  let message = `╔══════════════════════════╗
-║        👑 ALL-STAR        ║
-╠══════════════════════════╣
-║ 👑 Author      : ${config.get('bot.author.name')}
-║ 💬 Bot Mode    : ${db.getBotMode()}
-║ 🛡 Defense     : ${defenseMode}
-║ 📦 Version     : v${config.get('bot.version')}
-║ ⚡ Status      : Online
-║ ⏳ Uptime      : ${uptime}
-╠══════════════════════════╣
-║ 📖 Description :
-║ ALL-STAR adalah sistem
-║ keamanan & moderasi pintar
-║ yang dirancang untuk menjaga
-║ stabilitas dan ketertiban grup.
-╚══════════════════════════╝
-
-`;
-
-  if (isAuthor) {
-    message += `╔═══〔 👑 Author Commands 〕═══╗
-║ ${config.get('bot.prefix')}menu - Show this menu
-║ ${config.get('bot.prefix')}botinfo - System status
-║ ${config.get('bot.prefix')}addowner - Add owner
-║ ${config.get('bot.prefix')}delowner - Remove owner
-║ ${config.get('bot.prefix')}adddefense - Protect group
-║ ${config.get('bot.prefix')}addshare - Add share target
-║ ${config.get('bot.prefix')}self - Self mode
-║ ${config.get('bot.prefix')}public - Public mode
-║ ${config.get('bot.prefix')}defense <mode> - Change defense
-║ ${config.get('bot.prefix')}disable - Disable user
-║ ${config.get('bot.prefix')}undisable - Enable user
-║ ${config.get('bot.prefix')}share <msg> - Broadcast
-║ ${config.get('bot.prefix')}restart - Restart bot
-╚══════════════════════════╝
-
-`;
-  }
+export const menu = {
+  aliases: ['start'],
+  role: 'user',
+  category: 'general',
+  description: 'Show this menu',
+  usage: 'menu',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, isGroup, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+    const senderNumber = sender.split('@')[0];
 
-  if (isOwner || isAuthor) {
-    message += `╔═══〔 🔧 Owner Commands 〕═══╗
-║ ${config.get('bot.prefix')}mute - Mute user
-║ ${config.get('bot.prefix')}unmute - Unmute user
-║ ${config.get('bot.prefix')}warn - Warn user
-║ ${config.get('bot.prefix')}kick - Kick user
-║ ${config.get('bot.prefix')}promote - Make admin
-║ ${config.get('bot.prefix')}demote - Remove admin
-║ ${config.get('bot.prefix')}blacklist - Blacklist user
-║ ${config.get('bot.prefix')}on <feature> - Enable feature
-║ ${config.get('bot.prefix')}off <feature> - Disable feature
-║ ${config.get('bot.prefix')}info-grup - Group info
-╚══════════════════════════╝
-
-`;
-  }
+    const { commandManager } = await import('./CommandManager.js');
+    const role = authMiddleware.getRole(senderNumber);
+    const isGroupAdmin = isGroup ? await bot.isGroupAdmin(from, sender) : false;
+    const sections = commandManager.getMenuSections(role, isGroup ? from : null, isGroupAdmin, locale);
 
-  message += `╔═══〔 🎮 General Commands 〕═══╗
-║ ${config.get('bot.prefix')}intro - Introduction format
-║ ${config.get('bot.prefix')}ai <question> - Ask AI
-║ ${config.get('bot.prefix')}quotes - Random quote
-║ ${config.get('bot.prefix')}ping - Check latency
-╚══════════════════════════╝
+    const defenseMode = isGroup ? defenseEngine.getDefenseMode(groupId) : db.getDefenseMode();
+    const uptime = global.systemMonitor ? global.systemMonitor.getUptime() : '0s';
 
-⚡ Bot by @Liand_fullstackdev`;
+    let message = t('menu.header', {
+      author: config.get('bot.author.name'),
+      mode: db.getBotMode(),
+      defense: defenseMode,
+      version: config.get('bot.version'),
+      uptime
+    });
 
-  await bot.sendMessage(from, { text: message });
-};
+    for (const section of sections) {
+      message += `╔═══〔 ${section.emoji} ${section.title} 〕═══╗\n`;
+      for (const command of section.commands) {
+        message += `║ ${prefix}${command.name} - ${commandManager.getDescription(command, locale)}\n`;
+      }
+      message += `╚══════════════════════════╝\n\n`;
+    }
 
-// Alias for menu
-export const start = menu;
-export const help = menu;
+    message += t('menu.footer', { help: `${prefix}help <command>` });
+    message += `⚡ Bot by @Liand_fullstackdev`;
 
-/**
- * Ping Command - Check bot latency
- */
-export const ping = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
-  
-  const start = Date.now();
-  const sent = await bot.sendMessage(from, { text: '🏓 Pinging...' });
-  const latency = Date.now() - start;
-
-  await bot.sendMessage(from, {
-    text: `🏓 *PONG!*\n\nLatency: ${latency}ms\nStatus: ${latency < 100 ? '🟢 Excellent' : latency < 300 ? '🟡 Good' : '🔴 Slow'}`,
-    edit: sent.key
-  });
+    await bot.sendMessage(from, { text: message });
+  }
 };
 
 /**
- * Intro Command - Show introduction format
+ * Help Command - Show usage, flags, aliases, cooldown and examples of a command
  */
-export const intro = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const help = {
+  role: 'user',
+  category: 'general',
+  description: 'Command details',
+  usage: 'help <command>',
+  examples: ['help warn'],
+  args: {
+    max: 1
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    // Without argument help behaves like menu
+    if (args.length === 0) {
+      return menu.execute(bot, msg, args, messageInfo);
+    }
+
+    const { commandManager } = await import('./CommandManager.js');
+    const name = args[0].toLowerCase().replace(prefix, '');
+    const command = commandManager.get(name, groupId);
+
+    if (!command) {
+      await bot.sendMessage(from, {
+        text: t('help.notFound', { command: `${prefix}${name}`, menu: `${prefix}menu` })
+      });
+      return;
+    }
+
+    const category = commandManager.getCategory(command.category, locale);
+
+    let text = t('help.title', { command: `${prefix}${command.name}` });
+    text += `${commandManager.getDescription(command, locale) || '-'}\n\n`;
+    text += t('help.category', { category: `${category.emoji} ${category.title}` });
+    text += t('help.role', { role: i18n.lookup(locale, `help.roles.${command.role}`) || command.role });
+    // Global aliases plus this group's local aliases
+    const localAliases = groupId
+      ? Object.entries(commandManager.getGroupAliases(groupId)).filter(([, target]) => target === command.name).map(([alias]) => alias)
+      : [];
+    const aliases = [...command.aliases, ...localAliases];
+
+    text += t('help.aliases', { aliases: aliases.length > 0 ? aliases.map(alias => prefix + alias).join(', ') : '-' });
+    text += t('help.cooldown', { seconds: cooldownMiddleware.getCooldownDuration(command) });
+    if (command.groupOnly) {
+      text += t('help.groupOnly');
+    }
+    if (!commandManager.isAvailable(command, groupId)) {
+      text += t('help.disabled');
+    }
 
-  const message = `╔══════════════════════╗
-       『  INTRO 』
-╚══════════════════════╝
+    text += `\n${t('common.usage')}\n${validationMiddleware.formatUsage(validationMiddleware.getUsage(command, locale), prefix)}`;
 
-➤ Nama Lengkap :
-➤ Nama Panggilan :
-➤ Umur :
-➤ Kota :
-➤ Hobi :
-➤ Alasan Join :
+    const flags = Object.entries(command.args.flags || {});
+    if (flags.length > 0) {
+      text += `\n\n${t('help.flags')}\n`;
+      text += flags.map(([name, flag]) => {
+        const description = ArgumentParser.getFlagDescription(name, flag, command.name, locale);
+        return description ? `--${name}: ${description}` : `--${name}`;
+      }).join('\n');
+    }
 
-Silakan isi format di atas untuk memperkenalkan diri! 😊`;
+    if (command.examples.length > 0) {
+      text += `\n\n${t('help.examples')}\n${validationMiddleware.formatUsage(command.examples.join('\n'), prefix)}`;
+    }
 
-  await bot.sendMessage(from, { text: message });
+    await bot.sendMessage(from, { text });
+  }
 };
 
 /**
- * AI Command - Ask Claude AI
+ * Ping Command - Check bot latency
  */
-export const ai = async (bot, msg, args, messageInfo) => {
-  const { from, sender } = messageInfo;
+export const ping = {
+  role: 'user',
+  category: 'general',
+  description: 'Check latency',
+  usage: 'ping',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
+  
+    const start = Date.now();
+    const sent = await bot.sendMessage(from, { text: t('ping.pinging') });
+    const latency = Date.now() - start;
 
-  if (!config.get('ai.enabled')) {
     await bot.sendMessage(from, {
-      text: '❌ Fitur AI saat ini tidak aktif.'
+      text: t('ping.pong', { latency, status: t(latency < 100 ? 'ping.excellent' : latency < 300 ? 'ping.good' : 'ping.slow') }),
+      edit: sent.key
     });
-    return;
   }
+};
 
-  const question = args.join(' ');
+/**
+ * Intro Command - Show introduction format
+ */
+export const intro = {
+  role: 'user',
+  category: 'general',
+  description: 'Introduction format',
+  usage: 'intro',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
 
-  if (!question) {
-    await bot.sendMessage(from, {
-      text: `❌ *AI COMMAND*\n\nUsage: ${config.get('bot.prefix')}ai <pertanyaan>\n\nContoh: ${config.get('bot.prefix')}ai Apa itu programming?`
-    });
-    return;
+    await bot.sendMessage(from, { text: i18n.t('intro.template', {}, locale) });
   }
+};
 
-  // Send typing indicator
-  await bot.sendMessage(from, { text: '🤖 AI sedang berpikir...' });
+/**
+ * AI Command - Ask Claude AI
+ */
+export const ai = {
+  role: 'user',
+  category: 'ai',
+  description: 'Ask AI',
+  usage: 'ai <question>',
+  examples: ['ai apa itu javascript?'],
+  feature: 'ai',
+  cooldown: 30,
+  args: {
+    min: 1,
+    validate: (args, messageInfo) => {
+      const question = args.join(' ').trim();
+      if (question.length === 0) {
+        return {
+          valid: false,
+          errors: [i18n.t('ai.empty', {}, messageInfo.locale)]
+        };
+      }
+      if (question.length > 500) {
+        return {
+          valid: false,
+          errors: [i18n.t('ai.tooLong', { max: 500 }, messageInfo.locale)]
+        };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!config.get('ai.enabled')) {
+      await bot.sendMessage(from, {
+        text: t('ai.disabled')
+      });
+      return;
+    }
 
-  try {
-    // Import AI service dynamically
-    const { aiService } = await import('../services/AIService.js');
+    const question = args.join(' ');
+
+    if (!question) {
+      await bot.sendMessage(from, {
+        text: t('ai.usage', { prefix })
+      });
+      return;
+    }
+
+    // Send typing indicator
+    await bot.sendMessage(from, { text: t('ai.thinking') });
+
+    try {
+      // Import AI service dynamically
+      const { aiService } = await import('../services/AIService.js');
     
-    const senderNumber = sender.split('@')[0];
-    const response = await aiService.chat(question, senderNumber);
+      const senderNumber = sender.split('@')[0];
+      const response = await aiService.chat(question, senderNumber);
 
-    await bot.sendMessage(from, {
-      text: `🤖 *CLAUDE AI*\n\n${response}\n\n_Powered by Anthropic_`
-    });
+      await bot.sendMessage(from, {
+        text: `🤖 *CLAUDE AI*\n\n${response}\n\n_Powered by Anthropic_`
+      });
 
-  } catch (error) {
-    logger.error('AI command error:', error);
+    } catch (error) {
+      logger.error('AI command error:', error);
     
-    let errorMessage = '❌ Terjadi error saat memproses pertanyaan.';
+      let errorMessage = t('ai.error');
     
-    if (error.message.includes('rate limit')) {
-      errorMessage = '⏳ Rate limit reached. Tunggu beberapa saat.';
-    } else if (error.message.includes('API key')) {
-      errorMessage = '❌ AI service tidak dikonfigurasi dengan benar.';
-    }
+      if (error.message.includes('rate limit')) {
+        errorMessage = t('ai.rateLimit');
+      } else if (error.message.includes('API key')) {
+        errorMessage = t('ai.notConfigured');
+      }
 
-    await bot.sendMessage(from, { text: errorMessage });
+      await bot.sendMessage(from, { text: errorMessage });
+    }
   }
 };
 
 /**
  * Quotes Command - Get random inspirational quote
  */
-export const quotes = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
-
-  if (!config.get('features.quotes')) {
-    await bot.sendMessage(from, {
-      text: '❌ Fitur quotes saat ini tidak aktif.'
-    });
-    return;
-  }
+export const quotes = {
+  role: 'user',
+  category: 'fun',
+  description: 'Random quote',
+  usage: 'quotes',
+  feature: 'quotes',
+  cooldown: 10,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  await bot.sendMessage(from, { text: '📖 Mengambil quote...' });
+    await bot.sendMessage(from, { text: t('quotes.loading') });
 
-  try {
-    // Import quote service dynamically
-    const { quoteService } = await import('../services/QuoteService.js');
+    try {
+      // Import quote service dynamically
+      const { quoteService } = await import('../services/QuoteService.js');
     
-    const quote = await quoteService.getRandomQuote();
+      const quote = await quoteService.getRandomQuote();
 
-    const message = `📖 *QUOTE OF THE DAY*\n\n"${quote.text}"\n\n— ${quote.author}`;
+      const message = t('quotes.quote', { text: quote.text, author: quote.author });
 
-    await bot.sendMessage(from, { text: message });
+      await bot.sendMessage(from, { text: message });
 
-  } catch (error) {
-    logger.error('Quotes command error:', error);
-    await bot.sendMessage(from, {
-      text: '❌ Gagal mengambil quote. Coba lagi nanti.'
-    });
+    } catch (error) {
+      logger.error('Quotes command error:', error);
+      await bot.sendMessage(from, {
+        text: t('quotes.failed')
+      });
+    }
   }
 };
 
 /**
  * Game Command - Show available games
  */
-export const game = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const game = {
+  role: 'user',
+  category: 'game',
+  description: 'Available games',
+  usage: 'game',
+  feature: 'game',
+  cooldown: 5,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, prefix, locale } = messageInfo;
 
-  if (!config.get('features.game')) {
-    await bot.sendMessage(from, {
-      text: '❌ Fitur game saat ini tidak aktif.'
-    });
-    return;
+    await bot.sendMessage(from, { text: i18n.t('games.list', { prefix }, locale) });
   }
-
-  const message = `🎮 *AVAILABLE GAMES*
-
-1. Tic Tac Toe
-   ${config.get('bot.prefix')}tictactoe @user
-
-2. Truth or Dare
-   ${config.get('bot.prefix')}tod
-
-3. Quiz
-   ${config.get('bot.prefix')}quiz
-
-4. Trivia
-   ${config.get('bot.prefix')}trivia
-
-Pilih game dan mainkan bersama teman! 🎲`;
-
-  await bot.sendMessage(from, { text: message });
 };
 
 /**
@@ -257,19 +312,32 @@ Pilih game dan mainkan bersama teman! 🎲`;
 export const downloadMusic = {
   name: 'download-music',
   aliases: ['dlmusic', 'music'],
-  execute: async (bot, msg, args, messageInfo) => {
-    const { from } = messageInfo;
-
-    if (!config.get('features.downloadMusic')) {
-      await bot.sendMessage(from, {
-        text: '❌ Fitur download music saat ini tidak aktif.'
-      });
-      return;
+  role: 'user',
+  category: 'download',
+  description: 'Download music',
+  usage: 'download-music <url>',
+  examples: ['download-music https://youtu.be/dQw4w9WgXcQ'],
+  feature: 'downloadMusic',
+  cooldown: 60,
+  args: {
+    min: 1,
+    validate: (args, messageInfo) => {
+      if (!validationMiddleware.isValidURL(args[0])) {
+        return {
+          valid: false,
+          errors: [i18n.t('download.invalidUrl', {}, messageInfo.locale)]
+        };
+      }
+      return { valid: true };
     }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
     if (args.length === 0) {
       await bot.sendMessage(from, {
-        text: `❌ *DOWNLOAD MUSIC*\n\nUsage: ${config.get('bot.prefix')}download-music <url>\n\nSupported: YouTube, Spotify, SoundCloud`
+        text: t('download.musicUsage', { prefix })
       });
       return;
     }
@@ -277,7 +345,7 @@ export const downloadMusic = {
     const url = args[0];
 
     await bot.sendMessage(from, { 
-      text: '🎵 Mendownload music...\n\nMohon tunggu, proses mungkin memakan waktu beberapa saat.' 
+      text: t('download.musicLoading') 
     });
 
     try {
@@ -292,7 +360,7 @@ export const downloadMusic = {
     } catch (error) {
       logger.error('Download music error:', error);
       await bot.sendMessage(from, {
-        text: '❌ Gagal mendownload music. Pastikan URL valid.'
+        text: t('download.musicFailed')
       });
     }
   }
@@ -304,19 +372,32 @@ export const downloadMusic = {
 export const downloadTiktok = {
   name: 'download-tiktok',
   aliases: ['dltiktok', 'tiktok', 'tt'],
-  execute: async (bot, msg, args, messageInfo) => {
-    const { from } = messageInfo;
-
-    if (!config.get('features.downloadTiktok')) {
-      await bot.sendMessage(from, {
-        text: '❌ Fitur download TikTok saat ini tidak aktif.'
-      });
-      return;
+  role: 'user',
+  category: 'download',
+  description: 'Download TikTok video',
+  usage: 'download-tiktok <url>',
+  examples: ['download-tiktok https://vt.tiktok.com/ZSxxxxxx'],
+  feature: 'downloadTiktok',
+  cooldown: 60,
+  args: {
+    min: 1,
+    validate: (args, messageInfo) => {
+      if (!validationMiddleware.isValidURL(args[0])) {
+        return {
+          valid: false,
+          errors: [i18n.t('download.invalidTiktokUrl', {}, messageInfo.locale)]
+        };
+      }
+      return { valid: true };
     }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
     if (args.length === 0) {
       await bot.sendMessage(from, {
-        text: `❌ *DOWNLOAD TIKTOK*\n\nUsage: ${config.get('bot.prefix')}download-tiktok <url>\n\nDownload video TikTok tanpa watermark.`
+        text: t('download.tiktokUsage', { prefix })
       });
       return;
     }
@@ -324,7 +405,7 @@ export const downloadTiktok = {
     const url = args[0];
 
     await bot.sendMessage(from, { 
-      text: '📹 Mendownload video TikTok...\n\nMohon tunggu.' 
+      text: t('download.tiktokLoading') 
     });
 
     try {
@@ -339,7 +420,7 @@ export const downloadTiktok = {
     } catch (error) {
       logger.error('Download TikTok error:', error);
       await bot.sendMessage(from, {
-        text: '❌ Gagal mendownload video. Pastikan URL TikTok valid.'
+        text: t('download.tiktokFailed')
       });
     }
   }
@@ -348,111 +429,299 @@ export const downloadTiktok = {
 /**
  * Brat Sticker Command
  */
-export const brat = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const brat = {
+  role: 'user',
+  category: 'fun',
+  description: 'Brat sticker',
+  usage: 'brat <text> [--animated]',
+  examples: ['brat halo dunia', 'brat kamu nanya? 🤔 --animated'],
+  feature: 'sticker',
+  cooldown: 5,
+  args: {
+    params: [
+      { name: 'text', type: 'rest', required: true, label: 'text' }
+    ],
+    flags: {
+      animated: { description: 'Words appear one by one' }
+    },
+    validate: (args, messageInfo, params) => {
+      const maxLength = config.get('brat.maxLength');
+      if (params.text.length > maxLength) {
+        return {
+          valid: false,
+          errors: [i18n.t('brat.tooLong', { max: maxLength }, messageInfo.locale)]
+        };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!config.get('features.sticker')) {
-    await bot.sendMessage(from, {
-      text: '❌ Fitur sticker saat ini tidak aktif.'
-    });
-    return;
+    await bot.sendMessage(from, { text: t('brat.loading') });
+
+    try {
+      const { stickerService } = await import('../services/StickerService.js');
+      const pack = stickerService.getPack(groupId);
+
+      const sticker = params.flags.animated
+        ? await stickerService.createAnimatedBratSticker(params.text, pack)
+        : await stickerService.createBratSticker(params.text, pack);
+
+      await bot.sendStickerMessage(from, sticker);
+
+      logger.info(`Brat sticker created${params.flags.animated ? ' (animated)' : ''}: ${params.text}`);
+
+    } catch (error) {
+      logger.error('Brat sticker error:', error);
+      await bot.sendMessage(from, {
+        text: t('brat.failed')
+      });
+    }
   }
+};
 
-  const text = args.join(' ');
+/**
+ * Sticker Command - Image or short video to sticker
+ */
+export const sticker = {
+  role: 'user',
+  category: 'fun',
+  description: 'Image/video to sticker',
+  usage: 'sticker [--circle] [--crop] (send or reply to an image or video)',
+  examples: ['sticker', 'sticker --crop', 'sticker --circle'],
+  feature: 'sticker',
+  cooldown: 10,
+  args: {
+    flags: {
+      circle: { description: 'Round sticker' },
+      crop: { description: 'Crop to a square' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!text) {
-    await bot.sendMessage(from, {
-      text: `❌ *BRAT STICKER*\n\nUsage: ${config.get('bot.prefix')}brat <text>\n\nContoh: ${config.get('bot.prefix')}brat Hello World`
-    });
-    return;
+    const source = MediaHelper.getSource(messageInfo, ['image', 'video']);
+    if (!source) {
+      await bot.sendMessage(from, {
+        text: t('sticker.usage', { prefix })
+      });
+      return;
+    }
+
+    const isVideo = source.media.type === 'video';
+    const maxDuration = config.get('sticker.maxVideoDuration');
+    if (isVideo && source.media.seconds > maxDuration) {
+      await bot.sendMessage(from, {
+        text: t('sticker.videoTooLong', { max: maxDuration })
+      });
+      return;
+    }
+
+    await bot.sendMessage(from, { text: t('sticker.loading') });
+
+    try {
+      const { stickerService } = await import('../services/StickerService.js');
+
+      const buffer = await MediaHelper.download(source.message, source.media, config.get(isVideo ? 'sticker.maxVideoSize' : 'sticker.maxImageSize'));
+      const options = { crop: params.flags.crop, circle: params.flags.circle, pack: stickerService.getPack(groupId) };
+
+      let result;
+      if (isVideo) {
+        result = await stickerService.videoToSticker(buffer, options);
+      } else if (options.circle) {
+        result = await stickerService.createCircularSticker(buffer, options.pack);
+      } else {
+        result = await stickerService.imageToSticker(buffer, options);
+      }
+
+      await bot.sendStickerMessage(from, result);
+
+      logger.info(`Sticker created from ${source.media.type}${options.circle ? ' (circle)' : options.crop ? ' (crop)' : ''}`);
+
+    } catch (error) {
+      logger.error('Sticker error:', error);
+      await bot.sendMessage(from, {
+        text: error.key ? `❌ ${i18n.translateError(error, locale)}` : t('sticker.failed')
+      });
+    }
   }
+};
 
-  await bot.sendMessage(from, { text: '🎨 Membuat sticker...' });
+/**
+ * To Image Command - Sticker back to image (animated sticker to video)
+ */
+export const toimg = {
+  role: 'user',
+  category: 'fun',
+  description: 'Sticker to image/video',
+  usage: 'toimg (reply to a sticker)',
+  feature: 'sticker',
+  cooldown: 10,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  try {
-    const { stickerService } = await import('../services/StickerService.js');
-    
-    const sticker = await stickerService.createBratSticker(text);
+    const source = MediaHelper.getSource(messageInfo, ['sticker']);
+    if (!source) {
+      await bot.sendMessage(from, {
+        text: t('sticker.toimgUsage', { prefix })
+      });
+      return;
+    }
 
-    await bot.sendStickerMessage(from, sticker);
-    
-    logger.info(`Brat sticker created: ${text}`);
+    try {
+      const { stickerService } = await import('../services/StickerService.js');
 
-  } catch (error) {
-    logger.error('Brat sticker error:', error);
-    await bot.sendMessage(from, {
-      text: '❌ Gagal membuat sticker.'
-    });
+      const buffer = await MediaHelper.download(source.message, source.media, config.get('sticker.maxImageSize'));
+      const result = await stickerService.stickerToMedia(buffer);
+
+      if (result.type === 'video') {
+        await bot.sendMessage(from, { video: result.buffer, gifPlayback: true });
+      } else {
+        await bot.sendImageMessage(from, result.buffer);
+      }
+
+      logger.info(`Sticker converted to ${result.type}`);
+
+    } catch (error) {
+      logger.error('To image error:', error);
+      await bot.sendMessage(from, {
+        text: error.key ? `❌ ${i18n.translateError(error, locale)}` : t('sticker.toimgFailed')
+      });
+    }
   }
 };
 
 /**
- * Info Command - General bot info
+ * Watermark Command - Restamp sticker with another pack name/author
  */
-export const info = async (bot, msg, args, messageInfo) => {
-  const { from } = messageInfo;
+export const wm = {
+  role: 'user',
+  category: 'fun',
+  description: 'Change sticker pack name/author',
+  usage: 'wm <pack>|<author> (reply to a sticker)',
+  examples: ['wm ALL-STAR|Liand', 'wm Stiker Grup', 'wm |Liand'],
+  feature: 'sticker',
+  cooldown: 10,
+  args: {
+    params: [
+      { name: 'text', type: 'rest', required: true, label: 'pack|author' }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const source = MediaHelper.getSource(messageInfo, ['sticker']);
+    if (!source) {
+      await bot.sendMessage(from, {
+        text: t('stickerPack.wmUsage', { prefix })
+      });
+      return;
+    }
 
-  const message = `ℹ️ *ALL-STAR BOT INFO*
+    const [name = '', author = ''] = params.text.split('|').map(part => part.trim());
+    if (name.length > 50 || author.length > 50) {
+      await bot.sendMessage(from, {
+        text: t('stickerPack.tooLong', { max: 50 })
+      });
+      return;
+    }
 
-Version: ${config.get('bot.version')}
-Author: ${config.get('bot.author.name')}
-Created by: @Liand_fullstackdev
+    try {
+      const { stickerService } = await import('../services/StickerService.js');
 
-ALL-STAR adalah bot WhatsApp enterprise-grade untuk keamanan dan moderasi grup.
+      const buffer = await MediaHelper.download(source.message, source.media, config.get('sticker.maxImageSize'));
+      const result = await stickerService.addExif(buffer, { name, author });
 
-Features:
-• 3-Level Defense System
-• AI Integration (Claude)
-• Auto Moderation
-• Real-time Monitoring
-• Advanced Security
+      await bot.sendStickerMessage(from, result);
 
-Type ${config.get('bot.prefix')}menu untuk daftar command.`;
+      logger.info(`Sticker restamped: ${name} / ${author}`);
 
-  await bot.sendMessage(from, { text: message });
+    } catch (error) {
+      logger.error('Watermark error:', error);
+      await bot.sendMessage(from, {
+        text: error.key ? `❌ ${i18n.translateError(error, locale)}` : t('sticker.failed')
+      });
+    }
+  }
 };
 
 /**
- * TicTacToe Game Command
+ * Info Command - General bot info
  */
-export const tictactoe = async (bot, msg, args, messageInfo) => {
-  const { from, sender, isGroup, groupId } = messageInfo;
+export const info = {
+  role: 'user',
+  category: 'general',
+  description: 'Bot info',
+  usage: 'info',
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, prefix, locale } = messageInfo;
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Game hanya bisa dimainkan di grup.'
-    });
-    return;
+    const message = i18n.t('info.text', {
+      version: config.get('bot.version'),
+      author: config.get('bot.author.name'),
+      prefix
+    }, locale);
+
+    await bot.sendMessage(from, { text: message });
   }
+};
 
-  // Import game dynamically
-  const { ticTacToe } = await import('../games/TicTacToe.js');
+/**
+ * TicTacToe Game Command
+ */
+export const tictactoe = {
+  role: 'user',
+  category: 'game',
+  description: 'Play Tic Tac Toe',
+  usage: 'tictactoe @player2 or reply to their message',
+  examples: ['tictactoe @628123456789'],
+  feature: 'game',
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, isGroup, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('games.groupOnly')
+      });
+      return;
+    }
+
+    // Import game dynamically
+    const { ticTacToe } = await import('../games/TicTacToe.js');
 
-  // Get player 2 from args or quoted message
-  let player2 = null;
+    // Get player 2 from args or quoted message
+    let player2 = null;
   
-  if (messageInfo.quoted && messageInfo.quoted.participant) {
-    player2 = messageInfo.quoted.participant;
-  } else if (args.length > 0) {
-    const mention = args[0].replace('@', '').replace(/\D/g, '');
-    player2 = mention + '@s.whatsapp.net';
-  }
+    if (messageInfo.quoted && messageInfo.quoted.participant) {
+      player2 = messageInfo.quoted.participant;
+    } else if (args.length > 0) {
+      const mention = args[0].replace('@', '').replace(/\D/g, '');
+      player2 = mention + '@s.whatsapp.net';
+    }
 
-  if (!player2) {
-    await bot.sendMessage(from, {
-      text: `❌ *TIC TAC TOE*\n\nUsage: ${config.get('bot.prefix')}tictactoe @player2\n\nAtau reply pesan player 2`
-    });
-    return;
-  }
+    if (!player2) {
+      await bot.sendMessage(from, {
+        text: t('games.tictactoe.usage', { prefix })
+      });
+      return;
+    }
 
-  try {
-    const gameId = await ticTacToe.start(bot, groupId, [sender, player2]);
-    logger.info(`TicTacToe game started: ${gameId}`);
-  } catch (error) {
-    logger.error('TicTacToe start error:', error);
-    await bot.sendMessage(from, {
-      text: `❌ Error: ${error.message}`
-    });
+    try {
+      const gameId = await ticTacToe.start(bot, groupId, [sender, player2]);
+      logger.info(`TicTacToe game started: ${gameId}`);
+    } catch (error) {
+      logger.error('TicTacToe start error:', error);
+      await bot.sendMessage(from, {
+        text: t('common.error', { error: i18n.translateError(error, locale) })
+      });
+    }
   }
 };
 
@@ -461,12 +730,19 @@ export const tictactoe = async (bot, msg, args, messageInfo) => {
  */
 export const quizGame = {
   name: 'quiz',
+  role: 'user',
+  category: 'game',
+  description: 'Play quiz',
+  usage: 'quiz',
+  feature: 'game',
+  groupOnly: true,
   execute: async (bot, msg, args, messageInfo) => {
-    const { from, sender, isGroup, groupId } = messageInfo;
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
     if (!isGroup) {
       await bot.sendMessage(from, {
-        text: '❌ Quiz hanya bisa dimainkan di grup.'
+        text: t('games.groupOnly')
       });
       return;
     }
@@ -479,7 +755,7 @@ export const quizGame = {
     } catch (error) {
       logger.error('Quiz start error:', error);
       await bot.sendMessage(from, {
-        text: `❌ Error: ${error.message}`
+        text: t('common.error', { error: i18n.translateError(error, locale) })
       });
     }
   }
@@ -488,48 +764,120 @@ export const quizGame = {
 /**
  * Truth or Dare Game Command
  */
-export const truthordare = async (bot, msg, args, messageInfo) => {
-  const { from, sender, isGroup, groupId } = messageInfo;
+export const truthordare = {
+  aliases: ['tod'],
+  role: 'user',
+  category: 'game',
+  description: 'Play Truth or Dare',
+  usage: 'truthordare @player2 @player3 ...',
+  examples: ['truthordare @628111111111 @628222222222'],
+  feature: 'game',
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, isGroup, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Truth or Dare hanya bisa dimainkan di grup.'
-    });
-    return;
-  }
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('games.groupOnly')
+      });
+      return;
+    }
 
-  const { truthOrDare } = await import('../games/TruthOrDare.js');
+    const { truthOrDare } = await import('../games/TruthOrDare.js');
 
-  // Get all participants mentioned or current participants
-  const players = [sender];
+    // Get all participants mentioned or current participants
+    const players = [sender];
   
-  // Add more players from mentions if any
-  const mentions = args.filter(arg => arg.startsWith('@'));
-  mentions.forEach(mention => {
-    const number = mention.replace('@', '').replace(/\D/g, '');
-    const jid = number + '@s.whatsapp.net';
-    if (!players.includes(jid)) {
-      players.push(jid);
+    // Add more players from mentions if any
+    const mentions = args.filter(arg => arg.startsWith('@'));
+    mentions.forEach(mention => {
+      const number = mention.replace('@', '').replace(/\D/g, '');
+      const jid = number + '@s.whatsapp.net';
+      if (!players.includes(jid)) {
+        players.push(jid);
+      }
+    });
+
+    if (players.length < 2) {
+      await bot.sendMessage(from, {
+        text: t('games.tod.usage', { prefix })
+      });
+      return;
     }
-  });
 
-  if (players.length < 2) {
-    await bot.sendMessage(from, {
-      text: `❌ *TRUTH OR DARE*\n\nMinimal 2 pemain!\n\nUsage: ${config.get('bot.prefix')}truthordare @player2 @player3 ...`
-    });
-    return;
+    try {
+      const gameId = await truthOrDare.start(bot, groupId, players);
+      logger.info(`Truth or Dare game started: ${gameId}`);
+    } catch (error) {
+      logger.error('Truth or Dare start error:', error);
+      await bot.sendMessage(from, {
+        text: t('common.error', { error: i18n.translateError(error, locale) })
+      });
+    }
   }
+};
+
+/**
+ * Language Command - Show or change bot language for group or user
+ */
+export const lang = {
+  aliases: ['language', 'bahasa'],
+  role: 'user',
+  category: 'general',
+  description: 'Bot language',
+  usage: 'lang\nlang <id|en|reset>\nlang <id|en|reset> --me',
+  examples: ['lang en', 'lang id --me', 'lang reset'],
+  args: {
+    params: [
+      { name: 'locale', type: 'enum', values: [...i18n.getLocales(), 'reset'], label: 'language' }
+    ],
+    flags: {
+      me: { description: 'Set personal language instead of group language' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, prefix } = messageInfo;
+    const senderNumber = sender.split('@')[0];
+    const personal = !isGroup || params.flags.me;
+
+    if (!params.locale) {
+      const t = i18n.translator(messageInfo.locale);
+      let text = t('lang.current', { locale: messageInfo.locale });
+      text += t('lang.user', { locale: db.getUserLocale(senderNumber) || '-' });
+      if (isGroup) {
+        text += t('lang.group', { locale: db.getGroupSettings(groupId).locale || '-' });
+      }
+      text += t('lang.options', { locales: i18n.getLocales().join(', '), prefix });
+
+      await bot.sendMessage(from, { text });
+      return;
+    }
+
+    const locale = params.locale === 'reset' ? null : params.locale;
+
+    if (personal) {
+      await i18n.setUserLocale(senderNumber, locale);
+    } else {
+      const isOwner = authMiddleware.hasRole(authMiddleware.getRole(senderNumber), 'owner');
+      if (!isOwner && !(await bot.isGroupAdmin(from, sender))) {
+        await bot.sendMessage(from, {
+          text: i18n.t('lang.adminOnly', { command: `${prefix}lang ${params.locale} --me` }, messageInfo.locale)
+        });
+        return;
+      }
+
+      await i18n.setGroupLocale(groupId, locale);
+    }
+
+    // Confirm in the chosen language, or the one that applies again after reset
+    const replyLocale = locale || i18n.resolveLocale(isGroup ? groupId : null, sender);
+    const key = personal ? 'lang.userSet' : 'lang.groupSet';
 
-  try {
-    const gameId = await truthOrDare.start(bot, groupId, players);
-    logger.info(`Truth or Dare game started: ${gameId}`);
-  } catch (error) {
-    logger.error('Truth or Dare start error:', error);
     await bot.sendMessage(from, {
-      text: `❌ Error: ${error.message}`
+      text: i18n.t(locale ? key : `${key}Reset`, { locale: replyLocale }, replyLocale)
     });
+
+    logger.info(`Language ${locale || 'reset'} for ${personal ? senderNumber : groupId}`);
   }
 };
-
-// Alias for truthordare
-export const tod = truthordare;
\ No newline at end of file
@@ -9,519 +9,1598 @@ import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
 import { validationMiddleware } from '../middleware/ValidationMiddleware.js';
+import { defenseEngine } from '../modules/DefenseEngine.js';
+import { inviteGuard } from '../modules/InviteGuard.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { triggerService } from '../services/TriggerService.js';
+import { scheduleService } from '../services/ScheduleService.js';
+import { MediaHelper } from '../utils/MediaHelper.js';
+import { DateHelper } from '../utils/DateHelper.js';
+import { i18n } from '../utils/I18n.js';
 
 const logger = new Logger('OWNER-COMMANDS');
 
 /**
  * Mute User Command
  */
-export const mute = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup, groupId } = messageInfo;
+export const mute = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Mute user',
+  usage: 'mute @user [duration] or reply to their message',
+  examples: ['mute @628123456789 10m', 'mute 1h'],
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true },
+      { name: 'duration', type: 'duration', label: 'duration', default: 10 * 60 * 1000 }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+    const duration = Math.round(params.duration / 60000); // Minutes
+
+    // Cannot mute author/owner
+    if (db.isAuthorOrOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.protected', { action: 'mute' })
+      });
+      return;
+    }
+
+    // Mute user
+    await db.addMute(targetNumber, duration, 'Muted by owner');
 
-  if (!isGroup) {
     await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
+      text: t('moderation.muted', { number: targetNumber, duration }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Mute', targetNumber, `${duration} minutes`, sender.split('@')[0]);
   }
+};
 
-  let targetNumber = null;
-  let duration = 10; // Default 10 minutes
+/**
+ * Unmute User Command
+ */
+export const unmute = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Unmute user',
+  usage: 'unmute @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  // Get target from quoted or mention
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-    if (args.length > 0) {
-      duration = validationMiddleware.parseDuration(args[0]);
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
     }
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-    if (args.length >= 2) {
-      duration = validationMiddleware.parseDuration(args[1]);
+
+    const targetNumber = params.target.number;
+
+    if (!db.isMuted(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.notMuted')
+      });
+      return;
     }
-  }
 
-  if (!targetNumber) {
+    await db.removeMute(targetNumber);
+
     await bot.sendMessage(from, {
-      text: `❌ *MUTE USER*\n\nUsage: ${config.get('bot.prefix')}mute @user <waktu>\n\nContoh:\n${config.get('bot.prefix')}mute @user 10m\n${config.get('bot.prefix')}mute @user 1h\n\nAtau reply pesan dengan waktu.`
+      text: t('moderation.unmuted', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Unmute', targetNumber, 'Unmuted by owner', sender.split('@')[0]);
   }
+};
 
-  // Cannot mute author/owner
-  if (db.isAuthorOrOwner(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ Tidak bisa mute Author/Owner.'
+/**
+ * Warn User Command
+ */
+export const warn = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Warn user',
+  usage: 'warn @user [reason] or reply to their message',
+  examples: ['warn @628123456789 spam link'],
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true },
+      { name: 'reason', type: 'rest', label: 'reason', default: 'Warned by owner' }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    // Cannot warn author/owner
+    if (db.isAuthorOrOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.protected', { action: 'warn' })
+      });
+      return;
+    }
+
+    // Escalate through the group's sanction ladder
+    const targetJid = params.target.jid;
+    const context = defenseEngine.buildContext({
+      bot,
+      msg,
+      messageInfo,
+      groupId,
+      sender: targetJid,
+      event: 'manual'
     });
-    return;
+
+    const result = await sanctionService.apply(context, {
+      module: 'manual',
+      title: t('moderation.warnTitle'),
+      reason: params.reason,
+      issuer: sender.split('@')[0]
+    });
+
+    logger.security('Warn', targetNumber, `Strike ${result.strikes} (${result.action})`, sender.split('@')[0]);
   }
+};
 
-  // Mute user
-  await db.addMute(targetNumber, duration, 'Muted by owner');
+/**
+ * Unwarn User Command
+ */
+export const unwarn = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Remove latest warning',
+  usage: 'unwarn @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  await bot.sendMessage(from, {
-    text: `🔇 *USER MUTED*\n\nUser: @${targetNumber}\nDuration: ${duration} minutes\n\nUser tidak bisa mengirim pesan.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    const currentWarns = db.getWarnCount(targetNumber, groupId);
+
+    if (currentWarns === 0) {
+      await bot.sendMessage(from, {
+        text: t('moderation.noWarnings')
+      });
+      return;
+    }
+
+    const newWarnCount = await db.removeWarn(targetNumber, groupId);
+
+    await bot.sendMessage(from, {
+      text: t('moderation.unwarned', { number: targetNumber, count: newWarnCount, max: config.get('security.maxWarn') }),
+      mentions: [params.target.jid]
+    });
 
-  logger.security('Mute', targetNumber, `${duration} minutes`, sender.split('@')[0]);
+    logger.security('Unwarn', targetNumber, `Warning reduced to ${newWarnCount}`, sender.split('@')[0]);
+  }
 };
 
 /**
- * Unmute User Command
+ * Reset Warn Command
  */
-export const unmute = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup } = messageInfo;
+export const resetwarn = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Reset warnings',
+  usage: 'resetwarn @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    await db.resetWarn(targetNumber, groupId);
 
-  if (!isGroup) {
     await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
+      text: t('moderation.warnReset', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('ResetWarn', targetNumber, 'All warnings cleared', sender.split('@')[0]);
   }
+};
 
-  let targetNumber = null;
+/**
+ * Warning History Command
+ */
+export const warnings = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Warning history',
+  usage: 'warnings @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    const active = db.getWarnings(targetNumber, groupId);
+    const history = db.getWarnings(targetNumber, groupId, true);
+
+    let text = t('moderation.history.header', {
+      number: targetNumber,
+      active: active.length,
+      max: config.get('security.maxWarn'),
+      total: history.length
+    });
+
+    if (history.length === 0) {
+      text += t('moderation.history.empty');
+    } else {
+      // Show latest 10 records
+      history.slice(-10).reverse().forEach((warning, index) => {
+        const expired = warning.expiresAt && warning.expiresAt <= Date.now();
+        text += `${index + 1}. ${warning.reason}\n`;
+        text += t('moderation.history.by', { issuer: warning.issuer, date: DateHelper.formatTimestamp(warning.timestamp, 'DD/MM/YYYY HH:mm') });
+        const evidence = warning.evidence?.[warning.evidence.length - 1];
+        if (evidence?.text) {
+          text += t('moderation.history.evidence', { text: evidence.text.substring(0, 60) });
+        }
+        text += `   ${expired ? t('moderation.history.expired') : warning.expiresAt ? t('moderation.history.expires', { date: DateHelper.formatTimestamp(warning.expiresAt, 'DD/MM/YYYY HH:mm') }) : t('moderation.history.permanent')}\n`;
+      });
+    }
 
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *UNMUTE USER*\n\nUsage: ${config.get('bot.prefix')}unmute @user\natau reply pesan user`
+      text: text.trim(),
+      mentions: [params.target.jid]
     });
-    return;
   }
+};
+
+/**
+ * Kick User Command
+ */
+export const kick = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Kick user',
+  usage: 'kick @user or reply to their message',
+  examples: ['kick @628123456789'],
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    // Check if bot is admin
+    if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
+      await bot.sendMessage(from, {
+        text: t('common.botNotAdmin')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    // Cannot kick author/owner
+    if (db.isAuthorOrOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.protected', { action: 'kick' })
+      });
+      return;
+    }
+
+    await bot.kickParticipant(groupId, [params.target.jid]);
 
-  if (!db.isMuted(targetNumber)) {
     await bot.sendMessage(from, {
-      text: '❌ User tidak dalam status mute.'
+      text: t('moderation.kicked', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Kick', targetNumber, 'Kicked by owner', sender.split('@')[0]);
   }
+};
 
-  await db.removeMute(targetNumber);
+/**
+ * Promote User Command
+ */
+export const promote = {
+  role: 'owner',
+  category: 'group',
+  description: 'Make admin',
+  usage: 'promote @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  await bot.sendMessage(from, {
-    text: `🔊 *USER UNMUTED*\n\nUser: @${targetNumber}\n\nUser bisa mengirim pesan kembali.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
+      await bot.sendMessage(from, {
+        text: t('common.botNotAdmin')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    await bot.promoteParticipant(groupId, [params.target.jid]);
 
-  logger.security('Unmute', targetNumber, 'Unmuted by owner', sender.split('@')[0]);
+    await bot.sendMessage(from, {
+      text: t('moderation.promoted', { number: targetNumber }),
+      mentions: [params.target.jid]
+    });
+
+    logger.info(`User promoted: ${targetNumber} by ${sender.split('@')[0]}`);
+  }
 };
 
 /**
- * Warn User Command
+ * Demote User Command
  */
-export const warn = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup, groupId } = messageInfo;
+export const demote = {
+  role: 'owner',
+  category: 'group',
+  description: 'Remove admin',
+  usage: 'demote @user or reply to their message',
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
+
+    if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
+      await bot.sendMessage(from, {
+        text: t('common.botNotAdmin')
+      });
+      return;
+    }
+
+    const targetNumber = params.target.number;
+
+    await bot.demoteParticipant(groupId, [params.target.jid]);
 
-  if (!isGroup) {
     await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
+      text: t('moderation.demoted', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.info(`User demoted: ${targetNumber} by ${sender.split('@')[0]}`);
   }
+};
 
-  let targetNumber = null;
+/**
+ * Blacklist User Command
+ */
+export const blacklist = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Blacklist user',
+  usage: 'blacklist @user or reply to their message',
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    // Cannot blacklist author/owner
+    if (db.isAuthorOrOwner(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.protected', { action: 'blacklist' })
+      });
+      return;
+    }
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    await db.addBlacklist(targetNumber);
 
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *WARN USER*\n\nUsage: ${config.get('bot.prefix')}warn @user\natau reply pesan user`
+      text: t('moderation.blacklisted', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Blacklist', targetNumber, 'Blacklisted by owner', sender.split('@')[0]);
   }
+};
+
+/**
+ * Unblacklist User Command
+ */
+export const unblacklist = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Remove from blacklist',
+  usage: 'unblacklist @user or reply to their message',
+  args: {
+    params: [
+      { name: 'target', type: 'user', required: true }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const targetNumber = params.target.number;
+
+    if (!db.isBlacklisted(targetNumber)) {
+      await bot.sendMessage(from, {
+        text: t('moderation.notBlacklisted')
+      });
+      return;
+    }
+
+    await db.removeBlacklist(targetNumber);
 
-  // Cannot warn author/owner
-  if (db.isAuthorOrOwner(targetNumber)) {
     await bot.sendMessage(from, {
-      text: '❌ Tidak bisa warn Author/Owner.'
+      text: t('moderation.unblacklisted', { number: targetNumber }),
+      mentions: [params.target.jid]
     });
-    return;
+
+    logger.security('Unblacklist', targetNumber, 'Unblacklisted by owner', sender.split('@')[0]);
   }
+};
 
-  const warnCount = await db.addWarn(targetNumber);
-  const maxWarn = 3;
+/**
+ * Info Grup Command
+ */
+export const infoGrup = {
+  name: 'info-grup',
+  aliases: ['groupinfo', 'infogrup'],
+  role: 'owner',
+  category: 'group',
+  description: 'Group info',
+  usage: 'info-grup',
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, isGroup, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  let message = `⚠️ *USER WARNED*\n\nUser: @${targetNumber}\nWarning: ${warnCount}/${maxWarn}\n\n`;
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
 
-  if (warnCount >= maxWarn) {
-    message += `Maximum warnings reached.\nUser will be kicked.`;
+    const metadata = await bot.getGroupMetadata(groupId);
+    const participants = metadata.participants;
     
-    // Kick user
-    await bot.kickParticipant(groupId, [targetNumber + '@s.whatsapp.net']);
-    await db.resetWarn(targetNumber);
+    const adminCount = participants.filter(p => p.admin).length;
+    const memberCount = participants.length - adminCount;
     
-    logger.security('Kick', targetNumber, 'Max warnings reached', sender.split('@')[0]);
-  } else {
-    message += `Remaining warnings: ${maxWarn - warnCount}`;
-  }
+    const isProtected = db.isProtected(groupId);
+    const isShareTarget = db.isShareTarget(groupId);
+    const defenseMode = db.getGroupSettings(groupId).defenseMode || 'NORMAL';
 
-  await bot.sendMessage(from, {
-    text: message,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    const message = t('groupInfo.text', {
+      name: metadata.subject,
+      groupId,
+      created: new Date(metadata.creation * 1000).toLocaleDateString(locale === 'en' ? 'en-US' : 'id-ID'),
+      total: participants.length,
+      admins: adminCount,
+      members: memberCount,
+      protection: isProtected ? t('groupInfo.active') : t('groupInfo.inactive'),
+      shareTarget: isShareTarget ? `✅ ${t('common.yes')}` : `❌ ${t('common.no')}`,
+      defenseMode,
+      description: metadata.desc || t('groupInfo.noDescription')
+    });
 
-  logger.security('Warn', targetNumber, `Warning ${warnCount}/${maxWarn}`, sender.split('@')[0]);
+    await bot.sendMessage(from, { text: message });
+  }
 };
 
 /**
- * Unwarn User Command
+ * Sanction Ladder Command
  */
-export const unwarn = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup } = messageInfo;
+export const ladder = {
+  role: 'owner',
+  category: 'moderation',
+  description: 'Sanction ladder',
+  usage: 'ladder [set <step> <step> ...|reset]',
+  examples: ['ladder set warn warn mute:30m kick blacklist', 'ladder reset'],
+  groupOnly: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, isGroup, groupId, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
-    });
-    return;
-  }
+    if (!isGroup) {
+      await bot.sendMessage(from, {
+        text: t('common.groupOnly')
+      });
+      return;
+    }
 
-  let targetNumber = null;
+    const subCommand = args[0]?.toLowerCase();
+
+    if (subCommand === 'set') {
+      if (args.length < 2) {
+        await bot.sendMessage(from, {
+          text: t('ladder.setUsage', { prefix })
+        });
+        return;
+      }
+
+      let steps;
+      try {
+        steps = sanctionService.parseLadder(args.slice(1));
+        await sanctionService.setLadder(groupId, steps);
+      } catch (error) {
+        await bot.sendMessage(from, {
+          text: `❌ ${i18n.translateError(error, locale)}`
+        });
+        return;
+      }
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+      await bot.sendMessage(from, {
+        text: t('ladder.updated', { ladder: sanctionService.formatLadder(steps) })
+      });
 
-  if (!targetNumber) {
-    await bot.sendMessage(from, {
-      text: `❌ *UNWARN USER*\n\nUsage: ${config.get('bot.prefix')}unwarn @user\natau reply pesan user`
-    });
-    return;
-  }
+      logger.security('Ladder', groupId, sanctionService.formatLadder(steps), sender.split('@')[0]);
+      return;
+    }
 
-  const currentWarns = db.getWarnCount(targetNumber);
+    if (subCommand === 'reset') {
+      await sanctionService.resetLadder(groupId);
 
-  if (currentWarns === 0) {
-    await bot.sendMessage(from, {
-      text: '❌ User tidak memiliki warning.'
-    });
-    return;
-  }
+      await bot.sendMessage(from, {
+        text: t('ladder.reset', { ladder: sanctionService.formatLadder(sanctionService.getDefaultLadder()) })
+      });
 
-  const newWarnCount = await db.removeWarn(targetNumber);
+      logger.security('Ladder', groupId, 'Reset to default', sender.split('@')[0]);
+      return;
+    }
 
-  await bot.sendMessage(from, {
-    text: `✅ *WARNING REMOVED*\n\nUser: @${targetNumber}\nWarnings: ${newWarnCount}/3\n\nSatu warning telah dihapus.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    const settings = db.getGroupSettings(groupId);
+    const currentLadder = sanctionService.getLadder(groupId);
 
-  logger.security('Unwarn', targetNumber, `Warning reduced to ${newWarnCount}`, sender.split('@')[0]);
+    let text = t('ladder.title');
+    currentLadder.forEach((step, index) => {
+      text += `${index + 1}. ${sanctionService.formatLadder([step])}\n`;
+    });
+    text += t('ladder.footer', {
+      custom: settings.sanctionLadder ? t('common.yes') : t('ladder.notCustom'),
+      mode: defenseEngine.getDefenseMode(groupId),
+      prefix
+    });
+
+    await bot.sendMessage(from, { text });
+  }
 };
 
 /**
- * Reset Warn Command
+ * Suggestions Command - Toggle "did you mean" replies in group
  */
-export const resetwarn = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup } = messageInfo;
+export const suggestions = {
+  role: 'owner',
+  category: 'group',
+  description: 'Command suggestions',
+  usage: 'suggestions <on|off>',
+  examples: ['suggestions off'],
+  groupOnly: true,
+  args: {
+    params: [
+      { name: 'state', type: 'enum', values: ['on', 'off'] }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, locale, prefix } = messageInfo;
+    const t = i18n.translator(locale);
+
+    if (!params.state) {
+      const enabled = db.getGroupSettings(groupId).suggestions !== false;
+
+      await bot.sendMessage(from, {
+        text: t('suggestions.status', { state: t(enabled ? 'common.on' : 'common.off'), prefix })
+      });
+      return;
+    }
+
+    const enabled = params.state === 'on';
+    await db.updateGroupSetting(groupId, 'suggestions', enabled);
 
-  if (!isGroup) {
     await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
+      text: t(enabled ? 'suggestions.enabled' : 'suggestions.disabled')
     });
-    return;
+
+    logger.info(`Suggestions ${enabled ? 'enabled' : 'disabled'} for group ${groupId} by ${sender.split('@')[0]}`);
   }
+};
+
+/**
+ * Set Prefix Command - Group specific command prefixes
+ */
+export const setprefix = {
+  role: 'owner',
+  category: 'group',
+  description: 'Group prefixes',
+  usage: 'setprefix <prefix> [prefix2] [prefix3]\nsetprefix reset',
+  examples: ['setprefix !', 'setprefix ! #', 'setprefix reset'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    max: 3,
+    validate: (args, info) => {
+      if (args.length === 1 && args[0].toLowerCase() === 'reset') {
+        return { valid: true };
+      }
+
+      const invalid = args.filter(prefix => prefix.length > 3 || /[a-z0-9]/i.test(prefix));
+      if (invalid.length > 0) {
+        return {
+          valid: false,
+          errors: [i18n.t('prefix.invalid', { prefixes: invalid.join(' ') }, info.locale)]
+        };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+    const { commandManager } = await import('./CommandManager.js');
 
-  let targetNumber = null;
+    if (args.length === 0) {
+      const custom = db.getGroupSettings(groupId).prefixes;
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+      await bot.sendMessage(from, {
+        text: t('prefix.status', {
+          prefixes: commandManager.getPrefixes(groupId).join(' '),
+          source: t(custom?.length > 0 ? 'prefix.sourceGroup' : 'prefix.sourceGlobal'),
+          usage: validationMiddleware.formatUsage(validationMiddleware.getUsage(commandManager.get('setprefix'), locale), prefix)
+        })
+      });
+      return;
+    }
+
+    const prefixes = args[0].toLowerCase() === 'reset' ? null : [...new Set(args)];
+    await db.updateGroupSetting(groupId, 'prefixes', prefixes);
+
+    const active = commandManager.getPrefixes(groupId);
 
-  if (!targetNumber) {
     await bot.sendMessage(from, {
-      text: `❌ *RESET WARN*\n\nUsage: ${config.get('bot.prefix')}resetwarn @user\natau reply pesan user`
+      text: t('prefix.updated', { prefixes: active.join(' '), example: `${active[0]}menu` })
     });
-    return;
+
+    logger.info(`Prefixes for ${groupId} set to ${prefixes ? prefixes.join(' ') : 'global'} by ${sender.split('@')[0]}`);
   }
+};
 
-  await db.resetWarn(targetNumber);
+/**
+ * Alias Command - Group specific command aliases
+ */
+export const alias = {
+  role: 'owner',
+  category: 'group',
+  description: 'Group command aliases',
+  usage: 'alias add <alias> <command>\nalias del <alias>\nalias list',
+  examples: ['alias add dl download-tiktok', 'alias del dl'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'action', type: 'enum', values: ['add', 'del', 'list'], default: 'list' },
+      { name: 'alias', type: 'string' },
+      { name: 'command', type: 'string' }
+    ],
+    validate: (args, info, params) => {
+      if (params.action === 'add' && (!params.alias || !params.command)) {
+        return { valid: false, errors: [i18n.t('alias.missingTarget', {}, info.locale)] };
+      }
+      if (params.action === 'del' && !params.alias) {
+        return { valid: false, errors: [i18n.t('alias.missingAlias', {}, info.locale)] };
+      }
+      if (params.alias && !/^[a-z0-9-]{1,20}$/i.test(params.alias)) {
+        return { valid: false, errors: [i18n.t('alias.invalid', { max: 20 }, info.locale)] };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+    const { commandManager } = await import('./CommandManager.js');
+    const name = params.alias?.toLowerCase();
+
+    if (params.action === 'add') {
+      const aliases = commandManager.getGroupAliases(groupId);
+      if (!aliases[name] && Object.keys(aliases).length >= 20) {
+        await bot.sendMessage(from, {
+          text: t('alias.limit', { max: 20 })
+        });
+        return;
+      }
+
+      try {
+        const target = await commandManager.setGroupAlias(groupId, name, params.command.toLowerCase());
+
+        await bot.sendMessage(from, {
+          text: t('alias.added', { alias: `${prefix}${name}`, command: `${prefix}${target}` })
+        });
+
+        logger.info(`Alias ${name} -> ${target} added in ${groupId} by ${sender.split('@')[0]}`);
+      } catch (error) {
+        await bot.sendMessage(from, {
+          text: `❌ ${i18n.translateError(error, locale)}`
+        });
+      }
+      return;
+    }
 
-  await bot.sendMessage(from, {
-    text: `✅ *WARNINGS RESET*\n\nUser: @${targetNumber}\n\nSemua warning telah dihapus.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    if (params.action === 'del') {
+      const removed = await commandManager.removeGroupAlias(groupId, name);
+
+      await bot.sendMessage(from, {
+        text: t(removed ? 'alias.removed' : 'alias.notFound', { alias: `${prefix}${name}` })
+      });
+      return;
+    }
+
+    const aliases = Object.entries(commandManager.getGroupAliases(groupId));
+
+    let text = t('alias.title');
+    if (aliases.length === 0) {
+      text += t('alias.empty');
+    } else {
+      aliases.forEach(([aliasName, target]) => {
+        text += `• ${prefix}${aliasName} → ${prefix}${target}\n`;
+      });
+      text += `\n`;
+    }
+    text += `${t('common.usage')}\n${validationMiddleware.formatUsage(validationMiddleware.getUsage(commandManager.get('alias'), locale), prefix)}`;
 
-  logger.security('ResetWarn', targetNumber, 'All warnings cleared', sender.split('@')[0]);
+    await bot.sendMessage(from, { text });
+  }
 };
 
 /**
- * Kick User Command
+ * Feature toggles besides defense modules (name -> label)
  */
-export const kick = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup, groupId } = messageInfo;
+const TOGGLE_FEATURES = {
+  ai: 'AI',
+  game: 'Game',
+  sticker: 'Sticker',
+  downloadMusic: 'Download music',
+  downloadTiktok: 'Download TikTok',
+  quotes: 'Quotes',
+  welcome: 'Welcome',
+  goodbye: 'Goodbye',
+  inviteGuard: 'Invite guard'
+};
 
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
-    });
-    return;
-  }
+/**
+ * Shortcuts that toggle several features at once
+ */
+const FEATURE_GROUPS = {
+  download: ['downloadMusic', 'downloadTiktok']
+};
 
-  // Check if bot is admin
-  if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
-    await bot.sendMessage(from, {
-      text: '❌ Bot harus menjadi admin untuk kick user.'
+/**
+ * Get toggleable feature names, including registered defense modules
+ * @returns {Array} Feature names
+ */
+const getToggleFeatures = () => {
+  // shadowMute is a lockdown measure, toggled through .defense shadowmute
+  const defenseModules = defenseEngine.getAvailableModules().filter(name => name !== 'shadowMute');
+  return [...Object.keys(TOGGLE_FEATURES), ...defenseModules];
+};
+
+/**
+ * Check feature state, defense modules default to enabled
+ * @param {string} feature - Feature name
+ * @param {string} groupId - Group JID (null for global)
+ * @returns {boolean}
+ */
+const isToggleEnabled = (feature, groupId) => {
+  return db.isFeatureEnabled(feature, groupId, !TOGGLE_FEATURES[feature]);
+};
+
+/**
+ * Shared handler for on/off
+ * @param {Object} bot - Bot instance
+ * @param {Object} messageInfo - Message information
+ * @param {Object} params - Parsed params { feature, flags }
+ * @param {boolean} enabled - Target state
+ */
+const toggleFeature = async (bot, messageInfo, params, enabled) => {
+  const { from, sender, groupId, prefix, locale } = messageInfo;
+  const t = i18n.translator(locale);
+  const senderNumber = sender.split('@')[0];
+  const features = getToggleFeatures();
+
+  // DM and --global change the default every group falls back to
+  const isGlobal = !groupId || params.flags.global;
+  const scope = isGlobal ? null : groupId;
+
+  if (!params.feature) {
+    let text = t(isGlobal ? 'toggle.titleGlobal' : 'toggle.titleGroup');
+    features.forEach(feature => {
+      const state = isToggleEnabled(feature, scope) ? '✅' : '❌';
+      const source = !isGlobal && db.getFeatureSource(feature, groupId) === 'group' ? '' : ' _(global)_';
+      text += `${state} ${feature}${source}\n`;
     });
+    const { commandManager } = await import('./CommandManager.js');
+    const usage = validationMiddleware.getUsage(commandManager.get(enabled ? 'on' : 'off'), locale);
+    text += `\n${t('common.usage')}\n${validationMiddleware.formatUsage(usage, prefix)}`;
+
+    await bot.sendMessage(from, { text });
     return;
   }
 
-  let targetNumber = null;
+  const input = params.feature.toLowerCase();
+  const targets = FEATURE_GROUPS[input] || features.filter(feature => feature.toLowerCase() === input);
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
-
-  if (!targetNumber) {
+  if (targets.length === 0) {
     await bot.sendMessage(from, {
-      text: `❌ *KICK USER*\n\nUsage: ${config.get('bot.prefix')}kick @user\natau reply pesan user`
+      text: t('toggle.unknown', { feature: params.feature, features: [...features, ...Object.keys(FEATURE_GROUPS)].join(', ') })
     });
     return;
   }
 
-  // Cannot kick author/owner
-  if (db.isAuthorOrOwner(targetNumber)) {
+  if (isGlobal && !db.isAuthor(senderNumber)) {
     await bot.sendMessage(from, {
-      text: '❌ Tidak bisa kick Author/Owner.'
+      text: t('toggle.authorOnly')
     });
     return;
   }
 
-  await bot.kickParticipant(groupId, [targetNumber + '@s.whatsapp.net']);
+  for (const feature of targets) {
+    if (isGlobal) {
+      await db.setFeature(feature, enabled);
+    } else if (defenseEngine.hasModule(feature)) {
+      await defenseEngine[enabled ? 'enableModule' : 'disableModule'](groupId, feature);
+    } else {
+      await db.setGroupFeature(groupId, feature, enabled);
+    }
+  }
 
   await bot.sendMessage(from, {
-    text: `🚫 *USER KICKED*\n\nUser: @${targetNumber}\n\nUser telah dikeluarkan dari grup.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
+    text: t(`toggle.${enabled ? 'enabled' : 'disabled'}${isGlobal ? 'Global' : 'Group'}`, { features: targets.join(', ') })
   });
 
-  logger.security('Kick', targetNumber, 'Kicked by owner', sender.split('@')[0]);
+  logger.info(`Features ${targets.join(', ')} ${enabled ? 'enabled' : 'disabled'} ${isGlobal ? 'globally' : `for group ${groupId}`} by ${senderNumber}`);
 };
 
 /**
- * Promote User Command
+ * On Command - Enable feature for group (or globally)
  */
-export const promote = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup, groupId } = messageInfo;
-
-  if (!isGroup) {
-    await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
-    });
-    return;
+export const on = {
+  role: 'owner',
+  category: 'group',
+  description: 'Enable feature',
+  usage: 'on\non <feature> [--global]',
+  examples: ['on', 'on ai', 'on antilink', 'on download --global'],
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'feature', type: 'string', label: 'feature' }
+    ],
+    flags: {
+      global: { description: 'Change the global default (author)' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    await toggleFeature(bot, messageInfo, params, true);
   }
+};
 
-  if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
-    await bot.sendMessage(from, {
-      text: '❌ Bot harus menjadi admin untuk promote user.'
-    });
-    return;
+/**
+ * Off Command - Disable feature for group (or globally)
+ */
+export const off = {
+  role: 'owner',
+  category: 'group',
+  description: 'Disable feature',
+  usage: 'off\noff <feature> [--global]',
+  examples: ['off', 'off ai', 'off welcome', 'off game --global'],
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'feature', type: 'string', label: 'feature' }
+    ],
+    flags: {
+      global: { description: 'Change the global default (author)' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    await toggleFeature(bot, messageInfo, params, false);
   }
+};
 
-  let targetNumber = null;
+/**
+ * Add Trigger Command - Keyword auto reply for group
+ */
+export const addtrigger = {
+  role: 'owner',
+  category: 'group',
+  description: 'Add keyword trigger',
+  usage: 'addtrigger <keyword> | <reply> [--match=exact|contains|regex] [--cooldown=seconds]\naddtrigger <keyword> (reply to an image/sticker)',
+  examples: ['addtrigger link repo | https://github.com/farelmods/projek-bot', 'addtrigger jadwal meetup | Setiap Sabtu 19.00 --match=exact', 'addtrigger ^(halo|hai)$ | Halo juga! --match=regex --cooldown=60'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'text', type: 'rest', required: true, label: 'keyword' }
+    ],
+    flags: {
+      match: { type: 'enum', values: ['exact', 'contains', 'regex'], description: 'How the keyword is matched' },
+      cooldown: { type: 'int', min: 0, max: 86400, description: 'Delay between replies (seconds)' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
-  }
+    // " | " splits keyword and reply, a bare "|" only when it can't be part of a regex
+    const match = params.flags.match || 'contains';
 
-  if (!targetNumber) {
-    await bot.sendMessage(from, {
-      text: `❌ *PROMOTE USER*\n\nUsage: ${config.get('bot.prefix')}promote @user\natau reply pesan user`
-    });
-    return;
-  }
+    // Regex patterns run against every group message, group admins get the plain match types
+    if (match === 'regex' && !db.isAuthorOrOwner(sender.split('@')[0])) {
+      await bot.sendMessage(from, { text: t('triggers.regexOwnerOnly') });
+      return;
+    }
 
-  await bot.promoteParticipant(groupId, [targetNumber + '@s.whatsapp.net']);
+    let separator = params.text.search(/\s\|\s/);
+    if (separator !== -1) {
+      separator += 1;
+    } else if (match !== 'regex') {
+      separator = params.text.indexOf('|');
+    }
 
-  await bot.sendMessage(from, {
-    text: `👑 *USER PROMOTED*\n\nUser: @${targetNumber}\n\nUser sekarang menjadi admin grup.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    const keyword = (separator === -1 ? params.text : params.text.slice(0, separator)).trim();
+    const text = separator === -1 ? '' : params.text.slice(separator + 1).trim();
+
+    if (!keyword || keyword.length > 100) {
+      const { commandManager } = await import('./CommandManager.js');
+      const usage = validationMiddleware.getUsage(commandManager.get('addtrigger'), locale);
+      await bot.sendMessage(from, {
+        text: t('triggers.invalidKeyword', { max: 100, usage: validationMiddleware.formatUsage(usage, prefix) })
+      });
+      return;
+    }
+
+    // Image/sticker replies come from the command message or the replied message
+    const source = MediaHelper.getSource(messageInfo, ['image', 'sticker']);
+
+    try {
+      const media = source
+        ? await MediaHelper.download(source.message, source.media, config.get('triggers.maxMediaSize'))
+        : null;
+
+      const trigger = await triggerService.addTrigger(groupId, {
+        keyword,
+        match,
+        text,
+        type: source ? source.media.type : 'text',
+        media,
+        cooldown: params.flags.cooldown,
+        createdBy: sender.split('@')[0]
+      });
+
+      await bot.sendMessage(from, {
+        text: t('triggers.added', {
+          id: trigger.id,
+          keyword: trigger.keyword,
+          match: trigger.match,
+          type: trigger.reply.type,
+          cooldown: trigger.cooldown
+        })
+      });
 
-  logger.info(`User promoted: ${targetNumber} by ${sender.split('@')[0]}`);
+      logger.info(`Trigger #${trigger.id} added in ${groupId} by ${sender.split('@')[0]}`);
+    } catch (error) {
+      await bot.sendMessage(from, {
+        text: `❌ ${i18n.translateError(error, locale)}`
+      });
+    }
+  }
 };
 
 /**
- * Demote User Command
+ * Delete Trigger Command
  */
-export const demote = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted, isGroup, groupId } = messageInfo;
+export const deltrigger = {
+  role: 'owner',
+  category: 'group',
+  description: 'Delete keyword trigger',
+  usage: 'deltrigger <id|keyword>',
+  examples: ['deltrigger 3', 'deltrigger link repo'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'trigger', type: 'rest', required: true, label: 'id/keyword' }
+    ]
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
+
+    const removed = await triggerService.removeTrigger(groupId, params.trigger.replace(/^#/, ''));
 
-  if (!isGroup) {
     await bot.sendMessage(from, {
-      text: '❌ Command ini hanya bisa digunakan di grup.'
+      text: removed
+        ? t('triggers.removed', { id: removed.id, keyword: removed.keyword })
+        : t('triggers.notFound', { trigger: params.trigger })
     });
-    return;
-  }
 
-  if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
-    await bot.sendMessage(from, {
-      text: '❌ Bot harus menjadi admin untuk demote user.'
-    });
-    return;
+    if (removed) {
+      logger.info(`Trigger #${removed.id} removed in ${groupId} by ${sender.split('@')[0]}`);
+    }
   }
+};
 
-  let targetNumber = null;
+/**
+ * Triggers Command - List keyword triggers in group
+ */
+export const triggers = {
+  role: 'owner',
+  category: 'group',
+  description: 'List keyword triggers',
+  usage: 'triggers',
+  groupOnly: true,
+  allowGroupAdmin: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+    const list = triggerService.getTriggers(groupId);
+
+    let text = t('triggers.title');
+    if (list.length === 0) {
+      text += t('triggers.empty');
+    } else {
+      list.forEach(trigger => {
+        const preview = trigger.reply.type === 'text'
+          ? trigger.reply.text.slice(0, 40)
+          : `[${trigger.reply.type}]`;
+        text += `#${trigger.id} ${trigger.keyword} _(${trigger.match}, ${trigger.cooldown}s)_\n   → ${preview}\n`;
+      });
+      text += `\n`;
+    }
+    text += t('triggers.footer', { prefix });
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
+    await bot.sendMessage(from, { text });
   }
+};
 
-  if (!targetNumber) {
-    await bot.sendMessage(from, {
-      text: `❌ *DEMOTE USER*\n\nUsage: ${config.get('bot.prefix')}demote @user\natau reply pesan user`
-    });
-    return;
-  }
+/**
+ * Check if schedule only posts to given group (manageable by its admins)
+ */
+const isGroupSchedule = (schedule, groupId) => schedule.targets.length === 1 && schedule.targets[0] === groupId;
 
-  await bot.demoteParticipant(groupId, [targetNumber + '@s.whatsapp.net']);
+/**
+ * Describe schedule timing for user messages
+ */
+const describeSchedule = (schedule, t) => {
+  const nextRun = scheduleService.getNextRun(schedule);
+  const when = schedule.type === 'cron' ? `cron \`${schedule.cron}\`` : DateHelper.formatTimestamp(schedule.at, 'YYYY-MM-DD HH:mm');
+  const next = nextRun ? DateHelper.formatTimestamp(nextRun, 'YYYY-MM-DD HH:mm') : t('schedule.pausedLabel');
+  return { when, next };
+};
 
-  await bot.sendMessage(from, {
-    text: `👤 *USER DEMOTED*\n\nUser: @${targetNumber}\n\nUser sekarang menjadi member biasa.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+/**
+ * Schedule Command - One-off or recurring announcements to groups
+ */
+export const schedule = {
+  role: 'owner',
+  category: 'group',
+  description: 'Scheduled announcements',
+  usage: 'schedule add <time> | <message> [--to=share|protected|<group id>,...]\nschedule list\nschedule pause <id>\nschedule resume <id>\nschedule del <id>',
+  examples: ['schedule add 20:00 | Rapat malam ini!', 'schedule add 31/12 23:59 | Selamat tahun baru!', 'schedule add 2h | Jangan lupa absen', 'schedule add 0 8 * * 1 | Semangat Senin! --to=share', 'schedule pause 3'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'action', type: 'enum', values: ['add', 'list', 'pause', 'resume', 'del'], default: 'list' },
+      { name: 'input', type: 'rest', label: 'time/id' }
+    ],
+    flags: {
+      to: { type: 'string', description: 'Targets: here, share, protected or group ids (author)' }
+    },
+    validate: (args, info, params) => {
+      if (params.action !== 'list' && !params.input) {
+        return { valid: false, errors: [i18n.t(params.action === 'add' ? 'schedule.missingWhen' : 'schedule.missingId', {}, info.locale)] };
+      }
+      return { valid: true };
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, prefix, locale, messageContent, quoted } = messageInfo;
+    const t = i18n.translator(locale);
+    const senderNumber = sender.split('@')[0];
+    const isAuthor = db.isAuthor(senderNumber);
+    const formatTargets = targets => targets.map(target => (target === groupId ? t('schedule.thisGroup') : target)).join(', ');
+
+    if (params.action === 'add') {
+      const separator = params.input.indexOf('|');
+      const when = (separator === -1 ? params.input : params.input.slice(0, separator)).trim();
+
+      // Take the text from the raw message, argument parsing collapses line breaks
+      const rawSeparator = messageContent.indexOf('|');
+      let text = rawSeparator === -1 ? '' : messageContent.slice(rawSeparator + 1).replace(/(^|\s)--to=\S*/gi, '').trim();
+
+      const source = MediaHelper.getSource(messageInfo, ['image', 'video']);
+      if (!text && !source && quoted?.text) {
+        text = quoted.text;
+      }
+
+      const targets = params.flags.to ? scheduleService.parseTargets(params.flags.to, groupId) : [groupId];
+
+      // Posting anywhere but the current group is a broadcast
+      if (!isAuthor && targets.some(target => target !== groupId)) {
+        await bot.sendMessage(from, {
+          text: t('schedule.authorOnly')
+        });
+        return;
+      }
+
+      try {
+        const media = source
+          ? await MediaHelper.download(source.message, source.media, config.get('schedules.maxMediaSize'))
+          : null;
+
+        const created = await scheduleService.create({
+          when,
+          targets,
+          text,
+          type: source ? source.media.type : 'text',
+          media,
+          createdBy: senderNumber
+        });
+
+        const { when: timing, next } = describeSchedule(created, t);
+        await bot.sendMessage(from, {
+          text: t('schedule.added', {
+            id: created.id,
+            when: timing,
+            next,
+            targets: formatTargets(created.targets),
+            type: created.content.type
+          })
+        });
+
+        logger.info(`Schedule #${created.id} added in ${groupId} by ${senderNumber}`);
+      } catch (error) {
+        const { commandManager } = await import('./CommandManager.js');
+        const usage = validationMiddleware.getUsage(commandManager.get('schedule'), locale);
+        await bot.sendMessage(from, {
+          text: `❌ ${i18n.translateError(error, locale)}\n\n${t('common.usage')}\n${validationMiddleware.formatUsage(usage, prefix)}`
+        });
+      }
+      return;
+    }
+
+    if (params.action === 'list') {
+      const list = isAuthor
+        ? scheduleService.getSchedules()
+        : scheduleService.getSchedules(groupId).filter(item => isGroupSchedule(item, groupId));
+
+      let text = t('schedule.title');
+      if (list.length === 0) {
+        text += t('schedule.empty');
+      } else {
+        list.forEach(item => {
+          const { when, next } = describeSchedule(item, t);
+          const preview = item.content.type === 'text'
+            ? item.content.text.split('\n')[0].slice(0, 40)
+            : `[${item.content.type}] ${item.content.text.slice(0, 30)}`;
+          text += `#${item.id} ${when} → ${formatTargets(item.targets)}\n   ${preview}\n   ⏭ ${next}\n`;
+        });
+        text += `\n`;
+      }
+      text += t('schedule.footer', { prefix });
+
+      await bot.sendMessage(from, { text });
+      return;
+    }
+
+    // Group admins only manage schedules that post to their own group
+    const target = scheduleService.getSchedule(params.input);
+    if (!target || (!isAuthor && !isGroupSchedule(target, groupId))) {
+      await bot.sendMessage(from, {
+        text: t('schedule.notFound', { id: params.input })
+      });
+      return;
+    }
+
+    try {
+      if (params.action === 'del') {
+        await scheduleService.remove(target.id);
+      } else {
+        await scheduleService.setPaused(target.id, params.action === 'pause');
+      }
+
+      await bot.sendMessage(from, {
+        text: t(`schedule.${{ del: 'removed', pause: 'paused', resume: 'resumed' }[params.action]}`, { id: target.id })
+      });
 
-  logger.info(`User demoted: ${targetNumber} by ${sender.split('@')[0]}`);
+      logger.info(`Schedule #${target.id} ${params.action} in ${groupId} by ${senderNumber}`);
+    } catch (error) {
+      await bot.sendMessage(from, {
+        text: `❌ ${i18n.translateError(error, locale)}`
+      });
+    }
+  }
 };
 
 /**
- * Blacklist User Command
+ * Get command text as typed (keeps line breaks that argument parsing collapses), without flags
  */
-export const blacklist = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted } = messageInfo;
+const getRawText = (messageInfo) => messageInfo.messageContent
+  .slice(messageInfo.prefix.length).trim()
+  .replace(/^\S+/, '')
+  .replace(/(^|\s)--\w+(=\S*)?/g, '$1')
+  .trim();
 
-  let targetNumber = null;
+/**
+ * Shared handler for tagall (visible, chunked) and hidetag (invisible)
+ */
+const mentionAll = async (bot, messageInfo, params, hidden) => {
+  const { from, sender, groupId, locale, quoted } = messageInfo;
+  const t = i18n.translator(locale);
+  const senderNumber = sender.split('@')[0];
+  const command = hidden ? 'hidetag' : 'tagall';
+
+  const text = getRawText(messageInfo) || quoted?.text || '';
+  if (hidden && !text) {
+    await bot.sendMessage(from, {
+      text: t('tagAll.emptyMessage')
+    });
+    return;
+  }
 
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
+  // Per-group cooldown, shared by both commands so they can't be alternated
+  const cooldown = config.get('tagAll.cooldown') * 1000;
+  const remaining = (db.getGroupSettings(groupId).lastTagAll || 0) + cooldown - Date.now();
+  if (remaining > 0 && !db.isAuthor(senderNumber)) {
+    await bot.sendMessage(from, {
+      text: t('tagAll.cooldown', { time: DateHelper.formatDuration(remaining) })
+    });
+    return;
   }
 
-  if (!targetNumber) {
+  const metadata = await bot.getGroupMetadata(groupId);
+  if (!metadata?.participants) {
     await bot.sendMessage(from, {
-      text: `❌ *BLACKLIST USER*\n\nUsage: ${config.get('bot.prefix')}blacklist @user\natau reply pesan user`
+      text: t('tagAll.metadataFailed')
     });
     return;
   }
 
-  // Cannot blacklist author/owner
-  if (db.isAuthorOrOwner(targetNumber)) {
+  const botJid = bot.sock.user.id.split(':')[0] + '@s.whatsapp.net';
+  const filters = {
+    admin: participant => !!participant.admin,
+    member: participant => !participant.admin,
+    owner: participant => db.isAuthorOrOwner(participant.id.split('@')[0])
+  };
+
+  const participants = metadata.participants
+    .filter(participant => participant.id !== botJid)
+    .filter(filters[params.flags.role] || (() => true))
+    .map(participant => participant.id);
+
+  if (participants.length === 0) {
     await bot.sendMessage(from, {
-      text: '❌ Tidak bisa blacklist Author/Owner.'
+      text: t('tagAll.noParticipants')
     });
     return;
   }
 
-  await db.addBlacklist(targetNumber);
+  await db.updateGroupSetting(groupId, 'lastTagAll', Date.now());
 
-  await bot.sendMessage(from, {
-    text: `🚫 *USER BLACKLISTED*\n\nUser: @${targetNumber}\n\nUser tidak bisa masuk grup yang diproteksi.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+  if (hidden) {
+    await bot.sendMessage(from, { text, mentions: participants });
+  } else {
+    const chunkSize = config.get('tagAll.chunkSize');
+    const total = Math.ceil(participants.length / chunkSize);
+
+    for (let index = 0; index < total; index++) {
+      if (index > 0) {
+        await DateHelper.sleep(config.get('tagAll.chunkDelay'));
+      }
+
+      const chunk = participants.slice(index * chunkSize, (index + 1) * chunkSize);
+      let message = t('tagAll.title', { page: index + 1, total });
+      if (index === 0 && text) {
+        message += `${text}\n\n`;
+      }
+      message += chunk.map(jid => `@${jid.split('@')[0]}`).join('\n');
+
+      await bot.sendMessage(from, { text: message, mentions: chunk });
+    }
+  }
 
-  logger.security('Blacklist', targetNumber, 'Blacklisted by owner', sender.split('@')[0]);
+  logger.security(hidden ? 'Hidetag' : 'TagAll', groupId, `${participants.length} mentioned${params.flags.role ? ` (role: ${params.flags.role})` : ''}`, senderNumber);
+  logger.info(`${command} in ${groupId} by ${senderNumber}: ${participants.length} members`);
 };
 
 /**
- * Unblacklist User Command
+ * Tag All Command - Mention every member in visible messages
  */
-export const unblacklist = async (bot, msg, args, messageInfo) => {
-  const { from, sender, quoted } = messageInfo;
-
-  let targetNumber = null;
-
-  if (quoted && quoted.participant) {
-    targetNumber = quoted.participant.split('@')[0];
-  } else if (args.length >= 1) {
-    targetNumber = args[0].replace(/\D/g, '');
+export const tagall = {
+  role: 'owner',
+  category: 'group',
+  description: 'Mention all members',
+  usage: 'tagall [message] [--role=admin|member|owner]',
+  examples: ['tagall', 'tagall Rapat jam 8 malam!', 'tagall Cek grup --role=admin'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'message', type: 'rest', label: 'message' }
+    ],
+    flags: {
+      role: { type: 'enum', values: ['admin', 'member', 'owner'], description: 'Only tag admins, regular members or bot owners' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    await mentionAll(bot, messageInfo, params, false);
   }
+};
 
-  if (!targetNumber) {
-    await bot.sendMessage(from, {
-      text: `❌ *UNBLACKLIST USER*\n\nUsage: ${config.get('bot.prefix')}unblacklist @user\natau reply pesan user`
-    });
-    return;
+/**
+ * Hidetag Command - Mention every member without visible tags
+ */
+export const hidetag = {
+  role: 'owner',
+  category: 'group',
+  description: 'Mention all members invisibly',
+  usage: 'hidetag <message> [--role=admin|member|owner]\nhidetag (reply to a message)',
+  examples: ['hidetag Pengumuman: grup ditutup jam 10', 'hidetag Dicari panitia --role=member'],
+  groupOnly: true,
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'message', type: 'rest', label: 'message' }
+    ],
+    flags: {
+      role: { type: 'enum', values: ['admin', 'member', 'owner'], description: 'Only tag admins, regular members or bot owners' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    await mentionAll(bot, messageInfo, params, true);
   }
+};
 
-  if (!db.isBlacklisted(targetNumber)) {
-    await bot.sendMessage(from, {
-      text: '❌ User tidak ada di blacklist.'
-    });
-    return;
-  }
+/**
+ * Get Link Command - Show group invite link
+ */
+export const getlink = {
+  role: 'owner',
+  category: 'group',
+  description: 'Get group invite link',
+  usage: 'getlink',
+  groupOnly: true,
+  allowGroupAdmin: true,
+  execute: async (bot, msg, args, messageInfo) => {
+    const { from, sender, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-  await db.removeBlacklist(targetNumber);
+    if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
+      await bot.sendMessage(from, {
+        text: t('common.botNotAdmin')
+      });
+      return;
+    }
 
-  await bot.sendMessage(from, {
-    text: `✅ *USER UNBLACKLISTED*\n\nUser: @${targetNumber}\n\nUser bisa masuk grup kembali.`,
-    mentions: [targetNumber + '@s.whatsapp.net']
-  });
+    const code = await inviteGuard.getInviteCode(bot, groupId, true);
+    if (!code) {
+      await bot.sendMessage(from, {
+        text: t('invite.failed')
+      });
+      return;
+    }
 
-  logger.security('Unblacklist', targetNumber, 'Unblacklisted by owner', sender.split('@')[0]);
+    const metadata = await bot.getGroupMetadata(groupId);
+
+    await bot.sendMessage(from, {
+      text: t('invite.link', { group: metadata?.subject || groupId, link: inviteGuard.formatLink(code) })
+    });
+
+    logger.info(`Invite link of ${groupId} requested by ${sender.split('@')[0]}`);
+  }
 };
 
 /**
- * Info Grup Command
+ * Revoke Command - Reset group invite link
  */
-export const infoGrup = {
-  name: 'info-grup',
-  aliases: ['groupinfo', 'infogrup'],
+export const revoke = {
+  role: 'owner',
+  category: 'group',
+  description: 'Reset group invite link',
+  usage: 'revoke',
+  groupOnly: true,
+  allowGroupAdmin: true,
   execute: async (bot, msg, args, messageInfo) => {
-    const { from, isGroup, groupId } = messageInfo;
+    const { from, sender, groupId, locale } = messageInfo;
+    const t = i18n.translator(locale);
 
-    if (!isGroup) {
+    if (!await validationMiddleware.isBotAdmin(bot, groupId)) {
       await bot.sendMessage(from, {
-        text: '❌ Command ini hanya bisa digunakan di grup.'
+        text: t('common.botNotAdmin')
       });
       return;
     }
 
-    const metadata = await bot.getGroupMetadata(groupId);
-    const participants = metadata.participants;
-    
-    const adminCount = participants.filter(p => p.admin).length;
-    const memberCount = participants.length - adminCount;
-    
-    const isProtected = db.isProtected(groupId);
-    const isShareTarget = db.isShareTarget(groupId);
-    const defenseMode = db.getGroupSettings(groupId).defenseMode || 'NORMAL';
+    const code = await inviteGuard.revoke(bot, groupId);
+    if (!code) {
+      await bot.sendMessage(from, {
+        text: t('invite.failed')
+      });
+      return;
+    }
 
-    const message = `📊 *GROUP INFORMATION*
+    await bot.sendMessage(from, {
+      text: t('invite.revoked', { link: inviteGuard.formatLink(code) })
+    });
 
-Name: ${metadata.subject}
-ID: ${groupId}
-Created: ${new Date(metadata.creation * 1000).toLocaleDateString('id-ID')}
+    logger.security('Revoke invite', groupId, 'Invite link reset', sender.split('@')[0]);
+  }
+};
 
-👥 Members: ${participants.length}
-   • Admins: ${adminCount}
-   • Members: ${memberCount}
+/**
+ * Sticker Pack Command - Pack name/author stamped on generated stickers
+ */
+export const stickerpack = {
+  role: 'owner',
+  category: 'group',
+  description: 'Sticker pack name/author',
+  usage: 'stickerpack\nstickerpack <pack>|<author> [--global]\nstickerpack reset [--global]',
+  examples: ['stickerpack Stiker Grup|Admin', 'stickerpack reset', 'stickerpack ALL-STAR|Liand --global'],
+  allowGroupAdmin: true,
+  args: {
+    params: [
+      { name: 'text', type: 'rest', label: 'pack|author' }
+    ],
+    flags: {
+      global: { description: 'Change the global pack (author)' }
+    }
+  },
+  execute: async (bot, msg, args, messageInfo, params) => {
+    const { from, sender, groupId, prefix, locale } = messageInfo;
+    const t = i18n.translator(locale);
+    const senderNumber = sender.split('@')[0];
+    const isGlobal = params.flags.global || !groupId;
+    const { stickerService } = await import('../services/StickerService.js');
+
+    if (!params.text) {
+      const pack = stickerService.getPack(groupId);
+      await bot.sendMessage(from, {
+        text: t('stickerPack.current', { name: pack.name || '-', author: pack.author || '-', prefix })
+      });
+      return;
+    }
 
-🛡️ Protection: ${isProtected ? '✅ Active' : '❌ Inactive'}
-📢 Share Target: ${isShareTarget ? '✅ Yes' : '❌ No'}
-🔒 Defense Mode: ${defenseMode}
+    if (isGlobal && !db.isAuthor(senderNumber)) {
+      await bot.sendMessage(from, {
+        text: t('stickerPack.authorOnly')
+      });
+      return;
+    }
 
-Description:
-${metadata.desc || 'No description'}`;
+    let pack = null;
+    if (params.text.toLowerCase() !== 'reset') {
+      const [name = '', author = ''] = params.text.split('|').map(part => part.trim());
+      if (name.length > 50 || author.length > 50) {
+        await bot.sendMessage(from, {
+          text: t('stickerPack.tooLong', { max: 50 })
+        });
+        return;
+      }
+      pack = { name, author };
+    }
 
-    await bot.sendMessage(from, { text: message });
+    if (isGlobal) {
+      await db.setStickerPack(pack);
+    } else {
+      await db.updateGroupSetting(groupId, 'stickerPack', pack);
+    }
+
+    const scope = isGlobal ? 'Global' : 'Group';
+    await bot.sendMessage(from, {
+      text: pack
+        ? t(`stickerPack.set${scope}`, { name: pack.name || '-', author: pack.author || '-' })
+        : t(`stickerPack.reset${scope}`)
+    });
+
+    logger.info(`Sticker pack ${pack ? `${pack.name} / ${pack.author}` : 'reset'} ${isGlobal ? 'globally' : `for group ${groupId}`} by ${senderNumber}`);
   }
 };
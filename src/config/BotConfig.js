@@ -25,6 +25,7 @@ export class BotConfig {
         version: process.env.BOT_VERSION || '2.0.0',
         prefix: process.env.BOT_PREFIX || '.',
         alternativePrefix: process.env.ALTERNATIVE_PREFIX || '/',
+        locale: process.env.BOT_LOCALE || 'id', // Default language (id/en)
         author: {
           name: process.env.AUTHOR_NAME || 'Liand',
           number: process.env.AUTHOR_NUMBER || '6282382734762'
@@ -63,12 +64,19 @@ export class BotConfig {
         path: process.env.DB_PATH || './src/database/data.json',
         backupPath: process.env.BACKUP_PATH || './backups/',
         backupInterval: parseInt(process.env.BACKUP_INTERVAL) || 24,
-        autoBackup: process.env.ENABLE_AUTO_BACKUP === 'true'
+        autoBackup: process.env.ENABLE_AUTO_BACKUP === 'true',
+        messageStore: {
+          path: process.env.MESSAGE_STORE_PATH || './src/database/messages.json',
+          maxPerChat: parseInt(process.env.MESSAGE_STORE_LIMIT) || 200, // Ring buffer size per chat
+          retention: parseInt(process.env.MESSAGE_STORE_RETENTION) || 24, // hours
+          flushDelay: 10 // seconds
+        }
       },
 
       // Security Configuration
       security: {
         maxWarn: parseInt(process.env.MAX_WARN) || 3,
+        warnExpiryDays: isNaN(parseInt(process.env.WARN_EXPIRY_DAYS)) ? 7 : parseInt(process.env.WARN_EXPIRY_DAYS), // 0 = never expire
         muteDurationSpam: parseInt(process.env.MUTE_DURATION_SPAM) || 10,
         cooldownCommand: parseInt(process.env.COOLDOWN_COMMAND) || 20,
         antiSpamThreshold: parseInt(process.env.ANTI_SPAM_THRESHOLD) || 5,
@@ -78,6 +86,13 @@ export class BotConfig {
           enabled: true,
           allowedCountries: ['62'], // Indonesia only
           autoKick: true
+        },
+        antiRaid: {
+          joinThreshold: parseInt(process.env.ANTI_RAID_JOIN_THRESHOLD) || 8,
+          foreignThreshold: parseInt(process.env.ANTI_RAID_FOREIGN_THRESHOLD) || 4,
+          timeWindow: parseInt(process.env.ANTI_RAID_TIME) || 60, // seconds
+          coolOff: parseInt(process.env.ANTI_RAID_COOL_OFF) || 30, // minutes without joins
+          kickCohort: process.env.ANTI_RAID_KICK_COHORT === 'true'
         }
       },
 
@@ -121,6 +136,67 @@ export class BotConfig {
         globalLimit: parseInt(process.env.GLOBAL_RATE_LIMIT) || 50
       },
 
+      // "Did you mean" Suggestions for unknown commands
+      suggestions: {
+        threshold: parseFloat(process.env.SUGGESTION_THRESHOLD) || 0.4, // Minimum similarity (0-1)
+        maxResults: 3,
+        userCooldown: 60, // seconds between suggestions per user
+        chatCooldown: 15 // seconds between suggestions per chat
+      },
+
+      // Keyword Triggers (per-group auto replies)
+      triggers: {
+        maxPerGroup: parseInt(process.env.TRIGGER_MAX_PER_GROUP) || 50,
+        defaultCooldown: 30, // seconds between replies of the same trigger
+        maxRegexInput: 500, // characters of a message tested against regex triggers
+        maxMediaSize: 1024 * 1024 // bytes, image/sticker replies
+      },
+
+      // Scheduled Announcements
+      schedules: {
+        max: parseInt(process.env.SCHEDULE_MAX) || 50,
+        minInterval: 5, // minutes between runs of a recurring schedule
+        missedGrace: 10, // minutes, one-off schedules missed while offline still fire within this window
+        sendDelay: 3000, // ms between target groups
+        maxMediaSize: 5 * 1024 * 1024 // bytes, image/video announcements
+      },
+
+      // Tag All / Hidetag
+      tagAll: {
+        cooldown: parseInt(process.env.TAGALL_COOLDOWN) || 300, // seconds per group, shared by tagall and hidetag
+        chunkSize: 50, // mentions per visible tagall message
+        chunkDelay: 2000 // ms between tagall messages
+      },
+
+      // Invite Guard (own invite links leaked to other chats)
+      inviteGuard: {
+        codeTtl: 30 * 60 * 1000, // ms before cached invite codes (and failed fetches) are fetched again
+        recheckAfter: 60 * 1000 // ms, unmatched links are checked against a fresh code once the cache is this old
+      },
+
+      // Sticker Conversion
+      sticker: {
+        packName: process.env.STICKER_PACK || process.env.BOT_NAME || 'ALL-STAR',
+        packAuthor: process.env.STICKER_AUTHOR || process.env.AUTHOR_NAME || 'Liand',
+        maxImageSize: 5 * 1024 * 1024, // bytes
+        maxVideoSize: 10 * 1024 * 1024, // bytes
+        maxVideoDuration: 10, // seconds, longer videos are rejected
+        fps: 15,
+        videoQuality: 50 // libwebp quality (0-100), lower keeps animated stickers under WhatsApp's size limit
+      },
+
+      // Brat Sticker
+      brat: {
+        maxLength: 150, // characters
+        maxFontSize: 160,
+        minFontSize: 28, // long words are broken at this size
+        lineHeight: 1.1, // multiple of font size
+        padding: 32, // px around the text
+        background: '#8ACE00',
+        frameDelay: 400, // ms per revealed word in animated stickers
+        holdFrames: 4 // frames showing the full text before the animation loops
+      },
+
       // Resource Monitoring Configuration
       monitoring: {
         cpu: {
@@ -190,6 +266,9 @@ export class BotConfig {
         logs: path.resolve(__dirname, '../../logs'),
         temp: path.resolve(__dirname, '../../temp'),
         assets: path.resolve(__dirname, '../../assets'),
+        plugins: path.resolve(__dirname, '../../plugins'),
+        triggers: path.resolve(__dirname, '../database/triggers'),
+        schedules: path.resolve(__dirname, '../database/schedules'),
         database: path.resolve(__dirname, '../database')
       }
     };
@@ -10,7 +10,6 @@ import makeWASocket, {
   useMultiFileAuthState,
   makeCacheableSignalKeyStore,
   fetchLatestBaileysVersion,
-  makeInMemoryStore,
   Browsers
 } from '@whiskeysockets/baileys';
 import pino from 'pino';
@@ -23,9 +22,12 @@ import moment from 'moment-timezone';
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { messageStore } from '../database/MessageStore.js';
+import { i18n } from '../utils/I18n.js';
 import { MessageHandler } from '../handlers/MessageHandler.js';
 import { GroupHandler } from '../handlers/GroupHandler.js';
 import { ConnectionHandler } from '../handlers/ConnectionHandler.js';
+import { pluginManager } from './PluginManager.js';
 
 export class BotCore {
   constructor() {
@@ -33,6 +35,7 @@ export class BotCore {
     this.sock = null;
     this.store = null;
     this.msgCache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+    this.groupCache = new NodeCache({ stdTTL: 120, checkperiod: 60 });
     this.connected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = config.get('session.maxReconnectAttempts');
@@ -49,9 +52,8 @@ export class BotCore {
       this.logger.info('✅ Database initialized');
 
       // Initialize message store
-      this.store = makeInMemoryStore({ 
-        logger: pino({ level: 'silent' })
-      });
+      await messageStore.initialize();
+      this.store = messageStore;
       this.logger.info('✅ Message store initialized');
 
       // Initialize handlers
@@ -60,6 +62,10 @@ export class BotCore {
       this.connectionHandler = new ConnectionHandler(this);
       this.logger.info('✅ Handlers initialized');
 
+      // Load plugins (commands, defense modules, hooks)
+      await pluginManager.loadAll();
+      this.logger.info('✅ Plugins loaded');
+
       this.logger.info('Bot Core initialization complete');
       return true;
     } catch (error) {
@@ -93,7 +99,7 @@ export class BotCore {
         },
         generateHighQualityLinkPreview: true,
         getMessage: async (key) => {
-          const msg = await this.store.loadMessage(key.remoteJid, key.id);
+          const msg = this.store.loadMessage(key.remoteJid, key.id);
           return msg?.message || { conversation: '' };
         },
         markOnlineOnConnect: true,
@@ -102,8 +108,9 @@ export class BotCore {
         retryRequestDelayMs: config.get('session.reconnectInterval')
       });
 
-      // Bind store to socket
+      // Bind store and plugin hooks to socket
       this.store?.bind(this.sock.ev);
+      pluginManager.bind(this.sock.ev, this);
 
       // Setup pairing code if enabled
       if (config.get('pairing.enabled') && !this.sock.authState.creds.registered) {
@@ -196,8 +203,15 @@ export class BotCore {
       }
     });
 
+    // Message updates (revokes)
+    this.sock.ev.on('messages.update', async (updates) => {
+      await this.messageHandler.handleMessageUpdates(updates);
+    });
+
     // Group updates
     this.sock.ev.on('group-participants.update', async (update) => {
+      // Participant list or roles changed, drop cached admins
+      this.groupCache.del(update.id);
       await this.groupHandler.handleParticipantsUpdate(update);
     });
 
@@ -312,6 +326,30 @@ export class BotCore {
     }
   }
 
+  async getGroupAdmins(groupJid) {
+    try {
+      const cached = this.groupCache.get(groupJid);
+      if (cached) return cached;
+
+      const participants = await this.getGroupParticipants(groupJid);
+      const admins = participants
+        .filter(p => p.admin === 'admin' || p.admin === 'superadmin')
+        .map(p => p.id);
+
+      this.groupCache.set(groupJid, admins);
+      return admins;
+    } catch (error) {
+      this.logger.error('Failed to get group admins:', error);
+      return [];
+    }
+  }
+
+  async isGroupAdmin(groupJid, userJid) {
+    const admins = await this.getGroupAdmins(groupJid);
+    const userNumber = userJid.split('@')[0].split(':')[0];
+    return admins.some(jid => jid.split('@')[0].split(':')[0] === userNumber);
+  }
+
   async kickParticipant(groupJid, participants) {
     try {
       await this.sock.groupParticipantsUpdate(groupJid, participants, 'remove');
@@ -365,6 +403,37 @@ export class BotCore {
     }
   }
 
+  async updateGroupSetting(groupJid, setting) {
+    try {
+      await this.sock.groupSettingUpdate(groupJid, setting);
+      this.groupCache.del(groupJid);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to update group setting:', error);
+      return false;
+    }
+  }
+
+  async getGroupInviteCode(groupJid) {
+    try {
+      return await this.sock.groupInviteCode(groupJid);
+    } catch (error) {
+      this.logger.error('Failed to get group invite code:', error);
+      return null;
+    }
+  }
+
+  async revokeGroupInvite(groupJid) {
+    try {
+      const code = await this.sock.groupRevokeInvite(groupJid);
+      this.logger.info(`Revoked invite link of ${groupJid}`);
+      return code;
+    } catch (error) {
+      this.logger.error('Failed to revoke group invite:', error);
+      return null;
+    }
+  }
+
   async leaveGroup(groupJid) {
     try {
       await this.sock.groupLeave(groupJid);
@@ -416,6 +485,9 @@ export class BotCore {
       
       // Create final backup
       await db.createBackup();
+
+      // Persist pending messages
+      await this.store?.flush();
       
       // Close connection
       if (this.sock) {
@@ -433,7 +505,8 @@ export class BotCore {
       this.logger.critical('Emergency shutdown initiated');
       
       // Send alert to author
-      await this.sendMessageToAuthor('🚨 EMERGENCY SHUTDOWN\n\nBot encountered critical error and had to shutdown.');
+      const authorLocale = i18n.resolveLocale(null, config.get('bot.author.number'));
+      await this.sendMessageToAuthor(i18n.t('connection.emergencyShutdown', {}, authorLocale));
       
       // Force close
       if (this.sock) {
@@ -0,0 +1,200 @@
+/**
+ * ALL-STAR BOT v2.0 - Plugin Manager
+ * Loads commands, defense modules and event hooks from the plugins directory
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import path from 'path';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { commandManager } from '../commands/CommandManager.js';
+import { defenseEngine } from '../modules/DefenseEngine.js';
+
+/**
+ * A plugin is any .js file in the plugins directory (files starting with "_" are skipped):
+ *
+ *   export const hello = { description, usage, execute };     // command definitions
+ *   export const defenseModules = [{ name, instance, priority, checkOnMessage, checkOnNewMember }];
+ *   export const hooks = { 'group-participants.update': async (bot, update) => {} };
+ */
+export class PluginManager {
+  constructor() {
+    this.logger = new Logger('PLUGIN-MANAGER');
+    this.pluginDir = config.get('paths.plugins');
+    this.plugins = new Map();
+    // Format: { name: { file, commands, defenseModules, hooks, loadedAt } }
+
+    // Socket events plugins can hook into
+    this.events = ['messages.upsert', 'messages.update', 'group-participants.update', 'groups.update'];
+  }
+
+  /**
+   * Load every plugin in the plugins directory
+   * @returns {Promise<Object>} Result { loaded, failed }
+   */
+  async loadAll() {
+    if (!fs.existsSync(this.pluginDir)) {
+      fs.mkdirSync(this.pluginDir, { recursive: true });
+    }
+
+    const files = fs.readdirSync(this.pluginDir)
+      .filter(file => file.endsWith('.js') && !file.startsWith('_'))
+      .sort();
+
+    const loaded = [];
+    const failed = [];
+
+    for (const file of files) {
+      const result = await this.load(file);
+      if (result.success) {
+        loaded.push(result.name);
+      } else {
+        failed.push({ name: result.name, error: result.error });
+      }
+    }
+
+    this.logger.info(`Plugins loaded: ${loaded.length} (${failed.length} failed)`);
+    return { loaded, failed };
+  }
+
+  /**
+   * Load a single plugin file
+   * @param {string} file - File name inside plugins directory
+   * @returns {Promise<Object>} Result { success, name, error }
+   */
+  async load(file) {
+    const name = path.basename(file, '.js');
+
+    try {
+      if (this.plugins.has(name)) {
+        this.unload(name);
+      }
+
+      // Query string makes Node evaluate the file again instead of using its module cache.
+      // Old versions stay in memory, so reloads are meant for occasional use.
+      const url = `${pathToFileURL(path.join(this.pluginDir, file)).href}?v=${Date.now()}`;
+      const module = await import(url);
+
+      const plugin = {
+        file,
+        commands: [],
+        defenseModules: [],
+        hooks: {},
+        loadedAt: Date.now()
+      };
+
+      // Track before registering so a failed plugin can be rolled back
+      this.plugins.set(name, plugin);
+
+      plugin.commands = commandManager.registerCommandModule(module, 'user', name);
+
+      for (const definition of module.defenseModules || []) {
+        defenseEngine.registerModule(definition);
+        plugin.defenseModules.push(definition.name);
+      }
+
+      for (const [event, hook] of Object.entries(module.hooks || {})) {
+        if (!this.events.includes(event) || typeof hook !== 'function') {
+          throw new Error(`Invalid hook: ${event}`);
+        }
+        plugin.hooks[event] = hook;
+      }
+
+      this.logger.info(`Plugin loaded: ${name} (${plugin.commands.length} commands, ${plugin.defenseModules.length} defense modules, ${Object.keys(plugin.hooks).length} hooks)`);
+      return { success: true, name };
+
+    } catch (error) {
+      this.logger.error(`Failed to load plugin ${name}:`, error);
+      this.unload(name);
+      return { success: false, name, error: error.message };
+    }
+  }
+
+  /**
+   * Unload plugin: remove its commands, defense modules and hooks
+   * @param {string} name - Plugin name
+   * @returns {boolean} Whether plugin was loaded
+   */
+  unload(name) {
+    const plugin = this.plugins.get(name);
+
+    // Commands are removed by owner tag, even ones registered before a failure
+    commandManager.unregisterPlugin(name);
+
+    if (!plugin) {
+      return false;
+    }
+
+    for (const moduleName of plugin.defenseModules) {
+      defenseEngine.unregisterModule(moduleName);
+    }
+
+    this.plugins.delete(name);
+    this.logger.info(`Plugin unloaded: ${name}`);
+    return true;
+  }
+
+  /**
+   * Unload and load all plugins again from disk
+   * @returns {Promise<Object>} Result { loaded, failed }
+   */
+  async reload() {
+    this.logger.info('Reloading plugins...');
+
+    for (const name of Array.from(this.plugins.keys())) {
+      this.unload(name);
+    }
+
+    return await this.loadAll();
+  }
+
+  /**
+   * Forward socket events to plugin hooks
+   * @param {Object} ev - Baileys event emitter
+   * @param {Object} bot - Bot instance
+   */
+  bind(ev, bot) {
+    for (const event of this.events) {
+      ev.on(event, async (payload) => {
+        await this.emit(event, bot, payload);
+      });
+    }
+  }
+
+  /**
+   * Run plugin hooks for event
+   * @param {string} event - Event name
+   * @param {Object} bot - Bot instance
+   * @param {*} payload - Event payload
+   */
+  async emit(event, bot, payload) {
+    for (const [name, plugin] of this.plugins) {
+      const hook = plugin.hooks[event];
+      if (!hook) continue;
+
+      try {
+        await hook(bot, payload);
+      } catch (error) {
+        this.logger.error(`Plugin ${name} hook ${event} failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get loaded plugins
+   * @returns {Array} Plugins [{ name, file, commands, defenseModules, hooks, loadedAt }]
+   */
+  getPlugins() {
+    return Array.from(this.plugins.entries()).map(([name, plugin]) => ({
+      name,
+      ...plugin,
+      hooks: Object.keys(plugin.hooks)
+    }));
+  }
+}
+
+// Export singleton instance
+export const pluginManager = new PluginManager();
@@ -50,6 +50,8 @@ export class Database {
         this.logger.info('Database initialized with default data');
       }
 
+      await this.migrate();
+
       this.logger.info('Database initialized successfully');
       return true;
     } catch (error) {
@@ -64,6 +66,8 @@ export class Database {
       config: {
         botMode: 'PUBLIC', // PUBLIC or SELF
         defenseMode: 'NORMAL', // NORMAL, STRICT, LOCKDOWN
+        modLogChat: null, // Chat JID receiving moderation logs
+        stickerPack: null, // { name, author } overriding the configured sticker pack
         version: config.get('bot.version')
       },
 
@@ -74,8 +78,9 @@ export class Database {
         blacklisted: [],
         disabled: [],
         muted: {}, // { number: { until: timestamp, reason: '' } }
-        warned: {}, // { number: warnCount }
-        cooldowns: {} // { number: { command: timestamp } }
+        warnings: {}, // { number: [{ id, groupId, issuer, reason, evidence, timestamp, expiresAt }] }
+        cooldowns: {}, // { number: { command: timestamp } }
+        locales: {} // { number: locale }
       },
 
       // Groups
@@ -86,6 +91,9 @@ export class Database {
         settings: {} // { groupId: { antiLink: true, antiSpam: true, ... } }
       },
 
+      // Scheduled announcements
+      schedules: [], // [{ id, type, at, cron, targets, content, paused, createdBy, createdAt, lastRun, runCount }]
+
       // Statistics
       statistics: {
         commands: {},
@@ -105,6 +113,8 @@ export class Database {
         antiSpam: true,
         antiToxic: true,
         antiVirtex: true,
+        mentionFlood: true,
+        antiRaid: true,
         welcome: true,
         goodbye: true,
         ai: config.get('ai.enabled'),
@@ -121,11 +131,73 @@ export class Database {
         startTime: Date.now(),
         restartCount: 0,
         lastBackup: null,
-        errorLog: []
+        errorLog: [],
+        migrations: [] // Applied one-time data migrations
       }
     };
   }
 
+  /**
+   * Apply one-time migrations to data written by older versions
+   */
+  async migrate() {
+    const system = this.db.data.system || (this.db.data.system = {});
+    const applied = system.migrations || (system.migrations = []);
+
+    // Groups created before per-group toggles stored the old defaults (all true),
+    // which would otherwise shadow the global values as group overrides. A stored true
+    // is only dropped while the global value is also true, otherwise it is kept as an opt-in.
+    if (!applied.includes('groupFeatureDefaults')) {
+      const legacyDefaults = { antiLink: true, antiSpam: true, antiToxic: true, antiVirtex: true, mentionFlood: true, antiRaid: true, welcome: true, goodbye: true, geoRestriction: true };
+      const features = this.db.data.features || {};
+      let cleaned = 0;
+
+      for (const settings of Object.values(this.db.data.groups?.settings || {})) {
+        for (const [feature, value] of Object.entries(legacyDefaults)) {
+          if (settings[feature] === value && features[feature] === value) {
+            delete settings[feature];
+            cleaned++;
+          }
+        }
+      }
+
+      applied.push('groupFeatureDefaults');
+      await this.db.write();
+      this.logger.info(`Migration groupFeatureDefaults applied (${cleaned} stored defaults removed)`);
+    }
+
+    // Warning counters (users.warned) became per-warning records (users.warnings)
+    if (!applied.includes('warningRecords')) {
+      const users = this.db.data.users || (this.db.data.users = {});
+      const warnings = users.warnings || (users.warnings = {});
+      const expiryDays = config.get('security.warnExpiryDays');
+      const timestamp = Date.now();
+      let converted = 0;
+
+      for (const [number, count] of Object.entries(users.warned || {})) {
+        const records = warnings[number] || (warnings[number] = []);
+
+        for (let index = 0; index < (parseInt(count) || 0); index++) {
+          records.push({
+            id: `${timestamp.toString(36)}legacy${index}`,
+            groupId: null,
+            issuer: 'SYSTEM',
+            reason: 'Legacy warning (before per-group records)',
+            evidence: [],
+            timestamp,
+            expiresAt: expiryDays > 0 ? timestamp + (expiryDays * 24 * 60 * 60 * 1000) : null
+          });
+          converted++;
+        }
+      }
+
+      delete users.warned;
+      applied.push('warningRecords');
+      await this.db.write();
+      this.logger.info(`Migration warningRecords applied (${converted} legacy warnings converted)`);
+    }
+  }
+
   // Generic get/set methods
   get(path) {
     const keys = path.split('.');
@@ -276,33 +348,92 @@ export class Database {
   }
 
   // Warning Management
-  getWarnCount(number) {
-    return this.get(`users.warned.${number}`) || 0;
+  getWarnings(number, groupId = null, includeExpired = false) {
+    const warnings = this.get(`users.warnings.${number}`) || [];
+    const now = Date.now();
+
+    return warnings.filter(warning =>
+      (!groupId || warning.groupId === groupId) &&
+      (includeExpired || !warning.expiresAt || warning.expiresAt > now)
+    );
+  }
+
+  getWarnCount(number, groupId = null) {
+    return this.getWarnings(number, groupId).length;
   }
 
-  async addWarn(number) {
-    const count = this.getWarnCount(number) + 1;
-    await this.set(`users.warned.${number}`, count);
-    this.logger.security('Warn', number, `Warning ${count}/${config.get('security.maxWarn')}`, 'SYSTEM');
+  async addWarn(number, { groupId = null, issuer = 'SYSTEM', reason = 'No reason provided', evidence = [] } = {}) {
+    const warnings = this.get(`users.warnings.${number}`) || [];
+    const expiryDays = config.get('security.warnExpiryDays');
+    const timestamp = Date.now();
+
+    warnings.push({
+      id: `${timestamp.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      groupId,
+      issuer,
+      reason,
+      evidence,
+      timestamp,
+      expiresAt: expiryDays > 0 ? timestamp + (expiryDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    await this.set(`users.warnings.${number}`, warnings);
+
+    const count = this.getWarnCount(number, groupId);
+    this.logger.security('Warn', number, `Warning ${count}/${config.get('security.maxWarn')}: ${reason}`, issuer);
     return count;
   }
 
-  async removeWarn(number) {
-    const count = Math.max(0, this.getWarnCount(number) - 1);
-    if (count === 0) {
-      const warned = this.get('users.warned') || {};
-      delete warned[number];
-      await this.set('users.warned', warned);
-    } else {
-      await this.set(`users.warned.${number}`, count);
+  async removeWarn(number, groupId = null) {
+    const warnings = this.get(`users.warnings.${number}`) || [];
+    const active = this.getWarnings(number, groupId);
+
+    if (active.length > 0) {
+      // Remove most recent active warning
+      const latest = active[active.length - 1];
+      await this.saveWarnings(number, warnings.filter(warning => warning.id !== latest.id));
     }
-    return count;
+
+    return this.getWarnCount(number, groupId);
   }
 
-  async resetWarn(number) {
-    const warned = this.get('users.warned') || {};
-    delete warned[number];
-    await this.set('users.warned', warned);
+  async resetWarn(number, groupId = null) {
+    const warnings = this.get(`users.warnings.${number}`) || [];
+    await this.saveWarnings(number, groupId ? warnings.filter(warning => warning.groupId !== groupId) : []);
+  }
+
+  async saveWarnings(number, warnings) {
+    if (warnings.length > 0) {
+      await this.set(`users.warnings.${number}`, warnings);
+      return;
+    }
+
+    const allWarnings = this.get('users.warnings') || {};
+    delete allWarnings[number];
+    await this.set('users.warnings', allWarnings);
+  }
+
+  async removeExpiredWarnings() {
+    const allWarnings = this.get('users.warnings') || {};
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [number, warnings] of Object.entries(allWarnings)) {
+      const active = warnings.filter(warning => !warning.expiresAt || warning.expiresAt > now);
+      removed += warnings.length - active.length;
+
+      if (active.length > 0) {
+        allWarnings[number] = active;
+      } else {
+        delete allWarnings[number];
+      }
+    }
+
+    if (removed > 0) {
+      await this.set('users.warnings', allWarnings);
+    }
+
+    return removed;
   }
 
   // Cooldown Management
@@ -417,14 +548,16 @@ export class Database {
   }
 
   getDefaultGroupSettings() {
+    // Feature toggles (antiLink, welcome, ai, ...) are left unset so the global default applies
     return {
-      antiLink: true,
-      antiSpam: true,
-      antiToxic: true,
-      antiVirtex: true,
-      welcome: true,
-      goodbye: true,
-      geoRestriction: true,
+      antiDelete: 'off', // off, group, private
+      suggestions: true, // "Did you mean" replies for unknown commands
+      prefixes: null, // null = global prefixes
+      aliases: {}, // { alias: commandName }
+      locale: null, // null = member's own language or bot default
+      triggers: [], // [{ id, keyword, match, reply: { type, text, file }, cooldown, createdBy, createdAt }]
+      lastTagAll: 0, // Timestamp of last tagall/hidetag (per-group cooldown)
+      stickerPack: null, // { name, author }, null = global sticker pack
       defenseMode: 'NORMAL'
     };
   }
@@ -444,8 +577,27 @@ export class Database {
   }
 
   // Feature Management
-  isFeatureEnabled(feature) {
-    return this.get(`features.${feature}`) || false;
+  // Group override (true/false) wins, otherwise the global features value
+  isFeatureEnabled(feature, groupId = null, defaultValue = false) {
+    const groupValue = groupId ? this.getGroupSettings(groupId)[feature] : undefined;
+    if (typeof groupValue === 'boolean') {
+      return groupValue;
+    }
+
+    const globalValue = this.get(`features.${feature}`);
+    return typeof globalValue === 'boolean' ? globalValue : defaultValue;
+  }
+
+  getFeatureSource(feature, groupId = null) {
+    if (groupId && typeof this.getGroupSettings(groupId)[feature] === 'boolean') {
+      return 'group';
+    }
+    return 'global';
+  }
+
+  async setGroupFeature(groupId, feature, enabled) {
+    await this.updateGroupSetting(groupId, feature, enabled);
+    this.logger.info(`Feature ${feature} ${enabled ? 'enabled' : 'disabled'} for group: ${groupId}`);
   }
 
   async setFeature(feature, enabled) {
@@ -473,6 +625,50 @@ export class Database {
     this.logger.info(`Defense mode changed to ${mode}`);
   }
 
+  // Language
+  getUserLocale(number) {
+    return this.get(`users.locales.${number}`) || null;
+  }
+
+  async setUserLocale(number, locale) {
+    const locales = this.get('users.locales') || {};
+    if (locale) {
+      locales[number] = locale;
+    } else {
+      delete locales[number];
+    }
+    await this.set('users.locales', locales);
+  }
+
+  // Schedules
+  getSchedules() {
+    return this.get('schedules') || [];
+  }
+
+  async saveSchedules(schedules) {
+    await this.set('schedules', schedules);
+  }
+
+  // Moderation Log
+  getModLogChat() {
+    return this.get('config.modLogChat') || null;
+  }
+
+  async setModLogChat(jid) {
+    await this.set('config.modLogChat', jid);
+    this.logger.info(`Moderation log chat ${jid ? `set to ${jid}` : 'cleared'}`);
+  }
+
+  // Sticker Pack
+  getStickerPack() {
+    return this.get('config.stickerPack') || null;
+  }
+
+  async setStickerPack(pack) {
+    await this.set('config.stickerPack', pack);
+    this.logger.info(`Global sticker pack ${pack ? `set to ${pack.name} / ${pack.author}` : 'reset'}`);
+  }
+
   // Statistics
   async incrementCommandUsage(command) {
     const count = this.get(`statistics.commands.${command}`) || 0;
@@ -0,0 +1,305 @@
+/**
+ * ALL-STAR BOT v2.0 - Message Store
+ * Bounded on-disk message store (per-chat ring buffer)
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { BufferJSON, getContentType, normalizeMessageContent, proto, toNumber } from '@whiskeysockets/baileys';
+import path from 'path';
+import fs from 'fs';
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { MessageParser } from '../utils/MessageParser.js';
+
+export class MessageStore {
+  constructor() {
+    this.logger = new Logger('MESSAGE-STORE');
+    this.storePath = path.resolve(process.cwd(), config.get('database.messageStore.path'));
+    this.chats = {};
+    // Format: { chatJid: [{ key, message, originalMessage, pushName, messageTimestamp }] }
+
+    const storeConfig = config.get('database.messageStore');
+    this.settings = {
+      maxPerChat: storeConfig.maxPerChat,
+      retention: storeConfig.retention * 60 * 60 * 1000, // Convert to ms
+      flushDelay: storeConfig.flushDelay * 1000 // Convert to ms
+    };
+
+    // Message types that are not worth keeping
+    this.ignoredTypes = ['protocolMessage', 'reactionMessage', 'pollUpdateMessage'];
+
+    this.flushTimer = null;
+    this.flushing = null; // Promise of the write in progress
+    this.dirty = false;
+  }
+
+  /**
+   * Load store from disk
+   */
+  async initialize() {
+    try {
+      const storeDir = path.dirname(this.storePath);
+      if (!fs.existsSync(storeDir)) {
+        fs.mkdirSync(storeDir, { recursive: true });
+      }
+
+      if (fs.existsSync(this.storePath)) {
+        const content = await fs.promises.readFile(this.storePath, 'utf-8');
+        this.chats = JSON.parse(content, BufferJSON.reviver)?.chats || {};
+      }
+
+      const removed = this.cleanup();
+      this.logger.info(`Message store loaded: ${this.getStats().messages} messages (${removed} expired removed)`);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to load message store, starting empty:', error);
+      this.chats = {};
+      return false;
+    }
+  }
+
+  /**
+   * Bind store to socket events
+   * @param {Object} ev - Baileys event emitter
+   */
+  bind(ev) {
+    ev.on('messages.upsert', ({ messages }) => {
+      for (const msg of messages) {
+        this.saveMessage(msg);
+      }
+    });
+  }
+
+  /**
+   * Save message into chat ring buffer
+   * @param {Object} msg - WAMessage
+   * @returns {boolean} Whether message was stored
+   */
+  saveMessage(msg) {
+    try {
+      const jid = msg?.key?.remoteJid;
+      const content = normalizeMessageContent(msg?.message);
+      const type = content ? getContentType(content) : null;
+
+      // Edits replace the content of the stored original
+      if (content?.protocolMessage?.type === proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) {
+        return this.applyEdit(jid, content.protocolMessage.key?.id, content.protocolMessage.editedMessage);
+      }
+
+      if (!jid || !msg.key.id || !type || this.ignoredTypes.includes(type)) {
+        return false;
+      }
+
+      const entry = {
+        key: msg.key,
+        message: msg.message,
+        pushName: msg.pushName || null,
+        messageTimestamp: this.toTimestamp(msg.messageTimestamp)
+      };
+
+      const buffer = this.chats[jid] || [];
+      const index = buffer.findIndex(stored => stored.key.id === msg.key.id);
+
+      if (index !== -1) {
+        buffer[index] = entry;
+      } else {
+        buffer.push(entry);
+      }
+
+      // Drop oldest messages once the ring is full
+      if (buffer.length > this.settings.maxPerChat) {
+        buffer.splice(0, buffer.length - this.settings.maxPerChat);
+      }
+
+      this.chats[jid] = buffer;
+      this.scheduleFlush();
+      return true;
+
+    } catch (error) {
+      this.logger.error('Error saving message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Apply edit to stored message, keeping the first version as evidence
+   * @param {string} jid - Chat JID
+   * @param {string} id - Edited message ID
+   * @param {Object} editedMessage - New message content
+   * @returns {boolean} Whether stored message was updated
+   */
+  applyEdit(jid, id, editedMessage) {
+    const stored = this.loadMessage(jid, id);
+
+    if (!stored || !editedMessage) {
+      return false;
+    }
+
+    stored.originalMessage = stored.originalMessage || stored.message;
+    stored.message = normalizeMessageContent(editedMessage);
+    this.scheduleFlush();
+    return true;
+  }
+
+  /**
+   * Load stored message
+   * @param {string} jid - Chat JID
+   * @param {string} id - Message ID
+   * @returns {Object|null} Stored message
+   */
+  loadMessage(jid, id) {
+    return this.chats[jid]?.find(stored => stored.key.id === id) || null;
+  }
+
+  /**
+   * Get latest messages in chat
+   * @param {string} jid - Chat JID
+   * @param {number} limit - Max messages
+   * @returns {Array} Messages (oldest first)
+   */
+  getMessages(jid, limit = 50) {
+    return (this.chats[jid] || []).slice(-limit);
+  }
+
+  /**
+   * Get latest messages sent by participant in chat
+   * @param {string} jid - Chat JID
+   * @param {string} participant - Sender JID
+   * @param {number} limit - Max messages
+   * @returns {Array} Messages (oldest first)
+   */
+  getMessagesFrom(jid, participant, limit = 10) {
+    const number = participant.split('@')[0].split(':')[0];
+
+    return (this.chats[jid] || [])
+      .filter(stored => {
+        const sender = stored.key.participant || stored.key.remoteJid;
+        return !stored.key.fromMe && sender.split('@')[0].split(':')[0] === number;
+      })
+      .slice(-limit);
+  }
+
+  /**
+   * Build moderation evidence from participant's latest messages
+   * @param {string} jid - Chat JID
+   * @param {string} participant - Sender JID
+   * @param {number} limit - Max messages
+   * @returns {Array} Evidence [{ id, type, text, timestamp }]
+   */
+  getEvidence(jid, participant, limit = 3) {
+    return this.getMessagesFrom(jid, participant, limit).map(stored => {
+      const parsed = MessageParser.parse(stored.message);
+
+      return {
+        id: stored.key.id,
+        type: parsed.type,
+        text: parsed.text.substring(0, 200),
+        timestamp: stored.messageTimestamp
+      };
+    });
+  }
+
+  /**
+   * Convert message timestamp to milliseconds
+   * @param {number|Object} timestamp - Timestamp in seconds (number or Long)
+   * @returns {number} Timestamp in ms
+   */
+  toTimestamp(timestamp) {
+    const seconds = timestamp ? toNumber(timestamp) : 0;
+    return seconds > 0 ? seconds * 1000 : Date.now();
+  }
+
+  /**
+   * Schedule debounced write to disk
+   */
+  scheduleFlush() {
+    this.dirty = true;
+
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        this.logger.error('Error flushing message store:', error);
+      });
+    }, this.settings.flushDelay);
+  }
+
+  /**
+   * Write store to disk
+   */
+  async flush() {
+    // One write at a time, concurrent writes would share the temp file
+    while (this.flushing) {
+      await this.flushing.catch(() => {});
+    }
+
+    if (!this.dirty) return;
+
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.dirty = false;
+    this.flushing = this.write();
+
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Write store through temp file (a crash never leaves a half-written store)
+   */
+  async write() {
+    const tempPath = this.storePath + '.tmp';
+    await fs.promises.writeFile(tempPath, JSON.stringify({ chats: this.chats }, BufferJSON.replacer));
+    await fs.promises.rename(tempPath, this.storePath);
+  }
+
+  /**
+   * Remove messages older than retention
+   * @returns {number} Number of messages removed
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.settings.retention;
+    let removed = 0;
+
+    for (const [jid, buffer] of Object.entries(this.chats)) {
+      const recent = buffer.filter(stored => stored.messageTimestamp >= cutoff);
+      removed += buffer.length - recent.length;
+
+      if (recent.length === 0) {
+        delete this.chats[jid];
+      } else {
+        this.chats[jid] = recent;
+      }
+    }
+
+    if (removed > 0) {
+      this.scheduleFlush();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Object} Stats
+   */
+  getStats() {
+    const buffers = Object.values(this.chats);
+
+    return {
+      chats: buffers.length,
+      messages: buffers.reduce((sum, buffer) => sum + buffer.length, 0)
+    };
+  }
+}
+
+// Export singleton instance
+export const messageStore = new MessageStore();
@@ -7,6 +7,7 @@
 
 import { Logger } from '../utils/Logger.js';
 import { gameService } from '../services/GameService.js';
+import { i18n, LocalizedError } from '../utils/I18n.js';
 
 export class GameBase {
   constructor(gameType, minPlayers = 1, maxPlayers = 2) {
@@ -27,17 +28,17 @@ export class GameBase {
     try {
       // Validate player count
       if (players.length < this.minPlayers) {
-        throw new Error(`Need at least ${this.minPlayers} players`);
+        throw new LocalizedError('games.minPlayers', { min: this.minPlayers });
       }
       if (players.length > this.maxPlayers) {
-        throw new Error(`Maximum ${this.maxPlayers} players allowed`);
+        throw new LocalizedError('games.maxPlayers', { max: this.maxPlayers });
       }
 
       // Check if players are already in a game
       for (const player of players) {
         const currentGame = gameService.getPlayerGame(player);
         if (currentGame) {
-          throw new Error('One or more players are already in a game');
+          throw new LocalizedError('games.playerBusy');
         }
       }
 
@@ -84,7 +85,7 @@ export class GameBase {
   async sendStartMessage(bot, groupId, players, gameId) {
     const playerMentions = players.map(p => `@${p.split('@')[0]}`).join(', ');
     await bot.sendMessage(groupId, {
-      text: `🎮 *${this.gameType.toUpperCase()} STARTED!*\n\nPlayers: ${playerMentions}\n\nGame ID: ${gameId}`,
+      text: i18n.t('games.started', { game: this.gameType.toUpperCase(), players: playerMentions, gameId }, i18n.resolveLocale(groupId)),
       mentions: players
     });
   }
@@ -101,23 +102,23 @@ export class GameBase {
     try {
       const session = gameService.getSession(gameId);
       if (!session) {
-        throw new Error('Game not found');
+        throw new LocalizedError('games.notFound');
       }
 
       // Validate player
       if (!session.players.includes(playerJid)) {
-        throw new Error('Not a player in this game');
+        throw new LocalizedError('games.notPlayer');
       }
 
       // Check if game is active
       if (session.status !== 'active') {
-        throw new Error('Game is not active');
+        throw new LocalizedError('games.notActive');
       }
 
       // Validate move
       const isValid = await this.validateMove(session.state, playerJid, move);
       if (!isValid) {
-        throw new Error('Invalid move');
+        throw new LocalizedError('games.invalidMove');
       }
 
       // Apply move
@@ -188,10 +189,11 @@ export class GameBase {
 
   /**
    * Get game instructions (override in subclass)
+   * @param {string} locale - Locale code
    * @returns {string} Instructions
    */
-  getInstructions() {
-    return `How to play ${this.gameType}`;
+  getInstructions(locale = null) {
+    return i18n.t('games.howToPlay', { game: this.gameType }, locale);
   }
 
   /**
@@ -208,7 +210,7 @@ export class GameBase {
       gameService.endSession(gameId, reason);
 
       await bot.sendMessage(session.groupId, {
-        text: `🎮 Game ended: ${reason}`
+        text: i18n.t('games.ended', { reason }, i18n.resolveLocale(session.groupId))
       });
 
       this.logger.info(`Game ended: ${gameId} (${reason})`);
@@ -222,16 +224,18 @@ export class GameBase {
    * Format result message
    * @param {Object} result - Game result
    * @param {Array} players - Player JIDs
+   * @param {string} locale - Locale code
    * @returns {string} Formatted message
    */
-  formatResultMessage(result, players) {
+  formatResultMessage(result, players, locale = null) {
+    const t = i18n.translator(locale);
+
     if (result.draw) {
-      return `🎮 *GAME OVER - DRAW!*\n\nGood game everyone!`;
+      return t('games.over.draw');
     } else if (result.winner) {
-      const winnerMention = `@${result.winner.split('@')[0]}`;
-      return `🎮 *GAME OVER*\n\n🏆 Winner: ${winnerMention}\n\nCongratulations!`;
+      return t('games.over.winner', { winner: `@${result.winner.split('@')[0]}` });
     } else {
-      return `🎮 *GAME OVER*`;
+      return t('games.over.plain');
     }
   }
 }
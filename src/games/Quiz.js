@@ -6,6 +6,7 @@
  */
 
 import { GameBase } from './GameBase.js';
+import { i18n } from '../utils/I18n.js';
 
 export class Quiz extends GameBase {
   constructor() {
@@ -119,13 +120,7 @@ export class Quiz extends GameBase {
   async sendStartMessage(bot, groupId, players, gameId) {
     const playerMentions = players.map(p => `@${p.split('@')[0]}`).join(', ');
 
-    const message = `🎯 *QUIZ GAME STARTED!*
-
-Players: ${playerMentions}
-Questions: 5
-Time per question: 30 seconds
-
-Get ready! First question coming up...`;
+    const message = i18n.t('games.quiz.started', { players: playerMentions, questions: 5, seconds: 30 }, i18n.resolveLocale(groupId));
 
     await bot.sendMessage(groupId, {
       text: message,
@@ -157,18 +152,18 @@ Get ready! First question coming up...`;
       return;
     }
 
+    const t = i18n.translator(i18n.resolveLocale(groupId));
     const questionNumber = state.currentQuestion + 1;
     const totalQuestions = state.questions.length;
 
-    let message = `❓ *QUESTION ${questionNumber}/${totalQuestions}*\n\n`;
+    let message = t('games.quiz.question', { number: questionNumber, total: totalQuestions });
     message += `${question.question}\n\n`;
     
     question.options.forEach((option, index) => {
       message += `${String.fromCharCode(65 + index)}. ${option}\n`;
     });
 
-    message += `\n⏱️ Time limit: ${state.timeLimit} seconds`;
-    message += `\n\nReply dengan huruf pilihan (A/B/C/D)`;
+    message += t('games.quiz.questionFooter', { seconds: state.timeLimit });
 
     await bot.sendMessage(groupId, { text: message });
 
@@ -264,10 +259,11 @@ Get ready! First question coming up...`;
    * @param {Object} state - Game state
    */
   async showAnswer(bot, groupId, state) {
+    const t = i18n.translator(i18n.resolveLocale(groupId));
     const question = state.questions[state.currentQuestion];
     const correctAnswer = String.fromCharCode(65 + question.correct);
 
-    let message = `✅ *CORRECT ANSWER*\n\n`;
+    let message = t('games.quiz.answer');
     message += `${correctAnswer}. ${question.options[question.correct]}\n\n`;
 
     // Show who answered correctly
@@ -280,9 +276,9 @@ Get ready! First question coming up...`;
     }
 
     if (correctPlayers.length > 0) {
-      message += `🎉 Correct: ${correctPlayers.map(p => `@${p.split('@')[0]}`).join(', ')}`;
+      message += t('games.quiz.correct', { players: correctPlayers.map(p => `@${p.split('@')[0]}`).join(', ') });
     } else {
-      message += `😔 No one got it right!`;
+      message += t('games.quiz.noneCorrect');
     }
 
     await bot.sendMessage(groupId, {
@@ -302,6 +298,7 @@ Get ready! First question coming up...`;
     if (!session) return;
 
     const state = session.state;
+    const t = i18n.translator(i18n.resolveLocale(groupId));
 
     // Sort players by score
     const rankings = Object.entries(state.scores)
@@ -311,7 +308,7 @@ Get ready! First question coming up...`;
         score
       }));
 
-    let message = `🏆 *QUIZ RESULTS*\n\n`;
+    let message = t('games.quiz.results');
     
     rankings.forEach((rank, index) => {
       const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : '🏅';
@@ -319,7 +316,7 @@ Get ready! First question coming up...`;
       message += `${medal} ${player}: ${rank.score}/${state.questions.length}\n`;
     });
 
-    message += `\n🎉 Congratulations to all players!`;
+    message += t('games.quiz.congrats');
 
     await bot.sendMessage(groupId, {
       text: message,
@@ -346,26 +343,11 @@ Get ready! First question coming up...`;
 
   /**
    * Get instructions
+   * @param {string} locale - Locale code
    * @returns {string} Instructions
    */
-  getInstructions() {
-    return `🎯 *QUIZ GAME*
-
-How to play:
-1. Quiz dimainkan bersama-sama di grup
-2. Setiap pertanyaan memiliki 4 pilihan (A, B, C, D)
-3. Reply dengan huruf pilihan Anda
-4. Waktu per pertanyaan: 30 detik
-5. Yang menjawab paling banyak benar menang!
-
-Categories:
-• Geography
-• History
-• Math
-• Technology
-• Science
-
-Start quiz: .quiz`;
+  getInstructions(locale = null) {
+    return i18n.t('games.quiz.instructions', {}, locale);
   }
 
   /**
@@ -6,6 +6,7 @@
  */
 
 import { GameBase } from './GameBase.js';
+import { i18n } from '../utils/I18n.js';
 
 export class TicTacToe extends GameBase {
   constructor() {
@@ -43,22 +44,12 @@ export class TicTacToe extends GameBase {
     const player1 = `@${players[0].split('@')[0]}`;
     const player2 = `@${players[1].split('@')[0]}`;
 
-    const message = `🎮 *TIC TAC TOE STARTED!*
-
-${player1} (❌) vs ${player2} (⭕)
-
-${this.renderBoard({ board: [[' ',' ',' '],[' ',' ',' '],[' ',' ',' ']] })}
-
-${player1} goes first!
-
-How to play: Reply dengan posisi (1-9)
-Example: 5 (untuk center)
-
- 1 │ 2 │ 3
-───┼───┼───
- 4 │ 5 │ 6
-───┼───┼───
- 7 │ 8 │ 9`;
+    const message = i18n.t('games.tictactoe.started', {
+      player1,
+      player2,
+      board: this.renderBoard({ board: [[' ',' ',' '],[' ',' ',' '],[' ',' ',' ']] }),
+      guide: this.renderGuide()
+    }, i18n.resolveLocale(groupId));
 
     await bot.sendMessage(groupId, {
       text: message,
@@ -215,51 +206,50 @@ Example: 5 (untuk center)
   }
 
   /**
-   * Get game instructions
-   * @returns {string} Instructions
+   * Render position guide (1-9)
+   * @returns {string} Guide
    */
-  getInstructions() {
-    return `🎮 *TIC TAC TOE*
-
-How to play:
-1. Game dimainkan oleh 2 pemain
-2. Player 1 menggunakan ❌, Player 2 menggunakan ⭕
-3. Reply dengan nomor posisi (1-9) untuk menaruh simbol
-4. Tujuan: Buat 3 simbol berurutan (horizontal, vertical, atau diagonal)
-5. Jika board penuh tanpa pemenang = DRAW
-
-Position guide:
- 1 │ 2 │ 3
+  renderGuide() {
+    return ` 1 │ 2 │ 3
 ───┼───┼───
  4 │ 5 │ 6
 ───┼───┼───
- 7 │ 8 │ 9
+ 7 │ 8 │ 9`;
+  }
 
-Start game: .tictactoe @player2`;
+  /**
+   * Get game instructions
+   * @param {string} locale - Locale code
+   * @returns {string} Instructions
+   */
+  getInstructions(locale = null) {
+    return i18n.t('games.tictactoe.instructions', { guide: this.renderGuide() }, locale);
   }
 
   /**
    * Format move result message
    * @param {Object} state - Current state
    * @param {Object} result - Move result
+   * @param {string} locale - Locale code
    * @returns {string} Formatted message
    */
-  formatMoveMessage(state, result) {
+  formatMoveMessage(state, result, locale = null) {
+    const t = i18n.translator(locale);
+
     let message = `🎮 *TIC TAC TOE*\n\n`;
     message += this.renderBoard(state);
     message += '\n\n';
 
     if (result.gameOver) {
       if (result.draw) {
-        message += `🤝 *DRAW!*\n\nNo winner this time!`;
+        message += t('games.tictactoe.draw');
       } else {
-        const winner = `@${result.winner.split('@')[0]}`;
-        message += `🏆 *WINNER: ${winner}!*\n\nCongratulations!`;
+        message += t('games.tictactoe.winner', { winner: `@${result.winner.split('@')[0]}` });
       }
     } else {
       const currentPlayer = `@${state.players[state.currentPlayer].split('@')[0]}`;
       const symbol = state.symbols[state.currentPlayer];
-      message += `Turn: ${currentPlayer} (${symbol})`;
+      message += t('games.tictactoe.turn', { player: currentPlayer, symbol });
     }
 
     return message;
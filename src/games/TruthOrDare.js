@@ -6,6 +6,7 @@
  */
 
 import { GameBase } from './GameBase.js';
+import { i18n } from '../utils/I18n.js';
 
 export class TruthOrDare extends GameBase {
   constructor() {
@@ -90,13 +91,7 @@ export class TruthOrDare extends GameBase {
   async sendStartMessage(bot, groupId, players, gameId) {
     const playerMentions = players.map(p => `@${p.split('@')[0]}`).join(', ');
 
-    const message = `🎭 *TRUTH OR DARE STARTED!*
-
-Players: ${playerMentions}
-
-Get ready for some fun! 😈
-
-Game will start in 3 seconds...`;
+    const message = i18n.t('games.tod.started', { players: playerMentions }, i18n.resolveLocale(groupId));
 
     await bot.sendMessage(groupId, {
       text: message,
@@ -123,14 +118,7 @@ Game will start in 3 seconds...`;
     const currentPlayerJid = state.players[state.currentPlayer];
     const playerMention = `@${currentPlayerJid.split('@')[0]}`;
 
-    const message = `🎯 *YOUR TURN!*
-
-${playerMention}, pilih:
-
-🗣️ Truth - Jawab pertanyaan jujur
-😈 Dare - Lakukan tantangan
-
-Reply dengan: truth atau dare`;
+    const message = i18n.t('games.tod.turn', { player: playerMention }, i18n.resolveLocale(groupId));
 
     await bot.sendMessage(groupId, {
       text: message,
@@ -263,16 +251,14 @@ Reply dengan: truth atau dare`;
    * @param {Object} state - Game state
    */
   async endGame(bot, groupId, gameId, state) {
-    let message = `🎭 *TRUTH OR DARE ENDED!*\n\n`;
-    message += `Total rounds: ${state.rounds}\n\n`;
-    message += `Thanks for playing! 🎉\n\n`;
-    message += `Game summary:\n`;
-    
     const truthCount = state.history.filter(h => h.choice === 'truth').length;
     const dareCount = state.history.filter(h => h.choice === 'dare').length;
-    
-    message += `🗣️ Truths: ${truthCount}\n`;
-    message += `😈 Dares: ${dareCount}`;
+
+    const message = i18n.t('games.tod.ended', {
+      rounds: state.rounds,
+      truths: truthCount,
+      dares: dareCount
+    }, i18n.resolveLocale(groupId));
 
     await bot.sendMessage(groupId, { text: message });
 
@@ -281,24 +267,11 @@ Reply dengan: truth atau dare`;
 
   /**
    * Get instructions
+   * @param {string} locale - Locale code
    * @returns {string} Instructions
    */
-  getInstructions() {
-    return `🎭 *TRUTH OR DARE*
-
-How to play:
-1. Game dimainkan secara bergantian
-2. Setiap giliran, pilih Truth atau Dare
-3. Truth: Jawab pertanyaan dengan jujur
-4. Dare: Lakukan tantangan yang diberikan
-5. Game berlanjut sampai semua dapat giliran
-
-Rules:
-• Jawab/lakukan dengan jujur
-• No skip!
-• Have fun! 😄
-
-Start game: .truthordare atau .tod`;
+  getInstructions(locale = null) {
+    return i18n.t('games.tod.instructions', {}, locale);
   }
 
   /**
@@ -12,6 +12,8 @@ import moment from 'moment-timezone';
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { i18n } from '../utils/I18n.js';
+import { scheduleService } from '../services/ScheduleService.js';
 
 export class ConnectionHandler {
   constructor(botCore) {
@@ -39,6 +41,9 @@ export class ConnectionHandler {
       console.log(chalk.green('\n✅ Connection Established!'));
       this.logger.info('WhatsApp connection established successfully');
 
+      // Restore scheduled announcements (after reconnect: post one-offs skipped while offline)
+      scheduleService.start(this.bot);
+
       // Send startup notification to author
       if (this.isFirstConnection) {
         await this.sendStartupNotification();
@@ -106,20 +111,13 @@ export class ConnectionHandler {
       const defenseMode = db.getDefenseMode();
       const currentTime = moment().tz(config.get('system.timezone')).format('DD MMM YYYY - HH:mm:ss [WIB]');
       
-      const message = `╔════════════════════════╗
-║   🚀 ALL-STAR ONLINE   ║
-╠════════════════════════╣
-║ 🤖 System      : ACTIVE
-║ 👑 Author      : ${config.get('bot.author.name')}
-║ 💻 Panel       : ${config.get('panel.name')}
-║ 🛡 Defense     : ${defenseMode}
-║ ⚡ Connection  : Stable
-║ 🕒 Connected   : ${currentTime}
-╚════════════════════════╝
-
-✨ ALL-STAR siap menjaga stabilitas sistem.
-
-Ketik ${config.get('bot.prefix')}menu untuk melihat daftar command.`;
+      const message = this.authorTranslator()('connection.online', {
+        author: config.get('bot.author.name'),
+        panel: config.get('panel.name'),
+        defense: defenseMode,
+        time: currentTime,
+        prefix: config.get('bot.prefix')
+      });
 
       await this.bot.sendMessageToAuthor(message);
       this.logger.info('Startup notification sent to author');
@@ -132,15 +130,7 @@ Ketik ${config.get('bot.prefix')}menu untuk melihat daftar command.`;
     try {
       const currentTime = moment().tz(config.get('system.timezone')).format('DD MMM YYYY - HH:mm:ss [WIB]');
       
-      const message = `🔄 RECONNECTION SUCCESS
-
-Bot berhasil tersambung kembali.
-
-🕒 ${currentTime}
-📶 Status : Online
-⚡ Connection : Stable
-
-Semua sistem berjalan normal.`;
+      const message = this.authorTranslator()('connection.reconnected', { time: currentTime });
 
       await this.bot.sendMessageToAuthor(message);
       this.logger.info('Reconnection notification sent to author');
@@ -153,14 +143,7 @@ Semua sistem berjalan normal.`;
     try {
       const currentTime = moment().tz(config.get('system.timezone')).format('DD MMM YYYY - HH:mm:ss [WIB]');
       
-      const message = `⚠️ CONNECTION LOST
-
-Bot kehilangan koneksi ke WhatsApp.
-
-Status Code: ${statusCode}
-Time: ${currentTime}
-
-🔄 Attempting to reconnect...`;
+      const message = this.authorTranslator()('connection.lost', { code: statusCode, time: currentTime });
 
       await this.bot.sendMessageToAuthor(message);
       this.logger.warn('Reconnection alert sent to author');
@@ -173,14 +156,7 @@ Time: ${currentTime}
     try {
       const currentTime = moment().tz(config.get('system.timezone')).format('DD MMM YYYY - HH:mm:ss [WIB]');
       
-      const alertMessage = `🚨 CRITICAL ALERT
-
-${message}
-
-Time: ${currentTime}
-Status: OFFLINE
-
-Please check the server immediately.`;
+      const alertMessage = this.authorTranslator()('connection.critical', { message, time: currentTime });
 
       await this.bot.sendMessageToAuthor(alertMessage);
       this.logger.critical('Critical alert sent to author');
@@ -189,6 +165,14 @@ Please check the server immediately.`;
     }
   }
 
+  /**
+   * Translator for notifications sent to the author (author's own language)
+   * @returns {Function} Translate function
+   */
+  authorTranslator() {
+    return i18n.translator(i18n.resolveLocale(null, config.get('bot.author.number')));
+  }
+
   getDisconnectReason(statusCode) {
     const reasons = {
       [DisconnectReason.badSession]: 'Bad Session',
@@ -8,7 +8,10 @@
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { i18n } from '../utils/I18n.js';
 import { defenseEngine } from '../modules/DefenseEngine.js';
+import { antiRaid } from '../modules/AntiRaid.js';
+import { commandManager } from '../commands/CommandManager.js';
 import moment from 'moment-timezone';
 
 export class GroupHandler {
@@ -26,16 +29,14 @@ export class GroupHandler {
         return;
       }
 
-      const groupSettings = db.getGroupSettings(groupId);
-
       switch (action) {
         case 'add':
-          await this.handleMemberJoin(groupId, participants, groupSettings);
+          await this.handleMemberJoin(groupId, participants);
           break;
 
         case 'remove':
         case 'leave':
-          await this.handleMemberLeave(groupId, participants, groupSettings);
+          await this.handleMemberLeave(groupId, participants);
           break;
 
         case 'promote':
@@ -52,13 +53,10 @@ export class GroupHandler {
     }
   }
 
-  async handleMemberJoin(groupId, participants, groupSettings) {
+  async handleMemberJoin(groupId, participants) {
     try {
-      // Check if welcome message is enabled
-      if (!groupSettings.welcome) return;
-
-      const metadata = await this.bot.getGroupMetadata(groupId);
-      if (!metadata) return;
+      // Welcome message is optional, defense checks always run
+      const metadata = db.isFeatureEnabled('welcome', groupId) ? await this.bot.getGroupMetadata(groupId) : null;
 
       for (const participant of participants) {
         const number = participant.split('@')[0];
@@ -72,11 +70,17 @@ export class GroupHandler {
           continue;
         }
 
+        // No welcome spam while a raid is being handled
+        if (!metadata || antiRaid.isRaidActive(groupId)) {
+          continue;
+        }
+
         // Send welcome message
         const welcomeMessage = this.generateWelcomeMessage(
           participant,
           metadata.subject,
-          metadata.participants.length
+          metadata.participants.length,
+          groupId
         );
 
         await this.bot.sendMessage(groupId, {
@@ -92,10 +96,10 @@ export class GroupHandler {
     }
   }
 
-  async handleMemberLeave(groupId, participants, groupSettings) {
+  async handleMemberLeave(groupId, participants) {
     try {
       // Check if goodbye message is enabled
-      if (!groupSettings.goodbye) return;
+      if (!db.isFeatureEnabled('goodbye', groupId)) return;
 
       const metadata = await this.bot.getGroupMetadata(groupId);
       if (!metadata) return;
@@ -105,7 +109,8 @@ export class GroupHandler {
 
         const goodbyeMessage = this.generateGoodbyeMessage(
           participant,
-          metadata.participants.length
+          metadata.participants.length,
+          groupId
         );
 
         await this.bot.sendMessage(groupId, {
@@ -159,31 +164,21 @@ export class GroupHandler {
     }
   }
 
-  generateWelcomeMessage(participant, groupName, memberCount) {
+  generateWelcomeMessage(participant, groupName, memberCount, groupId = null) {
     const number = participant.split('@')[0];
-    
-    return `👋 Halo @${number}!
-
-Selamat datang di *${groupName}* 🚀
-Tempat para developer belajar, sharing, dan berkembang bersama.
-
-📌 Jangan lupa:
-• Baca deskripsi grup
-• Saling menghargai sesama member
-• Setelah bergabung harap intro dengan ketik ${config.get('bot.prefix')}intro
-
-Selamat ngoding dan semoga bug menjauh 😆
 
-👥 Jumlah member: ${memberCount}`;
+    return i18n.t('group.welcome', {
+      number,
+      group: groupName,
+      intro: `${commandManager.getPrefixes(groupId)[0]}intro`,
+      count: memberCount
+    }, i18n.resolveLocale(groupId));
   }
 
-  generateGoodbyeMessage(participant, memberCount) {
+  generateGoodbyeMessage(participant, memberCount, groupId = null) {
     const number = participant.split('@')[0];
-    
-    return `📢 Info:
-@${number} telah keluar dari grup, selamat tinggal.
 
-Total member sekarang: ${memberCount}`;
+    return i18n.t('group.goodbye', { number, count: memberCount }, i18n.resolveLocale(groupId));
   }
 
   // Helper: Get active and inactive members
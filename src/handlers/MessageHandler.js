@@ -6,11 +6,19 @@
  */
 
 import { Logger } from '../utils/Logger.js';
-import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { messageStore } from '../database/MessageStore.js';
+import { MessageParser } from '../utils/MessageParser.js';
 import { defenseEngine } from '../modules/DefenseEngine.js';
+import { antiDelete } from '../modules/AntiDelete.js';
+import { triggerService } from '../services/TriggerService.js';
+import { inviteGuard } from '../modules/InviteGuard.js';
+import { i18n } from '../utils/I18n.js';
 import { commandManager } from '../commands/CommandManager.js';
+import { authMiddleware } from '../middleware/AuthMiddleware.js';
+import { cooldownMiddleware } from '../middleware/CooldownMiddleware.js';
 import moment from 'moment-timezone';
+import { proto, normalizeMessageContent } from '@whiskeysockets/baileys';
 
 export class MessageHandler {
   constructor(botCore) {
@@ -51,7 +59,7 @@ export class MessageHandler {
       if (db.isDisabled(sender.split('@')[0])) {
         if (isCommand) {
           await this.bot.sendMessage(from, {
-            text: '❌ Anda telah kena disable oleh author.'
+            text: i18n.t('auth.disabled', {}, messageInfo.locale)
           });
         }
         return;
@@ -64,18 +72,18 @@ export class MessageHandler {
         if (!db.isAuthor(senderNumber)) {
           if (isCommand) {
             await this.bot.sendMessage(from, {
-              text: `🤖 BOT STATUS
-
-Mode   : SELF
-Status : Active
-
-Only the author can use bot commands.`
+              text: i18n.t('auth.selfMode', {}, messageInfo.locale)
             });
           }
           return;
         }
       }
 
+      // Invite links of guarded groups posted in other monitored groups or DMs
+      if (!isGroup || db.isWhitelisted(groupId) || db.isProtected(groupId)) {
+        await inviteGuard.handleMessage(this.bot, messageInfo);
+      }
+
       // Check whitelist for groups
       if (isGroup) {
         if (!db.isWhitelisted(groupId) && !db.isProtected(groupId)) {
@@ -86,7 +94,7 @@ Only the author can use bot commands.`
         // Check if sender is muted
         const senderNumber = sender.split('@')[0];
         if (db.isMuted(senderNumber)) {
-          await this.bot.deleteMessage(from, msg.key);
+          await this.bot.deleteMessage(from, messageInfo.messageKey);
           this.logger.security('Deleted message from muted user', sender, 'Muted', 'SYSTEM');
           return;
         }
@@ -100,12 +108,20 @@ Only the author can use bot commands.`
         }
       }
 
+      // Edits are only re-checked by defense, never executed as commands
+      if (messageInfo.isEdit) return;
+
       // Handle commands
       if (isCommand) {
         await this.handleCommand(msg, messageInfo);
         return;
       }
 
+      // Keyword triggers (auto replies set by group admins), game moves still go through
+      if (isGroup) {
+        await triggerService.handleMessage(this.bot, msg, messageInfo);
+      }
+
       // Check if user is in an active game (only in groups)
       if (isGroup && global.gameService) {
         const activeGame = global.gameService.getPlayerGame(sender);
@@ -120,6 +136,22 @@ Only the author can use bot commands.`
     }
   }
 
+  /**
+   * Handle message updates (revokes, edits, status)
+   * @param {Array} updates - Message updates
+   */
+  async handleMessageUpdates(updates) {
+    for (const update of updates) {
+      try {
+        if (antiDelete.isRevoke(update)) {
+          await antiDelete.handleRevoke(this.bot, update);
+        }
+      } catch (error) {
+        this.logger.error('Error handling message update:', error);
+      }
+    }
+  }
+
   extractMessageInfo(msg) {
     try {
       const from = msg.key.remoteJid;
@@ -127,51 +159,57 @@ Only the author can use bot commands.`
       const isGroup = from.endsWith('@g.us');
       const groupId = isGroup ? from : null;
 
-      // Extract message content
-      const messageType = Object.keys(msg.message || {})[0];
-      let messageContent = '';
-
-      if (messageType === 'conversation') {
-        messageContent = msg.message.conversation;
-      } else if (messageType === 'extendedTextMessage') {
-        messageContent = msg.message.extendedTextMessage.text;
-      } else if (messageType === 'imageMessage') {
-        messageContent = msg.message.imageMessage.caption || '';
-      } else if (messageType === 'videoMessage') {
-        messageContent = msg.message.videoMessage.caption || '';
-      }
+      // Edits carry the new content inside a protocol message
+      const edit = this.extractEdit(msg, from, sender);
+
+      // Normalize content (unwraps ephemeral/view-once containers)
+      const parsed = MessageParser.parse(edit ? edit.message : msg.message);
+      const messageType = parsed.type;
+      const messageContent = parsed.text;
 
-      // Check if message is a command
-      const prefix = config.get('bot.prefix');
-      const altPrefix = config.get('bot.alternativePrefix');
-      const isCommand = messageContent.startsWith(prefix) || messageContent.startsWith(altPrefix);
+      // Check if message is a command (groups may use their own prefixes)
+      const prefixes = commandManager.getPrefixes(groupId);
+      const usedPrefix = prefixes.find(candidate => messageContent.startsWith(candidate));
+      const isCommand = !!usedPrefix;
 
       let command = '';
       let args = [];
 
       if (isCommand) {
-        const usedPrefix = messageContent.startsWith(prefix) ? prefix : altPrefix;
         const withoutPrefix = messageContent.slice(usedPrefix.length).trim();
         const split = withoutPrefix.split(/\s+/);
         command = split[0].toLowerCase();
         args = split.slice(1);
       }
 
+      const contextInfo = parsed.contextInfo;
+
       // Get quoted message
-      const quoted = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage || null;
+      const quoted = this.extractQuoted(contextInfo, from);
+
+      // Get mentioned users
+      const mentions = contextInfo?.mentionedJid || [];
 
       return {
         from,
         sender,
         messageType,
         messageContent,
+        message: parsed.content,
+        media: parsed.media,
+        isViewOnce: parsed.isViewOnce,
+        isEphemeral: parsed.isEphemeral,
         isGroup,
         groupId,
         isCommand,
+        prefix: usedPrefix || prefixes[0],
+        locale: i18n.resolveLocale(groupId, sender),
         command,
         args,
         quoted,
-        messageKey: msg.key,
+        mentions,
+        isEdit: !!edit,
+        messageKey: edit ? edit.key : msg.key,
         pushName: msg.pushName || 'User'
       };
 
@@ -181,6 +219,60 @@ Only the author can use bot commands.`
     }
   }
 
+  /**
+   * Extract edited content from message edit
+   * @param {Object} msg - Message object
+   * @param {string} from - Chat JID
+   * @param {string} sender - Sender JID
+   * @returns {Object|null} Edit { key, message } with key of the edited message
+   */
+  extractEdit(msg, from, sender) {
+    const protocolMessage = normalizeMessageContent(msg.message)?.protocolMessage;
+
+    if (protocolMessage?.type !== proto.Message.ProtocolMessage.Type.MESSAGE_EDIT || !protocolMessage.editedMessage) {
+      return null;
+    }
+
+    return {
+      key: {
+        remoteJid: from,
+        fromMe: msg.key.fromMe,
+        id: protocolMessage.key.id,
+        participant: from.endsWith('@g.us') ? sender : undefined
+      },
+      message: protocolMessage.editedMessage
+    };
+  }
+
+  /**
+   * Extract quoted message from context info
+   * @param {Object} contextInfo - Context info of the message
+   * @param {string} from - Chat JID
+   * @returns {Object|null} Quoted { id, participant, type, message, text, media }
+   */
+  extractQuoted(contextInfo, from) {
+    if (!contextInfo?.stanzaId) {
+      return null;
+    }
+
+    // Fall back to store when WhatsApp strips the quoted content
+    let message = contextInfo.quotedMessage || null;
+    if (!message) {
+      message = messageStore.loadMessage(from, contextInfo.stanzaId)?.message || null;
+    }
+
+    const parsed = MessageParser.parse(message);
+
+    return {
+      id: contextInfo.stanzaId,
+      participant: contextInfo.participant || from,
+      type: parsed.type,
+      message: parsed.content,
+      text: parsed.text,
+      media: parsed.media
+    };
+  }
+
   async runDefenseModules(msg, messageInfo) {
     try {
       // Run defense engine check
@@ -204,8 +296,8 @@ Only the author can use bot commands.`
 
     try {
       // Check if command exists
-      if (!commandManager.has(command)) {
-        // Command not found, ignore silently
+      if (!commandManager.has(command, messageInfo.groupId)) {
+        await this.suggestCommand(messageInfo);
         return;
       }
 
@@ -226,11 +318,49 @@ Only the author can use bot commands.`
       this.logger.error(`Error executing command ${command}:`, error);
       
       await this.bot.sendMessage(from, {
-        text: '❌ Terjadi error saat menjalankan command.'
+        text: i18n.t('common.commandError', {}, messageInfo.locale)
       });
     }
   }
 
+  /**
+   * Reply to unknown command with closest matches ("did you mean")
+   * @param {Object} messageInfo - Message information
+   */
+  async suggestCommand(messageInfo) {
+    const { from, sender, isGroup, command, prefix, locale } = messageInfo;
+    const senderNumber = sender.split('@')[0];
+
+    try {
+      if (isGroup && db.getGroupSettings(from).suggestions === false) {
+        return;
+      }
+
+      // Users who can't run commands don't get hints either
+      if (db.isDisabled(senderNumber) || db.isBlacklisted(senderNumber) || !authMiddleware.hasAccessInSelfMode(sender)) {
+        return;
+      }
+
+      const role = authMiddleware.getRole(senderNumber);
+      const suggestions = commandManager.suggest(command, role, isGroup ? from : null);
+
+      if (suggestions.length === 0 || !cooldownMiddleware.checkSuggestionLimit(sender, from)) {
+        return;
+      }
+
+      const text = i18n.t('command.suggestion', {
+        command: `${prefix}${command}`,
+        suggestions: suggestions.map(name => `• ${prefix}${name}`).join('\n'),
+        help: `${prefix}help <command>`
+      }, locale);
+
+      await this.bot.sendMessage(from, { text });
+
+    } catch (error) {
+      this.logger.error('Error suggesting command:', error);
+    }
+  }
+
   // Helper method to check if user is admin in group
   async isAdmin(groupJid, userJid) {
     try {
@@ -291,7 +421,7 @@ Only the author can use bot commands.`
       if (type === 'TicTacToe' && game.formatMoveMessage) {
         const session = global.gameService.getSession(gameId);
         if (session) {
-          const moveMessage = game.formatMoveMessage(session.state, result);
+          const moveMessage = game.formatMoveMessage(session.state, result, messageInfo.locale);
           await this.bot.sendMessage(from, {
             text: moveMessage,
             mentions: session.state.players
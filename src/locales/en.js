@@ -0,0 +1,576 @@
+/**
+ * ALL-STAR BOT v2.0 - English Messages
+ * Message catalog (en), keys are shared with id.js
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+export const en = {
+  // Authentication
+  auth: {
+    disabled: '❌ You have been disabled by the author.',
+    blacklisted: '🚫 You are blacklisted and cannot use the bot.',
+    selfMode: '🤖 BOT STATUS\n\nMode   : SELF\nStatus : Active\n\nOnly the author can use bot commands.',
+    error: '❌ An error occurred while checking permissions.',
+    authorOnly: '👑 This command is for the Author only.',
+    ownerOnly: '🔧 This command is for Owners and the Author only.',
+    denied: {
+      author: '👑 *PERMISSION DENIED*\n\nCommand: {command}\nRequired: Author\nYour role: {role}\n\nThis command is restricted to the bot author only.',
+      owner: '🔧 *PERMISSION DENIED*\n\nCommand: {command}\nRequired: Owner/Author\nYour role: {role}\n\nThis command requires Owner or Author permission.\n\nContact admin to get access.',
+      disabled: '❌ *ACCESS DENIED*\n\nYour account has been disabled by the author.\n\nContact: @{author}',
+      blacklisted: '🚫 *BLACKLISTED*\n\nYour number is blacklisted and cannot use this bot.\n\nContact admin for more information.',
+      selfMode: '🤖 *BOT STATUS*\n\nMode   : SELF\nStatus : Active\n\nThe bot is currently in SELF mode.\nOnly the author can execute commands.'
+    }
+  },
+
+  // Shared words and snippets
+  common: {
+    usage: '*Usage:*',
+    on: 'ON',
+    off: 'OFF',
+    yes: 'Yes',
+    no: 'No',
+    none: 'None',
+    error: '❌ An error occurred: {error}',
+    commandError: '❌ An error occurred while running the command.',
+    groupOnly: '❌ This command can only be used in groups.',
+    botNotAdmin: '❌ The bot must be an admin to do this.',
+    unknown: 'Unknown'
+  },
+
+  // Cooldown & rate limit
+  cooldown: {
+    active: '⏳ *COOLDOWN ACTIVE*\n\nCommand: {command}\nRemaining: {time}\n\nPlease wait before using this command again.',
+    minutesSeconds: '{minutes} min {seconds} sec',
+    seconds: '{seconds} sec',
+    rateLimit: '⏳ *RATE LIMIT*\n\nYou are sending commands too fast.\nWait 1 minute before trying again.'
+  },
+
+  // Command validation
+  validation: {
+    title: '❌ *VALIDATION ERROR*',
+    errors: '*Errors:*',
+    command: 'Command: {command}',
+    min: 'Command requires at least {min} argument(s).',
+    max: 'Command accepts at most {max} argument(s).',
+    groupOnly: 'This command can only be used in groups.',
+    requiresQuoted: 'This command requires replying to a message.',
+    error: '❌ An error occurred while validating the command.'
+  },
+
+  // Typed arguments
+  args: {
+    unknownFlag: 'Unknown flag: {flag}',
+    userRequired: 'Mention a user or reply to their message.',
+    required: 'Argument {label} is required.',
+    unknown: 'Unknown argument: {args}',
+    invalidUser: '{label}: mention a user or enter a valid number.',
+    invalidDuration: '{label}: invalid time format. Example: 10m, 1h, 1d',
+    notNumber: '{label} must be a number.',
+    min: '{label} must be at least {min}.',
+    max: '{label} must be at most {max}.',
+    enum: '{label} must be one of: {values}'
+  },
+
+  // Command pipeline
+  command: {
+    featureDisabled: '❌ The *{feature}* feature is disabled.',
+    featureDisabledGroup: '❌ The *{feature}* feature is disabled in this group.',
+    error: '❌ *ERROR*\n\nAn error occurred while running the command.\n\nError: {error}',
+    notFound: 'Command {command} not found.',
+    aliasTaken: '{alias} is already used by another command.',
+    suggestion: '❓ Command *{command}* not found.\n\nDid you mean:\n{suggestions}\n\nType {help} for details.'
+  },
+
+  // Group events
+  group: {
+    welcome: '👋 Hi @{number}!\n\nWelcome to *{group}* 🚀\nA place for developers to learn, share and grow together.\n\n📌 Don\'t forget:\n• Read the group description\n• Respect other members\n• Introduce yourself by typing {intro}\n\nHappy coding, may the bugs stay away 😆\n\n👥 Members: {count}',
+    goodbye: '📢 Info:\n@{number} has left the group, goodbye.\n\nMembers now: {count}'
+  },
+
+  // Sanctions (defense violations)
+  sanction: {
+    defaultTitle: '{module} VIOLATION',
+    header: '⚠️ *{title}*\n\nUser: @{number}\nReason: {reason}\nStrike: {strikes}\n',
+    actions: {
+      warn: 'Action: Warning\n\nNext violation: {next}',
+      mute: 'Action: Muted {duration} minutes',
+      kick: 'Action: Kicked from group',
+      blacklist: 'Action: Kicked and blacklisted'
+    },
+    emptyLadder: 'Ladder cannot be empty.',
+    invalidAction: 'Invalid action: {action}. Use: {actions}',
+    invalidDuration: 'Invalid mute duration: {duration}'
+  },
+
+  // Defense modules
+  defense: {
+    blacklistKick: '🚫 User @{number} was kicked for being blacklisted.',
+    antiLink: {
+      title: 'ANTI-LINK VIOLATION',
+      reason: 'Link detected ({count})'
+    },
+    antiToxic: {
+      title: 'ANTI-TOXIC VIOLATION',
+      reason: 'Toxic language ({severity})'
+    },
+    antiSpam: {
+      title: 'ANTI-SPAM VIOLATION',
+      types: {
+        rapid_fire: 'Rapid Fire Messages',
+        duplicate: 'Duplicate Messages',
+        character_flood: 'Character Flooding',
+        none: 'Unknown',
+        default: 'Spam'
+      }
+    },
+    antiVirtex: {
+      title: 'ANTI-VIRTEX VIOLATION',
+      types: {
+        excessive_length: 'Message Too Long',
+        repeated_characters: 'Repeated Characters',
+        emoji_flood: 'Emoji Flooding',
+        invisible_characters: 'Invisible Characters',
+        virtex_pattern: 'Virtex Pattern',
+        none: 'Unknown',
+        default: 'Virtex Detected'
+      }
+    },
+    mentionFlood: {
+      title: 'MENTION-FLOOD VIOLATION',
+      reason: '{type} ({count} mentions)',
+      types: {
+        hidetag: 'Hidden Tag Spam',
+        mass_tag: 'Mass Tagging',
+        mention_spam: 'Repeated Mentions',
+        default: 'Mention Flood'
+      }
+    },
+    geoRestriction: {
+      title: 'GEO-RESTRICTION VIOLATION',
+      reason: 'Foreign number ({country})'
+    },
+    antiRaid: {
+      detected: '🚨 *RAID DETECTED*\n\nType: {type}\nJoins: {joins} in {window} seconds\nForeign: {foreign}\n',
+      kicked: 'Kicked: {kicked}\n',
+      lockdown: '\nThe group was switched to LOCKDOWN mode.\nIt returns to normal after {minutes} minutes without new joins.',
+      alert: '🚨 *RAID ALERT*\n\nGroup: {group}\nType: {type}\nJoins: {joins}\nForeign: {foreign}\nKicked: {kicked}\nPrevious Mode: {previousMode}\n\nGroup switched to LOCKDOWN.',
+      ended: '✅ *RAID ENDED*\n\nNo new joins for {minutes} minutes.\nDefense mode restored to {mode}.',
+      endedAlert: '✅ *RAID ENDED*\n\nGroup: {group}\nDefense mode restored to {mode}.',
+      types: {
+        join_burst: 'Mass Join',
+        foreign_burst: 'Foreign Number Burst',
+        raid_ongoing: 'Ongoing Raid',
+        default: 'Raid'
+      }
+    }
+  },
+
+  // Anti-delete
+  antiDelete: {
+    status: '🗑️ *ANTI-DELETE*\n\nCurrent: {mode}\nMod Log: {modLog}\n\nModes:\n• OFF - Disabled\n• GROUP - Re-post in group\n• PRIVATE - Send to mod log / owners\n\nUsage: {prefix}antidelete <off|group|private>',
+    updated: '✅ *ANTI-DELETE UPDATED*\n\nMode: {mode}',
+    invalidMode: 'Invalid anti-delete mode: {mode}. Use: {modes}',
+    title: '🗑️ *ANTI-DELETE*\n\n',
+    user: 'User: @{number}\n',
+    group: 'Group: {group}\n',
+    times: 'Sent: {sent}\nDeleted: {deleted}',
+    message: '\n\nMessage:\n{text}'
+  },
+
+  // Menu
+  menu: {
+    header: '╔══════════════════════════╗\n║        👑 ALL-STAR        ║\n╠══════════════════════════╣\n║ 👑 Author      : {author}\n║ 💬 Bot Mode    : {mode}\n║ 🛡 Defense     : {defense}\n║ 📦 Version     : v{version}\n║ ⚡ Status      : Online\n║ ⏳ Uptime      : {uptime}\n╠══════════════════════════╣\n║ 📖 Description :\n║ ALL-STAR is a smart\n║ security & moderation system\n║ built to keep groups\n║ stable and orderly.\n╚══════════════════════════╝\n\n',
+    footer: 'Type {help} for details.\n\n',
+    categories: {
+      general: 'General',
+      ai: 'AI',
+      fun: 'Fun',
+      game: 'Games',
+      download: 'Download',
+      group: 'Group',
+      moderation: 'Moderation',
+      defense: 'Defense',
+      users: 'Users',
+      broadcast: 'Broadcast',
+      system: 'System'
+    }
+  },
+
+  // Games
+  games: {
+    groupOnly: '❌ Games can only be played in groups.',
+    list: '🎮 *AVAILABLE GAMES*\n\n1. Tic Tac Toe\n   {prefix}tictactoe @user\n\n2. Truth or Dare\n   {prefix}tod\n\n3. Quiz\n   {prefix}quiz\n\n4. Trivia\n   {prefix}trivia\n\nPick a game and play with your friends! 🎲',
+    minPlayers: 'Need at least {min} players.',
+    maxPlayers: 'Maximum {max} players allowed.',
+    playerBusy: 'One or more players are already in a game.',
+    notFound: 'Game not found.',
+    notPlayer: 'You are not a player in this game.',
+    notActive: 'Game is not active.',
+    invalidMove: 'Invalid move.',
+    started: '🎮 *{game} STARTED!*\n\nPlayers: {players}\n\nGame ID: {gameId}',
+    ended: '🎮 Game ended: {reason}',
+    howToPlay: 'How to play {game}',
+    over: {
+      draw: '🎮 *GAME OVER - DRAW!*\n\nGood game everyone!',
+      winner: '🎮 *GAME OVER*\n\n🏆 Winner: {winner}\n\nCongratulations!',
+      plain: '🎮 *GAME OVER*'
+    },
+    tictactoe: {
+      usage: '❌ *TIC TAC TOE*\n\nUsage: {prefix}tictactoe @player2\n\nOr reply to a message from player 2',
+      started: '🎮 *TIC TAC TOE STARTED!*\n\n{player1} (❌) vs {player2} (⭕)\n\n{board}\n\n{player1} goes first!\n\nHow to play: reply with a position (1-9)\nExample: 5 (for center)\n\n{guide}',
+      instructions: '🎮 *TIC TAC TOE*\n\nHow to play:\n1. The game is played by 2 players\n2. Player 1 uses ❌, Player 2 uses ⭕\n3. Reply with a position number (1-9) to place your symbol\n4. Goal: get 3 symbols in a row (horizontal, vertical, or diagonal)\n5. A full board without a winner = DRAW\n\nPosition guide:\n{guide}\n\nStart game: .tictactoe @player2',
+      draw: '🤝 *DRAW!*\n\nNo winner this time!',
+      winner: '🏆 *WINNER: {winner}!*\n\nCongratulations!',
+      turn: 'Turn: {player} ({symbol})'
+    },
+    quiz: {
+      started: '🎯 *QUIZ GAME STARTED!*\n\nPlayers: {players}\nQuestions: {questions}\nTime per question: {seconds} seconds\n\nGet ready! First question coming up...',
+      question: '❓ *QUESTION {number}/{total}*\n\n',
+      questionFooter: '\n⏱️ Time limit: {seconds} seconds\n\nReply with the letter of your choice (A/B/C/D)',
+      answer: '✅ *CORRECT ANSWER*\n\n',
+      correct: '🎉 Correct: {players}',
+      noneCorrect: '😔 No one got it right!',
+      results: '🏆 *QUIZ RESULTS*\n\n',
+      congrats: '\n🎉 Congratulations to all players!',
+      instructions: '🎯 *QUIZ GAME*\n\nHow to play:\n1. The quiz is played together in the group\n2. Every question has 4 options (A, B, C, D)\n3. Reply with the letter of your choice\n4. Time per question: 30 seconds\n5. Most correct answers wins!\n\nCategories:\n• Geography\n• History\n• Math\n• Technology\n• Science\n\nStart quiz: .quiz'
+    },
+    tod: {
+      usage: '❌ *TRUTH OR DARE*\n\nAt least 2 players!\n\nUsage: {prefix}truthordare @player2 @player3 ...',
+      started: '🎭 *TRUTH OR DARE STARTED!*\n\nPlayers: {players}\n\nGet ready for some fun! 😈\n\nGame will start in 3 seconds...',
+      turn: '🎯 *YOUR TURN!*\n\n{player}, choose:\n\n🗣️ Truth - Answer a question honestly\n😈 Dare - Take on a challenge\n\nReply with: truth or dare',
+      ended: '🎭 *TRUTH OR DARE ENDED!*\n\nTotal rounds: {rounds}\n\nThanks for playing! 🎉\n\nGame summary:\n🗣️ Truths: {truths}\n😈 Dares: {dares}',
+      instructions: '🎭 *TRUTH OR DARE*\n\nHow to play:\n1. Players take turns\n2. On your turn, choose Truth or Dare\n3. Truth: answer the question honestly\n4. Dare: do the given challenge\n5. The game goes on until everyone has had a turn\n\nRules:\n• Answer/do it honestly\n• No skipping!\n• Have fun! 😄\n\nStart game: .truthordare or .tod'
+    }
+  },
+
+  // Triggers
+  triggers: {
+    invalidKeyword: '❌ Keyword must be 1-{max} characters.\n\nUsage:\n{usage}',
+    added: '✅ *TRIGGER ADDED*\n\nID: #{id}\nKeyword: {keyword}\nMatch: {match}\nReply: {type}\nCooldown: {cooldown} seconds',
+    removed: '✅ Trigger #{id} ({keyword}) removed.',
+    notFound: '❌ Trigger {trigger} not found.',
+    title: '💬 *KEYWORD TRIGGERS*\n\n',
+    empty: 'No triggers in this group yet.\n\n',
+    footer: 'Add: {prefix}addtrigger <keyword> | <reply>\nDelete: {prefix}deltrigger <id>',
+    invalidMatch: 'Match must be: {types}',
+    invalidType: 'Reply type must be: {types}',
+    emptyReply: 'Reply cannot be empty.',
+    noMedia: 'Reply media not found.',
+    limit: 'A group can have at most {max} triggers.',
+    duplicate: 'Trigger "{keyword}" already exists (#{id}).',
+    invalidRegex: 'Invalid regex: {error}',
+    unsafeRegex: 'Regex rejected: repeated groups like (a+)+, (a|aa)+ or (a?)+ and backreferences can freeze the bot.',
+    regexOwnerOnly: '❌ Only the bot owner can add regex triggers.'
+  },
+
+  // Media
+  media: {
+    none: 'The message has no media.',
+    tooLarge: 'Media must be at most {max}.'
+  },
+
+  // Language
+  lang: {
+    current: '🌐 *LANGUAGE*\n\nActive language: *{locale}*\n',
+    user: 'Personal language: {locale}\n',
+    group: 'Group language: {locale}\n',
+    options: '\nOptions: {locales}\n\nChange: {prefix}lang <language>\nPersonal: {prefix}lang <language> --me\nReset: {prefix}lang reset',
+    adminOnly: '❌ Only owners or group admins can change the group language.\n\nFor your personal language: {command}',
+    userSet: '✅ Personal language changed to *{locale}*.',
+    userSetReset: '✅ Personal language reset. Active language: *{locale}*.',
+    groupSet: '✅ Group language changed to *{locale}*.',
+    groupSetReset: '✅ Group language reset. Active language: *{locale}*.',
+    unsupported: 'Language "{locale}" is not supported. Options: {locales}'
+  },
+
+  // General commands
+  help: {
+    notFound: '❌ Command *{command}* not found.\n\nType {menu} to see the command list.',
+    title: '📖 *HELP: {command}*\n\n',
+    category: 'Category: {category}\n',
+    role: 'Role: {role}\n',
+    aliases: 'Aliases: {aliases}\n',
+    cooldown: 'Cooldown: {seconds} seconds\n',
+    groupOnly: 'Group only: Yes\n',
+    disabled: 'Status: ❌ Feature is disabled\n',
+    examples: '*Examples:*',
+    flags: '*Flags:*',
+    roles: {
+      author: 'Author',
+      owner: 'Owner/Author',
+      user: 'All users'
+    }
+  },
+  ping: {
+    pinging: '🏓 Pinging...',
+    pong: '🏓 *PONG!*\n\nLatency: {latency}ms\nStatus: {status}',
+    excellent: '🟢 Excellent',
+    good: '🟡 Good',
+    slow: '🔴 Slow'
+  },
+  intro: {
+    template: '╔══════════════════════╗\n       『  INTRO 』\n╚══════════════════════╝\n\n➤ Full Name :\n➤ Nickname :\n➤ Age :\n➤ City :\n➤ Hobbies :\n➤ Reason for Joining :\n\nPlease fill in the format above to introduce yourself! 😊'
+  },
+  ai: {
+    empty: 'Question cannot be empty.',
+    tooLong: 'Question is too long. Maximum {max} characters.',
+    disabled: '❌ The AI feature is currently disabled.',
+    usage: '❌ *AI COMMAND*\n\nUsage: {prefix}ai <question>\n\nExample: {prefix}ai What is programming?',
+    thinking: '🤖 AI is thinking...',
+    error: '❌ An error occurred while processing the question.',
+    rateLimit: '⏳ Rate limit reached. Please wait a moment.',
+    notConfigured: '❌ The AI service is not configured correctly.'
+  },
+  quotes: {
+    loading: '📖 Fetching quote...',
+    quote: '📖 *QUOTE OF THE DAY*\n\n"{text}"\n\n— {author}',
+    failed: '❌ Failed to fetch a quote. Try again later.'
+  },
+  download: {
+    invalidUrl: 'Invalid URL. Please enter a valid URL.',
+    invalidTiktokUrl: 'Invalid URL. Please enter a valid TikTok URL.',
+    musicUsage: '❌ *DOWNLOAD MUSIC*\n\nUsage: {prefix}download-music <url>\n\nSupported: YouTube, Spotify, SoundCloud',
+    musicLoading: '🎵 Downloading music...\n\nPlease wait, this may take a moment.',
+    musicFailed: '❌ Failed to download music. Make sure the URL is valid.',
+    tiktokUsage: '❌ *DOWNLOAD TIKTOK*\n\nUsage: {prefix}download-tiktok <url>\n\nDownload TikTok videos without watermark.',
+    tiktokLoading: '📹 Downloading TikTok video...\n\nPlease wait.',
+    tiktokFailed: '❌ Failed to download the video. Make sure the TikTok URL is valid.'
+  },
+  brat: {
+    tooLong: 'Text is too long. Maximum {max} characters.',
+    loading: '🎨 Creating sticker...',
+    failed: '❌ Failed to create sticker.'
+  },
+  sticker: {
+    usage: '❌ *STICKER*\n\nSend or reply to an image/video with caption {prefix}sticker\n\nOptions: --crop (square crop), --circle (round)',
+    videoTooLong: '❌ Video must be at most {max} seconds.',
+    loading: '🎨 Creating sticker...',
+    failed: '❌ Failed to create sticker.',
+    toimgUsage: '❌ Reply to a sticker with {prefix}toimg',
+    toimgFailed: '❌ Failed to convert sticker.'
+  },
+  info: {
+    text: 'ℹ️ *ALL-STAR BOT INFO*\n\nVersion: {version}\nAuthor: {author}\nCreated by: @Liand_fullstackdev\n\nALL-STAR is an enterprise-grade WhatsApp bot for group security and moderation.\n\nFeatures:\n• 3-Level Defense System\n• AI Integration (Claude)\n• Auto Moderation\n• Real-time Monitoring\n• Advanced Security\n\nType {prefix}menu for the command list.'
+  },
+
+  // Moderation commands
+  moderation: {
+    protected: '❌ Cannot {action} Author/Owner.',
+    muted: '🔇 *USER MUTED*\n\nUser: @{number}\nDuration: {duration} minutes\n\nThe user cannot send messages.',
+    notMuted: '❌ User is not muted.',
+    unmuted: '🔊 *USER UNMUTED*\n\nUser: @{number}\n\nThe user can send messages again.',
+    warnTitle: 'MODERATOR WARNING',
+    noWarnings: '❌ User has no warnings.',
+    unwarned: '✅ *WARNING REMOVED*\n\nUser: @{number}\nWarnings: {count}/{max}\n\nOne warning has been removed.',
+    warnReset: '✅ *WARNINGS RESET*\n\nUser: @{number}\n\nAll warnings in this group have been cleared.',
+    kicked: '🚫 *USER KICKED*\n\nUser: @{number}\n\nThe user has been removed from the group.',
+    promoted: '👑 *USER PROMOTED*\n\nUser: @{number}\n\nThe user is now a group admin.',
+    demoted: '👤 *USER DEMOTED*\n\nUser: @{number}\n\nThe user is now a regular member.',
+    blacklisted: '🚫 *USER BLACKLISTED*\n\nUser: @{number}\n\nThe user cannot join protected groups.',
+    notBlacklisted: '❌ User is not blacklisted.',
+    unblacklisted: '✅ *USER UNBLACKLISTED*\n\nUser: @{number}\n\nThe user can join groups again.',
+    history: {
+      header: '📋 *WARNING HISTORY*\n\nUser: @{number}\nActive: {active}/{max}\nTotal: {total}\n\n',
+      empty: 'No warnings in this group.',
+      by: '   By: {issuer} • {date}\n',
+      evidence: '   Evidence: "{text}"\n',
+      expired: '⌛ Expired',
+      expires: 'Expires: {date}',
+      permanent: 'Permanent'
+    }
+  },
+  groupInfo: {
+    text: '📊 *GROUP INFORMATION*\n\nName: {name}\nID: {groupId}\nCreated: {created}\n\n👥 Members: {total}\n   • Admins: {admins}\n   • Members: {members}\n\n🛡️ Protection: {protection}\n📢 Share Target: {shareTarget}\n🔒 Defense Mode: {defenseMode}\n\nDescription:\n{description}',
+    active: '✅ Active',
+    inactive: '❌ Inactive',
+    noDescription: 'No description'
+  },
+  ladder: {
+    setUsage: '❌ Usage: {prefix}ladder set <step> <step> ...\n\nExample:\n{prefix}ladder set warn warn mute:30m kick blacklist',
+    updated: '✅ *SANCTION LADDER UPDATED*\n\n{ladder}',
+    reset: '✅ *SANCTION LADDER RESET*\n\n{ladder}',
+    title: '⚖️ *SANCTION LADDER*\n\n',
+    footer: '\nCustom: {custom}\nDefense Mode: {mode}\n\nUsage:\n{prefix}ladder set warn warn mute:30m kick blacklist\n{prefix}ladder reset',
+    notCustom: 'No (default)'
+  },
+  suggestions: {
+    status: '❓ *COMMAND SUGGESTIONS*\n\nStatus: {state}\n\nThe bot replies to mistyped commands with the closest matching commands.\n\nUsage: {prefix}suggestions <on|off>',
+    enabled: '✅ Command suggestions enabled in this group.',
+    disabled: '✅ Command suggestions disabled in this group.'
+  },
+  prefix: {
+    invalid: 'Invalid prefix: {prefixes}. Use 1-3 symbols (e.g. ! # $).',
+    status: '🔤 *GROUP PREFIX*\n\nPrefix: {prefixes}\nSource: {source}\n\nUsage:\n{usage}',
+    sourceGroup: 'Group',
+    sourceGlobal: 'Global',
+    updated: '✅ *PREFIX UPDATED*\n\nPrefix: {prefixes}\n\nExample: {example}'
+  },
+  alias: {
+    missingTarget: 'Enter an alias and the target command.',
+    missingAlias: 'Enter the alias to remove.',
+    invalid: 'Aliases may only contain letters, numbers and "-" (max {max} characters).',
+    limit: '❌ A group can have at most {max} aliases.',
+    added: '✅ *ALIAS ADDED*\n\n{alias} → {command}',
+    removed: '✅ Alias {alias} removed.',
+    notFound: '❌ Alias {alias} not found.',
+    title: '🔗 *GROUP ALIASES*\n\n',
+    empty: 'No aliases in this group yet.\n\n'
+  },
+  toggle: {
+    titleGlobal: '⚙️ *FEATURES (GLOBAL)*\n\n',
+    titleGroup: '⚙️ *FEATURES (GROUP)*\n\n',
+    unknown: '❌ Unknown feature: {feature}\n\nFeatures: {features}',
+    authorOnly: '❌ Only the author can change global defaults. Use this command in a group.',
+    enabledGlobal: '✅ {features} enabled globally.',
+    enabledGroup: '✅ {features} enabled in this group.',
+    disabledGlobal: '✅ {features} disabled globally.',
+    disabledGroup: '✅ {features} disabled in this group.'
+  },
+
+  // Author commands
+  system: {
+    monitorUnavailable: '❌ System monitor not available.',
+    infoError: '❌ Error getting system info.',
+    selfMode: '🔒 *BOT MODE CHANGED*\n\nMode: SELF\nStatus: Active\n\nOnly the author can use bot commands now.\n\nUse {prefix}public to revert.',
+    publicMode: '🌍 *BOT MODE CHANGED*\n\nMode: PUBLIC\nStatus: Active\n\nThe bot is now available for all users.',
+    restarting: '🔄 Restarting bot...\n\nPlease wait.',
+    reloading: '♻️ Reloading plugins...',
+    reloaded: '♻️ *PLUGINS RELOADED*\n\nLoaded: {loaded}\nFailed: {failed}\n',
+    plugins: '\n*Plugins:*\n',
+    plugin: '• {name} ({count} commands)\n',
+    pluginErrors: '\n*Errors:*\n',
+    backupCreating: '💾 Creating backup...',
+    backupCreated: '✅ *BACKUP CREATED*\n\nFile: {file}\n\nBackup created successfully.',
+    backupFailed: '❌ Failed to create backup.'
+  },
+  owners: {
+    isAuthor: '❌ This user is the Author.',
+    alreadyOwner: '❌ User is already an Owner.',
+    added: '✅ *OWNER ADDED*\n\nUser @{number} has been added as Owner.\n\nThe user now has access to Owner commands.',
+    notOwner: '❌ User is not an Owner.',
+    removed: '✅ *OWNER REMOVED*\n\nUser @{number} has been removed from Owners.\n\nThe user no longer has access to Owner commands.'
+  },
+  defenseMode: {
+    onOff: 'Use on or off.',
+    invalid: 'Defense mode must be: {modes}',
+    current: '🛡️ *DEFENSE MODE*\n\nCurrent: {mode}\n\n',
+    modes: 'Available modes:\n• NORMAL - Standard protection\n• STRICT - Enhanced protection\n• LOCKDOWN - Maximum security\n\n',
+    usage: 'Usage: {prefix}defense <mode>',
+    measureUpdated: '✅ *LOCKDOWN MEASURE UPDATED*\n\n{status}',
+    updated: '{emoji} *DEFENSE MODE UPDATED*\n\nMode: {mode}\nStatus: Active\n\nSecurity level adjusted.'
+  },
+  lockdown: {
+    status: '🔒 *Lockdown Measures*\n• Shadow Mute: {shadowMute}\n• Admin Only: {adminOnly}',
+    off: '❌ Off',
+    active: '✅ Active',
+    standby: '⚪ Standby'
+  },
+  protect: {
+    notProtected: '❌ This group is not protected yet.\n\nUse {prefix}adddefense first.',
+    already: '❌ This group is already protected.',
+    activated: '🛡️ *DEFENSE ACTIVATED*\n\nGroup: {group}\nStatus: Protected\n\nAll security systems are active:\n✅ Anti-Link\n✅ Anti-Spam\n✅ Anti-Toxic\n✅ Anti-Virtex\n✅ Mention-Flood\n✅ Geo-Restriction'
+  },
+  modlog: {
+    owners: 'Owners (private)',
+    set: '✅ *MOD LOG SET*\n\nThis chat will receive moderation logs (private anti-delete).',
+    cleared: '✅ *MOD LOG CLEARED*\n\nModeration logs will be sent to owners privately.',
+    status: '📋 *MOD LOG*\n\nCurrent: {chat}\n\nUsage:\n{prefix}modlog set - Use this chat\n{prefix}modlog off - Send to owners'
+  },
+  disabled: {
+    added: '✅ *USER DISABLED*\n\nUser @{number} has been disabled.\n\nThe user cannot use any bot commands.',
+    notDisabled: '❌ User is not disabled.',
+    removed: '✅ *USER ENABLED*\n\nUser @{number} has been enabled.\n\nThe user can now use bot commands.',
+    empty: 'ℹ️ No disabled users.',
+    title: '🚫 *DISABLED USERS*\n\nTotal: {total}\n\n'
+  },
+  share: {
+    alreadyTarget: '❌ This group is already a share target.',
+    targetAdded: '📢 *SHARE TARGET ADDED*\n\nGroup: {group}\n\nThe group will receive broadcast messages.',
+    empty: 'Message cannot be empty.',
+    usage: '❌ *SHARE MESSAGE*\n\nUsage: {prefix}share <message>\n\nBroadcast a message to all share targets.',
+    noTargets: '❌ No share targets registered.',
+    sending: '📢 Broadcasting to {count} groups...',
+    message: '📢 *BROADCAST MESSAGE*\n\n{message}\n\n_From: {from}_',
+    report: '=== BROADCAST REPORT ===\n\nStatus        : DONE\nTotal Groups  : {total}\nSuccess       : {success}\nFailed        : {failed}\nExecution Time: {seconds} seconds\nDate          : {date}'
+  },
+
+  // Broadcast service (share targets and protected group announcements)
+  broadcast: {
+    started: '📢 *BROADCAST STARTED*\n\nBroadcasting to {count} groups...\n\nPlease wait.',
+    message: '📢 *BROADCAST MESSAGE*\n\n{message}\n\n━━━━━━━━━━━━━━━━━━━━\nFrom: {from}\nTime: {time}',
+    report: '📊 *BROADCAST REPORT*\n\nStatus        : {status}\nTotal Groups  : {total}\nSuccess       : {success} ({rate}%)\nFailed        : {failed}\nDuration      : {seconds} seconds\nTime          : {time}',
+    statusSuccess: '✅ SUCCESS',
+    statusPartial: '⚠️ PARTIAL',
+    failedGroups: '*Failed Groups:*',
+    announcement: '📢 *SYSTEM ANNOUNCEMENT*\n\n{announcement}\n\n━━━━━━━━━━━━━━━━━━━━\nThis is an important announcement from the bot administrator.'
+  },
+
+  // Connection notifications sent to the author
+  connection: {
+    online: '╔════════════════════════╗\n║   🚀 ALL-STAR ONLINE   ║\n╠════════════════════════╣\n║ 🤖 System      : ACTIVE\n║ 👑 Author      : {author}\n║ 💻 Panel       : {panel}\n║ 🛡 Defense     : {defense}\n║ ⚡ Connection  : Stable\n║ 🕒 Connected   : {time}\n╚════════════════════════╝\n\n✨ ALL-STAR is ready to keep the system stable.\n\nType {prefix}menu to see the command list.',
+    reconnected: '🔄 RECONNECTION SUCCESS\n\nBot reconnected successfully.\n\n🕒 {time}\n📶 Status : Online\n⚡ Connection : Stable\n\nAll systems running normally.',
+    lost: '⚠️ CONNECTION LOST\n\nBot lost its connection to WhatsApp.\n\nStatus Code: {code}\nTime: {time}\n\n🔄 Attempting to reconnect...',
+    critical: '🚨 CRITICAL ALERT\n\n{message}\n\nTime: {time}\nStatus: OFFLINE\n\nPlease check the server immediately.',
+    emergencyShutdown: '🚨 EMERGENCY SHUTDOWN\n\nBot encountered critical error and had to shutdown.'
+  },
+
+  // Scheduled announcements
+  schedule: {
+    missingWhen: 'Schedule time cannot be empty.',
+    missingId: 'Schedule ID cannot be empty.',
+    invalidWhen: 'Invalid time "{input}". Examples: 20:00, 31/12 20:00, 2026-12-31 20:00, 30m, 2h or cron (0 8 * * 1).',
+    pastTime: 'Schedule time has already passed.',
+    tooFrequent: 'Recurring schedules must be at least {minutes} minutes apart.',
+    expired: 'Schedule #{id} is past its time, create a new one.',
+    limit: 'Maximum {max} schedules.',
+    invalidType: 'Message type must be: {types}',
+    emptyMessage: 'Message cannot be empty. Write it after "|" or reply to a message/image/video.',
+    noTargets: 'Schedule targets cannot be empty.',
+    authorOnly: '❌ Only the author can schedule to other groups.',
+    added: '✅ *SCHEDULE ADDED*\n\nID: #{id}\nTime: {when}\nNext: {next}\nTargets: {targets}\nType: {type}',
+    removed: '✅ Schedule #{id} deleted.',
+    paused: '⏸️ Schedule #{id} paused.',
+    resumed: '▶️ Schedule #{id} resumed.',
+    notFound: '❌ Schedule {id} not found.',
+    pausedLabel: 'paused',
+    thisGroup: 'this group',
+    title: '⏰ *SCHEDULED ANNOUNCEMENTS*\n\n',
+    empty: 'No schedules yet.\n\n',
+    footer: 'Add: {prefix}schedule add <time> | <message>\nPause: {prefix}schedule pause <id>\nDelete: {prefix}schedule del <id>'
+  },
+
+  // Tag all / hidetag
+  tagAll: {
+    title: '📢 *TAG ALL* ({page}/{total})\n\n',
+    emptyMessage: '❌ Message cannot be empty. Write a message or reply to one.',
+    cooldown: '⏳ Tag all was just used in this group. Try again in {time}.',
+    noParticipants: '❌ No matching members.',
+    metadataFailed: '❌ Failed to load group members, try again later.'
+  },
+
+  // Group invite links
+  invite: {
+    link: '🔗 *GROUP LINK*\n\n{group}\n{link}',
+    revoked: '✅ Invite link reset.\n\nNew link: {link}',
+    failed: '❌ Failed to get the group invite link.'
+  },
+
+  // Invite guard
+  inviteGuard: {
+    leaked: '🚨 *GROUP LINK LEAKED*\n\nThe invite link of *{group}* was posted in {source} by @{number} and has been reset automatically.\n\nNew link: {link}',
+    privateChat: 'a private chat'
+  },
+
+  // Sticker pack metadata
+  stickerPack: {
+    current: '🏷️ *STICKER PACK*\n\nPack: {name}\nAuthor: {author}\n\nChange: {prefix}stickerpack <pack>|<author>\nReset: {prefix}stickerpack reset',
+    wmUsage: '❌ Reply to a sticker with {prefix}wm <pack>|<author>',
+    tooLong: '❌ Pack name and author can be at most {max} characters.',
+    authorOnly: '❌ Only the author can change the global pack.',
+    setGroup: '✅ Group sticker pack changed: {name} / {author}',
+    setGlobal: '✅ Global sticker pack changed: {name} / {author}',
+    resetGroup: '✅ Group sticker pack reset to the global pack.',
+    resetGlobal: '✅ Global sticker pack reset to the configured one.'
+  },
+};
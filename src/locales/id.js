@@ -0,0 +1,698 @@
+/**
+ * ALL-STAR BOT v2.0 - Indonesian Messages
+ * Message catalog (id), keys are shared with en.js
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+export const id = {
+  // Authentication
+  auth: {
+    disabled: '❌ Anda telah kena disable oleh author.',
+    blacklisted: '🚫 Anda ada di blacklist. Tidak bisa menggunakan bot.',
+    selfMode: '🤖 BOT STATUS\n\nMode   : SELF\nStatus : Active\n\nHanya author yang bisa menggunakan command bot.',
+    error: '❌ Terjadi error saat memeriksa permission.',
+    authorOnly: '👑 Command ini hanya untuk Author.',
+    ownerOnly: '🔧 Command ini hanya untuk Owner dan Author.',
+    denied: {
+      author: '👑 *PERMISSION DENIED*\n\nCommand: {command}\nDibutuhkan: Author\nRole Anda: {role}\n\nCommand ini khusus untuk author bot.',
+      owner: '🔧 *PERMISSION DENIED*\n\nCommand: {command}\nDibutuhkan: Owner/Author\nRole Anda: {role}\n\nCommand ini memerlukan permission Owner atau Author.\n\nHubungi admin untuk mendapatkan akses.',
+      disabled: '❌ *ACCESS DENIED*\n\nAkun Anda telah di-disable oleh author.\n\nKontak: @{author}',
+      blacklisted: '🚫 *BLACKLISTED*\n\nNomor Anda ada di blacklist dan tidak bisa menggunakan bot ini.\n\nHubungi admin untuk informasi lebih lanjut.',
+      selfMode: '🤖 *BOT STATUS*\n\nMode   : SELF\nStatus : Active\n\nBot sedang dalam mode SELF.\nHanya author yang bisa menjalankan command.'
+    }
+  },
+
+  // Shared words and snippets
+  common: {
+    usage: '*Usage:*',
+    on: 'ON',
+    off: 'OFF',
+    yes: 'Ya',
+    no: 'Tidak',
+    none: 'Tidak ada',
+    error: '❌ Terjadi error: {error}',
+    commandError: '❌ Terjadi error saat menjalankan command.',
+    groupOnly: '❌ Command ini hanya bisa digunakan di grup.',
+    botNotAdmin: '❌ Bot harus menjadi admin untuk melakukan ini.',
+    unknown: 'Unknown'
+  },
+
+  // Cooldown & rate limit
+  cooldown: {
+    active: '⏳ *COOLDOWN ACTIVE*\n\nCommand: {command}\nSisa waktu: {time}\n\nTunggu sebentar sebelum menggunakan command ini lagi.',
+    minutesSeconds: '{minutes} menit {seconds} detik',
+    seconds: '{seconds} detik',
+    rateLimit: '⏳ *RATE LIMIT*\n\nAnda mengirim command terlalu cepat.\nTunggu 1 menit sebelum mencoba lagi.'
+  },
+
+  // Command validation
+  validation: {
+    title: '❌ *VALIDATION ERROR*',
+    errors: '*Errors:*',
+    command: 'Command: {command}',
+    min: 'Command memerlukan minimal {min} argument.',
+    max: 'Command menerima maksimal {max} argument.',
+    groupOnly: 'Command ini hanya bisa digunakan di grup.',
+    requiresQuoted: 'Command ini memerlukan reply pesan.',
+    error: '❌ Terjadi error saat validasi command.'
+  },
+
+  // Typed arguments
+  args: {
+    unknownFlag: 'Flag tidak dikenal: {flag}',
+    userRequired: 'Mention user atau reply pesan user yang dituju.',
+    required: 'Argument {label} wajib diisi.',
+    unknown: 'Argument tidak dikenal: {args}',
+    invalidUser: '{label}: mention user atau masukkan nomor yang valid.',
+    invalidDuration: '{label}: format waktu tidak valid. Contoh: 10m, 1h, 1d',
+    notNumber: '{label} harus berupa angka.',
+    min: '{label} minimal {min}.',
+    max: '{label} maksimal {max}.',
+    enum: '{label} harus: {values}'
+  },
+
+  // Command pipeline
+  command: {
+    featureDisabled: '❌ Fitur *{feature}* sedang nonaktif.',
+    featureDisabledGroup: '❌ Fitur *{feature}* sedang nonaktif di grup ini.',
+    error: '❌ *ERROR*\n\nTerjadi error saat menjalankan command.\n\nError: {error}',
+    notFound: 'Command {command} tidak ditemukan.',
+    aliasTaken: '{alias} sudah dipakai oleh command lain.',
+    suggestion: '❓ Command *{command}* tidak ditemukan.\n\nMungkin maksud Anda:\n{suggestions}\n\nKetik {help} untuk detail.'
+  },
+
+  // Group events
+  group: {
+    welcome: '👋 Halo @{number}!\n\nSelamat datang di *{group}* 🚀\nTempat para developer belajar, sharing, dan berkembang bersama.\n\n📌 Jangan lupa:\n• Baca deskripsi grup\n• Saling menghargai sesama member\n• Setelah bergabung harap intro dengan ketik {intro}\n\nSelamat ngoding dan semoga bug menjauh 😆\n\n👥 Jumlah member: {count}',
+    goodbye: '📢 Info:\n@{number} telah keluar dari grup, selamat tinggal.\n\nTotal member sekarang: {count}'
+  },
+
+  // Sanctions (defense violations)
+  sanction: {
+    defaultTitle: 'PELANGGARAN {module}',
+    header: '⚠️ *{title}*\n\nUser: @{number}\nAlasan: {reason}\nStrike: {strikes}\n',
+    actions: {
+      warn: 'Tindakan: Peringatan\n\nPelanggaran berikutnya: {next}',
+      mute: 'Tindakan: Di-mute {duration} menit',
+      kick: 'Tindakan: Dikeluarkan dari grup',
+      blacklist: 'Tindakan: Dikeluarkan dan di-blacklist'
+    },
+    emptyLadder: 'Ladder tidak boleh kosong.',
+    invalidAction: 'Action tidak valid: {action}. Gunakan: {actions}',
+    invalidDuration: 'Durasi mute tidak valid: {duration}'
+  },
+
+  // Defense modules
+  defense: {
+    blacklistKick: '🚫 User @{number} dikick karena ada di blacklist.',
+    antiLink: {
+      title: 'PELANGGARAN ANTI-LINK',
+      reason: 'Link terdeteksi ({count})'
+    },
+    antiToxic: {
+      title: 'PELANGGARAN ANTI-TOXIC',
+      reason: 'Bahasa kasar ({severity})'
+    },
+    antiSpam: {
+      title: 'PELANGGARAN ANTI-SPAM',
+      types: {
+        rapid_fire: 'Pesan beruntun',
+        duplicate: 'Pesan duplikat',
+        character_flood: 'Flood karakter',
+        none: 'Tidak diketahui',
+        default: 'Spam'
+      }
+    },
+    antiVirtex: {
+      title: 'PELANGGARAN ANTI-VIRTEX',
+      types: {
+        excessive_length: 'Pesan terlalu panjang',
+        repeated_characters: 'Karakter berulang',
+        emoji_flood: 'Flood emoji',
+        invisible_characters: 'Karakter tak terlihat',
+        virtex_pattern: 'Pola virtex',
+        none: 'Tidak diketahui',
+        default: 'Virtex terdeteksi'
+      }
+    },
+    mentionFlood: {
+      title: 'PELANGGARAN MENTION-FLOOD',
+      reason: '{type} ({count} mention)',
+      types: {
+        hidetag: 'Spam hidetag',
+        mass_tag: 'Tag massal',
+        mention_spam: 'Mention berulang',
+        default: 'Mention flood'
+      }
+    },
+    geoRestriction: {
+      title: 'PELANGGARAN GEO-RESTRICTION',
+      reason: 'Nomor luar negeri ({country})'
+    },
+    antiRaid: {
+      detected: '🚨 *RAID TERDETEKSI*\n\nTipe: {type}\nJoin: {joins} dalam {window} detik\nNomor asing: {foreign}\n',
+      kicked: 'Dikick: {kicked}\n',
+      lockdown: '\nGrup otomatis masuk mode LOCKDOWN.\nMode akan kembali normal setelah {minutes} menit tanpa join baru.',
+      alert: '🚨 *RAID ALERT*\n\nGrup: {group}\nTipe: {type}\nJoin: {joins}\nNomor asing: {foreign}\nDikick: {kicked}\nMode sebelumnya: {previousMode}\n\nGrup dialihkan ke LOCKDOWN.',
+      ended: '✅ *RAID SELESAI*\n\nTidak ada join baru selama {minutes} menit.\nDefense mode kembali ke {mode}.',
+      endedAlert: '✅ *RAID SELESAI*\n\nGrup: {group}\nDefense mode dikembalikan ke {mode}.',
+      types: {
+        join_burst: 'Join massal',
+        foreign_burst: 'Lonjakan nomor asing',
+        raid_ongoing: 'Raid berlangsung',
+        default: 'Raid'
+      }
+    }
+  },
+
+  // Anti-delete
+  antiDelete: {
+    status: '🗑️ *ANTI-DELETE*\n\nSaat ini: {mode}\nMod Log: {modLog}\n\nMode:\n• OFF - Nonaktif\n• GROUP - Kirim ulang di grup\n• PRIVATE - Kirim ke mod log / owners\n\nUsage: {prefix}antidelete <off|group|private>',
+    updated: '✅ *ANTI-DELETE DIPERBARUI*\n\nMode: {mode}',
+    invalidMode: 'Mode anti-delete tidak valid: {mode}. Gunakan: {modes}',
+    title: '🗑️ *ANTI-DELETE*\n\n',
+    user: 'User: @{number}\n',
+    group: 'Grup: {group}\n',
+    times: 'Dikirim: {sent}\nDihapus: {deleted}',
+    message: '\n\nPesan:\n{text}'
+  },
+
+  // Menu
+  menu: {
+    header: '╔══════════════════════════╗\n║        👑 ALL-STAR        ║\n╠══════════════════════════╣\n║ 👑 Author      : {author}\n║ 💬 Bot Mode    : {mode}\n║ 🛡 Defense     : {defense}\n║ 📦 Versi       : v{version}\n║ ⚡ Status      : Online\n║ ⏳ Uptime      : {uptime}\n╠══════════════════════════╣\n║ 📖 Deskripsi :\n║ ALL-STAR adalah sistem\n║ keamanan & moderasi pintar\n║ yang dirancang untuk menjaga\n║ stabilitas dan ketertiban grup.\n╚══════════════════════════╝\n\n',
+    footer: 'Ketik {help} untuk detail.\n\n',
+    categories: {
+      general: 'Umum',
+      ai: 'AI',
+      fun: 'Hiburan',
+      game: 'Game',
+      download: 'Download',
+      group: 'Grup',
+      moderation: 'Moderasi',
+      defense: 'Pertahanan',
+      users: 'Pengguna',
+      broadcast: 'Broadcast',
+      system: 'Sistem'
+    }
+  },
+
+  // Games
+  games: {
+    groupOnly: '❌ Game hanya bisa dimainkan di grup.',
+    list: '🎮 *DAFTAR GAME*\n\n1. Tic Tac Toe\n   {prefix}tictactoe @user\n\n2. Truth or Dare\n   {prefix}tod\n\n3. Quiz\n   {prefix}quiz\n\n4. Trivia\n   {prefix}trivia\n\nPilih game dan mainkan bersama teman! 🎲',
+    minPlayers: 'Minimal {min} pemain.',
+    maxPlayers: 'Maksimal {max} pemain.',
+    playerBusy: 'Satu atau lebih pemain sedang dalam game lain.',
+    notFound: 'Game tidak ditemukan.',
+    notPlayer: 'Kamu bukan pemain di game ini.',
+    notActive: 'Game tidak aktif.',
+    invalidMove: 'Langkah tidak valid.',
+    started: '🎮 *{game} DIMULAI!*\n\nPemain: {players}\n\nGame ID: {gameId}',
+    ended: '🎮 Game selesai: {reason}',
+    howToPlay: 'Cara bermain {game}',
+    over: {
+      draw: '🎮 *GAME SELESAI - SERI!*\n\nPermainan yang bagus!',
+      winner: '🎮 *GAME SELESAI*\n\n🏆 Pemenang: {winner}\n\nSelamat!',
+      plain: '🎮 *GAME SELESAI*'
+    },
+    tictactoe: {
+      usage: '❌ *TIC TAC TOE*\n\nUsage: {prefix}tictactoe @pemain2\n\nAtau reply pesan pemain 2',
+      started: '🎮 *TIC TAC TOE DIMULAI!*\n\n{player1} (❌) vs {player2} (⭕)\n\n{board}\n\n{player1} jalan duluan!\n\nCara main: balas dengan posisi (1-9)\nContoh: 5 (untuk tengah)\n\n{guide}',
+      instructions: '🎮 *TIC TAC TOE*\n\nCara bermain:\n1. Game dimainkan oleh 2 pemain\n2. Pemain 1 menggunakan ❌, Pemain 2 menggunakan ⭕\n3. Balas dengan nomor posisi (1-9) untuk menaruh simbol\n4. Tujuan: buat 3 simbol berurutan (horizontal, vertikal, atau diagonal)\n5. Jika papan penuh tanpa pemenang = SERI\n\nPanduan posisi:\n{guide}\n\nMulai game: .tictactoe @pemain2',
+      draw: '🤝 *SERI!*\n\nTidak ada pemenang kali ini!',
+      winner: '🏆 *PEMENANG: {winner}!*\n\nSelamat!',
+      turn: 'Giliran: {player} ({symbol})'
+    },
+    quiz: {
+      started: '🎯 *QUIZ DIMULAI!*\n\nPemain: {players}\nPertanyaan: {questions}\nWaktu per pertanyaan: {seconds} detik\n\nBersiap! Pertanyaan pertama segera datang...',
+      question: '❓ *PERTANYAAN {number}/{total}*\n\n',
+      questionFooter: '\n⏱️ Batas waktu: {seconds} detik\n\nBalas dengan huruf pilihan (A/B/C/D)',
+      answer: '✅ *JAWABAN BENAR*\n\n',
+      correct: '🎉 Benar: {players}',
+      noneCorrect: '😔 Tidak ada yang benar!',
+      results: '🏆 *HASIL QUIZ*\n\n',
+      congrats: '\n🎉 Selamat untuk semua pemain!',
+      instructions: '🎯 *QUIZ*\n\nCara bermain:\n1. Quiz dimainkan bersama-sama di grup\n2. Setiap pertanyaan memiliki 4 pilihan (A, B, C, D)\n3. Balas dengan huruf pilihan Anda\n4. Waktu per pertanyaan: 30 detik\n5. Yang menjawab paling banyak benar menang!\n\nKategori:\n• Geografi\n• Sejarah\n• Matematika\n• Teknologi\n• Sains\n\nMulai quiz: .quiz'
+    },
+    tod: {
+      usage: '❌ *TRUTH OR DARE*\n\nMinimal 2 pemain!\n\nUsage: {prefix}truthordare @pemain2 @pemain3 ...',
+      started: '🎭 *TRUTH OR DARE DIMULAI!*\n\nPemain: {players}\n\nBersiap untuk seru-seruan! 😈\n\nGame dimulai dalam 3 detik...',
+      turn: '🎯 *GILIRANMU!*\n\n{player}, pilih:\n\n🗣️ Truth - Jawab pertanyaan jujur\n😈 Dare - Lakukan tantangan\n\nBalas dengan: truth atau dare',
+      ended: '🎭 *TRUTH OR DARE SELESAI!*\n\nTotal ronde: {rounds}\n\nTerima kasih sudah bermain! 🎉\n\nRingkasan:\n🗣️ Truth: {truths}\n😈 Dare: {dares}',
+      instructions: '🎭 *TRUTH OR DARE*\n\nCara bermain:\n1. Game dimainkan secara bergantian\n2. Setiap giliran, pilih Truth atau Dare\n3. Truth: jawab pertanyaan dengan jujur\n4. Dare: lakukan tantangan yang diberikan\n5. Game berlanjut sampai semua dapat giliran\n\nAturan:\n• Jawab/lakukan dengan jujur\n• Tidak boleh skip!\n• Selamat bersenang-senang! 😄\n\nMulai game: .truthordare atau .tod'
+    }
+  },
+
+  // Triggers
+  triggers: {
+    invalidKeyword: '❌ Keyword harus 1-{max} karakter.\n\nUsage:\n{usage}',
+    added: '✅ *TRIGGER DITAMBAHKAN*\n\nID: #{id}\nKeyword: {keyword}\nMatch: {match}\nBalasan: {type}\nCooldown: {cooldown} detik',
+    removed: '✅ Trigger #{id} ({keyword}) dihapus.',
+    notFound: '❌ Trigger {trigger} tidak ditemukan.',
+    title: '💬 *KEYWORD TRIGGER*\n\n',
+    empty: 'Belum ada trigger di grup ini.\n\n',
+    footer: 'Tambah: {prefix}addtrigger <keyword> | <balasan>\nHapus: {prefix}deltrigger <id>',
+    invalidMatch: 'Match harus: {types}',
+    invalidType: 'Tipe balasan harus: {types}',
+    emptyReply: 'Balasan tidak boleh kosong.',
+    noMedia: 'Media balasan tidak ditemukan.',
+    limit: 'Maksimal {max} trigger per grup.',
+    duplicate: 'Trigger "{keyword}" sudah ada (#{id}).',
+    invalidRegex: 'Regex tidak valid: {error}',
+    unsafeRegex: 'Regex ditolak: grup berulang seperti (a+)+, (a|aa)+ atau (a?)+ dan backreference bisa membekukan bot.',
+    regexOwnerOnly: '❌ Hanya owner bot yang bisa menambah trigger regex.'
+  },
+
+  // Media
+  media: {
+    none: 'Pesan tidak berisi media.',
+    tooLarge: 'Ukuran media maksimal {max}.'
+  },
+
+  // Language
+  lang: {
+    current: '🌐 *BAHASA*\n\nBahasa aktif: *{locale}*\n',
+    user: 'Bahasa pribadi: {locale}\n',
+    group: 'Bahasa grup: {locale}\n',
+    options: '\nPilihan: {locales}\n\nUbah: {prefix}lang <bahasa>\nPribadi: {prefix}lang <bahasa> --me\nReset: {prefix}lang reset',
+    adminOnly: '❌ Hanya owner atau admin grup yang bisa mengubah bahasa grup.\n\nUntuk bahasa pribadi: {command}',
+    userSet: '✅ Bahasa pribadi diubah ke *{locale}*.',
+    userSetReset: '✅ Bahasa pribadi direset. Bahasa aktif: *{locale}*.',
+    groupSet: '✅ Bahasa grup diubah ke *{locale}*.',
+    groupSetReset: '✅ Bahasa grup direset. Bahasa aktif: *{locale}*.',
+    unsupported: 'Bahasa "{locale}" tidak didukung. Pilihan: {locales}'
+  },
+
+  // General commands
+  help: {
+    notFound: '❌ Command *{command}* tidak ditemukan.\n\nKetik {menu} untuk melihat daftar command.',
+    title: '📖 *HELP: {command}*\n\n',
+    category: 'Kategori: {category}\n',
+    role: 'Role: {role}\n',
+    aliases: 'Alias: {aliases}\n',
+    cooldown: 'Cooldown: {seconds} detik\n',
+    groupOnly: 'Grup only: Ya\n',
+    disabled: 'Status: ❌ Fitur sedang nonaktif\n',
+    examples: '*Contoh:*',
+    flags: '*Flag:*',
+    roles: {
+      author: 'Author',
+      owner: 'Owner/Author',
+      user: 'Semua user'
+    }
+  },
+  ping: {
+    pinging: '🏓 Pinging...',
+    pong: '🏓 *PONG!*\n\nLatency: {latency}ms\nStatus: {status}',
+    excellent: '🟢 Sangat baik',
+    good: '🟡 Baik',
+    slow: '🔴 Lambat'
+  },
+  intro: {
+    template: '╔══════════════════════╗\n       『  INTRO 』\n╚══════════════════════╝\n\n➤ Nama Lengkap :\n➤ Nama Panggilan :\n➤ Umur :\n➤ Kota :\n➤ Hobi :\n➤ Alasan Join :\n\nSilakan isi format di atas untuk memperkenalkan diri! 😊'
+  },
+  ai: {
+    empty: 'Pertanyaan tidak boleh kosong.',
+    tooLong: 'Pertanyaan terlalu panjang. Maksimal {max} karakter.',
+    disabled: '❌ Fitur AI saat ini tidak aktif.',
+    usage: '❌ *AI COMMAND*\n\nUsage: {prefix}ai <pertanyaan>\n\nContoh: {prefix}ai Apa itu programming?',
+    thinking: '🤖 AI sedang berpikir...',
+    error: '❌ Terjadi error saat memproses pertanyaan.',
+    rateLimit: '⏳ Rate limit tercapai. Tunggu beberapa saat.',
+    notConfigured: '❌ AI service tidak dikonfigurasi dengan benar.'
+  },
+  quotes: {
+    loading: '📖 Mengambil quote...',
+    quote: '📖 *QUOTE HARI INI*\n\n"{text}"\n\n— {author}',
+    failed: '❌ Gagal mengambil quote. Coba lagi nanti.'
+  },
+  download: {
+    invalidUrl: 'URL tidak valid. Masukkan URL yang benar.',
+    invalidTiktokUrl: 'URL tidak valid. Masukkan URL TikTok yang benar.',
+    musicUsage: '❌ *DOWNLOAD MUSIC*\n\nUsage: {prefix}download-music <url>\n\nDidukung: YouTube, Spotify, SoundCloud',
+    musicLoading: '🎵 Mendownload music...\n\nMohon tunggu, proses mungkin memakan waktu beberapa saat.',
+    musicFailed: '❌ Gagal mendownload music. Pastikan URL valid.',
+    tiktokUsage: '❌ *DOWNLOAD TIKTOK*\n\nUsage: {prefix}download-tiktok <url>\n\nDownload video TikTok tanpa watermark.',
+    tiktokLoading: '📹 Mendownload video TikTok...\n\nMohon tunggu.',
+    tiktokFailed: '❌ Gagal mendownload video. Pastikan URL TikTok valid.'
+  },
+  brat: {
+    tooLong: 'Teks terlalu panjang. Maksimal {max} karakter.',
+    loading: '🎨 Membuat sticker...',
+    failed: '❌ Gagal membuat sticker.'
+  },
+  sticker: {
+    usage: '❌ *STICKER*\n\nKirim atau reply gambar/video dengan caption {prefix}sticker\n\nOpsi: --crop (potong persegi), --circle (bulat)',
+    videoTooLong: '❌ Video maksimal {max} detik.',
+    loading: '🎨 Membuat sticker...',
+    failed: '❌ Gagal membuat sticker.',
+    toimgUsage: '❌ Reply sticker dengan {prefix}toimg',
+    toimgFailed: '❌ Gagal mengubah sticker.'
+  },
+  info: {
+    text: 'ℹ️ *ALL-STAR BOT INFO*\n\nVersi: {version}\nAuthor: {author}\nDibuat oleh: @Liand_fullstackdev\n\nALL-STAR adalah bot WhatsApp enterprise-grade untuk keamanan dan moderasi grup.\n\nFitur:\n• Sistem Pertahanan 3 Level\n• Integrasi AI (Claude)\n• Moderasi Otomatis\n• Monitoring Real-time\n• Keamanan Tingkat Lanjut\n\nKetik {prefix}menu untuk daftar command.'
+  },
+
+  // Moderation commands
+  moderation: {
+    protected: '❌ Tidak bisa {action} Author/Owner.',
+    muted: '🔇 *USER DI-MUTE*\n\nUser: @{number}\nDurasi: {duration} menit\n\nUser tidak bisa mengirim pesan.',
+    notMuted: '❌ User tidak dalam status mute.',
+    unmuted: '🔊 *USER DI-UNMUTE*\n\nUser: @{number}\n\nUser bisa mengirim pesan kembali.',
+    warnTitle: 'PERINGATAN MODERATOR',
+    noWarnings: '❌ User tidak memiliki warning.',
+    unwarned: '✅ *WARNING DIHAPUS*\n\nUser: @{number}\nWarning: {count}/{max}\n\nSatu warning telah dihapus.',
+    warnReset: '✅ *WARNING DIRESET*\n\nUser: @{number}\n\nSemua warning di grup ini telah dihapus.',
+    kicked: '🚫 *USER DIKELUARKAN*\n\nUser: @{number}\n\nUser telah dikeluarkan dari grup.',
+    promoted: '👑 *USER DIPROMOSIKAN*\n\nUser: @{number}\n\nUser sekarang menjadi admin grup.',
+    demoted: '👤 *USER DITURUNKAN*\n\nUser: @{number}\n\nUser sekarang menjadi member biasa.',
+    blacklisted: '🚫 *USER DI-BLACKLIST*\n\nUser: @{number}\n\nUser tidak bisa masuk grup yang diproteksi.',
+    notBlacklisted: '❌ User tidak ada di blacklist.',
+    unblacklisted: '✅ *USER DIHAPUS DARI BLACKLIST*\n\nUser: @{number}\n\nUser bisa masuk grup kembali.',
+    history: {
+      header: '📋 *RIWAYAT WARNING*\n\nUser: @{number}\nAktif: {active}/{max}\nTotal: {total}\n\n',
+      empty: 'Tidak ada warning di grup ini.',
+      by: '   Oleh: {issuer} • {date}\n',
+      evidence: '   Bukti: "{text}"\n',
+      expired: '⌛ Kedaluwarsa',
+      expires: 'Berakhir: {date}',
+      permanent: 'Permanen'
+    }
+  },
+  groupInfo: {
+    text: '📊 *INFORMASI GRUP*\n\nNama: {name}\nID: {groupId}\nDibuat: {created}\n\n👥 Member: {total}\n   • Admin: {admins}\n   • Member: {members}\n\n🛡️ Proteksi: {protection}\n📢 Share Target: {shareTarget}\n🔒 Defense Mode: {defenseMode}\n\nDeskripsi:\n{description}',
+    active: '✅ Aktif',
+    inactive: '❌ Nonaktif',
+    noDescription: 'Tidak ada deskripsi'
+  },
+  ladder: {
+    setUsage: '❌ Usage: {prefix}ladder set <step> <step> ...\n\nContoh:\n{prefix}ladder set warn warn mute:30m kick blacklist',
+    updated: '✅ *SANCTION LADDER DIPERBARUI*\n\n{ladder}',
+    reset: '✅ *SANCTION LADDER DIRESET*\n\n{ladder}',
+    title: '⚖️ *SANCTION LADDER*\n\n',
+    footer: '\nCustom: {custom}\nDefense Mode: {mode}\n\nUsage:\n{prefix}ladder set warn warn mute:30m kick blacklist\n{prefix}ladder reset',
+    notCustom: 'Tidak (default)'
+  },
+  suggestions: {
+    status: '❓ *SARAN COMMAND*\n\nStatus: {state}\n\nBot membalas command yang salah ketik dengan saran command terdekat.\n\nUsage: {prefix}suggestions <on|off>',
+    enabled: '✅ Saran command diaktifkan di grup ini.',
+    disabled: '✅ Saran command dinonaktifkan di grup ini.'
+  },
+  prefix: {
+    invalid: 'Prefix tidak valid: {prefixes}. Gunakan 1-3 simbol (contoh: ! # $).',
+    status: '🔤 *PREFIX GRUP*\n\nPrefix: {prefixes}\nSumber: {source}\n\nUsage:\n{usage}',
+    sourceGroup: 'Grup',
+    sourceGlobal: 'Global',
+    updated: '✅ *PREFIX DIPERBARUI*\n\nPrefix: {prefixes}\n\nContoh: {example}'
+  },
+  alias: {
+    missingTarget: 'Masukkan alias dan command tujuan.',
+    missingAlias: 'Masukkan alias yang ingin dihapus.',
+    invalid: 'Alias hanya boleh huruf, angka dan "-" (maks {max} karakter).',
+    limit: '❌ Maksimal {max} alias per grup.',
+    added: '✅ *ALIAS DITAMBAHKAN*\n\n{alias} → {command}',
+    removed: '✅ Alias {alias} dihapus.',
+    notFound: '❌ Alias {alias} tidak ditemukan.',
+    title: '🔗 *ALIAS GRUP*\n\n',
+    empty: 'Belum ada alias di grup ini.\n\n'
+  },
+  toggle: {
+    titleGlobal: '⚙️ *FITUR (GLOBAL)*\n\n',
+    titleGroup: '⚙️ *FITUR (GRUP)*\n\n',
+    unknown: '❌ Fitur tidak dikenal: {feature}\n\nFitur: {features}',
+    authorOnly: '❌ Hanya author yang bisa mengubah default global. Gunakan command ini di grup.',
+    enabledGlobal: '✅ {features} diaktifkan secara global.',
+    enabledGroup: '✅ {features} diaktifkan di grup ini.',
+    disabledGlobal: '✅ {features} dinonaktifkan secara global.',
+    disabledGroup: '✅ {features} dinonaktifkan di grup ini.'
+  },
+
+  // Author commands
+  system: {
+    monitorUnavailable: '❌ System monitor tidak tersedia.',
+    infoError: '❌ Gagal mengambil info sistem.',
+    selfMode: '🔒 *MODE BOT DIUBAH*\n\nMode: SELF\nStatus: Aktif\n\nSekarang hanya author yang bisa menggunakan command bot.\n\nGunakan {prefix}public untuk kembali.',
+    publicMode: '🌍 *MODE BOT DIUBAH*\n\nMode: PUBLIC\nStatus: Aktif\n\nBot sekarang bisa digunakan semua user.',
+    restarting: '🔄 Merestart bot...\n\nMohon tunggu.',
+    reloading: '♻️ Memuat ulang plugin...',
+    reloaded: '♻️ *PLUGIN DIMUAT ULANG*\n\nBerhasil: {loaded}\nGagal: {failed}\n',
+    plugins: '\n*Plugin:*\n',
+    plugin: '• {name} ({count} command)\n',
+    pluginErrors: '\n*Error:*\n',
+    backupCreating: '💾 Membuat backup...',
+    backupCreated: '✅ *BACKUP DIBUAT*\n\nFile: {file}\n\nBackup berhasil dibuat.',
+    backupFailed: '❌ Gagal membuat backup.'
+  },
+  owners: {
+    isAuthor: '❌ User ini adalah Author.',
+    alreadyOwner: '❌ User sudah menjadi Owner.',
+    added: '✅ *OWNER DITAMBAHKAN*\n\nUser @{number} berhasil ditambahkan sebagai Owner.\n\nUser sekarang memiliki akses Owner commands.',
+    notOwner: '❌ User bukan Owner.',
+    removed: '✅ *OWNER DIHAPUS*\n\nUser @{number} telah dihapus dari Owner.\n\nUser kehilangan akses Owner commands.'
+  },
+  defenseMode: {
+    onOff: 'Gunakan on atau off.',
+    invalid: 'Mode defense harus: {modes}',
+    current: '🛡️ *DEFENSE MODE*\n\nSaat ini: {mode}\n\n',
+    modes: 'Mode tersedia:\n• NORMAL - Proteksi standar\n• STRICT - Proteksi ditingkatkan\n• LOCKDOWN - Keamanan maksimum\n\n',
+    usage: 'Usage: {prefix}defense <mode>',
+    measureUpdated: '✅ *LOCKDOWN MEASURE DIPERBARUI*\n\n{status}',
+    updated: '{emoji} *DEFENSE MODE DIPERBARUI*\n\nMode: {mode}\nStatus: Aktif\n\nLevel keamanan disesuaikan.'
+  },
+  lockdown: {
+    status: '🔒 *Lockdown Measures*\n• Shadow Mute: {shadowMute}\n• Admin Only: {adminOnly}',
+    off: '❌ Off',
+    active: '✅ Aktif',
+    standby: '⚪ Siaga'
+  },
+  protect: {
+    notProtected: '❌ Grup belum diproteksi.\n\nGunakan {prefix}adddefense terlebih dahulu.',
+    already: '❌ Grup sudah dalam proteksi.',
+    activated: '🛡️ *DEFENSE AKTIF*\n\nGrup: {group}\nStatus: Terproteksi\n\nSemua sistem keamanan aktif:\n✅ Anti-Link\n✅ Anti-Spam\n✅ Anti-Toxic\n✅ Anti-Virtex\n✅ Mention-Flood\n✅ Geo-Restriction'
+  },
+  modlog: {
+    owners: 'Owners (private)',
+    set: '✅ *MOD LOG DIATUR*\n\nChat ini akan menerima log moderasi (anti-delete private).',
+    cleared: '✅ *MOD LOG DIHAPUS*\n\nLog moderasi akan dikirim ke owners secara private.',
+    status: '📋 *MOD LOG*\n\nSaat ini: {chat}\n\nUsage:\n{prefix}modlog set - Gunakan chat ini\n{prefix}modlog off - Kirim ke owners'
+  },
+  disabled: {
+    added: '✅ *USER DINONAKTIFKAN*\n\nUser @{number} telah dinonaktifkan.\n\nUser tidak bisa menggunakan command bot.',
+    notDisabled: '❌ User tidak dalam status disabled.',
+    removed: '✅ *USER DIAKTIFKAN*\n\nUser @{number} telah diaktifkan kembali.\n\nUser bisa menggunakan command bot lagi.',
+    empty: 'ℹ️ Tidak ada user yang dinonaktifkan.',
+    title: '🚫 *USER NONAKTIF*\n\nTotal: {total}\n\n'
+  },
+  share: {
+    alreadyTarget: '❌ Grup sudah menjadi share target.',
+    targetAdded: '📢 *SHARE TARGET DITAMBAHKAN*\n\nGrup: {group}\n\nGrup akan menerima pesan broadcast.',
+    empty: 'Pesan tidak boleh kosong.',
+    usage: '❌ *SHARE MESSAGE*\n\nUsage: {prefix}share <pesan>\n\nKirim pesan ke semua share target.',
+    noTargets: '❌ Tidak ada share target yang terdaftar.',
+    sending: '📢 Mengirim broadcast ke {count} grup...',
+    message: '📢 *PESAN BROADCAST*\n\n{message}\n\n_Dari: {from}_',
+    report: '=== LAPORAN BROADCAST ===\n\nStatus        : SELESAI\nTotal Grup    : {total}\nBerhasil      : {success}\nGagal         : {failed}\nWaktu Eksekusi: {seconds} detik\nTanggal       : {date}'
+  },
+
+  // Broadcast service (share targets and protected group announcements)
+  broadcast: {
+    started: '📢 *BROADCAST DIMULAI*\n\nMengirim broadcast ke {count} grup...\n\nMohon tunggu.',
+    message: '📢 *PESAN BROADCAST*\n\n{message}\n\n━━━━━━━━━━━━━━━━━━━━\nDari: {from}\nWaktu: {time}',
+    report: '📊 *LAPORAN BROADCAST*\n\nStatus        : {status}\nTotal Grup    : {total}\nBerhasil      : {success} ({rate}%)\nGagal         : {failed}\nDurasi        : {seconds} detik\nWaktu         : {time}',
+    statusSuccess: '✅ BERHASIL',
+    statusPartial: '⚠️ SEBAGIAN',
+    failedGroups: '*Grup Gagal:*',
+    announcement: '📢 *PENGUMUMAN SISTEM*\n\n{announcement}\n\n━━━━━━━━━━━━━━━━━━━━\nIni adalah pengumuman penting dari administrator bot.'
+  },
+
+  // Connection notifications sent to the author
+  connection: {
+    online: '╔════════════════════════╗\n║   🚀 ALL-STAR ONLINE   ║\n╠════════════════════════╣\n║ 🤖 System      : ACTIVE\n║ 👑 Author      : {author}\n║ 💻 Panel       : {panel}\n║ 🛡 Defense     : {defense}\n║ ⚡ Connection  : Stable\n║ 🕒 Connected   : {time}\n╚════════════════════════╝\n\n✨ ALL-STAR siap menjaga stabilitas sistem.\n\nKetik {prefix}menu untuk melihat daftar command.',
+    reconnected: '🔄 RECONNECTION SUCCESS\n\nBot berhasil tersambung kembali.\n\n🕒 {time}\n📶 Status : Online\n⚡ Connection : Stable\n\nSemua sistem berjalan normal.',
+    lost: '⚠️ CONNECTION LOST\n\nBot kehilangan koneksi ke WhatsApp.\n\nStatus Code: {code}\nWaktu: {time}\n\n🔄 Mencoba menyambung ulang...',
+    critical: '🚨 CRITICAL ALERT\n\n{message}\n\nWaktu: {time}\nStatus: OFFLINE\n\nSegera periksa server.',
+    emergencyShutdown: '🚨 EMERGENCY SHUTDOWN\n\nBot mengalami error kritis dan harus dimatikan.'
+  },
+
+  // Scheduled announcements
+  schedule: {
+    missingWhen: 'Waktu jadwal tidak boleh kosong.',
+    missingId: 'ID jadwal tidak boleh kosong.',
+    invalidWhen: 'Waktu "{input}" tidak valid. Contoh: 20:00, 31/12 20:00, 2026-12-31 20:00, 30m, 2h atau cron (0 8 * * 1).',
+    pastTime: 'Waktu jadwal sudah lewat.',
+    tooFrequent: 'Jadwal berulang minimal setiap {minutes} menit.',
+    expired: 'Jadwal #{id} sudah lewat waktunya, buat jadwal baru.',
+    limit: 'Maksimal {max} jadwal.',
+    invalidType: 'Tipe pesan harus: {types}',
+    emptyMessage: 'Pesan tidak boleh kosong. Tulis setelah "|" atau reply pesan/gambar/video.',
+    noTargets: 'Tujuan jadwal tidak boleh kosong.',
+    authorOnly: '❌ Hanya author yang bisa menjadwalkan ke grup lain.',
+    added: '✅ *JADWAL DITAMBAHKAN*\n\nID: #{id}\nWaktu: {when}\nBerikutnya: {next}\nTujuan: {targets}\nTipe: {type}',
+    removed: '✅ Jadwal #{id} dihapus.',
+    paused: '⏸️ Jadwal #{id} dijeda.',
+    resumed: '▶️ Jadwal #{id} dilanjutkan.',
+    notFound: '❌ Jadwal {id} tidak ditemukan.',
+    pausedLabel: 'dijeda',
+    thisGroup: 'grup ini',
+    title: '⏰ *PENGUMUMAN TERJADWAL*\n\n',
+    empty: 'Belum ada jadwal.\n\n',
+    footer: 'Tambah: {prefix}schedule add <waktu> | <pesan>\nJeda: {prefix}schedule pause <id>\nHapus: {prefix}schedule del <id>'
+  },
+
+  // Tag all / hidetag
+  tagAll: {
+    title: '📢 *TAG ALL* ({page}/{total})\n\n',
+    emptyMessage: '❌ Pesan tidak boleh kosong. Tulis pesan atau reply pesan.',
+    cooldown: '⏳ Tag all baru saja dipakai di grup ini. Coba lagi dalam {time}.',
+    noParticipants: '❌ Tidak ada member yang cocok.',
+    metadataFailed: '❌ Gagal memuat member grup, coba lagi nanti.'
+  },
+
+  // Group invite links
+  invite: {
+    link: '🔗 *LINK GRUP*\n\n{group}\n{link}',
+    revoked: '✅ Link undangan direset.\n\nLink baru: {link}',
+    failed: '❌ Gagal mengambil link undangan grup.'
+  },
+
+  // Invite guard
+  inviteGuard: {
+    leaked: '🚨 *LINK GRUP BOCOR*\n\nLink undangan *{group}* dikirim di {source} oleh @{number} dan sudah direset otomatis.\n\nLink baru: {link}',
+    privateChat: 'chat pribadi'
+  },
+
+  // Sticker pack metadata
+  stickerPack: {
+    current: '🏷️ *PACK STICKER*\n\nPack: {name}\nAuthor: {author}\n\nUbah: {prefix}stickerpack <pack>|<author>\nReset: {prefix}stickerpack reset',
+    wmUsage: '❌ Reply sticker dengan {prefix}wm <pack>|<author>',
+    tooLong: '❌ Nama pack dan author maksimal {max} karakter.',
+    authorOnly: '❌ Hanya author yang bisa mengubah pack global.',
+    setGroup: '✅ Pack sticker grup diubah: {name} / {author}',
+    setGlobal: '✅ Pack sticker global diubah: {name} / {author}',
+    resetGroup: '✅ Pack sticker grup direset ke pack global.',
+    resetGlobal: '✅ Pack sticker global direset ke konfigurasi.'
+  },
+
+  // Command descriptions (menu/help), English ones come from the command objects
+  commands: {
+    menu: 'Tampilkan menu ini',
+    help: 'Detail command',
+    ping: 'Cek latency',
+    intro: 'Format perkenalan',
+    ai: 'Tanya AI',
+    quotes: 'Quote acak',
+    game: 'Daftar game',
+    'download-music': 'Download musik',
+    'download-tiktok': 'Download video TikTok',
+    brat: 'Sticker brat',
+    sticker: 'Gambar/video ke sticker',
+    toimg: 'Sticker ke gambar/video',
+    wm: 'Ganti nama pack sticker',
+    info: 'Info bot',
+    tictactoe: 'Main Tic Tac Toe',
+    quiz: 'Main quiz',
+    truthordare: 'Main Truth or Dare',
+    lang: 'Bahasa bot',
+    mute: 'Mute user',
+    unmute: 'Unmute user',
+    warn: 'Beri warning',
+    unwarn: 'Hapus warning terakhir',
+    resetwarn: 'Reset warning',
+    warnings: 'Riwayat warning',
+    kick: 'Keluarkan user',
+    promote: 'Jadikan admin',
+    demote: 'Copot admin',
+    blacklist: 'Blacklist user',
+    unblacklist: 'Hapus dari blacklist',
+    'info-grup': 'Info grup',
+    ladder: 'Tangga sanksi',
+    suggestions: 'Saran command',
+    setprefix: 'Prefix grup',
+    alias: 'Alias command grup',
+    on: 'Aktifkan fitur',
+    off: 'Nonaktifkan fitur',
+    addtrigger: 'Tambah keyword trigger',
+    deltrigger: 'Hapus keyword trigger',
+    triggers: 'Daftar keyword trigger',
+    schedule: 'Pengumuman terjadwal',
+    tagall: 'Tag semua member',
+    hidetag: 'Tag semua member (tersembunyi)',
+    getlink: 'Link undangan grup',
+    revoke: 'Reset link undangan grup',
+    stickerpack: 'Pack sticker grup',
+    botinfo: 'Status sistem',
+    addowner: 'Tambah owner',
+    delowner: 'Hapus owner',
+    self: 'Mode self',
+    public: 'Mode public',
+    defense: 'Ubah defense',
+    antidelete: 'Anti-delete',
+    modlog: 'Chat log moderasi',
+    disable: 'Nonaktifkan user',
+    undisable: 'Aktifkan user',
+    listdisable: 'Daftar user nonaktif',
+    adddefense: 'Proteksi grup',
+    addshare: 'Tambah share target',
+    share: 'Broadcast',
+    restart: 'Restart bot',
+    reload: 'Muat ulang plugin',
+    backup: 'Backup database'
+  },
+
+  // Command usage, param labels and flag descriptions (help, validation errors),
+  // English ones come from the command objects
+  usages: {
+    ai: 'ai <pertanyaan>',
+    brat: 'brat <teks> [--animated]',
+    sticker: 'sticker [--circle] [--crop] (kirim/reply gambar atau video)',
+    toimg: 'toimg (reply sticker)',
+    wm: 'wm <pack>|<author> (reply sticker)',
+    tictactoe: 'tictactoe @player2 atau reply pesan',
+    mute: 'mute @user [waktu] atau reply pesan',
+    unmute: 'unmute @user atau reply pesan',
+    warn: 'warn @user [alasan] atau reply pesan',
+    unwarn: 'unwarn @user atau reply pesan',
+    resetwarn: 'resetwarn @user atau reply pesan',
+    warnings: 'warnings @user atau reply pesan',
+    kick: 'kick @user atau reply pesan',
+    promote: 'promote @user atau reply pesan',
+    demote: 'demote @user atau reply pesan',
+    blacklist: 'blacklist @user atau reply pesan',
+    unblacklist: 'unblacklist @user atau reply pesan',
+    on: 'on\non <fitur> [--global]',
+    off: 'off\noff <fitur> [--global]',
+    addtrigger: 'addtrigger <keyword> | <balasan> [--match=exact|contains|regex] [--cooldown=detik]\naddtrigger <keyword> (reply gambar/sticker)',
+    schedule: 'schedule add <waktu> | <pesan> [--to=share|protected|<id grup>,...]\nschedule list\nschedule pause <id>\nschedule resume <id>\nschedule del <id>',
+    tagall: 'tagall [pesan] [--role=admin|member|owner]',
+    hidetag: 'hidetag <pesan> [--role=admin|member|owner]\nhidetag (reply pesan)',
+    addowner: 'addowner @user atau reply pesan user',
+    delowner: 'delowner @user atau reply pesan user',
+    disable: 'disable @user atau reply pesan',
+    undisable: 'undisable @user atau reply pesan',
+    share: 'share <pesan>'
+  },
+  labels: {
+    brat: { text: 'teks' },
+    lang: { locale: 'bahasa' },
+    mute: { duration: 'waktu' },
+    warn: { reason: 'alasan' },
+    on: { feature: 'fitur' },
+    off: { feature: 'fitur' },
+    schedule: { input: 'waktu/id' },
+    tagall: { message: 'pesan' },
+    hidetag: { message: 'pesan' }
+  },
+  flags: {
+    brat: { animated: 'Kata muncul satu per satu' },
+    sticker: { circle: 'Sticker bulat', crop: 'Potong jadi persegi' },
+    lang: { me: 'Atur bahasa pribadi, bukan bahasa grup' },
+    on: { global: 'Ubah default global (author)' },
+    off: { global: 'Ubah default global (author)' },
+    addtrigger: { match: 'Cara mencocokkan keyword', cooldown: 'Jeda antar balasan (detik)' },
+    schedule: { to: 'Tujuan: here, share, protected atau id grup (author)' },
+    tagall: { role: 'Hanya tag admin, member biasa atau owner bot' },
+    hidetag: { role: 'Hanya tag admin, member biasa atau owner bot' },
+    stickerpack: { global: 'Ubah pack global (author)' }
+  },
+};
@@ -8,10 +8,18 @@
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { i18n } from '../utils/I18n.js';
 
 export class AuthMiddleware {
   constructor() {
     this.logger = new Logger('AUTH-MIDDLEWARE');
+
+    // Role hierarchy: author > owner > user
+    this.roleHierarchy = {
+      'author': 3,
+      'owner': 2,
+      'user': 1
+    };
   }
 
   /**
@@ -19,9 +27,13 @@ export class AuthMiddleware {
    * @param {string} sender - User JID
    * @param {string} command - Command name
    * @param {string} requiredRole - Required role (author/owner/user)
+   * @param {boolean} isGroupAdmin - Sender is admin of the group and command allows group admins
+   * @param {string} locale - Locale for denial messages
    * @returns {Object} Authorization result
    */
-  async checkAuth(sender, command, requiredRole = 'user') {
+  async checkAuth(sender, command, requiredRole = 'user', isGroupAdmin = false, locale = null) {
+    const t = i18n.translator(locale);
+
     try {
       const senderNumber = sender.split('@')[0];
 
@@ -30,7 +42,7 @@ export class AuthMiddleware {
         return {
           authorized: false,
           reason: 'disabled',
-          message: '❌ Anda telah kena disable oleh author.'
+          message: t('auth.disabled')
         };
       }
 
@@ -39,7 +51,7 @@ export class AuthMiddleware {
         return {
           authorized: false,
           reason: 'blacklisted',
-          message: '🚫 Anda ada di blacklist. Tidak bisa menggunakan bot.'
+          message: t('auth.blacklisted')
         };
       }
 
@@ -50,13 +62,15 @@ export class AuthMiddleware {
           return {
             authorized: false,
             reason: 'self_mode',
-            message: `🤖 BOT STATUS\n\nMode   : SELF\nStatus : Active\n\nOnly the author can use bot commands.`
+            message: t('auth.selfMode')
           };
         }
       }
 
-      // Check role-based permissions
-      const roleCheck = this.checkRole(senderNumber, requiredRole);
+      // Check role-based permissions (group admins pass for commands that allow them)
+      const roleCheck = isGroupAdmin
+        ? { authorized: true, role: this.getRole(senderNumber) }
+        : this.checkRole(senderNumber, requiredRole, locale);
       if (!roleCheck.authorized) {
         return roleCheck;
       }
@@ -73,7 +87,7 @@ export class AuthMiddleware {
       return {
         authorized: false,
         reason: 'error',
-        message: '❌ Terjadi error saat memeriksa permission.'
+        message: t('auth.error')
       };
     }
   }
@@ -82,33 +96,19 @@ export class AuthMiddleware {
    * Check user role
    * @param {string} number - Phone number
    * @param {string} requiredRole - Required role
+   * @param {string} locale - Locale for denial message
    * @returns {Object} Role check result
    */
-  checkRole(number, requiredRole) {
-    const isAuthor = db.isAuthor(number);
-    const isOwner = db.isOwner(number);
-
-    let userRole = 'user';
-    if (isAuthor) userRole = 'author';
-    else if (isOwner) userRole = 'owner';
+  checkRole(number, requiredRole, locale = null) {
+    const userRole = this.getRole(number);
 
-    // Role hierarchy: author > owner > user
-    const roleHierarchy = {
-      'author': 3,
-      'owner': 2,
-      'user': 1
-    };
-
-    const userLevel = roleHierarchy[userRole];
-    const requiredLevel = roleHierarchy[requiredRole];
-
-    if (userLevel < requiredLevel) {
+    if (!this.hasRole(userRole, requiredRole)) {
       let message = '';
       
       if (requiredRole === 'author') {
-        message = '👑 Command ini hanya untuk Author.';
+        message = i18n.t('auth.authorOnly', {}, locale);
       } else if (requiredRole === 'owner') {
-        message = '🔧 Command ini hanya untuk Owner dan Author.';
+        message = i18n.t('auth.ownerOnly', {}, locale);
       }
 
       return {
@@ -127,85 +127,24 @@ export class AuthMiddleware {
   }
 
   /**
-   * Check if user can execute specific command
-   * @param {string} sender - User JID
-   * @param {string} command - Command name
-   * @returns {Object} Command permission result
+   * Get role key for phone number
+   * @param {string} number - Phone number
+   * @returns {string} Role (author/owner/user)
    */
-  async checkCommandPermission(sender, command) {
-    const commandPermissions = this.getCommandPermissions();
-    const requiredRole = commandPermissions[command] || 'user';
-
-    return await this.checkAuth(sender, command, requiredRole);
+  getRole(number) {
+    if (db.isAuthor(number)) return 'author';
+    if (db.isOwner(number)) return 'owner';
+    return 'user';
   }
 
   /**
-   * Get command permissions mapping
-   * @returns {Object} Command to role mapping
+   * Check if role satisfies required role
+   * @param {string} userRole - User's role
+   * @param {string} requiredRole - Required role
+   * @returns {boolean}
    */
-  getCommandPermissions() {
-    return {
-      // Author only commands
-      'botinfo': 'author',
-      'addowner': 'author',
-      'delowner': 'author',
-      'addauthor': 'author',
-      'self': 'author',
-      'public': 'author',
-      'disable': 'author',
-      'undisable': 'author',
-      'listdisable': 'author',
-      'defense': 'author',
-      'addshare': 'author',
-      'share': 'author',
-      'broadcast': 'author',
-      'eval': 'author',
-      'exec': 'author',
-      'restart': 'author',
-      'shutdown': 'author',
-      'backup': 'author',
-      'restore': 'author',
-
-      // Owner commands
-      'adddefense': 'owner',
-      'removedefense': 'owner',
-      'mute': 'owner',
-      'unmute': 'owner',
-      'warn': 'owner',
-      'unwarn': 'owner',
-      'resetwarn': 'owner',
-      'kick': 'owner',
-      'promote': 'owner',
-      'demote': 'owner',
-      'blacklist': 'owner',
-      'unblacklist': 'owner',
-      'on': 'owner',
-      'off': 'owner',
-      'sambut': 'owner',
-      'ucapan': 'owner',
-      'add-list-grup': 'owner',
-      'info-grup': 'owner',
-      'getlink': 'owner',
-      'revoke': 'owner',
-      'tagall': 'owner',
-      'hidetag': 'owner',
-
-      // General commands (all users)
-      'menu': 'user',
-      'start': 'user',
-      'help': 'user',
-      'ping': 'user',
-      'intro': 'user',
-      'ai': 'user',
-      'quotes': 'user',
-      'game': 'user',
-      'joingame': 'user',
-      'brat': 'user',
-      'sticker': 'user',
-      'toimg': 'user',
-      'download-music': 'user',
-      'download-tiktok': 'user'
-    };
+  hasRole(userRole, requiredRole = 'user') {
+    return (this.roleHierarchy[userRole] || 0) >= (this.roleHierarchy[requiredRole] || 0);
   }
 
   /**
@@ -272,52 +211,26 @@ export class AuthMiddleware {
   /**
    * Format permission denied message
    * @param {string} command - Command name
-   * @param {string} requiredRole - Required role
+   * @param {string} requiredRole - Required role (or denial reason: disabled/blacklisted/self_mode)
    * @param {string} userRole - User's current role
+   * @param {string} locale - Locale code
+   * @param {string} prefix - Command prefix
    * @returns {string} Formatted message
    */
-  formatPermissionDeniedMessage(command, requiredRole, userRole) {
-    const messages = {
-      author: `👑 *PERMISSION DENIED*
-
-Command: ${config.get('bot.prefix')}${command}
-Required: Author
-Your role: ${userRole}
-
-This command is restricted to the bot author only.`,
-
-      owner: `🔧 *PERMISSION DENIED*
-
-Command: ${config.get('bot.prefix')}${command}
-Required: Owner/Author
-Your role: ${userRole}
-
-This command requires Owner or Author permission.
-
-Contact admin to get access.`,
-
-      disabled: `❌ *ACCESS DENIED*
-
-Your account has been disabled by the author.
-
-Contact: @${config.get('bot.author.number')}`,
-
-      blacklisted: `🚫 *BLACKLISTED*
-
-Your number is blacklisted and cannot use this bot.
-
-Contact admin for more information.`,
-
-      self_mode: `🤖 *BOT STATUS*
-
-Mode   : SELF
-Status : Active
-
-The bot is currently in SELF mode.
-Only the author can execute commands.`
+  formatPermissionDeniedMessage(command, requiredRole, userRole, locale = null, prefix = config.get('bot.prefix')) {
+    const keys = {
+      author: 'auth.denied.author',
+      owner: 'auth.denied.owner',
+      disabled: 'auth.denied.disabled',
+      blacklisted: 'auth.denied.blacklisted',
+      self_mode: 'auth.denied.selfMode'
     };
 
-    return messages[requiredRole] || messages.owner;
+    return i18n.t(keys[requiredRole] || keys.owner, {
+      command: `${prefix}${command}`,
+      role: userRole,
+      author: config.get('bot.author.number')
+    }, locale);
   }
 
   /**
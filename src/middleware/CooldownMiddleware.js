@@ -8,21 +8,25 @@
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
 import { db } from '../database/Database.js';
+import { i18n } from '../utils/I18n.js';
 
 export class CooldownMiddleware {
   constructor() {
     this.logger = new Logger('COOLDOWN-MIDDLEWARE');
     this.globalCooldowns = new Map(); // Global rate limiting
     this.spamTracker = new Map(); // Spam detection
+    this.suggestionTracker = new Map(); // "Did you mean" rate limiting
   }
 
   /**
    * Check if user is on cooldown for command
    * @param {string} sender - User JID
    * @param {string} command - Command name
+   * @param {string} locale - Locale for cooldown message
+   * @param {string} prefix - Prefix shown in cooldown message
    * @returns {Object} Cooldown check result
    */
-  async checkCooldown(sender, command) {
+  async checkCooldown(sender, command, locale = null, prefix = config.get('bot.prefix')) {
     try {
       const senderNumber = sender.split('@')[0];
 
@@ -48,7 +52,7 @@ export class CooldownMiddleware {
           canExecute: false,
           remaining: cooldownRemaining,
           remainingSeconds: seconds,
-          message: this.formatCooldownMessage(command, seconds)
+          message: this.formatCooldownMessage(command, seconds, locale, prefix)
         };
       }
 
@@ -71,10 +75,9 @@ export class CooldownMiddleware {
   /**
    * Apply cooldown to user for command
    * @param {string} sender - User JID
-   * @param {string} command - Command name
-   * @param {number} duration - Cooldown duration in seconds (optional)
+   * @param {Object} command - Command definition
    */
-  async applyCooldown(sender, command, duration = null) {
+  async applyCooldown(sender, command) {
     try {
       const senderNumber = sender.split('@')[0];
 
@@ -84,12 +87,15 @@ export class CooldownMiddleware {
       }
 
       // Get cooldown duration
-      const cooldownTime = duration || this.getCooldownDuration(command);
+      const cooldownTime = this.getCooldownDuration(command);
+      if (cooldownTime <= 0) {
+        return;
+      }
 
       // Set cooldown in database
-      await db.setCooldown(senderNumber, command, cooldownTime);
+      await db.setCooldown(senderNumber, command.name, cooldownTime);
 
-      this.logger.debug(`Cooldown applied: ${senderNumber} -> ${command} (${cooldownTime}s)`);
+      this.logger.debug(`Cooldown applied: ${senderNumber} -> ${command.name} (${cooldownTime}s)`);
 
     } catch (error) {
       this.logger.error('Error applying cooldown:', error);
@@ -97,35 +103,22 @@ export class CooldownMiddleware {
   }
 
   /**
-   * Get cooldown duration for specific command
-   * @param {string} command - Command name
+   * Get cooldown duration for command
+   * @param {Object} command - Command definition
    * @returns {number} Duration in seconds
    */
   getCooldownDuration(command) {
-    // Custom cooldowns for specific commands
-    const customCooldowns = {
-      'ai': 30,           // AI commands need longer cooldown
-      'download-music': 60,
-      'download-tiktok': 60,
-      'share': 600,       // 10 minutes for broadcast
-      'broadcast': 600,
-      'game': 5,
-      'joingame': 3,
-      'quotes': 10,
-      'sticker': 5,
-      'brat': 5
-    };
-
-    // Return custom cooldown or default
-    return customCooldowns[command] || config.get('security.cooldownCommand');
+    // Command cooldown (0 = none) or default
+    return command?.cooldown ?? config.get('security.cooldownCommand');
   }
 
   /**
    * Check global rate limit
    * @param {string} sender - User JID
+   * @param {string} locale - Locale for rate limit message
    * @returns {Object} Rate limit check result
    */
-  checkGlobalRateLimit(sender) {
+  checkGlobalRateLimit(sender, locale = null) {
     try {
       const senderNumber = sender.split('@')[0];
 
@@ -158,7 +151,7 @@ export class CooldownMiddleware {
         return {
           limited: true,
           canExecute: false,
-          message: '⏳ *RATE LIMIT*\n\nAnda mengirim command terlalu cepat.\nTunggu 1 menit sebelum mencoba lagi.'
+          message: i18n.t('cooldown.rateLimit', {}, locale)
         };
       }
 
@@ -180,6 +173,32 @@ export class CooldownMiddleware {
     }
   }
 
+  /**
+   * Check if a command suggestion may be sent (per user and per chat)
+   * @param {string} sender - User JID
+   * @param {string} chatId - Chat JID
+   * @returns {boolean} Whether suggestion is allowed
+   */
+  checkSuggestionLimit(sender, chatId) {
+    const senderNumber = sender.split('@')[0];
+    const now = Date.now();
+    const settings = config.get('suggestions');
+
+    const userKey = `user:${senderNumber}`;
+    const chatKey = `chat:${chatId}`;
+
+    const userLast = this.suggestionTracker.get(userKey) || 0;
+    const chatLast = this.suggestionTracker.get(chatKey) || 0;
+
+    if (now - userLast < settings.userCooldown * 1000 || now - chatLast < settings.chatCooldown * 1000) {
+      return false;
+    }
+
+    this.suggestionTracker.set(userKey, now);
+    this.suggestionTracker.set(chatKey, now);
+    return true;
+  }
+
   /**
    * Check for spam behavior
    * @param {string} sender - User JID
@@ -299,25 +318,20 @@ export class CooldownMiddleware {
    * Format cooldown message
    * @param {string} command - Command name
    * @param {number} seconds - Remaining seconds
+   * @param {string} locale - Locale code
+   * @param {string} prefix - Command prefix
    * @returns {string} Formatted message
    */
-  formatCooldownMessage(command, seconds) {
+  formatCooldownMessage(command, seconds, locale = null, prefix = config.get('bot.prefix')) {
+    const t = i18n.translator(locale);
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
 
-    let timeStr = '';
-    if (minutes > 0) {
-      timeStr = `${minutes} menit ${remainingSeconds} detik`;
-    } else {
-      timeStr = `${seconds} detik`;
-    }
+    const time = minutes > 0
+      ? t('cooldown.minutesSeconds', { minutes, seconds: remainingSeconds })
+      : t('cooldown.seconds', { seconds });
 
-    return `⏳ *COOLDOWN ACTIVE*
-
-Command: ${config.get('bot.prefix')}${command}
-Remaining: ${timeStr}
-
-Tunggu sebentar sebelum menggunakan command ini lagi.`;
+    return t('cooldown.active', { command: `${prefix}${command}`, time });
   }
 
   /**
@@ -328,7 +342,8 @@ Tunggu sebentar sebelum menggunakan command ini lagi.`;
     return {
       activeCooldowns: this.globalCooldowns.size,
       spamTrackers: this.spamTracker.size,
-      totalTracked: this.globalCooldowns.size + this.spamTracker.size
+      suggestionTrackers: this.suggestionTracker.size,
+      totalTracked: this.globalCooldowns.size + this.spamTracker.size + this.suggestionTracker.size
     };
   }
 
@@ -359,6 +374,13 @@ Tunggu sebentar sebelum menggunakan command ini lagi.`;
       }
     }
 
+    // Cleanup suggestion tracker
+    for (const [key, timestamp] of this.suggestionTracker.entries()) {
+      if (now - timestamp >= maxAge) {
+        this.suggestionTracker.delete(key);
+      }
+    }
+
     this.logger.debug('Cooldown tracking data cleaned up');
   }
 }
@@ -7,6 +7,8 @@
 
 import { Logger } from '../utils/Logger.js';
 import { config } from '../config/BotConfig.js';
+import { ArgumentParser } from '../utils/ArgumentParser.js';
+import { i18n } from '../utils/I18n.js';
 
 export class ValidationMiddleware {
   constructor() {
@@ -14,379 +16,101 @@ export class ValidationMiddleware {
   }
 
   /**
-   * Validate command arguments
-   * @param {string} command - Command name
+   * Validate command arguments against command definition
+   * @param {Object} command - Command definition
    * @param {Array} args - Command arguments
    * @param {Object} messageInfo - Message information
-   * @returns {Object} Validation result
+   * @returns {Object} Validation result (with typed params when schema has params/flags)
    */
   validateCommand(command, args, messageInfo) {
-    try {
-      const requirements = this.getCommandRequirements(command);
-      
-      if (!requirements) {
-        // No specific requirements for this command
-        return {
-          valid: true
-        };
-      }
+    const t = i18n.translator(messageInfo.locale);
 
+    try {
+      const schema = command.args || {};
       const errors = [];
+      let params = {};
 
       // Check minimum arguments
-      if (requirements.minArgs && args.length < requirements.minArgs) {
-        errors.push(`Command memerlukan minimal ${requirements.minArgs} argument.`);
+      if (schema.min && args.length < schema.min) {
+        errors.push(t('validation.min', { min: schema.min }));
       }
 
       // Check maximum arguments
-      if (requirements.maxArgs && args.length > requirements.maxArgs) {
-        errors.push(`Command menerima maksimal ${requirements.maxArgs} argument.`);
+      if (schema.max && args.length > schema.max) {
+        errors.push(t('validation.max', { max: schema.max }));
       }
 
       // Check if requires group
-      if (requirements.groupOnly && !messageInfo.isGroup) {
-        errors.push('Command ini hanya bisa digunakan di grup.');
+      if (command.groupOnly && !messageInfo.isGroup) {
+        errors.push(t('validation.groupOnly'));
       }
 
       // Check if requires quoted message
-      if (requirements.requiresQuoted && !messageInfo.quoted) {
-        errors.push('Command ini memerlukan reply pesan.');
+      if (schema.requiresQuoted && !messageInfo.quoted) {
+        errors.push(t('validation.requiresQuoted'));
       }
 
-      // Custom validation
-      if (requirements.validate) {
-        const customValidation = requirements.validate(args, messageInfo);
+      // Typed params and flags
+      if (errors.length === 0 && (schema.params || schema.flags)) {
+        const parsed = ArgumentParser.parse(schema, args, messageInfo, command.name);
+        errors.push(...parsed.errors);
+        params = parsed.params;
+      }
+
+      // Custom validation (skipped when basic checks already failed)
+      if (errors.length === 0 && schema.validate) {
+        const customValidation = schema.validate(args, messageInfo, params);
         if (!customValidation.valid) {
           errors.push(...customValidation.errors);
         }
       }
 
       if (errors.length > 0) {
+        const usage = this.formatUsage(this.getUsage(command, messageInfo.locale), messageInfo.prefix);
+
         return {
           valid: false,
           errors,
-          usage: requirements.usage,
-          message: this.formatValidationError(command, errors, requirements.usage)
+          usage,
+          message: this.formatValidationError(command.name, errors, usage, messageInfo.prefix, messageInfo.locale)
         };
       }
 
       return {
-        valid: true
+        valid: true,
+        params
       };
 
     } catch (error) {
       this.logger.error('Error validating command:', error);
       return {
         valid: false,
-        errors: ['Terjadi error saat validasi command.']
+        errors: [t('validation.error')],
+        message: t('validation.error')
       };
     }
   }
 
   /**
-   * Get command requirements
-   * @param {string} command - Command name
-   * @returns {Object|null} Requirements object
+   * Get command usage
+   * @param {Object} command - Command object
+   * @param {string} locale - Locale for usage (catalog usages.<name>, falls back to command.usage)
+   * @returns {string} Usage
    */
-  getCommandRequirements(command) {
-    const requirements = {
-      // Author Commands
-      'addowner': {
-        minArgs: 0,
-        groupOnly: false,
-        requiresQuoted: false,
-        usage: `${config.get('bot.prefix')}addowner @user atau reply pesan user`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin dijadikan owner.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'delowner': {
-        minArgs: 0,
-        requiresQuoted: false,
-        usage: `${config.get('bot.prefix')}delowner @user atau reply pesan user`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin dihapus dari owner.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'disable': {
-        minArgs: 0,
-        usage: `${config.get('bot.prefix')}disable @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-disable.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'defense': {
-        minArgs: 1,
-        maxArgs: 1,
-        usage: `${config.get('bot.prefix')}defense <NORMAL|STRICT|LOCKDOWN>`,
-        validate: (args) => {
-          const validModes = ['NORMAL', 'STRICT', 'LOCKDOWN'];
-          if (!validModes.includes(args[0].toUpperCase())) {
-            return {
-              valid: false,
-              errors: [`Mode defense harus: ${validModes.join(', ')}`]
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'share': {
-        minArgs: 1,
-        usage: `${config.get('bot.prefix')}share <pesan>`,
-        validate: (args) => {
-          if (args.join(' ').trim().length === 0) {
-            return {
-              valid: false,
-              errors: ['Pesan tidak boleh kosong.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      // Owner Commands
-      'mute': {
-        minArgs: 0,
-        groupOnly: true,
-        usage: `${config.get('bot.prefix')}mute @user <waktu> atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-mute.']
-            };
-          }
-          
-          // Check time format if provided
-          const timeArg = info.quoted ? args[0] : args[1];
-          if (timeArg && !this.isValidDuration(timeArg)) {
-            return {
-              valid: false,
-              errors: ['Format waktu tidak valid. Contoh: 10m, 1h, 1d']
-            };
-          }
-          
-          return { valid: true };
-        }
-      },
-
-      'unmute': {
-        minArgs: 0,
-        groupOnly: true,
-        requiresQuoted: false,
-        usage: `${config.get('bot.prefix')}unmute @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-unmute.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'warn': {
-        minArgs: 0,
-        groupOnly: true,
-        usage: `${config.get('bot.prefix')}warn @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-warn.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'kick': {
-        minArgs: 0,
-        groupOnly: true,
-        usage: `${config.get('bot.prefix')}kick @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-kick.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'promote': {
-        minArgs: 0,
-        groupOnly: true,
-        usage: `${config.get('bot.prefix')}promote @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-promote.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'demote': {
-        minArgs: 0,
-        groupOnly: true,
-        usage: `${config.get('bot.prefix')}demote @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-demote.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'blacklist': {
-        minArgs: 0,
-        usage: `${config.get('bot.prefix')}blacklist @user atau reply pesan`,
-        validate: (args, info) => {
-          if (args.length === 0 && !info.quoted) {
-            return {
-              valid: false,
-              errors: ['Mention user atau reply pesan user yang ingin di-blacklist.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'on': {
-        minArgs: 1,
-        maxArgs: 1,
-        usage: `${config.get('bot.prefix')}on <feature>`,
-        validate: (args) => {
-          if (args[0].trim().length === 0) {
-            return {
-              valid: false,
-              errors: ['Sebutkan fitur yang ingin diaktifkan. Contoh: anti-link']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'off': {
-        minArgs: 1,
-        maxArgs: 1,
-        usage: `${config.get('bot.prefix')}off <feature>`,
-        validate: (args) => {
-          if (args[0].trim().length === 0) {
-            return {
-              valid: false,
-              errors: ['Sebutkan fitur yang ingin dinonaktifkan. Contoh: anti-spam']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      // General Commands
-      'ai': {
-        minArgs: 1,
-        usage: `${config.get('bot.prefix')}ai <pertanyaan>`,
-        validate: (args) => {
-          const question = args.join(' ').trim();
-          if (question.length === 0) {
-            return {
-              valid: false,
-              errors: ['Pertanyaan tidak boleh kosong.']
-            };
-          }
-          if (question.length > 500) {
-            return {
-              valid: false,
-              errors: ['Pertanyaan terlalu panjang. Maksimal 500 karakter.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'brat': {
-        minArgs: 1,
-        usage: `${config.get('bot.prefix')}brat <teks>`,
-        validate: (args) => {
-          const text = args.join(' ').trim();
-          if (text.length === 0) {
-            return {
-              valid: false,
-              errors: ['Teks tidak boleh kosong.']
-            };
-          }
-          if (text.length > 50) {
-            return {
-              valid: false,
-              errors: ['Teks terlalu panjang. Maksimal 50 karakter.']
-            };
-          }
-          return { valid: true };
-        }
-      },
-
-      'download-music': {
-        minArgs: 1,
-        usage: `${config.get('bot.prefix')}download-music <url>`,
-        validate: (args) => {
-          const url = args[0];
-          if (!this.isValidURL(url)) {
-            return {
-              valid: false,
-              errors: ['URL tidak valid. Masukkan URL yang benar.']
-            };
-          }
-          return { valid: true };
-        }
-      },
+  getUsage(command, locale = null) {
+    return i18n.lookup(locale || i18n.defaultLocale, `usages.${command.name}`) || command.usage;
+  }
 
-      'download-tiktok': {
-        minArgs: 1,
-        usage: `${config.get('bot.prefix')}download-tiktok <url>`,
-        validate: (args) => {
-          const url = args[0];
-          if (!this.isValidURL(url)) {
-            return {
-              valid: false,
-              errors: ['URL tidak valid. Masukkan URL TikTok yang benar.']
-            };
-          }
-          return { valid: true };
-        }
-      }
-    };
+  /**
+   * Format usage lines with command prefix
+   * @param {string} usage - Usage (one line per form, without prefix)
+   * @param {string} prefix - Prefix used in chat (default global prefix)
+   * @returns {string|null} Formatted usage
+   */
+  formatUsage(usage, prefix = config.get('bot.prefix')) {
+    if (!usage) return null;
 
-    return requirements[command] || null;
+    return usage.split('\n').map(line => prefix + line).join('\n');
   }
 
   /**
@@ -413,53 +137,28 @@ export class ValidationMiddleware {
     }
   }
 
-  /**
-   * Validate duration format (e.g., 10m, 1h, 1d)
-   * @param {string} duration - Duration string
-   * @returns {boolean}
-   */
-  isValidDuration(duration) {
-    return /^\d+[mhd]$/i.test(duration);
-  }
-
-  /**
-   * Parse duration to minutes
-   * @param {string} duration - Duration string (e.g., 10m, 1h, 1d)
-   * @returns {number} Minutes
-   */
-  parseDuration(duration) {
-    const match = duration.match(/^(\d+)([mhd])$/i);
-    if (!match) return 0;
-
-    const value = parseInt(match[1]);
-    const unit = match[2].toLowerCase();
-
-    switch (unit) {
-      case 'm': return value;
-      case 'h': return value * 60;
-      case 'd': return value * 60 * 24;
-      default: return 0;
-    }
-  }
-
   /**
    * Format validation error message
    * @param {string} command - Command name
    * @param {Array} errors - Error messages
    * @param {string} usage - Usage string
+   * @param {string} prefix - Prefix used in chat (default global prefix)
+   * @param {string} locale - Locale code
    * @returns {string} Formatted message
    */
-  formatValidationError(command, errors, usage) {
-    let message = `❌ *VALIDATION ERROR*\n\n`;
-    message += `Command: ${config.get('bot.prefix')}${command}\n\n`;
-    message += `*Errors:*\n`;
+  formatValidationError(command, errors, usage, prefix = config.get('bot.prefix'), locale = null) {
+    const t = i18n.translator(locale);
+
+    let message = `${t('validation.title')}\n\n`;
+    message += `${t('validation.command', { command: `${prefix}${command}` })}\n\n`;
+    message += `${t('validation.errors')}\n`;
     
     errors.forEach((error, index) => {
       message += `${index + 1}. ${error}\n`;
     });
 
     if (usage) {
-      message += `\n*Usage:*\n${usage}`;
+      message += `\n${t('common.usage')}\n${usage}`;
     }
 
     return message;
@@ -0,0 +1,172 @@
+/**
+ * ALL-STAR BOT v2.0 - Anti-Delete Module
+ * Re-posts messages revoked by members in protected groups
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { WAMessageStubType } from '@whiskeysockets/baileys';
+import { Logger } from '../utils/Logger.js';
+import { db } from '../database/Database.js';
+import { messageStore } from '../database/MessageStore.js';
+import { DateHelper } from '../utils/DateHelper.js';
+import { MessageParser } from '../utils/MessageParser.js';
+import { i18n, LocalizedError } from '../utils/I18n.js';
+
+export class AntiDelete {
+  constructor() {
+    this.logger = new Logger('ANTI-DELETE');
+
+    // off: disabled, group: re-post in group, private: send to mod log / owners
+    this.modes = ['off', 'group', 'private'];
+
+    // Message types that are sent as text only
+    this.textTypes = ['conversation', 'extendedTextMessage'];
+  }
+
+  /**
+   * Get anti-delete mode for group
+   * @param {string} groupId - Group JID
+   * @returns {string} Mode
+   */
+  getMode(groupId) {
+    const mode = db.getGroupSettings(groupId).antiDelete;
+    return this.modes.includes(mode) ? mode : 'off';
+  }
+
+  /**
+   * Set anti-delete mode for group
+   * @param {string} groupId - Group JID
+   * @param {string} mode - Mode (off/group/private)
+   */
+  async setMode(groupId, mode) {
+    if (!this.modes.includes(mode)) {
+      throw new LocalizedError('antiDelete.invalidMode', { mode, modes: this.modes.join(', ') });
+    }
+
+    await db.updateGroupSetting(groupId, 'antiDelete', mode);
+    this.logger.info(`Anti-delete set to ${mode} for group: ${groupId}`);
+  }
+
+  /**
+   * Check if message update is a revoke ("delete for everyone")
+   * @param {Object} update - Message update
+   * @returns {boolean}
+   */
+  isRevoke(update) {
+    return update?.update?.messageStubType === WAMessageStubType.REVOKE;
+  }
+
+  /**
+   * Handle revoked message
+   * @param {Object} bot - Bot instance
+   * @param {Object} update - Message update
+   * @returns {Promise<boolean>} Whether message was re-posted
+   */
+  async handleRevoke(bot, update) {
+    try {
+      const { key } = update;
+      const groupId = key.remoteJid;
+
+      if (!groupId?.endsWith('@g.us') || !db.isProtected(groupId)) {
+        return false;
+      }
+
+      const mode = this.getMode(groupId);
+      if (mode === 'off') {
+        return false;
+      }
+
+      // Deletions made by the bot itself (defense modules) are expected
+      const revokeKey = update.update.key || key;
+      if (key.fromMe || revokeKey.fromMe) {
+        return false;
+      }
+
+      const original = messageStore.loadMessage(groupId, key.id);
+      if (!original || original.key.fromMe) {
+        this.logger.debug(`Revoked message ${key.id} not found in store`);
+        return false;
+      }
+
+      // Only re-post self deletions, admins removing messages is moderation
+      const senderJid = original.key.participant || original.key.remoteJid;
+      const senderNumber = senderJid.split('@')[0].split(':')[0];
+      const revokerNumber = (revokeKey.participant || '').split('@')[0].split(':')[0];
+
+      if (revokerNumber && revokerNumber !== senderNumber) {
+        return false;
+      }
+
+      const targets = mode === 'group' ? [groupId] : this.getPrivateTargets();
+      if (targets.length === 0) {
+        this.logger.warn('No moderation log chat or owners to receive deleted message');
+        return false;
+      }
+
+      const metadata = mode === 'private' ? await bot.getGroupMetadata(groupId) : null;
+      const { type, text } = MessageParser.parse(original.message);
+
+      const t = i18n.translator(i18n.resolveLocale(groupId));
+
+      let header = t('antiDelete.title');
+      header += t('antiDelete.user', { number: senderNumber });
+      if (metadata) {
+        header += t('antiDelete.group', { group: metadata.subject });
+      }
+      header += t('antiDelete.times', {
+        sent: DateHelper.formatTimestamp(original.messageTimestamp, 'DD/MM/YYYY HH:mm:ss'),
+        deleted: DateHelper.formatTimestamp(Date.now(), 'DD/MM/YYYY HH:mm:ss')
+      });
+
+      const isText = this.textTypes.includes(type);
+      if (isText) {
+        header += t('antiDelete.message', { text });
+      }
+
+      for (const target of targets) {
+        try {
+          await bot.sendMessage(target, {
+            text: header,
+            mentions: [senderJid]
+          });
+
+          // Media and other content are forwarded as-is
+          if (!isText) {
+            await bot.sendMessage(target, { forward: original });
+          }
+        } catch (error) {
+          this.logger.error(`Failed to re-post deleted message to ${target}:`, error);
+        }
+      }
+
+      this.logger.security('AntiDelete', senderNumber, `Revoked ${type} in ${groupId} (${mode})`, 'SYSTEM');
+      return true;
+
+    } catch (error) {
+      this.logger.error('Error handling revoked message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get private recipients: moderation log chat or all owners/authors
+   * @returns {Array} Chat JIDs
+   */
+  getPrivateTargets() {
+    const modLogChat = db.getModLogChat();
+    if (modLogChat) {
+      return [modLogChat];
+    }
+
+    const numbers = [
+      ...(db.get('users.authors') || []),
+      ...(db.get('users.owners') || [])
+    ];
+
+    return [...new Set(numbers)].map(number => number + '@s.whatsapp.net');
+  }
+}
+
+// Export singleton instance
+export const antiDelete = new AntiDelete();
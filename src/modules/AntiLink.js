@@ -5,12 +5,13 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
-import { Logger } from '../utils/Logger.js';
-import { db } from '../database/Database.js';
+import { DefenseModule } from './DefenseModule.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
 
-export class AntiLink {
+export class AntiLink extends DefenseModule {
   constructor() {
-    this.logger = new Logger('ANTI-LINK');
+    super('antiLink', 'ANTI-LINK');
     
     // URL detection patterns
     this.patterns = [
@@ -50,10 +51,19 @@ export class AntiLink {
 
   /**
    * Detect links in message
+   * @param {Object} context - Defense context
+   * @returns {Object} Detection result
+   */
+  detect(context) {
+    return this.analyze(context.messageContent);
+  }
+
+  /**
+   * Analyze text for links
    * @param {string} message - Message text
    * @returns {Object} Detection result
    */
-  detect(message) {
+  analyze(message) {
     try {
       if (!message || typeof message !== 'string') {
         return {
@@ -105,149 +115,31 @@ export class AntiLink {
 
   /**
    * Handle link violation
-   * @param {Object} bot - Bot instance
-   * @param {string} groupId - Group JID
-   * @param {string} sender - Sender JID
-   * @param {Object} messageKey - Message key
-   * @param {Array} links - Detected links
+   * @param {Object} context - Defense context
+   * @param {Object} detection - Detection result
    */
-  async handle(bot, groupId, sender, messageKey, links) {
+  async handle(context, detection) {
     try {
-      const senderNumber = sender.split('@')[0];
-      const groupSettings = db.getGroupSettings(groupId);
-      const defenseMode = groupSettings.defenseMode || db.getDefenseMode();
-
-      // Get defense mode action
-      const modeConfig = this.getDefenseModeConfig(defenseMode);
+      const { bot, groupId, senderNumber, messageKey } = context;
 
       // Delete message
       await bot.deleteMessage(groupId, messageKey);
       this.logger.info(`Deleted message with link from ${senderNumber}`);
 
-      // Apply action based on defense mode
-      if (modeConfig.action === 'warn') {
-        // Add warning
-        const warnCount = await db.addWarn(senderNumber);
-        const maxWarn = 3;
-
-        // Send warning message
-        let warningMessage = `⚠️ *ANTI-LINK VIOLATION*\n\n`;
-        warningMessage += `User: @${senderNumber}\n`;
-        warningMessage += `Reason: Link detected\n`;
-        warningMessage += `Warning: ${warnCount}/${maxWarn}\n\n`;
-
-        if (warnCount >= maxWarn) {
-          warningMessage += `Maximum warnings reached. User will be kicked.`;
-          
-          // Kick user
-          await bot.kickParticipant(groupId, [sender]);
-          await db.resetWarn(senderNumber);
-          
-          this.logger.security('Kick', senderNumber, 'Max warnings (anti-link)', 'SYSTEM');
-        } else {
-          warningMessage += `Links are not allowed in this group.\n`;
-          warningMessage += `Next violation: ${maxWarn - warnCount} warnings remaining`;
-        }
-
-        await bot.sendMessage(groupId, {
-          text: warningMessage,
-          mentions: [sender]
-        });
+      const t = i18n.translator(context.locale);
 
-      } else if (modeConfig.action === 'mute') {
-        // Mute user
-        await db.addMute(senderNumber, 10, 'Anti-link violation');
-
-        const muteMessage = `🔇 *USER MUTED*\n\n`;
-        muteMessage += `User: @${senderNumber}\n`;
-        muteMessage += `Duration: 10 minutes\n`;
-        muteMessage += `Reason: Link detected\n\n`;
-        muteMessage += `Links are not allowed in this group.`;
-
-        await bot.sendMessage(groupId, {
-          text: muteMessage,
-          mentions: [sender]
-        });
-
-        this.logger.security('Mute', senderNumber, 'Anti-link violation', 'SYSTEM');
-
-      } else if (modeConfig.action === 'kick') {
-        // Kick immediately
-        await bot.kickParticipant(groupId, [sender]);
-
-        const kickMessage = `🚫 *USER KICKED*\n\n`;
-        kickMessage += `User: @${senderNumber}\n`;
-        kickMessage += `Reason: Link detected\n\n`;
-        kickMessage += `Links are strictly prohibited in this group.`;
-
-        await bot.sendMessage(groupId, {
-          text: kickMessage,
-          mentions: [sender]
-        });
-
-        this.logger.security('Kick', senderNumber, 'Anti-link violation', 'SYSTEM');
-      }
-
-      // Log to statistics
-      await db.incrementViolation('antiLink');
+      await sanctionService.apply(context, {
+        module: this.name,
+        title: t('defense.antiLink.title'),
+        reason: t('defense.antiLink.reason', { count: detection.count }),
+        severity: 'low'
+      });
 
     } catch (error) {
       this.logger.error('Error handling link violation:', error);
     }
   }
 
-  /**
-   * Get defense mode configuration
-   * @param {string} mode - Defense mode (NORMAL, STRICT, LOCKDOWN)
-   * @returns {Object} Configuration
-   */
-  getDefenseModeConfig(mode) {
-    const configs = {
-      'NORMAL': {
-        action: 'warn',
-        severity: 'low'
-      },
-      'STRICT': {
-        action: 'mute',
-        severity: 'medium'
-      },
-      'LOCKDOWN': {
-        action: 'kick',
-        severity: 'high'
-      }
-    };
-
-    return configs[mode] || configs['NORMAL'];
-  }
-
-  /**
-   * Check if group has anti-link enabled
-   * @param {string} groupId - Group JID
-   * @returns {boolean}
-   */
-  isEnabled(groupId) {
-    const settings = db.getGroupSettings(groupId);
-    return settings.antiLink !== false;
-  }
-
-  /**
-   * Enable anti-link for group
-   * @param {string} groupId - Group JID
-   */
-  async enable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiLink', true);
-    this.logger.info(`Anti-link enabled for group: ${groupId}`);
-  }
-
-  /**
-   * Disable anti-link for group
-   * @param {string} groupId - Group JID
-   */
-  async disable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiLink', false);
-    this.logger.info(`Anti-link disabled for group: ${groupId}`);
-  }
-
   /**
    * Add domain to whitelist
    * @param {string} domain - Domain to whitelist
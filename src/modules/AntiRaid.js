@@ -0,0 +1,284 @@
+/**
+ * ALL-STAR BOT v2.0 - Anti-Raid Module
+ * Detects mass joins and locks the group down automatically
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { DefenseModule } from './DefenseModule.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { geoRestriction } from './GeoRestriction.js';
+import { i18n } from '../utils/I18n.js';
+
+export class AntiRaid extends DefenseModule {
+  constructor() {
+    super('antiRaid', 'ANTI-RAID');
+
+    // Track joins per group
+    this.joinTracker = new Map();
+    // Format: { groupId: [{ participant, timestamp, foreign }] }
+
+    // Raid detection settings
+    const raidConfig = config.get('security.antiRaid');
+    this.settings = {
+      joinThreshold: raidConfig.joinThreshold,
+      foreignThreshold: raidConfig.foreignThreshold,
+      timeWindow: raidConfig.timeWindow * 1000, // Convert to ms
+      coolOff: raidConfig.coolOff * 60 * 1000, // Convert to ms
+      kickCohort: raidConfig.kickCohort
+    };
+  }
+
+  /**
+   * Track join and detect raid burst
+   * @param {Object} context - Defense context
+   * @returns {Promise<Object>} Detection result
+   */
+  async detect(context) {
+    try {
+      const { groupId, sender, senderNumber, timestamp } = context;
+
+      // Record join inside sliding window
+      const joins = (this.joinTracker.get(groupId) || []).filter(
+        join => timestamp - join.timestamp < this.settings.timeWindow
+      );
+      joins.push({
+        participant: sender,
+        timestamp,
+        foreign: !geoRestriction.checkNumber(senderNumber).allowed
+      });
+      this.joinTracker.set(groupId, joins);
+
+      const raidState = this.getRaidState(groupId);
+
+      // Raid already running: extend cool-off and remove newcomers if configured
+      if (raidState) {
+        await this.updateRaidState(groupId, { ...raidState, lastJoinAt: timestamp });
+        return {
+          detected: this.settings.kickCohort,
+          type: 'raid_ongoing'
+        };
+      }
+
+      const joinCount = joins.length;
+      const foreignCount = joins.filter(join => join.foreign).length;
+
+      let type = null;
+      if (foreignCount >= this.settings.foreignThreshold) {
+        type = 'foreign_burst';
+      } else if (joinCount >= this.settings.joinThreshold) {
+        type = 'join_burst';
+      }
+
+      if (!type) {
+        return { detected: false };
+      }
+
+      this.logger.warn(`Raid detected in ${groupId}: ${type} (${joinCount} joins, ${foreignCount} foreign)`);
+
+      return {
+        detected: true,
+        type,
+        joinCount,
+        foreignCount,
+        cohort: joins.map(join => join.participant)
+      };
+
+    } catch (error) {
+      this.logger.error('Error detecting raid:', error);
+      return { detected: false };
+    }
+  }
+
+  /**
+   * Handle raid: lockdown, kick cohort and alert author
+   * @param {Object} context - Defense context
+   * @param {Object} detection - Detection result
+   */
+  async handle(context, detection) {
+    try {
+      const { bot, groupId, sender, senderNumber, timestamp } = context;
+
+      if (detection.type === 'raid_ongoing') {
+        await bot.kickParticipant(groupId, [sender]);
+        this.logger.security('Kick', senderNumber, 'Joined during raid', 'SYSTEM');
+        return;
+      }
+
+      // Escalate to LOCKDOWN and remember previous mode
+      const { defenseEngine } = await import('./DefenseEngine.js');
+      const previousMode = defenseEngine.getDefenseMode(groupId);
+
+      await this.updateRaidState(groupId, {
+        type: detection.type,
+        startedAt: timestamp,
+        lastJoinAt: timestamp,
+        previousMode
+      });
+
+      if (previousMode !== 'LOCKDOWN') {
+        await defenseEngine.setDefenseMode(groupId, 'LOCKDOWN', bot);
+      }
+
+      // Kick the burst cohort
+      let kicked = 0;
+      if (this.settings.kickCohort) {
+        const cohort = detection.cohort.filter(jid => !db.isAuthorOrOwner(jid.split('@')[0]));
+        if (cohort.length > 0 && await bot.kickParticipant(groupId, cohort)) {
+          kicked = cohort.length;
+        }
+      }
+
+      const t = i18n.translator(context.locale);
+      const stats = {
+        type: this.formatRaidType(detection.type, context.locale),
+        joins: detection.joinCount,
+        window: this.settings.timeWindow / 1000,
+        foreign: detection.foreignCount,
+        kicked
+      };
+
+      let message = t('defense.antiRaid.detected', stats);
+      if (kicked > 0) {
+        message += t('defense.antiRaid.kicked', { kicked });
+      }
+      message += t('defense.antiRaid.lockdown', { minutes: this.settings.coolOff / 60000 });
+
+      await bot.sendMessage(groupId, { text: message });
+
+      const authorLocale = i18n.resolveLocale(null, config.get('bot.author.number'));
+      const metadata = await bot.getGroupMetadata(groupId);
+      await bot.sendMessageToAuthor(i18n.t('defense.antiRaid.alert', {
+        ...stats,
+        type: this.formatRaidType(detection.type, authorLocale),
+        group: metadata?.subject || groupId,
+        previousMode
+      }, authorLocale));
+
+      this.logger.security('Lockdown', groupId, `Raid: ${detection.type}`, 'SYSTEM');
+
+      // Reset tracker so the next burst is counted fresh
+      this.joinTracker.delete(groupId);
+
+      // Log to statistics
+      await db.incrementViolation('antiRaid');
+
+    } catch (error) {
+      this.logger.error('Error handling raid:', error);
+    }
+  }
+
+  /**
+   * Get active raid state for group
+   * @param {string} groupId - Group JID
+   * @returns {Object|null} Raid state
+   */
+  getRaidState(groupId) {
+    return db.getGroupSettings(groupId).raidState || null;
+  }
+
+  /**
+   * Update raid state for group
+   * @param {string} groupId - Group JID
+   * @param {Object|null} state - Raid state
+   */
+  async updateRaidState(groupId, state) {
+    await db.updateGroupSetting(groupId, 'raidState', state);
+  }
+
+  /**
+   * Check if group is under raid
+   * @param {string} groupId - Group JID
+   * @returns {boolean}
+   */
+  isRaidActive(groupId) {
+    return !!this.getRaidState(groupId);
+  }
+
+  /**
+   * Restore previous defense mode once cool-off has passed
+   * @param {Object} bot - Bot instance
+   */
+  async checkCoolOff(bot) {
+    if (!bot) return;
+
+    const { defenseEngine } = await import('./DefenseEngine.js');
+    const groups = db.get('groups.protected') || [];
+    const now = Date.now();
+
+    for (const groupId of groups) {
+      try {
+        const raidState = this.getRaidState(groupId);
+
+        if (!raidState || now - raidState.lastJoinAt < this.settings.coolOff) {
+          continue;
+        }
+
+        await this.updateRaidState(groupId, null);
+
+        // Only restore if nobody changed the mode manually during the raid
+        if (defenseEngine.getDefenseMode(groupId) === 'LOCKDOWN' && raidState.previousMode !== 'LOCKDOWN') {
+          await defenseEngine.setDefenseMode(groupId, raidState.previousMode, bot);
+        }
+
+        await bot.sendMessage(groupId, {
+          text: i18n.t('defense.antiRaid.ended', {
+            minutes: this.settings.coolOff / 60000,
+            mode: raidState.previousMode
+          }, i18n.resolveLocale(groupId))
+        });
+
+        await bot.sendMessageToAuthor(i18n.t('defense.antiRaid.endedAlert', {
+          group: groupId,
+          mode: raidState.previousMode
+        }, i18n.resolveLocale(null, config.get('bot.author.number'))));
+
+        this.logger.security('Lockdown lifted', groupId, 'Raid cool-off passed', 'SYSTEM');
+
+      } catch (error) {
+        this.logger.error(`Error restoring group ${groupId} after raid:`, error);
+      }
+    }
+  }
+
+  /**
+   * Format raid type for display
+   * @param {string} type - Raid type
+   * @param {string} locale - Locale code
+   * @returns {string} Formatted type
+   */
+  formatRaidType(type, locale = null) {
+    const types = ['join_burst', 'foreign_burst', 'raid_ongoing'];
+
+    return i18n.t(`defense.antiRaid.types.${types.includes(type) ? type : 'default'}`, {}, locale);
+  }
+
+  /**
+   * Cleanup old tracking data
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [groupId, joins] of this.joinTracker.entries()) {
+      const recent = joins.filter(join => now - join.timestamp < this.settings.timeWindow);
+
+      if (recent.length === 0) {
+        this.joinTracker.delete(groupId);
+      } else {
+        this.joinTracker.set(groupId, recent);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const antiRaid = new AntiRaid();
+
+// Check raid cool-off every minute
+setInterval(() => {
+  antiRaid.cleanup();
+  antiRaid.checkCoolOff(global.botInstance).catch(error => {
+    antiRaid.logger.error('Error checking raid cool-off:', error);
+  });
+}, 60000);
@@ -5,13 +5,14 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
-import { Logger } from '../utils/Logger.js';
+import { DefenseModule } from './DefenseModule.js';
 import { config } from '../config/BotConfig.js';
-import { db } from '../database/Database.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
 
-export class AntiSpam {
+export class AntiSpam extends DefenseModule {
   constructor() {
-    this.logger = new Logger('ANTI-SPAM');
+    super('antiSpam', 'ANTI-SPAM');
     
     // Track user messages
     this.messageTracker = new Map();
@@ -28,12 +29,31 @@ export class AntiSpam {
 
   /**
    * Detect spam in user messages
+   * @param {Object} context - Defense context
+   * @returns {Object} Detection result
+   */
+  detect(context) {
+    // Edits are not new messages, only the content itself is checked
+    if (context.messageInfo?.isEdit) {
+      const characterFlood = this.detectCharacterFlood(context.messageContent);
+      return {
+        detected: characterFlood.detected,
+        type: characterFlood.detected ? 'character_flood' : 'none',
+        details: { characterFlood }
+      };
+    }
+
+    return this.analyze(context.sender, context.messageContent, context.timestamp);
+  }
+
+  /**
+   * Analyze user message history for spam
    * @param {string} sender - Sender JID
    * @param {string} messageContent - Message content
    * @param {number} timestamp - Message timestamp
    * @returns {Object} Detection result
    */
-  detect(sender, messageContent, timestamp = Date.now()) {
+  analyze(sender, messageContent, timestamp = Date.now()) {
     try {
       const senderNumber = sender.split('@')[0];
 
@@ -170,53 +190,28 @@ export class AntiSpam {
 
   /**
    * Handle spam violation
-   * @param {Object} bot - Bot instance
-   * @param {string} groupId - Group JID
-   * @param {string} sender - Sender JID
+   * @param {Object} context - Defense context
    * @param {Object} spamInfo - Spam detection info
    */
-  async handle(bot, groupId, sender, spamInfo) {
+  async handle(context, spamInfo) {
     try {
-      const senderNumber = sender.split('@')[0];
-      const groupSettings = db.getGroupSettings(groupId);
-      const defenseMode = groupSettings.defenseMode || db.getDefenseMode();
-
-      // Get defense mode configuration
-      const modeConfig = this.getDefenseModeConfig(defenseMode);
-
-      // Mute user
-      const muteDuration = modeConfig.muteDuration || 10;
-      await db.addMute(senderNumber, muteDuration, `Anti-spam: ${spamInfo.type}`);
+      const { bot, groupId, senderNumber, messageKey, messageInfo } = context;
 
-      // Format spam type for message
-      const spamTypeText = this.formatSpamType(spamInfo.type);
-
-      // Send notification
-      let message = `🔇 *ANTI-SPAM VIOLATION*\n\n`;
-      message += `User: @${senderNumber}\n`;
-      message += `Type: ${spamTypeText}\n`;
-      message += `Duration: ${muteDuration} minutes\n\n`;
-      message += `Please avoid spamming messages.`;
+      // Spam is sanctioned without deleting, except edited-in content
+      if (messageInfo?.isEdit) {
+        await bot.deleteMessage(groupId, messageKey);
+      }
 
-      await bot.sendMessage(groupId, {
-        text: message,
-        mentions: [sender]
+      await sanctionService.apply(context, {
+        module: this.name,
+        title: i18n.t('defense.antiSpam.title', {}, context.locale),
+        reason: this.formatSpamType(spamInfo.type, context.locale),
+        severity: spamInfo.type === 'rapid_fire' ? 'medium' : 'low'
       });
 
-      // Log action
-      this.logger.security(
-        'Mute',
-        senderNumber,
-        `Anti-spam violation: ${spamInfo.type}`,
-        'SYSTEM'
-      );
-
       // Clear user's message tracker
       this.messageTracker.delete(senderNumber);
 
-      // Log to statistics
-      await db.incrementViolation('antiSpam');
-
     } catch (error) {
       this.logger.error('Error handling spam violation:', error);
     }
@@ -225,69 +220,13 @@ export class AntiSpam {
   /**
    * Format spam type for display
    * @param {string} type - Spam type
+   * @param {string} locale - Locale code
    * @returns {string} Formatted type
    */
-  formatSpamType(type) {
-    const types = {
-      'rapid_fire': 'Rapid Fire Messages',
-      'duplicate': 'Duplicate Messages',
-      'character_flood': 'Character Flooding',
-      'none': 'Unknown'
-    };
-
-    return types[type] || 'Spam';
-  }
-
-  /**
-   * Get defense mode configuration
-   * @param {string} mode - Defense mode
-   * @returns {Object} Configuration
-   */
-  getDefenseModeConfig(mode) {
-    const configs = {
-      'NORMAL': {
-        muteDuration: 10,
-        autoDelete: false
-      },
-      'STRICT': {
-        muteDuration: 30,
-        autoDelete: true
-      },
-      'LOCKDOWN': {
-        muteDuration: 60,
-        autoDelete: true
-      }
-    };
+  formatSpamType(type, locale = null) {
+    const types = ['rapid_fire', 'duplicate', 'character_flood', 'none'];
 
-    return configs[mode] || configs['NORMAL'];
-  }
-
-  /**
-   * Check if group has anti-spam enabled
-   * @param {string} groupId - Group JID
-   * @returns {boolean}
-   */
-  isEnabled(groupId) {
-    const settings = db.getGroupSettings(groupId);
-    return settings.antiSpam !== false;
-  }
-
-  /**
-   * Enable anti-spam for group
-   * @param {string} groupId - Group JID
-   */
-  async enable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiSpam', true);
-    this.logger.info(`Anti-spam enabled for group: ${groupId}`);
-  }
-
-  /**
-   * Disable anti-spam for group
-   * @param {string} groupId - Group JID
-   */
-  async disable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiSpam', false);
-    this.logger.info(`Anti-spam disabled for group: ${groupId}`);
+    return i18n.t(`defense.antiSpam.types.${types.includes(type) ? type : 'default'}`, {}, locale);
   }
 
   /**
@@ -5,12 +5,13 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
-import { Logger } from '../utils/Logger.js';
-import { db } from '../database/Database.js';
+import { DefenseModule } from './DefenseModule.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
 
-export class AntiToxic {
+export class AntiToxic extends DefenseModule {
   constructor() {
-    this.logger = new Logger('ANTI-TOXIC');
+    super('antiToxic', 'ANTI-TOXIC');
     
     // Indonesian bad words database
     this.badWords = [
@@ -75,10 +76,19 @@ export class AntiToxic {
 
   /**
    * Detect toxic language in message
+   * @param {Object} context - Defense context
+   * @returns {Object} Detection result
+   */
+  detect(context) {
+    return this.analyze(context.messageContent);
+  }
+
+  /**
+   * Analyze text for toxic language
    * @param {string} message - Message content
    * @returns {Object} Detection result
    */
-  detect(message) {
+  analyze(message) {
     try {
       if (!message || typeof message !== 'string') {
         return {
@@ -190,178 +200,31 @@ export class AntiToxic {
 
   /**
    * Handle toxic content violation
-   * @param {Object} bot - Bot instance
-   * @param {string} groupId - Group JID
-   * @param {string} sender - Sender JID
-   * @param {Object} messageKey - Message key
+   * @param {Object} context - Defense context
    * @param {Object} toxicInfo - Toxic detection info
    */
-  async handle(bot, groupId, sender, messageKey, toxicInfo) {
+  async handle(context, toxicInfo) {
     try {
-      const senderNumber = sender.split('@')[0];
-      const groupSettings = db.getGroupSettings(groupId);
-      const defenseMode = groupSettings.defenseMode || db.getDefenseMode();
-
-      // Get defense mode configuration
-      const modeConfig = this.getDefenseModeConfig(defenseMode);
+      const { bot, groupId, senderNumber, messageKey } = context;
 
       // Delete message
       await bot.deleteMessage(groupId, messageKey);
       this.logger.info(`Deleted toxic message from ${senderNumber}`);
 
-      // Determine action based on severity and defense mode
-      const action = this.determineAction(toxicInfo.severity, defenseMode);
-
-      if (action === 'warn') {
-        // Add warning
-        const warnCount = await db.addWarn(senderNumber);
-        const maxWarn = 3;
-
-        let message = `⚠️ *ANTI-TOXIC VIOLATION*\n\n`;
-        message += `User: @${senderNumber}\n`;
-        message += `Severity: ${toxicInfo.severity.toUpperCase()}\n`;
-        message += `Warning: ${warnCount}/${maxWarn}\n\n`;
-
-        if (warnCount >= maxWarn) {
-          message += `Maximum warnings reached. User will be kicked.`;
-          
-          await bot.kickParticipant(groupId, [sender]);
-          await db.resetWarn(senderNumber);
-          
-          this.logger.security('Kick', senderNumber, 'Max warnings (toxic)', 'SYSTEM');
-        } else {
-          message += `Please maintain respectful communication.\n`;
-          message += `Remaining warnings: ${maxWarn - warnCount}`;
-        }
-
-        await bot.sendMessage(groupId, {
-          text: message,
-          mentions: [sender]
-        });
-
-      } else if (action === 'mute') {
-        // Mute user
-        const muteDuration = 10;
-        await db.addMute(senderNumber, muteDuration, 'Toxic language');
+      const t = i18n.translator(context.locale);
 
-        let message = `🔇 *USER MUTED*\n\n`;
-        message += `User: @${senderNumber}\n`;
-        message += `Duration: ${muteDuration} minutes\n`;
-        message += `Reason: Toxic language detected\n\n`;
-        message += `Please maintain respectful communication.`;
-
-        await bot.sendMessage(groupId, {
-          text: message,
-          mentions: [sender]
-        });
-
-        this.logger.security('Mute', senderNumber, 'Toxic language', 'SYSTEM');
-
-      } else if (action === 'kick') {
-        // Kick immediately
-        await bot.kickParticipant(groupId, [sender]);
-
-        let message = `🚫 *USER KICKED*\n\n`;
-        message += `User: @${senderNumber}\n`;
-        message += `Reason: Severe toxic language\n\n`;
-        message += `Toxic behavior is not tolerated in this group.`;
-
-        await bot.sendMessage(groupId, {
-          text: message,
-          mentions: [sender]
-        });
-
-        this.logger.security('Kick', senderNumber, 'Toxic language', 'SYSTEM');
-      }
-
-      // Log to statistics
-      await db.incrementViolation('antiToxic');
+      await sanctionService.apply(context, {
+        module: this.name,
+        title: t('defense.antiToxic.title'),
+        reason: t('defense.antiToxic.reason', { severity: toxicInfo.severity }),
+        severity: toxicInfo.severity
+      });
 
     } catch (error) {
       this.logger.error('Error handling toxic violation:', error);
     }
   }
 
-  /**
-   * Determine action based on severity and defense mode
-   * @param {string} severity - Severity level
-   * @param {string} defenseMode - Defense mode
-   * @returns {string} Action to take
-   */
-  determineAction(severity, defenseMode) {
-    const actionMatrix = {
-      'NORMAL': {
-        'low': 'warn',
-        'medium': 'warn',
-        'high': 'warn'
-      },
-      'STRICT': {
-        'low': 'warn',
-        'medium': 'mute',
-        'high': 'mute'
-      },
-      'LOCKDOWN': {
-        'low': 'mute',
-        'medium': 'kick',
-        'high': 'kick'
-      }
-    };
-
-    return actionMatrix[defenseMode]?.[severity] || 'warn';
-  }
-
-  /**
-   * Get defense mode configuration
-   * @param {string} mode - Defense mode
-   * @returns {Object} Configuration
-   */
-  getDefenseModeConfig(mode) {
-    const configs = {
-      'NORMAL': {
-        autoDelete: true,
-        severity: 'low'
-      },
-      'STRICT': {
-        autoDelete: true,
-        severity: 'medium'
-      },
-      'LOCKDOWN': {
-        autoDelete: true,
-        severity: 'high'
-      }
-    };
-
-    return configs[mode] || configs['NORMAL'];
-  }
-
-  /**
-   * Check if group has anti-toxic enabled
-   * @param {string} groupId - Group JID
-   * @returns {boolean}
-   */
-  isEnabled(groupId) {
-    const settings = db.getGroupSettings(groupId);
-    return settings.antiToxic !== false;
-  }
-
-  /**
-   * Enable anti-toxic for group
-   * @param {string} groupId - Group JID
-   */
-  async enable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiToxic', true);
-    this.logger.info(`Anti-toxic enabled for group: ${groupId}`);
-  }
-
-  /**
-   * Disable anti-toxic for group
-   * @param {string} groupId - Group JID
-   */
-  async disable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiToxic', false);
-    this.logger.info(`Anti-toxic disabled for group: ${groupId}`);
-  }
-
   /**
    * Add word to blacklist
    * @param {string} word - Word to add
@@ -419,7 +282,7 @@ export class AntiToxic {
    * @returns {boolean}
    */
   isToxic(text) {
-    return this.detect(text).detected;
+    return this.analyze(text).detected;
   }
 
   /**
@@ -5,13 +5,14 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
-import { Logger } from '../utils/Logger.js';
+import { DefenseModule } from './DefenseModule.js';
 import { config } from '../config/BotConfig.js';
-import { db } from '../database/Database.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
 
-export class AntiVirtex {
+export class AntiVirtex extends DefenseModule {
   constructor() {
-    this.logger = new Logger('ANTI-VIRTEX');
+    super('antiVirtex', 'ANTI-VIRTEX');
     
     // Detection settings
     this.settings = {
@@ -36,10 +37,19 @@ export class AntiVirtex {
 
   /**
    * Detect virtex in message
+   * @param {Object} context - Defense context
+   * @returns {Object} Detection result
+   */
+  detect(context) {
+    return this.analyze(context.messageContent);
+  }
+
+  /**
+   * Analyze text for virtex
    * @param {string} message - Message content
    * @returns {Object} Detection result
    */
-  detect(message) {
+  analyze(message) {
     try {
       if (!message || typeof message !== 'string') {
         return {
@@ -243,74 +253,23 @@ export class AntiVirtex {
 
   /**
    * Handle virtex violation
-   * @param {Object} bot - Bot instance
-   * @param {string} groupId - Group JID
-   * @param {string} sender - Sender JID
-   * @param {Object} messageKey - Message key
+   * @param {Object} context - Defense context
    * @param {Object} virtexInfo - Virtex detection info
    */
-  async handle(bot, groupId, sender, messageKey, virtexInfo) {
+  async handle(context, virtexInfo) {
     try {
-      const senderNumber = sender.split('@')[0];
-      const groupSettings = db.getGroupSettings(groupId);
-      const defenseMode = groupSettings.defenseMode || db.getDefenseMode();
+      const { bot, groupId, senderNumber, messageKey } = context;
 
       // Delete message immediately
       await bot.deleteMessage(groupId, messageKey);
       this.logger.info(`Deleted virtex message from ${senderNumber}`);
 
-      // Get action based on severity and defense mode
-      const action = this.determineAction(virtexInfo.severity, defenseMode);
-
-      // Format virtex type for message
-      const virtexTypeText = this.formatVirtexType(virtexInfo.type);
-
-      if (action === 'warn') {
-        // Add warning
-        const warnCount = await db.addWarn(senderNumber);
-        const maxWarn = 3;
-
-        let message = `⚠️ *ANTI-VIRTEX VIOLATION*\n\n`;
-        message += `User: @${senderNumber}\n`;
-        message += `Type: ${virtexTypeText}\n`;
-        message += `Warning: ${warnCount}/${maxWarn}\n\n`;
-
-        if (warnCount >= maxWarn) {
-          message += `Maximum warnings reached. User will be kicked.`;
-          
-          await bot.kickParticipant(groupId, [sender]);
-          await db.resetWarn(senderNumber);
-          
-          this.logger.security('Kick', senderNumber, 'Max warnings (virtex)', 'SYSTEM');
-        } else {
-          message += `Please avoid sending long or spam messages.\n`;
-          message += `Remaining warnings: ${maxWarn - warnCount}`;
-        }
-
-        await bot.sendMessage(groupId, {
-          text: message,
-          mentions: [sender]
-        });
-
-      } else if (action === 'kick') {
-        // Kick immediately (critical virtex)
-        await bot.kickParticipant(groupId, [sender]);
-
-        let message = `🚫 *USER KICKED*\n\n`;
-        message += `User: @${senderNumber}\n`;
-        message += `Reason: ${virtexTypeText}\n\n`;
-        message += `Virtex and crash messages are strictly prohibited.`;
-
-        await bot.sendMessage(groupId, {
-          text: message,
-          mentions: [sender]
-        });
-
-        this.logger.security('Kick', senderNumber, `Virtex: ${virtexInfo.type}`, 'SYSTEM');
-      }
-
-      // Log to statistics
-      await db.incrementViolation('antiVirtex');
+      await sanctionService.apply(context, {
+        module: this.name,
+        title: i18n.t('defense.antiVirtex.title', {}, context.locale),
+        reason: this.formatVirtexType(virtexInfo.type, context.locale),
+        severity: virtexInfo.severity
+      });
 
     } catch (error) {
       this.logger.error('Error handling virtex violation:', error);
@@ -320,79 +279,13 @@ export class AntiVirtex {
   /**
    * Format virtex type for display
    * @param {string} type - Virtex type
+   * @param {string} locale - Locale code
    * @returns {string} Formatted type
    */
-  formatVirtexType(type) {
-    const types = {
-      'excessive_length': 'Message Too Long',
-      'repeated_characters': 'Repeated Characters',
-      'emoji_flood': 'Emoji Flooding',
-      'invisible_characters': 'Invisible Characters',
-      'virtex_pattern': 'Virtex Pattern',
-      'none': 'Unknown'
-    };
+  formatVirtexType(type, locale = null) {
+    const types = ['excessive_length', 'repeated_characters', 'emoji_flood', 'invisible_characters', 'virtex_pattern', 'none'];
 
-    return types[type] || 'Virtex Detected';
-  }
-
-  /**
-   * Determine action based on severity and defense mode
-   * @param {string} severity - Severity level
-   * @param {string} defenseMode - Defense mode
-   * @returns {string} Action to take
-   */
-  determineAction(severity, defenseMode) {
-    if (severity === 'critical') {
-      return 'kick'; // Always kick for critical
-    }
-
-    const actionMatrix = {
-      'NORMAL': {
-        'low': 'warn',
-        'medium': 'warn',
-        'high': 'warn'
-      },
-      'STRICT': {
-        'low': 'warn',
-        'medium': 'warn',
-        'high': 'kick'
-      },
-      'LOCKDOWN': {
-        'low': 'warn',
-        'medium': 'kick',
-        'high': 'kick'
-      }
-    };
-
-    return actionMatrix[defenseMode]?.[severity] || 'warn';
-  }
-
-  /**
-   * Check if group has anti-virtex enabled
-   * @param {string} groupId - Group JID
-   * @returns {boolean}
-   */
-  isEnabled(groupId) {
-    const settings = db.getGroupSettings(groupId);
-    return settings.antiVirtex !== false;
-  }
-
-  /**
-   * Enable anti-virtex for group
-   * @param {string} groupId - Group JID
-   */
-  async enable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiVirtex', true);
-    this.logger.info(`Anti-virtex enabled for group: ${groupId}`);
-  }
-
-  /**
-   * Disable anti-virtex for group
-   * @param {string} groupId - Group JID
-   */
-  async disable(groupId) {
-    await db.updateGroupSetting(groupId, 'antiVirtex', false);
-    this.logger.info(`Anti-virtex disabled for group: ${groupId}`);
+    return i18n.t(`defense.antiVirtex.types.${types.includes(type) ? type : 'default'}`, {}, locale);
   }
 
   /**
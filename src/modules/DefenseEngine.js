@@ -12,47 +12,39 @@ import { antiSpam } from './AntiSpam.js';
 import { antiToxic } from './AntiToxic.js';
 import { antiVirtex } from './AntiVirtex.js';
 import { geoRestriction } from './GeoRestriction.js';
+import { mentionFlood } from './MentionFlood.js';
+import { lockdownManager } from './LockdownManager.js';
+import { antiRaid } from './AntiRaid.js';
+import { i18n } from '../utils/I18n.js';
 
 export class DefenseEngine {
   constructor() {
     this.logger = new Logger('DEFENSE-ENGINE');
     
-    // Register all security modules with priority
-    this.modules = [
-      { 
-        name: 'antiVirtex', 
-        instance: antiVirtex, 
-        priority: 1,
-        checkOnNewMember: false
-      },
-      { 
-        name: 'antiToxic', 
-        instance: antiToxic, 
-        priority: 2,
-        checkOnNewMember: false
-      },
-      { 
-        name: 'antiLink', 
-        instance: antiLink, 
-        priority: 3,
-        checkOnNewMember: false
-      },
-      { 
-        name: 'antiSpam', 
-        instance: antiSpam, 
-        priority: 4,
-        checkOnNewMember: false
-      },
-      { 
-        name: 'geoRestriction', 
-        instance: geoRestriction, 
-        priority: 5,
-        checkOnNewMember: true
-      }
-    ];
-
-    // Sort by priority (lower number = higher priority)
-    this.modules.sort((a, b) => a.priority - b.priority);
+    // Registered security modules, sorted by priority
+    this.modules = [];
+
+    // Register built-in security modules
+    this.registerModule({ name: 'shadowMute', instance: lockdownManager, priority: 0 });
+    this.registerModule({ name: 'antiVirtex', instance: antiVirtex, priority: 1 });
+    this.registerModule({ name: 'antiToxic', instance: antiToxic, priority: 2 });
+    this.registerModule({ name: 'antiLink', instance: antiLink, priority: 3 });
+    this.registerModule({ name: 'mentionFlood', instance: mentionFlood, priority: 4 });
+    this.registerModule({ name: 'antiSpam', instance: antiSpam, priority: 5 });
+    this.registerModule({
+      name: 'antiRaid',
+      instance: antiRaid,
+      priority: 6,
+      checkOnMessage: false,
+      checkOnNewMember: true
+    });
+    this.registerModule({
+      name: 'geoRestriction',
+      instance: geoRestriction,
+      priority: 7,
+      checkOnMessage: false,
+      checkOnNewMember: true
+    });
 
     // Statistics
     this.stats = {
@@ -62,6 +54,82 @@ export class DefenseEngine {
     };
   }
 
+  /**
+   * Register a defense module
+   * @param {Object} options - Module registration
+   * @param {string} options.name - Unique module name (also used as group setting key)
+   * @param {Object} options.instance - Module implementing detect(context) and handle(context, detection)
+   * @param {number} options.priority - Execution priority (lower number = runs first)
+   * @param {boolean} options.checkOnMessage - Run on group messages
+   * @param {boolean} options.checkOnNewMember - Run on member join
+   * @returns {Object} Registered module entry
+   */
+  registerModule({ name, instance, priority = 100, checkOnMessage = true, checkOnNewMember = false }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Defense module name is required');
+    }
+
+    if (this.hasModule(name)) {
+      throw new Error(`Defense module already registered: ${name}`);
+    }
+
+    for (const method of ['detect', 'handle', 'isEnabled', 'enable', 'disable']) {
+      if (typeof instance?.[method] !== 'function') {
+        throw new Error(`Defense module ${name} must implement ${method}()`);
+      }
+    }
+
+    const module = { name, instance, priority, checkOnMessage, checkOnNewMember };
+
+    this.modules.push(module);
+
+    // Sort by priority (lower number = higher priority)
+    this.modules.sort((a, b) => a.priority - b.priority);
+
+    this.logger.info(`Defense module registered: ${name} (priority ${priority})`);
+    return module;
+  }
+
+  /**
+   * Unregister a defense module
+   * @param {string} name - Module name
+   * @returns {boolean} Whether module was removed
+   */
+  unregisterModule(name) {
+    const index = this.modules.findIndex(m => m.name === name);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.modules.splice(index, 1);
+    this.logger.info(`Defense module unregistered: ${name}`);
+    return true;
+  }
+
+  /**
+   * Build context object passed to defense modules
+   * @param {Object} params - Context parameters
+   * @returns {Object} Defense context
+   */
+  buildContext({ bot, msg = null, messageInfo = null, groupId, sender, messageContent = '', event }) {
+    return {
+      bot,
+      msg,
+      messageInfo,
+      groupId,
+      sender,
+      senderNumber: sender.split('@')[0],
+      messageKey: messageInfo?.messageKey || msg?.key || null,
+      messageContent,
+      defenseMode: this.getDefenseMode(groupId),
+      // Sanction notices go to the whole group, so they follow the group language
+      locale: i18n.resolveLocale(groupId),
+      event,
+      timestamp: Date.now()
+    };
+  }
+
   /**
    * Check message against all defense modules
    * @param {Object} bot - Bot instance
@@ -71,7 +139,7 @@ export class DefenseEngine {
    */
   async checkMessage(bot, msg, messageInfo) {
     try {
-      const { from, sender, messageContent, isGroup, groupId } = messageInfo;
+      const { sender, messageContent, isGroup, groupId } = messageInfo;
 
       // Don't check if not in protected group
       if (isGroup && !db.isProtected(groupId)) {
@@ -91,48 +159,18 @@ export class DefenseEngine {
 
       this.stats.totalChecks++;
 
-      // Run modules in priority order
-      for (const module of this.modules) {
-        // Check if module is enabled for this group
-        if (!module.instance.isEnabled(groupId)) {
-          continue;
-        }
-
-        // Run module detection
-        const detection = await this.runModuleDetection(
-          module,
-          messageContent,
-          sender,
-          messageInfo
-        );
-
-        if (detection.detected) {
-          this.logger.warn(`${module.name} violation detected from ${senderNumber}`);
-          this.stats.violations++;
-
-          // Handle the violation
-          await this.handleViolation(
-            bot,
-            module,
-            groupId,
-            sender,
-            msg.key,
-            detection
-          );
-
-          this.stats.blocked++;
-
-          return {
-            blocked: true,
-            module: module.name,
-            detection,
-            action: 'handled'
-          };
-        }
-      }
+      const context = this.buildContext({
+        bot,
+        msg,
+        messageInfo,
+        groupId,
+        sender,
+        messageContent,
+        event: 'message'
+      });
 
-      // No violations detected
-      return { blocked: false };
+      const modules = this.modules.filter(m => m.checkOnMessage);
+      return await this.runModules(modules, context);
 
     } catch (error) {
       this.logger.error('Error in defense engine check:', error);
@@ -141,39 +179,54 @@ export class DefenseEngine {
   }
 
   /**
-   * Run detection for specific module
-   * @param {Object} module - Module configuration
-   * @param {string} messageContent - Message content
-   * @param {string} sender - Sender JID
-   * @param {Object} messageInfo - Message information
-   * @returns {Promise<Object>} Detection result
+   * Run modules in priority order until one reports a violation
+   * @param {Array} modules - Module entries to run
+   * @param {Object} context - Defense context
+   * @returns {Promise<Object>} Check result
    */
-  async runModuleDetection(module, messageContent, sender, messageInfo) {
-    try {
-      switch (module.name) {
-        case 'antiVirtex':
-          return module.instance.detect(messageContent);
+  async runModules(modules, context) {
+    for (const module of modules) {
+      // Check if module is enabled for this group
+      if (!module.instance.isEnabled(context.groupId)) {
+        continue;
+      }
 
-        case 'antiToxic':
-          return module.instance.detect(messageContent);
+      // Run module detection
+      const detection = await this.runModuleDetection(module, context);
 
-        case 'antiLink':
-          return module.instance.detect(messageContent);
+      if (detection.detected) {
+        this.logger.warn(`${module.name} violation detected from ${context.senderNumber}`);
+        this.stats.violations++;
 
-        case 'antiSpam':
-          return module.instance.detect(
-            sender,
-            messageContent,
-            Date.now()
-          );
+        // Handle the violation
+        await this.handleViolation(module, context, detection);
 
-        case 'geoRestriction':
-          // Geo-restriction is checked on member join, not on messages
-          return { detected: false };
+        this.stats.blocked++;
 
-        default:
-          return { detected: false };
+        return {
+          blocked: true,
+          module: module.name,
+          reason: module.name,
+          detection,
+          action: 'handled'
+        };
       }
+    }
+
+    // No violations detected
+    return { blocked: false };
+  }
+
+  /**
+   * Run detection for specific module
+   * @param {Object} module - Module configuration
+   * @param {Object} context - Defense context
+   * @returns {Promise<Object>} Detection result
+   */
+  async runModuleDetection(module, context) {
+    try {
+      const detection = await module.instance.detect(context);
+      return detection || { detected: false };
     } catch (error) {
       this.logger.error(`Error in ${module.name} detection:`, error);
       return { detected: false };
@@ -182,36 +235,13 @@ export class DefenseEngine {
 
   /**
    * Handle violation detected by module
-   * @param {Object} bot - Bot instance
    * @param {Object} module - Module configuration
-   * @param {string} groupId - Group JID
-   * @param {string} sender - Sender JID
-   * @param {Object} messageKey - Message key
+   * @param {Object} context - Defense context
    * @param {Object} detection - Detection result
    */
-  async handleViolation(bot, module, groupId, sender, messageKey, detection) {
+  async handleViolation(module, context, detection) {
     try {
-      switch (module.name) {
-        case 'antiVirtex':
-          await module.instance.handle(bot, groupId, sender, messageKey, detection);
-          break;
-
-        case 'antiToxic':
-          await module.instance.handle(bot, groupId, sender, messageKey, detection);
-          break;
-
-        case 'antiLink':
-          await module.instance.handle(bot, groupId, sender, messageKey, detection.links);
-          break;
-
-        case 'antiSpam':
-          await module.instance.handle(bot, groupId, sender, detection);
-          break;
-
-        default:
-          this.logger.warn(`No handler for module: ${module.name}`);
-      }
-
+      await module.instance.handle(context, detection);
       this.logger.info(`Violation handled by ${module.name}`);
 
     } catch (error) {
@@ -244,25 +274,22 @@ export class DefenseEngine {
       if (db.isBlacklisted(phoneNumber)) {
         await bot.kickParticipant(groupId, [participant]);
         await bot.sendMessage(groupId, {
-          text: `🚫 User @${phoneNumber} dikick karena ada di blacklist.`,
+          text: i18n.t('defense.blacklistKick', { number: phoneNumber }, i18n.resolveLocale(groupId)),
           mentions: [participant]
         });
         this.logger.security('Kick', phoneNumber, 'Blacklisted', 'SYSTEM');
         return { blocked: true, reason: 'blacklisted' };
       }
 
-      // Run geo-restriction check
-      const geoCheck = geoRestriction.detect(phoneNumber);
-      if (!geoCheck.allowed && geoRestriction.isEnabled(groupId)) {
-        await geoRestriction.handle(bot, groupId, participant);
-        return { 
-          blocked: true, 
-          reason: 'geo_restriction',
-          country: geoCheck.country
-        };
-      }
+      const context = this.buildContext({
+        bot,
+        groupId,
+        sender: participant,
+        event: 'join'
+      });
 
-      return { blocked: false };
+      const modules = this.modules.filter(m => m.checkOnNewMember);
+      return await this.runModules(modules, context);
 
     } catch (error) {
       this.logger.error('Error checking new member:', error);
@@ -284,16 +311,39 @@ export class DefenseEngine {
    * Set defense mode for group
    * @param {string} groupId - Group JID
    * @param {string} mode - Defense mode (NORMAL, STRICT, LOCKDOWN)
+   * @param {Object} bot - Bot instance (required to apply/lift lockdown measures)
+   * @returns {Promise<Object>} Lockdown status after the change
    */
-  async setDefenseMode(groupId, mode) {
+  async setDefenseMode(groupId, mode, bot = null) {
     const validModes = ['NORMAL', 'STRICT', 'LOCKDOWN'];
     
     if (!validModes.includes(mode)) {
       throw new Error(`Invalid defense mode: ${mode}`);
     }
 
+    const previousMode = this.getDefenseMode(groupId);
+
     await db.updateGroupSetting(groupId, 'defenseMode', mode);
     this.logger.info(`Defense mode set to ${mode} for group: ${groupId}`);
+
+    if (bot) {
+      if (mode === 'LOCKDOWN' && previousMode !== 'LOCKDOWN') {
+        await lockdownManager.activate(bot, groupId);
+      } else if (mode !== 'LOCKDOWN' && previousMode === 'LOCKDOWN') {
+        await lockdownManager.deactivate(bot, groupId);
+      }
+    }
+
+    return lockdownManager.getStatus(groupId, mode);
+  }
+
+  /**
+   * Get lockdown status for group
+   * @param {string} groupId - Group JID
+   * @returns {Object} Lockdown status
+   */
+  getLockdownStatus(groupId) {
+    return lockdownManager.getStatus(groupId, this.getDefenseMode(groupId));
   }
 
   /**
@@ -374,7 +424,9 @@ export class DefenseEngine {
       ...this.stats,
       modules: this.modules.map(m => ({
         name: m.name,
-        priority: m.priority
+        priority: m.priority,
+        checkOnMessage: m.checkOnMessage,
+        checkOnNewMember: m.checkOnNewMember
       }))
     };
   }
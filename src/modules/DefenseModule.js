@@ -0,0 +1,81 @@
+/**
+ * ALL-STAR BOT v2.0 - Defense Module Base Class
+ * Base class and contract for all defense modules
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { db } from '../database/Database.js';
+
+/**
+ * Every defense module receives the same context object from DefenseEngine:
+ *
+ * {
+ *   bot,            // Bot instance
+ *   msg,            // Raw message (null on member join)
+ *   messageInfo,    // Extracted message info (null on member join)
+ *   groupId,        // Group JID
+ *   sender,         // Sender / joining participant JID
+ *   senderNumber,   // Sender phone number
+ *   messageKey,     // Message key (null on member join)
+ *   messageContent, // Message text ('' on member join)
+ *   defenseMode,    // NORMAL, STRICT or LOCKDOWN
+ *   event,          // 'message' or 'join'
+ *   timestamp       // Check time in ms
+ * }
+ *
+ * detect(context) returns { detected: boolean, ... } and
+ * handle(context, detection) applies the sanction.
+ */
+export class DefenseModule {
+  constructor(name, loggerName = name.toUpperCase()) {
+    this.name = name;
+    this.logger = new Logger(loggerName);
+  }
+
+  /**
+   * Detect violation (override in subclass)
+   * @param {Object} context - Defense context
+   * @returns {Object|Promise<Object>} Detection result
+   */
+  detect(context) {
+    return { detected: false };
+  }
+
+  /**
+   * Handle detected violation (override in subclass)
+   * @param {Object} context - Defense context
+   * @param {Object} detection - Detection result
+   */
+  async handle(context, detection) {
+    this.logger.warn(`No violation handler implemented for ${this.name}`);
+  }
+
+  /**
+   * Check if module is enabled for group (group override, then global default)
+   * @param {string} groupId - Group JID
+   * @returns {boolean}
+   */
+  isEnabled(groupId) {
+    return db.isFeatureEnabled(this.name, groupId, true);
+  }
+
+  /**
+   * Enable module for group
+   * @param {string} groupId - Group JID
+   */
+  async enable(groupId) {
+    await db.setGroupFeature(groupId, this.name, true);
+    this.logger.info(`${this.name} enabled for group: ${groupId}`);
+  }
+
+  /**
+   * Disable module for group
+   * @param {string} groupId - Group JID
+   */
+  async disable(groupId) {
+    await db.setGroupFeature(groupId, this.name, false);
+    this.logger.info(`${this.name} disabled for group: ${groupId}`);
+  }
+}
@@ -5,12 +5,14 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
-import { Logger } from '../utils/Logger.js';
-import { db } from '../database/Database.js';
+import { DefenseModule } from './DefenseModule.js';
+import { config } from '../config/BotConfig.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
 
-export class GeoRestriction {
+export class GeoRestriction extends DefenseModule {
   constructor() {
-    this.logger = new Logger('GEO-RESTRICTION');
+    super('geoRestriction', 'GEO-RESTRICTION');
     
     // Allowed country codes
     this.allowedCountries = ['62']; // Indonesia only
@@ -20,11 +22,25 @@ export class GeoRestriction {
   }
 
   /**
-   * Detect if phone number is allowed
-   * @param {string} phoneNumber - Phone number (without @ and domain)
+   * Detect foreign number on member join
+   * @param {Object} context - Defense context
    * @returns {Object} Detection result
    */
-  detect(phoneNumber) {
+  detect(context) {
+    const result = this.checkNumber(context.senderNumber);
+
+    return {
+      ...result,
+      detected: !result.allowed
+    };
+  }
+
+  /**
+   * Check if phone number is allowed
+   * @param {string} phoneNumber - Phone number (without @ and domain)
+   * @returns {Object} Check result
+   */
+  checkNumber(phoneNumber) {
     try {
       // Remove any non-digit characters
       const cleanNumber = phoneNumber.replace(/\D/g, '');
@@ -97,73 +113,25 @@ export class GeoRestriction {
 
   /**
    * Handle geo-restriction violation
-   * @param {Object} bot - Bot instance
-   * @param {string} groupId - Group JID
-   * @param {string} participant - Participant JID
+   * @param {Object} context - Defense context
+   * @param {Object} detection - Detection result
    */
-  async handle(bot, groupId, participant) {
+  async handle(context, detection) {
     try {
-      const phoneNumber = participant.split('@')[0];
-      const detection = this.detect(phoneNumber);
-
-      // Kick user
-      await bot.kickParticipant(groupId, [participant]);
-
-      // Send notification
-      let message = `🚫 *GEO-RESTRICTION VIOLATION*\n\n`;
-      message += `User: @${phoneNumber}\n`;
-      message += `Country: ${detection.country}\n`;
-      message += `Reason: Foreign Number\n\n`;
-      message += `This group only allows Indonesian numbers (+62).`;
-
-      await bot.sendMessage(groupId, {
-        text: message,
-        mentions: [participant]
+      await sanctionService.apply(context, {
+        module: this.name,
+        policy: 'foreignNumber',
+        minAction: config.get('security.geoRestriction.autoKick') ? 'kick' : null,
+        title: i18n.t('defense.geoRestriction.title', {}, context.locale),
+        reason: i18n.t('defense.geoRestriction.reason', { country: detection.country }, context.locale),
+        severity: 'high'
       });
 
-      this.logger.security(
-        'Kick',
-        phoneNumber,
-        `Geo-restriction: ${detection.country}`,
-        'SYSTEM'
-      );
-
-      // Log to statistics
-      await db.incrementViolation('geoRestriction');
-
     } catch (error) {
       this.logger.error('Error handling geo-restriction violation:', error);
     }
   }
 
-  /**
-   * Check if group has geo-restriction enabled
-   * @param {string} groupId - Group JID
-   * @returns {boolean}
-   */
-  isEnabled(groupId) {
-    const settings = db.getGroupSettings(groupId);
-    return settings.geoRestriction !== false;
-  }
-
-  /**
-   * Enable geo-restriction for group
-   * @param {string} groupId - Group JID
-   */
-  async enable(groupId) {
-    await db.updateGroupSetting(groupId, 'geoRestriction', true);
-    this.logger.info(`Geo-restriction enabled for group: ${groupId}`);
-  }
-
-  /**
-   * Disable geo-restriction for group
-   * @param {string} groupId - Group JID
-   */
-  async disable(groupId) {
-    await db.updateGroupSetting(groupId, 'geoRestriction', false);
-    this.logger.info(`Geo-restriction disabled for group: ${groupId}`);
-  }
-
   /**
    * Add number to whitelist
    * @param {string} phoneNumber - Phone number to whitelist
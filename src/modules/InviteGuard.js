@@ -0,0 +1,213 @@
+/**
+ * ALL-STAR BOT v2.0 - Invite Guard Module
+ * Revokes a group's invite link when it is posted in other chats
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { i18n } from '../utils/I18n.js';
+
+export class InviteGuard {
+  constructor() {
+    this.logger = new Logger('INVITE-GUARD');
+
+    // Invite codes are case-sensitive
+    this.pattern = /chat\.whatsapp\.com\/(?:invite\/)?([a-zA-Z0-9]{10,})/g;
+
+    this.codes = new Map();
+    // Format: { groupId: { code, fetchedAt } }
+  }
+
+  /**
+   * Build invite link from code
+   * @param {string} code - Invite code
+   * @returns {string} Invite link
+   */
+  formatLink(code) {
+    return `https://chat.whatsapp.com/${code}`;
+  }
+
+  /**
+   * Get groups with invite guard enabled (opt-in via .on inviteGuard)
+   * @returns {Array} Group JIDs
+   */
+  getGuardedGroups() {
+    const groups = [
+      ...(db.get('groups.whitelisted') || []),
+      ...(db.get('groups.protected') || [])
+    ];
+
+    return [...new Set(groups)].filter(groupId => db.isFeatureEnabled('inviteGuard', groupId));
+  }
+
+  /**
+   * Get current invite code of group (cached)
+   * @param {Object} bot - Bot instance
+   * @param {string} groupId - Group JID
+   * @param {boolean} refresh - Skip cache
+   * @returns {Promise<string|null>} Invite code (null when bot is not admin)
+   */
+  async getInviteCode(bot, groupId, refresh = false) {
+    const cached = this.codes.get(groupId);
+    if (!refresh && cached && Date.now() - cached.fetchedAt < config.get('inviteGuard.codeTtl')) {
+      return cached.code;
+    }
+
+    // Misses (bot not admin) are cached too, so posted links don't query those groups every time
+    const code = await bot.getGroupInviteCode(groupId);
+    this.codes.set(groupId, { code, fetchedAt: Date.now() });
+    return code;
+  }
+
+  /**
+   * Revoke invite link of group
+   * @param {Object} bot - Bot instance
+   * @param {string} groupId - Group JID
+   * @returns {Promise<string|null>} New invite code
+   */
+  async revoke(bot, groupId) {
+    const code = await bot.revokeGroupInvite(groupId);
+    this.remember(groupId, code);
+    return code;
+  }
+
+  /**
+   * Update cached invite code
+   * @param {string} groupId - Group JID
+   * @param {string} code - Invite code (null clears cache)
+   */
+  remember(groupId, code) {
+    if (code) {
+      this.codes.set(groupId, { code, fetchedAt: Date.now() });
+    } else {
+      this.codes.delete(groupId);
+    }
+  }
+
+  /**
+   * Extract invite codes from text
+   * @param {string} text - Message text
+   * @returns {Array} Invite codes
+   */
+  extractCodes(text) {
+    return [...new Set([...String(text || '').matchAll(this.pattern)].map(match => match[1]))];
+  }
+
+  /**
+   * Check if posted invite codes contain the current code of group
+   * @param {Object} bot - Bot instance
+   * @param {string} groupId - Group JID
+   * @param {Array} codes - Posted invite codes
+   * @returns {Promise<boolean>}
+   */
+  async isLeaked(bot, groupId, codes) {
+    let code = await this.getInviteCode(bot, groupId);
+
+    // Link may have been reset in WhatsApp since it was cached, recheck before ruling out a leak
+    if (code && !codes.includes(code) && Date.now() - this.codes.get(groupId).fetchedAt >= config.get('inviteGuard.recheckAfter')) {
+      code = await this.getInviteCode(bot, groupId, true);
+    }
+
+    return !!code && codes.includes(code);
+  }
+
+  /**
+   * Check message for leaked invite links of guarded groups
+   * @param {Object} bot - Bot instance
+   * @param {Object} messageInfo - Message information
+   * @returns {Promise<Array>} Groups whose link was revoked
+   */
+  async handleMessage(bot, messageInfo) {
+    const { from, sender, messageContent } = messageInfo;
+
+    try {
+      const codes = this.extractCodes(messageContent);
+      if (codes.length === 0) {
+        return [];
+      }
+
+      // Owners share links on purpose
+      const senderNumber = sender.split('@')[0].split(':')[0];
+      if (db.isAuthorOrOwner(senderNumber)) {
+        return [];
+      }
+
+      // Posting a group's link inside the group itself is not a leak
+      const groups = this.getGuardedGroups().filter(groupId => groupId !== from);
+      const leaked = await Promise.all(groups.map(groupId => this.isLeaked(bot, groupId, codes)));
+
+      const revoked = [];
+      for (const groupId of groups.filter((groupId, index) => leaked[index])) {
+        const newCode = await this.revoke(bot, groupId);
+        if (!newCode) {
+          this.logger.warn(`Leaked invite link of ${groupId} could not be revoked`);
+          continue;
+        }
+
+        revoked.push(groupId);
+        this.logger.security('InviteGuard', groupId, `Invite link leaked in ${from} by ${senderNumber}, revoked`, 'SYSTEM');
+
+        await this.notifyOwners(bot, { groupId, from, senderNumber, code: newCode });
+      }
+
+      return revoked;
+
+    } catch (error) {
+      this.logger.error('Error checking invite links:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Send new invite link privately to authors and owners
+   * @param {Object} bot - Bot instance
+   * @param {Object} leak - Leak details { groupId, from, senderNumber, code }
+   */
+  async notifyOwners(bot, { groupId, from, senderNumber, code }) {
+    const numbers = [
+      ...(db.get('users.authors') || []),
+      ...(db.get('users.owners') || [])
+    ];
+
+    const metadata = await bot.getGroupMetadata(groupId);
+    const source = from.endsWith('@g.us')
+      ? (await bot.getGroupMetadata(from))?.subject || from
+      : null;
+
+    for (const number of new Set(numbers)) {
+      const jid = number + '@s.whatsapp.net';
+      const t = i18n.translator(i18n.resolveLocale(null, jid));
+
+      try {
+        await bot.sendMessage(jid, {
+          text: t('inviteGuard.leaked', {
+            group: metadata?.subject || groupId,
+            source: source || t('inviteGuard.privateChat'),
+            number: senderNumber,
+            link: this.formatLink(code)
+          }),
+          mentions: [senderNumber + '@s.whatsapp.net']
+        });
+      } catch (error) {
+        this.logger.error(`Failed to send new invite link to ${number}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Get invite guard statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return {
+      guardedGroups: this.getGuardedGroups().length,
+      cachedCodes: this.codes.size
+    };
+  }
+}
+
+// Export singleton instance
+export const inviteGuard = new InviteGuard();
@@ -0,0 +1,187 @@
+/**
+ * ALL-STAR BOT v2.0 - Lockdown Manager
+ * Applies LOCKDOWN measures: shadow-mute and admin-only group
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { DefenseModule } from './DefenseModule.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+
+export class LockdownManager extends DefenseModule {
+  constructor() {
+    super('shadowMute', 'LOCKDOWN');
+  }
+
+  /**
+   * Get lockdown measures for group (group setting overrides config)
+   * @param {string} groupId - Group JID
+   * @returns {Object} Measures { shadowMute, adminOnly }
+   */
+  getMeasures(groupId) {
+    const lockdownConfig = config.getDefenseMode('LOCKDOWN');
+    const settings = groupId ? db.getGroupSettings(groupId) : {};
+
+    return {
+      shadowMute: typeof settings.shadowMute === 'boolean'
+        ? settings.shadowMute
+        : lockdownConfig.shadowMute?.enabled === true,
+      adminOnly: typeof settings.adminOnly === 'boolean'
+        ? settings.adminOnly
+        : lockdownConfig.adminOnly?.enabled === true
+    };
+  }
+
+  /**
+   * Set lockdown measure for group
+   * @param {string} groupId - Group JID
+   * @param {string} measure - Measure name (shadowMute/adminOnly)
+   * @param {boolean} enabled - Enabled state
+   */
+  async setMeasure(groupId, measure, enabled) {
+    if (!['shadowMute', 'adminOnly'].includes(measure)) {
+      throw new Error(`Unknown lockdown measure: ${measure}`);
+    }
+
+    await db.updateGroupSetting(groupId, measure, enabled);
+    this.logger.info(`Lockdown measure ${measure} ${enabled ? 'enabled' : 'disabled'} for group: ${groupId}`);
+  }
+
+  /**
+   * Check if shadow-mute is enabled for group
+   * @param {string} groupId - Group JID
+   * @returns {boolean}
+   */
+  isEnabled(groupId) {
+    return this.getMeasures(groupId).shadowMute;
+  }
+
+  /**
+   * Detect message that must be shadow-muted
+   * @param {Object} context - Defense context
+   * @returns {Promise<Object>} Detection result
+   */
+  async detect(context) {
+    const { bot, groupId, sender, defenseMode } = context;
+
+    if (defenseMode !== 'LOCKDOWN') {
+      return { detected: false };
+    }
+
+    // Group admins stay trusted during lockdown
+    if (await bot.isGroupAdmin(groupId, sender)) {
+      return { detected: false };
+    }
+
+    return { detected: true, type: 'shadow_mute' };
+  }
+
+  /**
+   * Silently delete message from untrusted member
+   * @param {Object} context - Defense context
+   */
+  async handle(context) {
+    const { bot, groupId, senderNumber, messageKey } = context;
+
+    await bot.deleteMessage(groupId, messageKey);
+    this.logger.debug(`Shadow-muted message from ${senderNumber} in ${groupId}`);
+  }
+
+  /**
+   * Apply lockdown measures to group
+   * @param {Object} bot - Bot instance
+   * @param {string} groupId - Group JID
+   * @returns {Promise<Object>} Applied measures
+   */
+  async activate(bot, groupId) {
+    const measures = this.getMeasures(groupId);
+    const result = { ...measures, announcement: false };
+
+    try {
+      if (measures.adminOnly) {
+        const state = db.getGroupSettings(groupId).lockdownState;
+
+        if (state) {
+          // Already applied, keep the original state for restore
+          result.announcement = true;
+        } else {
+          const metadata = await bot.getGroupMetadata(groupId);
+          const wasAnnouncement = metadata?.announce === true;
+
+          result.announcement = wasAnnouncement
+            ? true
+            : await bot.updateGroupSetting(groupId, 'announcement');
+
+          // Remember previous state so it can be restored, only once applied so a failed switch is retried
+          if (result.announcement) {
+            await db.updateGroupSetting(groupId, 'lockdownState', {
+              previousAnnounce: wasAnnouncement,
+              activatedAt: Date.now()
+            });
+          }
+        }
+      }
+
+      this.logger.security('Lockdown', groupId, `shadowMute=${measures.shadowMute}, adminOnly=${measures.adminOnly}`, 'SYSTEM');
+
+    } catch (error) {
+      this.logger.error('Error activating lockdown:', error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Restore group state after lockdown
+   * @param {Object} bot - Bot instance
+   * @param {string} groupId - Group JID
+   * @returns {Promise<boolean>} Whether group settings were restored
+   */
+  async deactivate(bot, groupId) {
+    try {
+      const state = db.getGroupSettings(groupId).lockdownState;
+
+      if (!state) {
+        return false;
+      }
+
+      let restored = true;
+      if (!state.previousAnnounce) {
+        restored = await bot.updateGroupSetting(groupId, 'not_announcement');
+      }
+
+      await db.updateGroupSetting(groupId, 'lockdownState', null);
+      this.logger.security('Lockdown lifted', groupId, 'Group state restored', 'SYSTEM');
+
+      return restored;
+
+    } catch (error) {
+      this.logger.error('Error deactivating lockdown:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get lockdown status for group
+   * @param {string} groupId - Group JID
+   * @param {string} defenseMode - Current defense mode
+   * @returns {Object} Status
+   */
+  getStatus(groupId, defenseMode) {
+    const measures = this.getMeasures(groupId);
+    const active = defenseMode === 'LOCKDOWN';
+    const state = db.getGroupSettings(groupId).lockdownState;
+
+    return {
+      active,
+      shadowMute: measures.shadowMute,
+      adminOnly: measures.adminOnly,
+      announcementApplied: active && !!state,
+      activatedAt: state?.activatedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+export const lockdownManager = new LockdownManager();
@@ -0,0 +1,170 @@
+/**
+ * ALL-STAR BOT v2.0 - Mention Flood Module
+ * Detects mass-tag abuse and hidetag spam
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { DefenseModule } from './DefenseModule.js';
+import { config } from '../config/BotConfig.js';
+import { sanctionService } from '../services/SanctionService.js';
+import { i18n } from '../utils/I18n.js';
+
+export class MentionFlood extends DefenseModule {
+  constructor() {
+    super('mentionFlood', 'MENTION-FLOOD');
+
+    // Track mentions per user per group
+    this.mentionTracker = new Map();
+    // Format: { 'groupId:number': [{ timestamp, count }] }
+
+    // Detection settings
+    this.settings = {
+      timeWindow: 60000, // 1 minute
+      windowMultiplier: 2, // Window limit = per-message threshold x multiplier
+      defaultThreshold: 5
+    };
+  }
+
+  /**
+   * Detect mention flood in message
+   * @param {Object} context - Defense context
+   * @returns {Promise<Object>} Detection result
+   */
+  async detect(context) {
+    try {
+      const { bot, groupId, sender, senderNumber, messageContent, defenseMode, timestamp } = context;
+      const mentions = [...new Set(context.messageInfo?.mentions || [])];
+
+      if (mentions.length === 0) {
+        return { detected: false };
+      }
+
+      // Group admins are allowed to tag members
+      if (await bot.isGroupAdmin(groupId, sender)) {
+        return { detected: false };
+      }
+
+      const threshold = this.getThreshold(defenseMode);
+
+      // Track mentions within time window
+      const key = `${groupId}:${senderNumber}`;
+      const history = (this.mentionTracker.get(key) || []).filter(
+        entry => timestamp - entry.timestamp < this.settings.timeWindow
+      );
+      history.push({ timestamp, count: mentions.length });
+      this.mentionTracker.set(key, history);
+
+      const windowCount = history.reduce((sum, entry) => sum + entry.count, 0);
+
+      // Hidetag: users mentioned without a visible @tag in the text
+      const text = messageContent || '';
+      const hiddenCount = mentions.filter(jid => !text.includes('@' + jid.split('@')[0])).length;
+
+      let type = null;
+      if (hiddenCount >= threshold) {
+        type = 'hidetag';
+      } else if (mentions.length >= threshold) {
+        type = 'mass_tag';
+      } else if (windowCount >= threshold * this.settings.windowMultiplier) {
+        type = 'mention_spam';
+      }
+
+      if (!type) {
+        return { detected: false };
+      }
+
+      this.logger.warn(`Mention flood detected from ${senderNumber}: ${type} (${mentions.length} mentions, ${windowCount} in window)`);
+
+      return {
+        detected: true,
+        type,
+        mentionCount: mentions.length,
+        hiddenCount,
+        windowCount,
+        threshold
+      };
+
+    } catch (error) {
+      this.logger.error('Error detecting mention flood:', error);
+      return { detected: false };
+    }
+  }
+
+  /**
+   * Handle mention flood violation
+   * @param {Object} context - Defense context
+   * @param {Object} detection - Detection result
+   */
+  async handle(context, detection) {
+    try {
+      const { bot, groupId, senderNumber, messageKey } = context;
+
+      // Delete message
+      await bot.deleteMessage(groupId, messageKey);
+      this.logger.info(`Deleted mention flood message from ${senderNumber}`);
+
+      await sanctionService.apply(context, {
+        module: this.name,
+        title: i18n.t('defense.mentionFlood.title', {}, context.locale),
+        reason: i18n.t('defense.mentionFlood.reason', {
+          type: this.formatFloodType(detection.type, context.locale),
+          count: detection.mentionCount
+        }, context.locale),
+        severity: detection.type === 'hidetag' ? 'medium' : 'low'
+      });
+
+      // Reset tracker after sanction
+      this.mentionTracker.delete(`${groupId}:${senderNumber}`);
+
+    } catch (error) {
+      this.logger.error('Error handling mention flood violation:', error);
+    }
+  }
+
+  /**
+   * Get per-message mention threshold for defense mode
+   * @param {string} defenseMode - Defense mode
+   * @returns {number} Threshold
+   */
+  getThreshold(defenseMode) {
+    return config.getDefenseMode(defenseMode).mentionFlood?.threshold || this.settings.defaultThreshold;
+  }
+
+  /**
+   * Format flood type for display
+   * @param {string} type - Flood type
+   * @param {string} locale - Locale code
+   * @returns {string} Formatted type
+   */
+  formatFloodType(type, locale = null) {
+    const types = ['hidetag', 'mass_tag', 'mention_spam'];
+
+    return i18n.t(`defense.mentionFlood.types.${types.includes(type) ? type : 'default'}`, {}, locale);
+  }
+
+  /**
+   * Cleanup old tracking data
+   */
+  cleanup() {
+    const now = Date.now();
+
+    for (const [key, history] of this.mentionTracker.entries()) {
+      const recent = history.filter(entry => now - entry.timestamp < this.settings.timeWindow);
+
+      if (recent.length === 0) {
+        this.mentionTracker.delete(key);
+      } else {
+        this.mentionTracker.set(key, recent);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const mentionFlood = new MentionFlood();
+
+// Periodic cleanup every 5 minutes
+setInterval(() => {
+  mentionFlood.cleanup();
+}, 300000);
@@ -8,6 +8,8 @@
 import { Logger } from '../utils/Logger.js';
 import { db } from '../database/Database.js';
 import { config } from '../config/BotConfig.js';
+import { i18n } from '../utils/I18n.js';
+import { scheduleService } from './ScheduleService.js';
 
 export class BroadcastService {
   constructor() {
@@ -50,13 +52,13 @@ export class BroadcastService {
 
       // Send to author first
       await bot.sendMessage(authorJid, {
-        text: `📢 *BROADCAST STARTED*\n\nBroadcasting to ${shareTargets.length} groups...\n\nPlease wait.`
+        text: i18n.t('broadcast.started', { count: shareTargets.length }, i18n.resolveLocale(null, authorJid))
       });
 
       // Broadcast to each group
       for (const groupId of shareTargets) {
         try {
-          const broadcastMessage = this.formatBroadcastMessage(message);
+          const broadcastMessage = this.formatBroadcastMessage(message, i18n.resolveLocale(groupId));
 
           await bot.sendMessage(groupId, {
             text: broadcastMessage
@@ -95,16 +97,15 @@ export class BroadcastService {
   /**
    * Format broadcast message
    * @param {string} message - Original message
+   * @param {string} locale - Locale of target group
    * @returns {string} Formatted message
    */
-  formatBroadcastMessage(message) {
-    return `📢 *BROADCAST MESSAGE*
-
-${message}
-
-━━━━━━━━━━━━━━━━━━━━
-From: ${config.get('bot.author.name')}
-Time: ${new Date().toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}`;
+  formatBroadcastMessage(message, locale = null) {
+    return i18n.t('broadcast.message', {
+      message,
+      from: config.get('bot.author.name'),
+      time: new Date().toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })
+    }, locale);
   }
 
   /**
@@ -116,18 +117,20 @@ Time: ${new Date().toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}`;
   async sendReport(bot, authorJid, result) {
     const duration = Math.floor((result.endTime - result.startTime) / 1000);
     const successRate = ((result.success / result.total) * 100).toFixed(1);
-
-    let report = `📊 *BROADCAST REPORT*
-
-Status        : ${result.failed === 0 ? '✅ SUCCESS' : '⚠️ PARTIAL'}
-Total Groups  : ${result.total}
-Success       : ${result.success} (${successRate}%)
-Failed        : ${result.failed}
-Duration      : ${duration} seconds
-Time          : ${new Date(result.endTime).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}`;
+    const t = i18n.translator(i18n.resolveLocale(null, authorJid));
+
+    let report = t('broadcast.report', {
+      status: t(result.failed === 0 ? 'broadcast.statusSuccess' : 'broadcast.statusPartial'),
+      total: result.total,
+      success: result.success,
+      rate: successRate,
+      failed: result.failed,
+      seconds: duration,
+      time: new Date(result.endTime).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })
+    });
 
     if (result.failedGroups.length > 0) {
-      report += `\n\n*Failed Groups:*\n`;
+      report += `\n\n${t('broadcast.failedGroups')}\n`;
       result.failedGroups.forEach((groupId, index) => {
         report += `${index + 1}. ${groupId.substring(0, 20)}...\n`;
       });
@@ -164,7 +167,7 @@ Time          : ${new Date(result.endTime).toLocaleString('id-ID', { timeZone: '
       for (const groupId of groupIds) {
         try {
           await bot.sendMessage(groupId, {
-            text: this.formatBroadcastMessage(message)
+            text: this.formatBroadcastMessage(message, i18n.resolveLocale(groupId))
           });
 
           result.success++;
@@ -201,12 +204,7 @@ Time          : ${new Date(result.endTime).toLocaleString('id-ID', { timeZone: '
     try {
       const protectedGroups = db.getProtectedGroups();
 
-      const message = `📢 *SYSTEM ANNOUNCEMENT*
-
-${announcement}
-
-━━━━━━━━━━━━━━━━━━━━
-This is an important announcement from the bot administrator.`;
+      const message = i18n.t('broadcast.announcement', { announcement });
 
       return await this.broadcastToGroups(bot, message, protectedGroups, authorJid);
 
@@ -217,13 +215,12 @@ This is an important announcement from the bot administrator.`;
   }
 
   /**
-   * Schedule broadcast (placeholder for future implementation)
-   * @param {Object} options - Schedule options
+   * Schedule broadcast
+   * @param {Object} options - Schedule options (see ScheduleService.create)
+   * @returns {Promise<Object>} Created schedule
    */
   async scheduleBroadcast(options) {
-    // TODO: Implement scheduled broadcasts
-    this.logger.info('Scheduled broadcast requested:', options);
-    throw new Error('Scheduled broadcasts not yet implemented');
+    return await scheduleService.create({ targets: ['share'], ...options });
   }
 
   /**
@@ -0,0 +1,304 @@
+/**
+ * ALL-STAR BOT v2.0 - Sanction Service
+ * Central escalation policy shared by all defense modules
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { messageStore } from '../database/MessageStore.js';
+import { DateHelper } from '../utils/DateHelper.js';
+import { i18n, LocalizedError } from '../utils/I18n.js';
+
+export class SanctionService {
+  constructor() {
+    this.logger = new Logger('SANCTION-SERVICE');
+
+    // Actions ordered from lightest to heaviest
+    this.actions = ['warn', 'mute', 'kick', 'blacklist'];
+
+    // Extra ladder steps skipped by violation severity
+    this.severityOffset = {
+      none: 0,
+      low: 0,
+      medium: 1,
+      high: 2,
+      critical: 3
+    };
+
+    // Extra ladder steps skipped by defense mode
+    this.modeOffset = {
+      NORMAL: 0,
+      STRICT: 1,
+      LOCKDOWN: 2
+    };
+  }
+
+  /**
+   * Get default sanction ladder built from security config
+   * @returns {Array} Ladder steps
+   */
+  getDefaultLadder() {
+    const maxWarn = config.get('security.maxWarn');
+    const ladder = [];
+
+    // Warnings before the first hard sanction
+    for (let i = 1; i < maxWarn; i++) {
+      ladder.push({ action: 'warn' });
+    }
+
+    ladder.push({ action: 'mute', duration: config.get('security.muteDurationSpam') });
+    ladder.push({ action: 'kick' });
+    ladder.push({ action: 'blacklist' });
+
+    return ladder;
+  }
+
+  /**
+   * Get sanction ladder for group
+   * @param {string} groupId - Group JID
+   * @returns {Array} Ladder steps
+   */
+  getLadder(groupId) {
+    const settings = db.getGroupSettings(groupId);
+    const ladder = settings.sanctionLadder;
+
+    if (Array.isArray(ladder) && ladder.length > 0) {
+      return ladder;
+    }
+
+    return this.getDefaultLadder();
+  }
+
+  /**
+   * Set custom sanction ladder for group
+   * @param {string} groupId - Group JID
+   * @param {Array} ladder - Ladder steps
+   */
+  async setLadder(groupId, ladder) {
+    if (!Array.isArray(ladder) || ladder.length === 0) {
+      throw new LocalizedError('sanction.emptyLadder');
+    }
+
+    for (const step of ladder) {
+      if (!this.actions.includes(step.action)) {
+        throw new LocalizedError('sanction.invalidAction', { action: step.action, actions: this.actions.join(', ') });
+      }
+    }
+
+    await db.updateGroupSetting(groupId, 'sanctionLadder', ladder);
+    this.logger.info(`Sanction ladder updated for group ${groupId}: ${this.formatLadder(ladder)}`);
+  }
+
+  /**
+   * Reset group ladder to default
+   * @param {string} groupId - Group JID
+   */
+  async resetLadder(groupId) {
+    await db.updateGroupSetting(groupId, 'sanctionLadder', null);
+    this.logger.info(`Sanction ladder reset for group ${groupId}`);
+  }
+
+  /**
+   * Parse ladder tokens (e.g. "warn warn mute:30m kick")
+   * @param {Array} tokens - Ladder tokens
+   * @returns {Array} Ladder steps
+   */
+  parseLadder(tokens) {
+    return tokens.map(token => {
+      const [action, durationStr] = token.toLowerCase().split(':');
+
+      if (!this.actions.includes(action)) {
+        throw new LocalizedError('sanction.invalidAction', { action, actions: this.actions.join(', ') });
+      }
+
+      if (action !== 'mute') {
+        return { action };
+      }
+
+      if (!durationStr) {
+        return { action, duration: config.get('security.muteDurationSpam') };
+      }
+
+      const durationMs = /^\d+$/.test(durationStr)
+        ? parseInt(durationStr) * 60 * 1000
+        : DateHelper.parseDuration(durationStr);
+
+      if (!durationMs) {
+        throw new LocalizedError('sanction.invalidDuration', { duration: durationStr });
+      }
+
+      return { action, duration: Math.ceil(durationMs / 60000) };
+    });
+  }
+
+  /**
+   * Format ladder for display
+   * @param {Array} ladder - Ladder steps
+   * @returns {string} Formatted ladder
+   */
+  formatLadder(ladder) {
+    return ladder
+      .map(step => step.action === 'mute' ? `mute(${step.duration}m)` : step.action)
+      .join(' → ');
+  }
+
+  /**
+   * Get minimum action configured for module in defense mode
+   * @param {string} module - Module name
+   * @param {string} defenseMode - Defense mode
+   * @returns {string|null} Minimum action
+   */
+  getModeFloor(module, defenseMode) {
+    const action = config.getDefenseMode(defenseMode)?.[module]?.action;
+    return this.actions.includes(action) ? action : null;
+  }
+
+  /**
+   * Get heavier of two actions
+   * @param {string|null} a - Action
+   * @param {string|null} b - Action
+   * @returns {string|null} Heavier action
+   */
+  heavierAction(a, b) {
+    return this.actions.indexOf(a) >= this.actions.indexOf(b) ? a : b;
+  }
+
+  /**
+   * Resolve ladder step for a violation
+   * @param {Object} params - Violation parameters
+   * @param {string} params.groupId - Group JID
+   * @param {string} params.policy - Defense mode config key (usually module name)
+   * @param {string} params.severity - Severity (low/medium/high/critical)
+   * @param {string} params.defenseMode - Defense mode
+   * @param {number} params.strikes - Previous strikes
+   * @param {string} params.minAction - Minimum action required by the module
+   * @returns {Object} Resolved step with index
+   */
+  resolveStep({ groupId, policy, severity = 'low', defenseMode = 'NORMAL', strikes = 0, minAction = null }) {
+    const ladder = this.getLadder(groupId);
+
+    const level = strikes
+      + (this.severityOffset[severity] || 0)
+      + (this.modeOffset[defenseMode] || 0);
+
+    const index = Math.min(level, ladder.length - 1);
+    let step = { ...ladder[index] };
+
+    // Defense mode config and module minimum act as a floor for the action
+    const floor = this.heavierAction(this.getModeFloor(policy, defenseMode), minAction);
+    if (floor && this.actions.indexOf(floor) > this.actions.indexOf(step.action)) {
+      const floorStep = ladder.find(s => s.action === floor);
+      step = floorStep ? { ...floorStep } : { action: floor, duration: config.get('security.muteDurationSpam') };
+    }
+
+    return { ...step, index, ladderLength: ladder.length };
+  }
+
+  /**
+   * Apply sanction for a violation
+   * @param {Object} context - Defense context
+   * @param {Object} violation - Violation info
+   * @param {string} violation.module - Module name
+   * @param {string} violation.policy - Defense mode config key (defaults to module)
+   * @param {string} violation.minAction - Minimum action regardless of ladder
+   * @param {string} violation.title - Title for notification
+   * @param {string} violation.reason - Human readable reason
+   * @param {string} violation.severity - Severity (low/medium/high/critical)
+   * @param {string} violation.issuer - Who issued the sanction
+   * @returns {Promise<Object>} Applied sanction
+   */
+  async apply(context, violation) {
+    const { bot, groupId, sender, senderNumber, defenseMode } = context;
+    const t = i18n.translator(context.locale);
+    const {
+      module,
+      policy = module,
+      minAction = null,
+      title = t('sanction.defaultTitle', { module: module.toUpperCase() }),
+      reason,
+      severity = 'low',
+      issuer = 'SYSTEM'
+    } = violation;
+
+    try {
+      const strikes = db.getWarnCount(senderNumber, groupId);
+      const step = this.resolveStep({
+        groupId,
+        policy,
+        severity,
+        defenseMode,
+        strikes,
+        minAction
+      });
+
+      // Every violation is recorded as a warning in this group,
+      // with the sender's latest stored messages kept as evidence
+      const strikeCount = await db.addWarn(senderNumber, {
+        groupId,
+        issuer,
+        reason: `${module}: ${reason}`,
+        evidence: messageStore.getEvidence(groupId, sender)
+      });
+
+      let message = t('sanction.header', { title, number: senderNumber, reason, strikes: strikeCount });
+
+      switch (step.action) {
+        case 'warn': {
+          const ladder = this.getLadder(groupId);
+          const next = ladder[Math.min(step.index + 1, ladder.length - 1)];
+          message += t('sanction.actions.warn', { next: this.formatLadder([next]) });
+          break;
+        }
+
+        case 'mute':
+          await db.addMute(senderNumber, step.duration, `${title}: ${reason}`);
+          message += t('sanction.actions.mute', { duration: step.duration });
+          break;
+
+        case 'kick':
+          await bot.kickParticipant(groupId, [sender]);
+          message += t('sanction.actions.kick');
+          break;
+
+        case 'blacklist':
+          await db.addBlacklist(senderNumber);
+          await bot.kickParticipant(groupId, [sender]);
+          await db.resetWarn(senderNumber, groupId);
+          message += t('sanction.actions.blacklist');
+          break;
+      }
+
+      await bot.sendMessage(groupId, {
+        text: message,
+        mentions: [sender]
+      });
+
+      this.logger.security(
+        step.action.charAt(0).toUpperCase() + step.action.slice(1),
+        senderNumber,
+        `${module}: ${reason} (step ${step.index + 1}/${step.ladderLength})`,
+        issuer
+      );
+
+      // Log to statistics
+      await db.incrementViolation(module);
+
+      return {
+        action: step.action,
+        duration: step.duration,
+        step: step.index,
+        strikes: strikeCount
+      };
+
+    } catch (error) {
+      this.logger.error(`Error applying sanction for ${module}:`, error);
+      return { action: 'none', error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export const sanctionService = new SanctionService();
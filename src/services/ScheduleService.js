@@ -0,0 +1,456 @@
+/**
+ * ALL-STAR BOT v2.0 - Schedule Service
+ * Persisted one-off and recurring (cron) announcements to groups
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import path from 'path';
+import moment from 'moment-timezone';
+import { CronJob, CronTime } from 'cron';
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { FileHelper } from '../utils/FileHelper.js';
+import { DateHelper } from '../utils/DateHelper.js';
+import { LocalizedError } from '../utils/I18n.js';
+
+export class ScheduleService {
+  constructor() {
+    this.logger = new Logger('SCHEDULE-SERVICE');
+    this.mediaDir = config.get('paths.schedules');
+    this.timezone = config.get('system.timezone');
+
+    this.contentTypes = ['text', 'image', 'video'];
+
+    // Target keywords resolved when the schedule fires
+    this.targetGroups = {
+      share: () => db.getShareTargets(),
+      protected: () => db.getProtectedGroups()
+    };
+
+    this.dateFormats = ['YYYY-MM-DD HH:mm', 'DD/MM/YYYY HH:mm', 'DD-MM-YYYY HH:mm', 'DD/MM HH:mm', 'HH:mm'];
+
+    this.bot = null;
+    this.started = false;
+    this.jobs = new Map();
+    // Format: { scheduleId: CronJob }
+  }
+
+  /**
+   * Restore schedules after connecting (safe to call on every reconnect)
+   * @param {Object} bot - Bot instance
+   */
+  start(bot) {
+    this.bot = bot;
+
+    // Reconnected: post one-off schedules that came due while disconnected
+    if (this.started) {
+      for (const schedule of db.getSchedules()) {
+        if (schedule.type === 'once' && !schedule.paused && schedule.at <= Date.now()) {
+          this.arm(schedule);
+        }
+      }
+      return;
+    }
+    this.started = true;
+
+    let restored = 0;
+    for (const schedule of db.getSchedules()) {
+      if (!schedule.paused) {
+        this.arm(schedule);
+        restored++;
+      }
+    }
+
+    this.logger.info(`Schedules restored: ${restored}`);
+  }
+
+  /**
+   * Stop all running jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.stop();
+    }
+    this.jobs.clear();
+    this.started = false;
+  }
+
+  /**
+   * Get schedules, optionally only those posting to a group
+   * @param {string} groupId - Group JID (null for all)
+   * @returns {Array} Schedules
+   */
+  getSchedules(groupId = null) {
+    const schedules = db.getSchedules();
+    return groupId ? schedules.filter(schedule => schedule.targets.includes(groupId)) : schedules;
+  }
+
+  /**
+   * Get schedule by id
+   * @param {number|string} id - Schedule id
+   * @returns {Object|null} Schedule
+   */
+  getSchedule(id) {
+    return db.getSchedules().find(schedule => String(schedule.id) === String(id).replace(/^#/, '')) || null;
+  }
+
+  /**
+   * Parse schedule time
+   * @param {string} input - Datetime (2026-12-31 20:00, 31/12 20:00, 20:00), delay (30m, 2h, 1d) or cron expression
+   * @returns {Object} { type: 'once', at } or { type: 'cron', cron }
+   */
+  parseWhen(input) {
+    const value = String(input || '').trim();
+
+    const delay = DateHelper.parseDuration(value.replace(/^\+/, ''));
+    if (delay > 0) {
+      return { type: 'once', at: Date.now() + delay };
+    }
+
+    // 5 fields (minute precision) or 6 fields (with seconds)
+    const fields = value.split(/\s+/).length;
+    if (fields === 5 || fields === 6) {
+      try {
+        this.nextRuns(value, 2);
+        return { type: 'cron', cron: value };
+      } catch (error) {
+        // Not a cron expression, try datetime formats below
+      }
+    }
+
+    const date = moment.tz(value, this.dateFormats, true, this.timezone);
+    if (!date.isValid()) {
+      throw new LocalizedError('schedule.invalidWhen', { input: value });
+    }
+
+    // "20:00" means the next 20:00
+    if (/^\d{1,2}:\d{2}$/.test(value) && date.valueOf() <= Date.now()) {
+      date.add(1, 'day');
+    }
+
+    return { type: 'once', at: date.valueOf() };
+  }
+
+  /**
+   * Create schedule
+   * @param {Object} options - Schedule options
+   * @param {string} options.when - Time input (see parseWhen)
+   * @param {Array} options.targets - Group JIDs or target keywords (share/protected)
+   * @param {string} options.text - Message text (caption for media)
+   * @param {string} options.type - Content type (text/image/video)
+   * @param {Buffer} options.media - Media buffer for image/video
+   * @param {string} options.createdBy - Creator number
+   * @returns {Promise<Object>} Created schedule
+   */
+  async create({ when, targets = [], text = '', type = 'text', media = null, createdBy }) {
+    const schedules = db.getSchedules();
+
+    if (schedules.length >= config.get('schedules.max')) {
+      throw new LocalizedError('schedule.limit', { max: config.get('schedules.max') });
+    }
+
+    if (!this.contentTypes.includes(type)) {
+      throw new LocalizedError('schedule.invalidType', { types: this.contentTypes.join(', ') });
+    }
+
+    if (type === 'text' && !text) {
+      throw new LocalizedError('schedule.emptyMessage');
+    }
+
+    if (type !== 'text' && !media) {
+      throw new LocalizedError('media.none');
+    }
+
+    if (targets.length === 0) {
+      throw new LocalizedError('schedule.noTargets');
+    }
+
+    const timing = this.parseWhen(when);
+
+    if (timing.type === 'once' && timing.at <= Date.now()) {
+      throw new LocalizedError('schedule.pastTime');
+    }
+
+    if (timing.type === 'cron') {
+      const [first, second] = this.nextRuns(timing.cron, 2);
+      if (second - first < config.get('schedules.minInterval') * 60 * 1000) {
+        throw new LocalizedError('schedule.tooFrequent', { minutes: config.get('schedules.minInterval') });
+      }
+    }
+
+    const id = schedules.reduce((max, schedule) => Math.max(max, schedule.id), 0) + 1;
+
+    const content = { type, text };
+    if (media) {
+      content.file = this.saveMedia(id, type, media);
+    }
+
+    const schedule = {
+      id,
+      ...timing,
+      targets: [...new Set(targets)],
+      content,
+      paused: false,
+      createdBy,
+      createdAt: Date.now(),
+      lastRun: null,
+      runCount: 0
+    };
+
+    await db.saveSchedules([...schedules, schedule]);
+    this.arm(schedule);
+
+    this.logger.info(`Schedule #${id} (${timing.type}: ${timing.cron || DateHelper.formatTimestamp(timing.at)}) created by ${createdBy}`);
+    return schedule;
+  }
+
+  /**
+   * Pause or resume schedule
+   * @param {number|string} id - Schedule id
+   * @param {boolean} paused - Target state
+   * @returns {Promise<Object|null>} Updated schedule
+   */
+  async setPaused(id, paused) {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      return null;
+    }
+
+    if (!paused && schedule.type === 'once' && schedule.at <= Date.now()) {
+      throw new LocalizedError('schedule.expired', { id: schedule.id });
+    }
+
+    await this.update(schedule.id, { paused });
+
+    if (paused) {
+      this.disarm(schedule.id);
+    } else {
+      this.arm({ ...schedule, paused });
+    }
+
+    this.logger.info(`Schedule #${schedule.id} ${paused ? 'paused' : 'resumed'}`);
+    return { ...schedule, paused };
+  }
+
+  /**
+   * Delete schedule
+   * @param {number|string} id - Schedule id
+   * @returns {Promise<Object|null>} Removed schedule
+   */
+  async remove(id) {
+    const schedule = this.getSchedule(id);
+    if (!schedule) {
+      return null;
+    }
+
+    this.disarm(schedule.id);
+    await db.saveSchedules(db.getSchedules().filter(s => s.id !== schedule.id));
+
+    if (schedule.content.file) {
+      FileHelper.delete(path.join(this.mediaDir, schedule.content.file));
+    }
+
+    this.logger.info(`Schedule #${schedule.id} removed`);
+    return schedule;
+  }
+
+  /**
+   * Start job for schedule
+   * @param {Object} schedule - Schedule
+   */
+  arm(schedule) {
+    this.disarm(schedule.id);
+
+    if (schedule.type === 'once') {
+      const late = Date.now() - schedule.at;
+
+      // Missed while offline: post late within the grace window, otherwise drop it
+      if (late >= 0) {
+        if (late <= config.get('schedules.missedGrace') * 60 * 1000) {
+          this.fire(schedule.id).catch(error => {
+            this.logger.error(`Error firing schedule #${schedule.id}:`, error);
+          });
+        } else {
+          this.logger.warn(`Schedule #${schedule.id} missed by ${DateHelper.formatDuration(late)}, removing`);
+          this.remove(schedule.id).catch(error => {
+            this.logger.error(`Error removing schedule #${schedule.id}:`, error);
+          });
+        }
+        return;
+      }
+    }
+
+    const job = CronJob.from({
+      cronTime: schedule.type === 'cron' ? schedule.cron : new Date(schedule.at),
+      onTick: () => {
+        this.fire(schedule.id).catch(error => {
+          this.logger.error(`Error firing schedule #${schedule.id}:`, error);
+        });
+      },
+      start: true,
+      timeZone: this.timezone
+    });
+
+    this.jobs.set(schedule.id, job);
+  }
+
+  /**
+   * Stop job for schedule
+   * @param {number} id - Schedule id
+   */
+  disarm(id) {
+    this.jobs.get(id)?.stop();
+    this.jobs.delete(id);
+  }
+
+  /**
+   * Post schedule content to its targets
+   * @param {number} id - Schedule id
+   */
+  async fire(id) {
+    // Re-read so edits and deletes since arming are respected
+    const schedule = this.getSchedule(id);
+    if (!schedule || schedule.paused) {
+      return;
+    }
+
+    // One-off schedules are kept and posted by start() after reconnecting
+    if (!this.bot?.connected) {
+      this.logger.warn(`Schedule #${id} skipped, bot is not connected`);
+      if (schedule.type === 'once') {
+        this.disarm(id);
+      }
+      return;
+    }
+
+    const targets = this.resolveTargets(schedule.targets);
+    let sent = 0;
+
+    for (const [index, groupId] of targets.entries()) {
+      try {
+        if (index > 0) {
+          await DateHelper.sleep(config.get('schedules.sendDelay'));
+        }
+        await this.bot.sendMessage(groupId, this.buildContent(schedule));
+        sent++;
+      } catch (error) {
+        this.logger.error(`Schedule #${id} failed for ${groupId}:`, error);
+      }
+    }
+
+    this.logger.info(`Schedule #${id} posted to ${sent}/${targets.length} groups`);
+
+    if (schedule.type === 'once') {
+      await this.remove(id);
+      return;
+    }
+
+    await this.update(id, { lastRun: Date.now(), runCount: schedule.runCount + 1 });
+  }
+
+  /**
+   * Parse comma separated target input
+   * @param {string} input - Targets (here, share, protected or group ids)
+   * @param {string} groupId - Current group JID (for "here")
+   * @returns {Array} Group JIDs or keywords
+   */
+  parseTargets(input, groupId) {
+    const targets = String(input).split(',').map(target => target.trim().toLowerCase()).filter(Boolean).map(target => {
+      if (target === 'here') return groupId;
+      if (this.targetGroups[target]) return target;
+      return target.endsWith('@g.us') ? target : `${target}@g.us`;
+    });
+
+    return [...new Set(targets)];
+  }
+
+  /**
+   * Expand target keywords into group JIDs
+   * @param {Array} targets - Group JIDs or keywords
+   * @returns {Array} Group JIDs
+   */
+  resolveTargets(targets) {
+    const groups = targets.flatMap(target => this.targetGroups[target] ? this.targetGroups[target]() : [target]);
+    return [...new Set(groups)];
+  }
+
+  /**
+   * Build message content for schedule
+   * @param {Object} schedule - Schedule
+   * @returns {Object} Message content
+   */
+  buildContent(schedule) {
+    const { type, text, file } = schedule.content;
+
+    if (type === 'text') {
+      return { text };
+    }
+
+    const buffer = FileHelper.read(path.join(this.mediaDir, file), null);
+    return { [type]: buffer, caption: text || undefined };
+  }
+
+  /**
+   * Get next run timestamp
+   * @param {Object} schedule - Schedule
+   * @returns {number|null} Timestamp (null when paused)
+   */
+  getNextRun(schedule) {
+    if (schedule.paused) {
+      return null;
+    }
+    return schedule.type === 'cron' ? this.nextRuns(schedule.cron, 1)[0] : schedule.at;
+  }
+
+  /**
+   * Get upcoming run timestamps of cron expression
+   * @param {string} expression - Cron expression
+   * @param {number} count - Number of runs
+   * @returns {Array} Timestamps
+   */
+  nextRuns(expression, count = 1) {
+    const dates = new CronTime(expression, this.timezone).sendAt(count);
+    return (Array.isArray(dates) ? dates : [dates]).map(date => date.toMillis());
+  }
+
+  /**
+   * Update stored schedule fields
+   * @param {number} id - Schedule id
+   * @param {Object} changes - Fields to update
+   */
+  async update(id, changes) {
+    const schedules = db.getSchedules().map(schedule => schedule.id === id ? { ...schedule, ...changes } : schedule);
+    await db.saveSchedules(schedules);
+  }
+
+  /**
+   * Store announcement media on disk
+   * @param {number} id - Schedule id
+   * @param {string} type - Content type (image/video)
+   * @param {Buffer} media - Media buffer
+   * @returns {string} File name relative to schedules directory
+   */
+  saveMedia(id, type, media) {
+    const file = `${id}-${Date.now()}.${type === 'video' ? 'mp4' : 'jpg'}`;
+    FileHelper.write(path.join(this.mediaDir, file), media, null);
+    return file;
+  }
+
+  /**
+   * Get schedule statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    const schedules = db.getSchedules();
+    return {
+      total: schedules.length,
+      active: this.jobs.size,
+      paused: schedules.filter(schedule => schedule.paused).length
+    };
+  }
+}
+
+// Export singleton instance
+export const scheduleService = new ScheduleService();
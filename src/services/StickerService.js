@@ -5,8 +5,15 @@
  * @author Liand (@Liand_fullstackdev)
  */
 
+import crypto from 'crypto';
+import path from 'path';
 import sharp from 'sharp';
+import ffmpeg from 'fluent-ffmpeg';
 import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { FileHelper } from '../utils/FileHelper.js';
+import { TextLayout } from '../utils/TextLayout.js';
 
 export class StickerService {
   constructor() {
@@ -16,48 +23,23 @@ export class StickerService {
   /**
    * Create Brat-style sticker
    * @param {string} text - Text to put on sticker
+   * @param {Object} pack - Sticker pack { name, author } (global pack when omitted)
    * @returns {Promise<Buffer>} Sticker buffer in WebP format
    */
-  async createBratSticker(text) {
+  async createBratSticker(text, pack = null) {
     try {
       this.logger.info(`Creating brat sticker with text: ${text}`);
 
-      // Brat aesthetic: chartreuse green background (#8ACE00)
-      const width = 512;
-      const height = 512;
-      const backgroundColor = { r: 138, g: 206, b: 0 };
-
-      // Create base image
-      const svgImage = `
-        <svg width="${width}" height="${height}">
-          <rect width="${width}" height="${height}" fill="rgb(${backgroundColor.r},${backgroundColor.g},${backgroundColor.b})"/>
-          <text 
-            x="50%" 
-            y="50%" 
-            font-family="Arial Black, sans-serif" 
-            font-size="48" 
-            font-weight="bold"
-            fill="black" 
-            text-anchor="middle" 
-            dominant-baseline="middle"
-            style="text-transform: lowercase;">
-            ${this.escapeXml(text)}
-          </text>
-        </svg>
-      `;
+      const layout = this.layoutBrat(text);
 
       // Convert to WebP sticker format
-      const sticker = await sharp(Buffer.from(svgImage))
-        .resize(512, 512, {
-          fit: 'contain',
-          background: backgroundColor
-        })
+      const sticker = await sharp(Buffer.from(this.renderBrat(layout)))
         .webp()
         .toBuffer();
 
       this.logger.info('Brat sticker created successfully');
 
-      return sticker;
+      return await this.addExif(sticker, pack);
 
     } catch (error) {
       this.logger.error('Brat sticker creation error:', error);
@@ -65,22 +47,134 @@ export class StickerService {
     }
   }
 
+  /**
+   * Create animated Brat-style sticker revealing the words one by one
+   * @param {string} text - Text to put on sticker
+   * @param {Object} pack - Sticker pack { name, author } (global pack when omitted)
+   * @returns {Promise<Buffer>} Animated sticker buffer in WebP format
+   */
+  async createAnimatedBratSticker(text, pack = null) {
+    const frameDir = path.join(config.get('paths.temp'), `brat_${crypto.randomUUID()}`);
+    const output = FileHelper.getTempPath('.webp');
+
+    try {
+      this.logger.info(`Creating animated brat sticker with text: ${text}`);
+
+      // Layout of the full text, so words don't move while revealing
+      const layout = this.layoutBrat(text);
+      const wordCount = layout.lines.flat().length;
+      const frames = [
+        ...Array.from({ length: wordCount }, (_, index) => index + 1),
+        ...Array(config.get('brat.holdFrames')).fill(wordCount)
+      ];
+
+      FileHelper.createDirectory(frameDir);
+      for (const [index, visibleWords] of frames.entries()) {
+        const frame = await sharp(Buffer.from(this.renderBrat(layout, visibleWords))).png().toBuffer();
+        FileHelper.write(path.join(frameDir, `frame_${String(index).padStart(3, '0')}.png`), frame, null);
+      }
+
+      await this.runFfmpeg(path.join(frameDir, 'frame_%03d.png'), output, [
+        '-vcodec', 'libwebp',
+        '-loop', '0',
+        '-an',
+        '-vsync', '0',
+        '-q:v', String(config.get('sticker.videoQuality'))
+      ], ['-framerate', String(1000 / config.get('brat.frameDelay'))]);
+
+      const sticker = FileHelper.read(output, null);
+
+      this.logger.info('Animated brat sticker created successfully');
+
+      return await this.addExif(sticker, pack);
+
+    } catch (error) {
+      this.logger.error('Animated brat sticker creation error:', error);
+      throw error;
+    } finally {
+      FileHelper.deleteDirectory(frameDir, true);
+      FileHelper.delete(output);
+    }
+  }
+
+  /**
+   * Wrap and fit brat text to the sticker canvas
+   * @param {string} text - Text
+   * @returns {Object} Layout (see TextLayout.fit)
+   */
+  layoutBrat(text) {
+    const { padding, maxFontSize, minFontSize, lineHeight } = config.get('brat');
+
+    return TextLayout.fit(text.toLowerCase(), {
+      width: 512 - padding * 2,
+      height: 512 - padding * 2,
+      maxFontSize,
+      minFontSize,
+      lineHeight
+    });
+  }
+
+  /**
+   * Render brat layout as SVG
+   * @param {Object} layout - Layout from layoutBrat
+   * @param {number} visibleWords - Number of words to draw (animation frames)
+   * @returns {string} SVG markup
+   */
+  renderBrat({ fontSize, lineHeight, lines }, visibleWords = Infinity) {
+    const size = 512;
+    const padding = config.get('brat.padding');
+    const contentWidth = size - padding * 2;
+
+    // Text block centered vertically, baseline at ~0.8em below the top of each line
+    let y = (size - lines.length * lineHeight) / 2 + (lineHeight - fontSize) / 2 + fontSize * 0.8;
+    let drawn = 0;
+    const words = [];
+
+    lines.forEach((line, index) => {
+      // Justified like the album cover, the last line and single words stay left aligned
+      const used = line.reduce((sum, word) => sum + word.width, 0);
+      const gap = line.length > 1 && index < lines.length - 1
+        ? (contentWidth - used) / (line.length - 1)
+        : TextLayout.charWidth(' ') * fontSize;
+      let x = padding;
+
+      for (const word of line) {
+        if (drawn++ < visibleWords) {
+          // textLength pins each word to its estimated width, whatever font gets picked
+          words.push(`<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" textLength="${word.width.toFixed(1)}" lengthAdjust="spacingAndGlyphs">${this.escapeXml(word.text)}</text>`);
+        }
+        x += word.width + gap;
+      }
+
+      y += lineHeight;
+    });
+
+    return `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+        <rect width="${size}" height="${size}" fill="${config.get('brat.background')}"/>
+        <g font-family="Arial Narrow, Arial, Noto Color Emoji, sans-serif" font-size="${fontSize}" fill="black">
+          ${words.join('\n          ')}
+        </g>
+      </svg>
+    `;
+  }
+
   /**
    * Convert image to sticker
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options - Options
+   * @param {boolean} options.crop - Crop to square instead of padding
+   * @param {Object} options.pack - Sticker pack { name, author } (global pack when omitted)
    * @returns {Promise<Buffer>} Sticker buffer in WebP format
    */
-  async imageToSticker(imageBuffer) {
+  async imageToSticker(imageBuffer, { crop = false, pack = null } = {}) {
     try {
       this.logger.info('Converting image to sticker');
 
-      // Get image metadata
-      const metadata = await sharp(imageBuffer).metadata();
-
       // Process image
       const sticker = await sharp(imageBuffer)
         .resize(512, 512, {
-          fit: 'contain',
+          fit: crop ? 'cover' : 'contain',
           background: { r: 255, g: 255, b: 255, alpha: 0 }
         })
         .webp()
@@ -88,7 +182,7 @@ export class StickerService {
 
       this.logger.info('Image converted to sticker successfully');
 
-      return sticker;
+      return await this.addExif(sticker, pack);
 
     } catch (error) {
       this.logger.error('Image to sticker conversion error:', error);
@@ -108,7 +202,8 @@ export class StickerService {
         backgroundColor = { r: 255, g: 255, b: 255 },
         textColor = 'black',
         fontSize = 48,
-        fontFamily = 'Arial'
+        fontFamily = 'Arial',
+        pack = null
       } = options;
 
       const width = 512;
@@ -135,7 +230,7 @@ export class StickerService {
         .webp()
         .toBuffer();
 
-      return sticker;
+      return await this.addExif(sticker, pack);
 
     } catch (error) {
       this.logger.error('Text sticker creation error:', error);
@@ -156,7 +251,8 @@ export class StickerService {
         position = 'bottom',
         fontSize = 36,
         textColor = 'white',
-        backgroundColor = 'rgba(0,0,0,0.5)'
+        backgroundColor = 'rgba(0,0,0,0.5)',
+        pack = null
       } = options;
 
       // Calculate position
@@ -203,7 +299,7 @@ export class StickerService {
         .webp()
         .toBuffer();
 
-      return sticker;
+      return await this.addExif(sticker, pack);
 
     } catch (error) {
       this.logger.error('Text overlay error:', error);
@@ -211,6 +307,112 @@ export class StickerService {
     }
   }
 
+  /**
+   * Resolve sticker pack: group setting, then global setting, then config
+   * @param {string} groupId - Group JID (null for DM)
+   * @returns {Object} { name, author }
+   */
+  getPack(groupId = null) {
+    const groupPack = groupId ? db.getGroupSettings(groupId).stickerPack : null;
+    const globalPack = db.getStickerPack();
+
+    return {
+      name: groupPack?.name ?? globalPack?.name ?? config.get('sticker.packName'),
+      author: groupPack?.author ?? globalPack?.author ?? config.get('sticker.packAuthor')
+    };
+  }
+
+  /**
+   * Embed WhatsApp sticker pack metadata (EXIF chunk) into WebP
+   * @param {Buffer} webpBuffer - WebP sticker buffer
+   * @param {Object} pack - Sticker pack { name, author } (global pack when omitted)
+   * @returns {Promise<Buffer>} WebP buffer with EXIF chunk
+   */
+  async addExif(webpBuffer, pack = null) {
+    const { name, author } = pack || this.getPack();
+
+    // Same pack id for the same name/author, so WhatsApp groups them together
+    const json = Buffer.from(JSON.stringify({
+      'sticker-pack-id': crypto.createHash('md5').update(`${name}|${author}`).digest('hex'),
+      'sticker-pack-name': name,
+      'sticker-pack-publisher': author,
+      emojis: ['']
+    }), 'utf-8');
+
+    // Little-endian TIFF header with a single IFD entry: tag 0x5741, type UNDEFINED, data at offset 22
+    const exif = Buffer.concat([
+      Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57, 0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00]),
+      json
+    ]);
+    exif.writeUInt32LE(json.length, 14);
+
+    const chunks = this.readChunks(webpBuffer).filter(chunk => chunk.id !== 'EXIF');
+
+    // EXIF needs the extended format (VP8X header chunk) with the EXIF flag set
+    let header = chunks.find(chunk => chunk.id === 'VP8X');
+    if (!header) {
+      const metadata = await sharp(webpBuffer).metadata();
+      const data = Buffer.alloc(10);
+      data.writeUIntLE(metadata.width - 1, 4, 3);
+      data.writeUIntLE(metadata.height - 1, 7, 3);
+      if (metadata.hasAlpha) {
+        data[0] |= 0x10;
+      }
+      header = { id: 'VP8X', data };
+      chunks.unshift(header);
+    }
+    header.data = Buffer.from(header.data);
+    header.data[0] |= 0x08;
+
+    chunks.push({ id: 'EXIF', data: exif });
+    return this.writeChunks(chunks);
+  }
+
+  /**
+   * Split WebP (RIFF) file into chunks
+   * @param {Buffer} buffer - WebP buffer
+   * @returns {Array} Chunks [{ id, data }]
+   */
+  readChunks(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+      throw new Error('Not a WebP file');
+    }
+
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const size = buffer.readUInt32LE(offset + 4);
+      chunks.push({
+        id: buffer.toString('ascii', offset, offset + 4),
+        data: buffer.subarray(offset + 8, offset + 8 + size)
+      });
+      // Chunks are padded to an even size
+      offset += 8 + size + (size % 2);
+    }
+    return chunks;
+  }
+
+  /**
+   * Build WebP (RIFF) file from chunks
+   * @param {Array} chunks - Chunks [{ id, data }]
+   * @returns {Buffer} WebP buffer
+   */
+  writeChunks(chunks) {
+    const parts = chunks.map(({ id, data }) => {
+      const header = Buffer.alloc(8);
+      header.write(id, 0, 'ascii');
+      header.writeUInt32LE(data.length, 4);
+      return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+    });
+
+    const body = Buffer.concat(parts);
+    const riff = Buffer.alloc(12);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(body.length + 4, 4);
+    riff.write('WEBP', 8, 'ascii');
+    return Buffer.concat([riff, body]);
+  }
+
   /**
    * Escape XML special characters
    * @param {string} text - Text to escape
@@ -260,14 +462,15 @@ export class StickerService {
   /**
    * Create circular sticker
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} pack - Sticker pack { name, author } (global pack when omitted)
    * @returns {Promise<Buffer>} Circular sticker
    */
-  async createCircularSticker(imageBuffer) {
+  async createCircularSticker(imageBuffer, pack = null) {
     try {
       const circleRadius = 256;
 
       const circle = Buffer.from(
-        `<svg><circle cx="${circleRadius}" cy="${circleRadius}" r="${circleRadius}" /></svg>`
+        `<svg width="${circleRadius * 2}" height="${circleRadius * 2}"><circle cx="${circleRadius}" cy="${circleRadius}" r="${circleRadius}" /></svg>`
       );
 
       const sticker = await sharp(imageBuffer)
@@ -279,7 +482,7 @@ export class StickerService {
         .webp()
         .toBuffer();
 
-      return sticker;
+      return await this.addExif(sticker, pack);
 
     } catch (error) {
       this.logger.error('Circular sticker error:', error);
@@ -287,13 +490,121 @@ export class StickerService {
     }
   }
 
+  /**
+   * Convert video to animated sticker
+   * @param {Buffer} videoBuffer - Video buffer
+   * @param {Object} options - Options
+   * @param {boolean} options.crop - Crop to square instead of padding
+   * @param {boolean} options.circle - Circular sticker (implies crop)
+   * @param {Object} options.pack - Sticker pack { name, author } (global pack when omitted)
+   * @returns {Promise<Buffer>} Animated sticker buffer in WebP format
+   */
+  async videoToSticker(videoBuffer, { crop = false, circle = false, pack = null } = {}) {
+    const input = FileHelper.getTempPath('.mp4');
+    const output = FileHelper.getTempPath('.webp');
+
+    try {
+      this.logger.info('Converting video to sticker');
+
+      const filters = [`fps=${config.get('sticker.fps')}`];
+      if (crop || circle) {
+        filters.push('scale=512:512:force_original_aspect_ratio=increase', 'crop=512:512', 'format=rgba');
+      } else {
+        filters.push('scale=512:512:force_original_aspect_ratio=decrease', 'format=rgba', 'pad=512:512:(ow-iw)/2:(oh-ih)/2:color=#00000000');
+      }
+      if (circle) {
+        filters.push("geq=r='r(X,Y)':g='g(X,Y)':b='b(X,Y)':a='if(lte(hypot(X-W/2,Y-H/2),W/2),255,0)'");
+      }
+
+      FileHelper.write(input, videoBuffer, null);
+      await this.runFfmpeg(input, output, [
+        '-vcodec', 'libwebp',
+        '-vf', filters.join(','),
+        '-t', String(config.get('sticker.maxVideoDuration')),
+        '-loop', '0',
+        '-an',
+        '-vsync', '0',
+        '-q:v', String(config.get('sticker.videoQuality'))
+      ]);
+
+      const sticker = FileHelper.read(output, null);
+
+      this.logger.info('Video converted to sticker successfully');
+
+      return await this.addExif(sticker, pack);
+
+    } catch (error) {
+      this.logger.error('Video to sticker conversion error:', error);
+      throw error;
+    } finally {
+      FileHelper.delete(input);
+      FileHelper.delete(output);
+    }
+  }
+
+  /**
+   * Convert sticker back to image (PNG) or, when animated, video (MP4)
+   * @param {Buffer} stickerBuffer - Sticker buffer (WebP)
+   * @returns {Promise<Object>} { type: 'image'|'video', buffer }
+   */
+  async stickerToMedia(stickerBuffer) {
+    const metadata = await sharp(stickerBuffer).metadata();
+
+    if ((metadata.pages || 1) <= 1) {
+      return { type: 'image', buffer: await sharp(stickerBuffer).png().toBuffer() };
+    }
+
+    // ffmpeg can't decode animated WebP, go through GIF
+    const input = FileHelper.getTempPath('.gif');
+    const output = FileHelper.getTempPath('.mp4');
+
+    try {
+      const gif = await sharp(stickerBuffer, { animated: true }).gif().toBuffer();
+      FileHelper.write(input, gif, null);
+
+      await this.runFfmpeg(input, output, [
+        '-movflags', 'faststart',
+        '-pix_fmt', 'yuv420p',
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'
+      ]);
+
+      return { type: 'video', buffer: FileHelper.read(output, null) };
+
+    } catch (error) {
+      this.logger.error('Sticker to video conversion error:', error);
+      throw error;
+    } finally {
+      FileHelper.delete(input);
+      FileHelper.delete(output);
+    }
+  }
+
+  /**
+   * Run ffmpeg conversion
+   * @param {string} input - Input file path
+   * @param {string} output - Output file path
+   * @param {Array} options - Output options
+   * @param {Array} inputOptions - Input options
+   * @returns {Promise<void>}
+   */
+  runFfmpeg(input, output, options, inputOptions = []) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(input)
+        .inputOptions(inputOptions)
+        .outputOptions(options)
+        .on('end', () => resolve())
+        .on('error', reject)
+        .save(output);
+    });
+  }
+
   /**
    * Get statistics
    * @returns {Object} Statistics
    */
   getStatistics() {
     return {
-      supportedFormats: ['image/jpeg', 'image/png', 'image/webp'],
+      supportedFormats: ['image/jpeg', 'image/png', 'image/webp', 'video/mp4'],
       outputFormat: 'image/webp',
       maxDimensions: { width: 512, height: 512 }
     };
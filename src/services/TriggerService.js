@@ -0,0 +1,312 @@
+/**
+ * ALL-STAR BOT v2.0 - Trigger Service
+ * Per-group keyword triggers with text, image or sticker auto replies
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import path from 'path';
+import { Logger } from '../utils/Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { FileHelper } from '../utils/FileHelper.js';
+import { LocalizedError } from '../utils/I18n.js';
+
+export class TriggerService {
+  constructor() {
+    this.logger = new Logger('TRIGGER-SERVICE');
+    this.mediaDir = config.get('paths.triggers');
+
+    // exact: whole message, contains: anywhere in message, regex: pattern (case-insensitive)
+    this.matchTypes = ['exact', 'contains', 'regex'];
+    this.replyTypes = ['text', 'image', 'sticker'];
+
+    this.lastFired = new Map();
+    // Format: { 'groupId:triggerId': timestamp }
+
+    this.regexCache = new Map();
+    // Format: { pattern: RegExp }
+  }
+
+  /**
+   * Get triggers for group
+   * @param {string} groupId - Group JID
+   * @returns {Array} Triggers
+   */
+  getTriggers(groupId) {
+    return db.getGroupSettings(groupId).triggers || [];
+  }
+
+  /**
+   * Add trigger to group
+   * @param {string} groupId - Group JID
+   * @param {Object} options - Trigger options
+   * @param {string} options.keyword - Keyword or regex pattern
+   * @param {string} options.match - Match type (exact/contains/regex)
+   * @param {string} options.text - Reply text (caption for image)
+   * @param {string} options.type - Reply type (text/image/sticker)
+   * @param {Buffer} options.media - Media buffer for image/sticker replies
+   * @param {number} options.cooldown - Cooldown in seconds
+   * @param {string} options.createdBy - Creator number
+   * @returns {Promise<Object>} Created trigger
+   */
+  async addTrigger(groupId, { keyword, match = 'contains', text = '', type = 'text', media = null, cooldown, createdBy }) {
+    const triggers = this.getTriggers(groupId);
+    const maxPerGroup = config.get('triggers.maxPerGroup');
+
+    if (!this.matchTypes.includes(match)) {
+      throw new LocalizedError('triggers.invalidMatch', { types: this.matchTypes.join(', ') });
+    }
+
+    if (!this.replyTypes.includes(type)) {
+      throw new LocalizedError('triggers.invalidType', { types: this.replyTypes.join(', ') });
+    }
+
+    if (match === 'regex') {
+      this.compile(keyword);
+    }
+
+    if (type === 'text' && !text) {
+      throw new LocalizedError('triggers.emptyReply');
+    }
+
+    if (type !== 'text' && !media) {
+      throw new LocalizedError('triggers.noMedia');
+    }
+
+    if (triggers.length >= maxPerGroup) {
+      throw new LocalizedError('triggers.limit', { max: maxPerGroup });
+    }
+
+    const duplicate = triggers.find(trigger => trigger.match === match && trigger.keyword.toLowerCase() === keyword.toLowerCase());
+    if (duplicate) {
+      throw new LocalizedError('triggers.duplicate', { keyword, id: duplicate.id });
+    }
+
+    const id = triggers.reduce((max, trigger) => Math.max(max, trigger.id), 0) + 1;
+
+    const reply = { type, text };
+    if (media) {
+      reply.file = this.saveMedia(groupId, id, type, media);
+    }
+
+    const trigger = {
+      id,
+      keyword,
+      match,
+      reply,
+      cooldown: cooldown ?? config.get('triggers.defaultCooldown'),
+      createdBy,
+      createdAt: Date.now()
+    };
+
+    await db.updateGroupSetting(groupId, 'triggers', [...triggers, trigger]);
+    this.logger.info(`Trigger #${id} (${match}: ${keyword}) added for group: ${groupId}`);
+
+    return trigger;
+  }
+
+  /**
+   * Remove trigger by id or keyword
+   * @param {string} groupId - Group JID
+   * @param {string} idOrKeyword - Trigger id or keyword
+   * @returns {Promise<Object|null>} Removed trigger
+   */
+  async removeTrigger(groupId, idOrKeyword) {
+    const triggers = this.getTriggers(groupId);
+    const input = String(idOrKeyword).toLowerCase();
+
+    const trigger = triggers.find(t => String(t.id) === input) ||
+      triggers.find(t => t.keyword.toLowerCase() === input);
+
+    if (!trigger) {
+      return null;
+    }
+
+    await db.updateGroupSetting(groupId, 'triggers', triggers.filter(t => t.id !== trigger.id));
+
+    if (trigger.reply.file) {
+      FileHelper.delete(path.join(this.mediaDir, trigger.reply.file));
+    }
+    this.lastFired.delete(`${groupId}:${trigger.id}`);
+
+    this.logger.info(`Trigger #${trigger.id} removed from group: ${groupId}`);
+    return trigger;
+  }
+
+  /**
+   * Find first trigger matching message text
+   * @param {string} groupId - Group JID
+   * @param {string} text - Message text
+   * @returns {Object|null} Trigger
+   */
+  findMatch(groupId, text) {
+    const content = text.trim().toLowerCase();
+    if (!content) {
+      return null;
+    }
+
+    for (const trigger of this.getTriggers(groupId)) {
+      const keyword = trigger.keyword.toLowerCase();
+
+      switch (trigger.match) {
+        case 'exact':
+          if (content === keyword) return trigger;
+          break;
+
+        case 'contains':
+          if (content.includes(keyword)) return trigger;
+          break;
+
+        case 'regex':
+          try {
+            if (this.compile(trigger.keyword).test(text.slice(0, config.get('triggers.maxRegexInput')))) return trigger;
+          } catch (error) {
+            this.logger.warn(`Invalid regex in trigger #${trigger.id} of ${groupId}`);
+          }
+          break;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reply to message if it matches a trigger
+   * @param {Object} bot - Bot instance
+   * @param {Object} msg - Message object
+   * @param {Object} messageInfo - Message information
+   * @returns {Promise<boolean>} Whether a trigger replied
+   */
+  async handleMessage(bot, msg, messageInfo) {
+    const { from, groupId, messageContent } = messageInfo;
+
+    try {
+      const trigger = this.findMatch(groupId, messageContent);
+      if (!trigger) {
+        return false;
+      }
+
+      // Matched but cooling down still counts as handled
+      const key = `${groupId}:${trigger.id}`;
+      const now = Date.now();
+      if (now - (this.lastFired.get(key) || 0) < trigger.cooldown * 1000) {
+        return true;
+      }
+      this.lastFired.set(key, now);
+
+      await bot.sendMessage(from, this.buildReply(trigger), { quoted: msg });
+
+      this.logger.info(`Trigger #${trigger.id} fired in ${groupId}`);
+      return true;
+
+    } catch (error) {
+      this.logger.error('Error handling trigger:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Build message content for trigger reply
+   * @param {Object} trigger - Trigger
+   * @returns {Object} Message content
+   */
+  buildReply(trigger) {
+    const { type, text, file } = trigger.reply;
+
+    if (type === 'text') {
+      return { text };
+    }
+
+    const buffer = FileHelper.read(path.join(this.mediaDir, file), null);
+
+    if (type === 'sticker') {
+      return { sticker: buffer };
+    }
+
+    return { image: buffer, caption: text || undefined };
+  }
+
+  /**
+   * Store reply media on disk
+   * @param {string} groupId - Group JID
+   * @param {number} id - Trigger id
+   * @param {string} type - Reply type (image/sticker)
+   * @param {Buffer} media - Media buffer
+   * @returns {string} File path relative to triggers directory
+   */
+  saveMedia(groupId, id, type, media) {
+    const file = path.join(groupId.split('@')[0], `${id}-${Date.now()}.${type === 'sticker' ? 'webp' : 'jpg'}`);
+    FileHelper.write(path.join(this.mediaDir, file), media, null);
+    return file;
+  }
+
+  /**
+   * Compile regex pattern (cached)
+   * @param {string} pattern - Regex pattern
+   * @returns {RegExp}
+   */
+  compile(pattern) {
+    if (!this.regexCache.has(pattern)) {
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new LocalizedError('triggers.invalidRegex', { error: error.message });
+      }
+
+      // Patterns run on every group message, backtracking-prone ones could stall the bot
+      if (!this.isSafePattern(pattern)) {
+        throw new LocalizedError('triggers.unsafeRegex');
+      }
+      this.regexCache.set(pattern, regex);
+    }
+    return this.regexCache.get(pattern);
+  }
+
+  /**
+   * Check regex pattern for catastrophic backtracking (repeated groups with quantifiers,
+   * alternatives or optional atoms inside, backreferences)
+   * @param {string} pattern - Regex pattern
+   * @returns {boolean}
+   */
+  isSafePattern(pattern) {
+    const quantifier = /[+*]|\{\d+,\d*\}/;
+
+    // Escapes and character classes can't nest, reduce them to a plain atom
+    let source = pattern.replace(/\\[1-9k]/g, '\0').replace(/\\./g, 'x').replace(/\[(?:[^\]\\]|\\.)*\]/g, 'x');
+    if (source.includes('\0')) {
+      return false;
+    }
+
+    // Collapse groups innermost first, a repeated group whose body can match the same
+    // text in more than one way (inner repetition, alternatives, optional atoms) is unsafe
+    let group;
+    while ((group = source.match(/\(([^()]*)\)/))) {
+      const body = group[1].replace(/^\?(?:[:=!]|<[=!]|<[^>]*>)/, '');
+      const ambiguous = quantifier.test(body) || body.includes('|') || body.includes('?');
+      const rest = source.slice(group.index + group[0].length);
+
+      if (ambiguous && new RegExp(`^(?:${quantifier.source})`).test(rest)) {
+        return false;
+      }
+      source = source.slice(0, group.index) + (ambiguous ? 'x+' : 'x') + rest;
+    }
+
+    return true;
+  }
+
+  /**
+   * Get trigger statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return {
+      activeCooldowns: this.lastFired.size,
+      cachedPatterns: this.regexCache.size
+    };
+  }
+}
+
+// Export singleton instance
+export const triggerService = new TriggerService();
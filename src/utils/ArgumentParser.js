@@ -0,0 +1,238 @@
+/**
+ * ALL-STAR BOT v2.0 - Argument Parser
+ * Parses command arguments into typed values from the command schema
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { DateHelper } from './DateHelper.js';
+import { i18n } from './I18n.js';
+
+/**
+ * Schema format (command.args):
+ *   params: [{ name, type, required, default, values, min, max, label }]
+ *     type: user | duration | int | enum | string | rest
+ *   flags: { name: { type, values, description } }
+ *     used as --name (boolean) or --name=value
+ * Labels and flag descriptions are English, other locales translate them in the
+ * catalog as labels.<command>.<param> and flags.<command>.<flag>.
+ */
+export class ArgumentParser {
+  /**
+   * Parse arguments against schema
+   * @param {Object} schema - Command args schema { params, flags }
+   * @param {Array} args - Raw command arguments
+   * @param {Object} messageInfo - Message information (mentions, quoted)
+   * @param {string} command - Command name (for translated labels)
+   * @returns {Object} Result { valid, errors, params }
+   */
+  static parse(schema, args, messageInfo, command = null) {
+    const t = i18n.translator(messageInfo.locale);
+    const errors = [];
+    const params = { flags: {} };
+
+    // Flags can appear anywhere, split them from positional tokens
+    const tokens = [];
+    for (const arg of args) {
+      if (!arg.startsWith('--') || arg.length <= 2) {
+        tokens.push(arg);
+        continue;
+      }
+
+      const [name, ...valueParts] = arg.slice(2).split('=');
+      const flag = schema.flags?.[name.toLowerCase()];
+
+      if (!flag) {
+        errors.push(t('args.unknownFlag', { flag: `--${name}` }));
+        continue;
+      }
+
+      const type = flag.type || 'boolean';
+      if (type === 'boolean') {
+        params.flags[name.toLowerCase()] = true;
+        continue;
+      }
+
+      const value = ArgumentParser.convert({ ...flag, type, label: `--${name}` }, valueParts.join('='), messageInfo);
+      if (value.error) {
+        errors.push(value.error);
+      } else {
+        params.flags[name.toLowerCase()] = value.value;
+      }
+    }
+
+    // Boolean flags that were not given are false
+    for (const [name, flag] of Object.entries(schema.flags || {})) {
+      if (!(name in params.flags) && (flag.type || 'boolean') === 'boolean') {
+        params.flags[name] = false;
+      }
+    }
+
+    let index = 0;
+    let quotedUsed = false;
+
+    for (const schemaParam of schema.params || []) {
+      const label = ArgumentParser.getLabel(schemaParam, command, messageInfo.locale);
+      const param = { ...schemaParam, label };
+      const token = tokens[index];
+      let result = null;
+
+      if (param.type === 'rest') {
+        const text = tokens.slice(index).join(' ').trim();
+        index = tokens.length;
+        result = text ? { value: text } : null;
+      } else if (param.type === 'user') {
+        // Mention or number first, otherwise the replied message's sender
+        if (token !== undefined && ArgumentParser.isUserToken(token)) {
+          result = ArgumentParser.convert(param, token, messageInfo);
+          index++;
+        } else if (!quotedUsed && messageInfo.quoted?.participant) {
+          quotedUsed = true;
+          result = ArgumentParser.toUser(messageInfo.quoted.participant);
+        }
+      } else if (token !== undefined) {
+        result = ArgumentParser.convert(param, token, messageInfo);
+        index++;
+      }
+
+      if (result?.error) {
+        errors.push(result.error);
+        continue;
+      }
+
+      if (!result) {
+        if (param.required) {
+          errors.push(param.type === 'user'
+            ? t('args.userRequired')
+            : t('args.required', { label }));
+        } else {
+          params[param.name] = param.default ?? null;
+        }
+        continue;
+      }
+
+      params[param.name] = result.value;
+    }
+
+    if (schema.params && errors.length === 0 && index < tokens.length) {
+      errors.push(t('args.unknown', { args: tokens.slice(index).join(' ') }));
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      params
+    };
+  }
+
+  /**
+   * Get param label in locale
+   * @param {Object} param - Param definition
+   * @param {string} command - Command name
+   * @param {string} locale - Locale code
+   * @returns {string} Label
+   */
+  static getLabel(param, command, locale = null) {
+    return (command && i18n.lookup(locale || i18n.defaultLocale, `labels.${command}.${param.name}`)) ||
+      param.label || param.name;
+  }
+
+  /**
+   * Get flag description in locale
+   * @param {string} name - Flag name
+   * @param {Object} flag - Flag definition
+   * @param {string} command - Command name
+   * @param {string} locale - Locale code
+   * @returns {string} Description
+   */
+  static getFlagDescription(name, flag, command, locale = null) {
+    return (command && i18n.lookup(locale || i18n.defaultLocale, `flags.${command}.${name}`)) ||
+      flag.description || '';
+  }
+
+  /**
+   * Convert raw token to typed value
+   * @param {Object} param - Param or flag definition
+   * @param {string} token - Raw token
+   * @param {Object} messageInfo - Message information
+   * @returns {Object} { value } or { error }
+   */
+  static convert(param, token, messageInfo) {
+    const t = i18n.translator(messageInfo.locale);
+    const label = param.label || param.name;
+
+    switch (param.type) {
+      case 'user': {
+        if (!ArgumentParser.isUserToken(token)) {
+          return { error: t('args.invalidUser', { label }) };
+        }
+
+        // Prefer the real mentioned JID (may be a LID) over the typed digits
+        const digits = token.replace(/\D/g, '');
+        const mentioned = (messageInfo.mentions || []).find(jid => jid.split('@')[0].split(':')[0] === digits);
+        return ArgumentParser.toUser(mentioned || digits + '@s.whatsapp.net');
+      }
+
+      case 'duration': {
+        const ms = DateHelper.parseDuration(token);
+        if (ms <= 0) {
+          return { error: t('args.invalidDuration', { label }) };
+        }
+        return { value: ms };
+      }
+
+      case 'int': {
+        if (!/^-?\d+$/.test(token)) {
+          return { error: t('args.notNumber', { label }) };
+        }
+
+        const value = parseInt(token);
+        if (param.min !== undefined && value < param.min) {
+          return { error: t('args.min', { label, min: param.min }) };
+        }
+        if (param.max !== undefined && value > param.max) {
+          return { error: t('args.max', { label, max: param.max }) };
+        }
+        return { value };
+      }
+
+      case 'enum': {
+        const value = param.values.find(option => option.toLowerCase() === token.toLowerCase());
+        if (!value) {
+          return { error: t('args.enum', { label, values: param.values.join(', ') }) };
+        }
+        return { value };
+      }
+
+      case 'string':
+      default:
+        return token ? { value: token } : { error: t('args.required', { label }) };
+    }
+  }
+
+  /**
+   * Check if token looks like a user (mention or phone number)
+   * @param {string} token - Raw token
+   * @returns {boolean}
+   */
+  static isUserToken(token) {
+    return /^@?\+?\d{8,16}$/.test(token);
+  }
+
+  /**
+   * Build user value from JID
+   * @param {string} jid - User JID
+   * @returns {Object} { value: { jid, number } }
+   */
+  static toUser(jid) {
+    return {
+      value: {
+        jid,
+        number: jid.split('@')[0].split(':')[0]
+      }
+    };
+  }
+}
+
+// Export as singleton-style helper
+export const argumentParser = ArgumentParser;
@@ -8,6 +8,7 @@
 import { Logger } from './Logger.js';
 import { fileHelper } from './FileHelper.js';
 import { db } from '../database/Database.js';
+import { messageStore } from '../database/MessageStore.js';
 import path from 'path';
 
 export class CleanupManager {
@@ -89,6 +90,8 @@ export class CleanupManager {
         oldBackups: 0,
         expiredCooldowns: 0,
         expiredMutes: 0,
+        expiredWarnings: 0,
+        expiredMessages: 0,
         errors: []
       };
 
@@ -127,6 +130,20 @@ export class CleanupManager {
         result.errors.push('mutes: ' + error.message);
       }
 
+      // Clean expired warnings
+      try {
+        result.expiredWarnings = await this.cleanExpiredWarnings();
+      } catch (error) {
+        result.errors.push('warnings: ' + error.message);
+      }
+
+      // Clean expired stored messages
+      try {
+        result.expiredMessages = await this.cleanExpiredMessages();
+      } catch (error) {
+        result.errors.push('messages: ' + error.message);
+      }
+
       this.logger.info('Cleanup completed:', result);
 
       return result;
@@ -318,6 +335,47 @@ export class CleanupManager {
     }
   }
 
+  /**
+   * Clean expired warnings
+   * @returns {Promise<number>} Number of warnings cleaned
+   */
+  async cleanExpiredWarnings() {
+    try {
+      const cleaned = await db.removeExpiredWarnings();
+
+      if (cleaned > 0) {
+        this.logger.debug(`Cleaned ${cleaned} expired warnings`);
+      }
+
+      return cleaned;
+
+    } catch (error) {
+      this.logger.error('Error cleaning warnings:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Clean stored messages older than retention
+   * @returns {Promise<number>} Number of messages cleaned
+   */
+  async cleanExpiredMessages() {
+    try {
+      const cleaned = messageStore.cleanup();
+
+      if (cleaned > 0) {
+        await messageStore.flush();
+        this.logger.debug(`Cleaned ${cleaned} expired stored messages`);
+      }
+
+      return cleaned;
+
+    } catch (error) {
+      this.logger.error('Error cleaning stored messages:', error);
+      return 0;
+    }
+  }
+
   /**
    * Get cleanup statistics
    * @returns {Object} Statistics
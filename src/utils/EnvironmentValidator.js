@@ -51,9 +51,12 @@ export function validateEnvironment() {
   // Validate numeric values
   const numericVars = [
     'MAX_WARN',
+    'WARN_EXPIRY_DAYS',
     'MUTE_DURATION_SPAM',
     'COOLDOWN_COMMAND',
     'ANTI_SPAM_THRESHOLD',
+    'MESSAGE_STORE_LIMIT',
+    'MESSAGE_STORE_RETENTION',
     'CPU_THRESHOLD',
     'RAM_THRESHOLD'
   ];
@@ -0,0 +1,181 @@
+/**
+ * ALL-STAR BOT v2.0 - I18n
+ * Message catalog lookup with per-group and per-user locale
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { Logger } from './Logger.js';
+import { config } from '../config/BotConfig.js';
+import { db } from '../database/Database.js';
+import { id } from '../locales/id.js';
+import { en } from '../locales/en.js';
+
+/**
+ * Catalog keys are dot paths (e.g. 'auth.disabled'), templates use {name} placeholders.
+ * Missing keys fall back to the default locale, then to Indonesian.
+ */
+export class I18n {
+  constructor() {
+    this.logger = new Logger('I18N');
+
+    this.catalogs = { id, en };
+    this.fallbackLocale = 'id';
+    this.defaultLocale = this.isSupported(config.get('bot.locale')) ? config.get('bot.locale') : this.fallbackLocale;
+  }
+
+  /**
+   * Get supported locale codes
+   * @returns {Array} Locale codes
+   */
+  getLocales() {
+    return Object.keys(this.catalogs);
+  }
+
+  /**
+   * Check if locale is supported
+   * @param {string} locale - Locale code
+   * @returns {boolean}
+   */
+  isSupported(locale) {
+    return !!locale && Object.prototype.hasOwnProperty.call(this.catalogs, locale);
+  }
+
+  /**
+   * Translate key
+   * @param {string} key - Catalog key (dot path)
+   * @param {Object} vars - Placeholder values
+   * @param {string} locale - Locale code (default locale when omitted)
+   * @returns {string} Translated text (the key itself when missing everywhere)
+   */
+  t(key, vars = {}, locale = null) {
+    const template = this.lookup(locale || this.defaultLocale, key) ??
+      this.lookup(this.defaultLocale, key) ??
+      this.lookup(this.fallbackLocale, key);
+
+    if (template === undefined) {
+      this.logger.warn(`Missing message key: ${key}`);
+      return key;
+    }
+
+    return this.format(template, vars);
+  }
+
+  /**
+   * Get bound translate function for locale
+   * @param {string} locale - Locale code
+   * @returns {Function} (key, vars) => string
+   */
+  translator(locale) {
+    return (key, vars = {}) => this.t(key, vars, locale);
+  }
+
+  /**
+   * Get raw catalog value (string, array or object)
+   * @param {string} locale - Locale code
+   * @param {string} key - Catalog key (dot path)
+   * @returns {*} Value or undefined
+   */
+  lookup(locale, key) {
+    let value = this.catalogs[locale];
+
+    for (const part of key.split('.')) {
+      if (value === undefined || value === null) return undefined;
+      value = value[part];
+    }
+
+    return value;
+  }
+
+  /**
+   * Fill {name} placeholders
+   * @param {string} template - Template
+   * @param {Object} vars - Placeholder values
+   * @returns {string}
+   */
+  format(template, vars = {}) {
+    if (typeof template !== 'string') {
+      return template;
+    }
+
+    // Unknown placeholders are left as-is so mistakes are visible
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+  }
+
+  /**
+   * Resolve locale for chat: group setting, then user preference, then bot default
+   * @param {string} groupId - Group JID (null for DM)
+   * @param {string} sender - User JID (null for group-wide messages)
+   * @returns {string} Locale code
+   */
+  resolveLocale(groupId = null, sender = null) {
+    if (groupId) {
+      const groupLocale = db.getGroupSettings(groupId).locale;
+      if (this.isSupported(groupLocale)) {
+        return groupLocale;
+      }
+    }
+
+    if (sender) {
+      const userLocale = db.getUserLocale(sender.split('@')[0].split(':')[0]);
+      if (this.isSupported(userLocale)) {
+        return userLocale;
+      }
+    }
+
+    return this.defaultLocale;
+  }
+
+  /**
+   * Set group locale
+   * @param {string} groupId - Group JID
+   * @param {string} locale - Locale code (null to reset)
+   */
+  async setGroupLocale(groupId, locale) {
+    if (locale && !this.isSupported(locale)) {
+      throw new LocalizedError('lang.unsupported', { locale, locales: this.getLocales().join(', ') });
+    }
+
+    await db.updateGroupSetting(groupId, 'locale', locale || null);
+    this.logger.info(`Locale ${locale || 'reset'} for group: ${groupId}`);
+  }
+
+  /**
+   * Set user locale
+   * @param {string} number - Phone number
+   * @param {string} locale - Locale code (null to reset)
+   */
+  async setUserLocale(number, locale) {
+    if (locale && !this.isSupported(locale)) {
+      throw new LocalizedError('lang.unsupported', { locale, locales: this.getLocales().join(', ') });
+    }
+
+    await db.setUserLocale(number, locale || null);
+    this.logger.info(`Locale ${locale || 'reset'} for user: ${number}`);
+  }
+
+  /**
+   * Get user-facing text for error (LocalizedError is translated, others use their message)
+   * @param {Error} error - Error
+   * @param {string} locale - Locale code
+   * @returns {string}
+   */
+  translateError(error, locale = null) {
+    return error?.key ? this.t(error.key, error.vars, locale) : error?.message;
+  }
+}
+
+/**
+ * Error carrying a catalog key, so the message can be shown in the chat's language
+ */
+export class LocalizedError extends Error {
+  constructor(key, vars = {}) {
+    super(i18n.t(key, vars));
+    this.name = 'LocalizedError';
+    this.key = key;
+    this.vars = vars;
+  }
+}
+
+// Export singleton instance
+export const i18n = new I18n();
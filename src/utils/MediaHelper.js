@@ -0,0 +1,76 @@
+/**
+ * ALL-STAR BOT v2.0 - Media Helper
+ * Download media from incoming or quoted messages
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { downloadContentFromMessage } from '@whiskeysockets/baileys';
+import { LocalizedError } from './I18n.js';
+
+export class MediaHelper {
+  /**
+   * Download media content of a parsed message
+   * @param {Object} message - Normalized message content (parsed.content / quoted.message)
+   * @param {Object} media - Media descriptor from MessageParser (parsed.media / quoted.media)
+   * @param {number} maxSize - Maximum size in bytes (0 = unlimited)
+   * @returns {Promise<Buffer>} Media buffer
+   */
+  static async download(message, media, maxSize = 0) {
+    if (!message || !media) {
+      throw new LocalizedError('media.none');
+    }
+
+    if (maxSize > 0 && media.size > maxSize) {
+      throw new LocalizedError('media.tooLarge', { max: MediaHelper.formatSize(maxSize) });
+    }
+
+    const stream = await downloadContentFromMessage(message[media.messageType], media.type);
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      size += chunk.length;
+      // fileLength may be missing, so the limit is enforced while streaming too
+      if (maxSize > 0 && size > maxSize) {
+        throw new LocalizedError('media.tooLarge', { max: MediaHelper.formatSize(maxSize) });
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get media from the message itself or the replied message
+   * @param {Object} messageInfo - Message information
+   * @param {Array} types - Accepted media types (image, video, sticker, ...)
+   * @returns {Object|null} { message, media } or null
+   */
+  static getSource(messageInfo, types) {
+    if (messageInfo.media && types.includes(messageInfo.media.type)) {
+      return { message: messageInfo.message, media: messageInfo.media };
+    }
+
+    if (messageInfo.quoted?.media && types.includes(messageInfo.quoted.media.type)) {
+      return { message: messageInfo.quoted.message, media: messageInfo.quoted.media };
+    }
+
+    return null;
+  }
+
+  /**
+   * Format byte size for user messages
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Size (e.g. 1 MB)
+   */
+  static formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${Math.round(bytes / 1024 / 1024)} MB`;
+    }
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+}
+
+// Export as singleton-style helper
+export const mediaHelper = MediaHelper;
@@ -0,0 +1,168 @@
+/**
+ * ALL-STAR BOT v2.0 - Message Parser
+ * Normalizes every WhatsApp message type into one model
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import { getContentType, normalizeMessageContent, toNumber } from '@whiskeysockets/baileys';
+
+// Media message types and their short names
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  ptvMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker'
+};
+
+// Containers that hide the real content
+const VIEW_ONCE_WRAPPERS = ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension'];
+
+export class MessageParser {
+  /**
+   * Parse raw message content into normalized model
+   * @param {Object} message - Raw message content (msg.message)
+   * @returns {Object} Parsed message { type, content, text, media, contextInfo, isViewOnce, isEphemeral }
+   */
+  static parse(message) {
+    const content = normalizeMessageContent(message) || null;
+    const type = content ? getContentType(content) || null : null;
+    const payload = type ? content[type] : null;
+
+    const isViewOnce = VIEW_ONCE_WRAPPERS.some(wrapper => !!message?.[wrapper]) || payload?.viewOnce === true;
+    const contextInfo = typeof payload === 'object' ? payload?.contextInfo || null : null;
+
+    return {
+      type,
+      content,
+      text: MessageParser.getText(type, payload),
+      media: MessageParser.getMedia(type, payload, isViewOnce),
+      contextInfo,
+      isViewOnce,
+      isEphemeral: !!message?.ephemeralMessage || (contextInfo?.expiration || 0) > 0
+    };
+  }
+
+  /**
+   * Get readable text from message payload
+   * @param {string} type - Message type
+   * @param {Object|string} payload - Message payload
+   * @returns {string} Text (empty string when there is none)
+   */
+  static getText(type, payload) {
+    if (!payload) return '';
+
+    switch (type) {
+      case 'conversation':
+        return payload;
+
+      case 'extendedTextMessage':
+        return payload.text || '';
+
+      case 'imageMessage':
+      case 'videoMessage':
+      case 'ptvMessage':
+        return payload.caption || '';
+
+      case 'documentMessage':
+        return payload.caption || payload.title || payload.fileName || '';
+
+      case 'pollCreationMessage':
+      case 'pollCreationMessageV2':
+      case 'pollCreationMessageV3':
+        return [payload.name, ...(payload.options || []).map(option => option.optionName)]
+          .filter(Boolean)
+          .join('\n');
+
+      case 'locationMessage':
+        return [payload.name, payload.address, payload.comment, payload.url]
+          .filter(Boolean)
+          .join('\n');
+
+      case 'liveLocationMessage':
+        return payload.caption || '';
+
+      case 'contactMessage':
+        return payload.displayName || '';
+
+      case 'contactsArrayMessage':
+        return [payload.displayName, ...(payload.contacts || []).map(contact => contact.displayName)]
+          .filter(Boolean)
+          .join('\n');
+
+      // Button/list replies: the id usually carries the command
+      case 'buttonsResponseMessage':
+        return payload.selectedButtonId || payload.selectedDisplayText || '';
+
+      case 'listResponseMessage':
+        return payload.singleSelectReply?.selectedRowId || payload.title || '';
+
+      case 'templateButtonReplyMessage':
+        return payload.selectedId || payload.selectedDisplayText || '';
+
+      case 'interactiveResponseMessage':
+        return MessageParser.getInteractiveResponseId(payload) || payload.body?.text || '';
+
+      case 'buttonsMessage':
+        return payload.contentText || '';
+
+      case 'listMessage':
+        return [payload.title, payload.description].filter(Boolean).join('\n');
+
+      case 'templateMessage':
+        return payload.hydratedTemplate?.hydratedContentText || '';
+
+      case 'groupInviteMessage':
+        return [payload.groupName, payload.caption].filter(Boolean).join('\n');
+
+      case 'reactionMessage':
+        return payload.text || '';
+
+      default:
+        return payload.text || payload.caption || '';
+    }
+  }
+
+  /**
+   * Get selected id from interactive (native flow) response
+   * @param {Object} payload - Interactive response payload
+   * @returns {string|null} Selected id
+   */
+  static getInteractiveResponseId(payload) {
+    try {
+      const params = JSON.parse(payload.nativeFlowResponseMessage?.paramsJson || '{}');
+      return params.id || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get media descriptor from message payload
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {boolean} isViewOnce - Whether message is view-once
+   * @returns {Object|null} Media { type, messageType, mimetype, size, filename, seconds, isAnimated, isViewOnce }
+   */
+  static getMedia(type, payload, isViewOnce = false) {
+    if (!MEDIA_TYPES[type] || !payload) {
+      return null;
+    }
+
+    return {
+      type: MEDIA_TYPES[type],
+      messageType: type,
+      mimetype: payload.mimetype || null,
+      size: payload.fileLength ? toNumber(payload.fileLength) : 0,
+      filename: payload.fileName || null,
+      seconds: payload.seconds || 0,
+      isAnimated: payload.isAnimated === true,
+      isViewOnce
+    };
+  }
+}
+
+// Export as singleton-style helper
+export const messageParser = MessageParser;
@@ -0,0 +1,157 @@
+/**
+ * ALL-STAR BOT v2.0 - Text Layout
+ * Word wrapping and font-size fitting for text rendered into images
+ *
+ * @author Liand (@Liand_fullstackdev)
+ */
+
+import emojiRegex from 'emoji-regex';
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Widths are estimated in em per grapheme (sans-serif metrics), renderers should
+ * stretch each word to its estimated width (SVG textLength) so layout stays exact.
+ */
+export class TextLayout {
+  /**
+   * Split text into graphemes (emoji sequences, flags and skin tones stay whole)
+   * @param {string} text - Text
+   * @returns {Array} Graphemes
+   */
+  static graphemes(text) {
+    return [...segmenter.segment(text)].map(part => part.segment);
+  }
+
+  /**
+   * Check if grapheme is an emoji
+   * @param {string} grapheme - Grapheme
+   * @returns {boolean}
+   */
+  static isEmoji(grapheme) {
+    const match = grapheme.match(emojiRegex());
+    return !!match && match[0] === grapheme;
+  }
+
+  /**
+   * Estimate grapheme width
+   * @param {string} grapheme - Grapheme
+   * @returns {number} Width in em
+   */
+  static charWidth(grapheme) {
+    if (TextLayout.isEmoji(grapheme)) return 1.2;
+    if (/^[ijlI.,:;'!|]$/.test(grapheme)) return 0.28;
+    if (/^[ftr()[\]"\-]$/.test(grapheme)) return 0.36;
+    if (/^[mwMW@]$/.test(grapheme)) return 0.85;
+    if (/^[A-Z]$/.test(grapheme)) return 0.68;
+    return 0.56;
+  }
+
+  /**
+   * Estimate text width
+   * @param {string} text - Text
+   * @param {number} fontSize - Font size in px
+   * @returns {number} Width in px
+   */
+  static measure(text, fontSize) {
+    return TextLayout.graphemes(text).reduce((width, grapheme) => width + TextLayout.charWidth(grapheme), 0) * fontSize;
+  }
+
+  /**
+   * Break word into pieces that fit width
+   * @param {string} word - Word
+   * @param {number} fontSize - Font size in px
+   * @param {number} maxWidth - Maximum width in px
+   * @returns {Array} Word pieces
+   */
+  static breakWord(word, fontSize, maxWidth) {
+    const pieces = [];
+    let current = '';
+
+    for (const grapheme of TextLayout.graphemes(word)) {
+      if (current && TextLayout.measure(current + grapheme, fontSize) > maxWidth) {
+        pieces.push(current);
+        current = '';
+      }
+      current += grapheme;
+    }
+
+    if (current) {
+      pieces.push(current);
+    }
+    return pieces;
+  }
+
+  /**
+   * Wrap words into lines
+   * @param {Array} words - Words
+   * @param {number} fontSize - Font size in px
+   * @param {number} maxWidth - Maximum line width in px
+   * @returns {Array} Lines, each an array of words
+   */
+  static wrap(words, fontSize, maxWidth) {
+    const spaceWidth = TextLayout.charWidth(' ') * fontSize;
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+
+    for (const word of words) {
+      const wordWidth = TextLayout.measure(word, fontSize);
+
+      if (line.length > 0 && lineWidth + spaceWidth + wordWidth > maxWidth) {
+        lines.push(line);
+        line = [];
+        lineWidth = 0;
+      }
+
+      lineWidth += (line.length > 0 ? spaceWidth : 0) + wordWidth;
+      line.push(word);
+    }
+
+    if (line.length > 0) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Find largest font size where wrapped text fits the box
+   * @param {string} text - Text
+   * @param {Object} box - Layout box
+   * @param {number} box.width - Box width in px
+   * @param {number} box.height - Box height in px
+   * @param {number} box.maxFontSize - Largest font size to try
+   * @param {number} box.minFontSize - Smallest font size (long words are broken at this size)
+   * @param {number} box.lineHeight - Line height as multiple of font size
+   * @returns {Object} { fontSize, lineHeight, lines: [[{ text, width }]] }
+   */
+  static fit(text, { width, height, maxFontSize, minFontSize, lineHeight }) {
+    const words = text.split(/\s+/).filter(Boolean);
+    let fontSize = maxFontSize;
+    let lines = [];
+
+    for (; fontSize >= minFontSize; fontSize -= 2) {
+      const fitsWidth = words.every(word => TextLayout.measure(word, fontSize) <= width);
+      lines = TextLayout.wrap(words, fontSize, width);
+      if (fitsWidth && lines.length * fontSize * lineHeight <= height) {
+        break;
+      }
+    }
+
+    // Nothing fit: smallest size, with words too long for a line broken up
+    if (fontSize < minFontSize) {
+      fontSize = minFontSize;
+      const pieces = words.flatMap(word => TextLayout.breakWord(word, fontSize, width));
+      lines = TextLayout.wrap(pieces, fontSize, width);
+    }
+
+    return {
+      fontSize,
+      lineHeight: fontSize * lineHeight,
+      lines: lines.map(line => line.map(word => ({ text: word, width: TextLayout.measure(word, fontSize) })))
+    };
+  }
+}
+
+// Export as singleton-style helper
+export const textLayout = TextLayout;